@@ -42,6 +42,10 @@ extension SwiftJS {
         var handleCounter = 0
         let handleLock = NSLock()
 
+        // Temporary files that are removed when the context is torn down
+        var temporaryFiles: Set<String> = []
+        let temporaryFilesLock = NSLock()
+
         var logger: @Sendable (LogLevel, [SwiftJS.Value]) -> Void
         
         init() {
@@ -123,6 +127,14 @@ extension SwiftJS {
             }
             openFileHandles.removeAll()
             handleLock.unlock()
+            
+            // Remove the temporary files that are still registered
+            temporaryFilesLock.lock()
+            for path in temporaryFiles {
+                try? FileManager.default.removeItem(atPath: path)
+            }
+            temporaryFiles.removeAll()
+            temporaryFilesLock.unlock()
         }
     }
 }
@@ -403,6 +415,8 @@ extension SwiftJS {
         
         self.globalObject["__APPLE_SPEC__"] = [
             "crypto": .init(JSCrypto(), in: self),
+            "textCodec": .init(JSTextCodec(), in: self),
+            "compression": .init(JSCompression(), in: self),
             "processInfo": .init(JSProcessInfo(), in: self),
             "processControl": .init(JSProcessControl(), in: self),
             "deviceInfo": .init(JSDeviceInfo(), in: self),
@@ -0,0 +1,276 @@
+//
+//  compression.swift
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import Compression
+import JavaScriptCore
+import zlib
+
+@objc protocol JSCompressionExport: JSExport {
+    func createCompressor(_ format: String) -> JSZlibStream?
+    func createDecompressor(_ format: String) -> JSZlibStream?
+}
+
+@objc final class JSCompression: NSObject, JSCompressionExport {
+}
+
+extension JSCompression {
+
+    /// zlib window bits selecting the gzip, zlib or raw deflate framing.
+    static func windowBits(_ format: String) -> Int32? {
+        switch format {
+        case "gzip": return MAX_WBITS + 16
+        case "deflate": return MAX_WBITS
+        case "deflate-raw": return -MAX_WBITS
+        default: return nil
+        }
+    }
+
+    func createCompressor(_ format: String) -> JSZlibStream? {
+        guard let windowBits = JSCompression.windowBits(format) else { return nil }
+        return ZlibCodec(mode: .compress, windowBits: windowBits).map(JSZlibStream.init)
+    }
+
+    func createDecompressor(_ format: String) -> JSZlibStream? {
+        guard let windowBits = JSCompression.windowBits(format) else { return nil }
+        return ZlibCodec(mode: .decompress, windowBits: windowBits).map(JSZlibStream.init)
+    }
+}
+
+enum CompressionError: Error, CustomStringConvertible {
+    case failed(String)
+    case trailingData
+    case truncated
+
+    var description: String {
+        switch self {
+        case let .failed(message): return "Compression error: \(message)"
+        case .trailingData: return "Unexpected data after the end of the compressed stream"
+        case .truncated: return "The compressed stream ended unexpectedly"
+        }
+    }
+}
+
+/// An incremental compressor or decompressor fed one chunk at a time.
+protocol StreamingCodec: AnyObject {
+    func update(_ input: UnsafeRawBufferPointer) throws -> [UInt8]
+    func finish() throws -> [UInt8]
+}
+
+final class ZlibCodec: StreamingCodec {
+
+    enum Mode {
+        case compress
+        case decompress
+    }
+
+    let mode: Mode
+
+    // zlib keeps a pointer back to the z_stream, so it needs a stable address
+    private let stream: UnsafeMutablePointer<z_stream>
+
+    private var isEnded = false
+
+    init?(mode: Mode, windowBits: Int32) {
+        let stream = UnsafeMutablePointer<z_stream>.allocate(capacity: 1)
+        stream.initialize(to: z_stream())
+        let size = Int32(MemoryLayout<z_stream>.size)
+        let status: Int32
+        switch mode {
+        case .compress:
+            status = deflateInit2_(
+                stream, Z_DEFAULT_COMPRESSION, Z_DEFLATED, windowBits, 8, Z_DEFAULT_STRATEGY,
+                ZLIB_VERSION, size)
+        case .decompress:
+            status = inflateInit2_(stream, windowBits, ZLIB_VERSION, size)
+        }
+        guard status == Z_OK else {
+            stream.deallocate()
+            return nil
+        }
+        self.mode = mode
+        self.stream = stream
+    }
+
+    deinit {
+        switch mode {
+        case .compress: deflateEnd(stream)
+        case .decompress: inflateEnd(stream)
+        }
+        stream.deallocate()
+    }
+
+    func update(_ input: UnsafeRawBufferPointer) throws -> [UInt8] {
+        return try process(input, flush: Z_NO_FLUSH)
+    }
+
+    func finish() throws -> [UInt8] {
+        switch mode {
+        case .compress:
+            return try process(UnsafeRawBufferPointer(start: nil, count: 0), flush: Z_FINISH)
+        case .decompress:
+            guard isEnded else { throw CompressionError.truncated }
+            return []
+        }
+    }
+
+    private func process(_ input: UnsafeRawBufferPointer, flush: Int32) throws -> [UInt8] {
+        if isEnded {
+            guard input.isEmpty else { throw CompressionError.trailingData }
+            return []
+        }
+
+        stream.pointee.next_in = UnsafeMutablePointer(
+            mutating: input.baseAddress?.assumingMemoryBound(to: Bytef.self))
+        stream.pointee.avail_in = uInt(input.count)
+        defer {
+            stream.pointee.next_in = nil
+            stream.pointee.avail_in = 0
+        }
+
+        var output: [UInt8] = []
+        var buffer = [UInt8](repeating: 0, count: 64 * 1024)
+        while true {
+            let status = buffer.withUnsafeMutableBufferPointer { buffer in
+                stream.pointee.next_out = buffer.baseAddress
+                stream.pointee.avail_out = uInt(buffer.count)
+                return mode == .compress ? deflate(stream, flush) : inflate(stream, flush)
+            }
+            output.append(contentsOf: buffer[..<(buffer.count - Int(stream.pointee.avail_out))])
+
+            switch status {
+            case Z_STREAM_END:
+                isEnded = true
+                if stream.pointee.avail_in > 0 { throw CompressionError.trailingData }
+                return output
+            case Z_OK, Z_BUF_ERROR:
+                // A full output buffer means zlib may have more to write
+                if stream.pointee.avail_out > 0 && (flush != Z_FINISH || status == Z_BUF_ERROR) {
+                    return output
+                }
+            default:
+                let message = stream.pointee.msg.map { String(cString: $0) } ?? "error \(status)"
+                throw CompressionError.failed(message)
+            }
+        }
+    }
+}
+
+/// Brotli decoder backed by the Compression framework.
+final class BrotliDecoder: StreamingCodec {
+
+    private let stream: UnsafeMutablePointer<compression_stream>
+
+    private var isEnded = false
+
+    init?() {
+        let stream = UnsafeMutablePointer<compression_stream>.allocate(capacity: 1)
+        guard compression_stream_init(stream, COMPRESSION_STREAM_DECODE, COMPRESSION_BROTLI) == COMPRESSION_STATUS_OK else {
+            stream.deallocate()
+            return nil
+        }
+        self.stream = stream
+    }
+
+    deinit {
+        compression_stream_destroy(stream)
+        stream.deallocate()
+    }
+
+    func update(_ input: UnsafeRawBufferPointer) throws -> [UInt8] {
+        if isEnded {
+            guard input.isEmpty else { throw CompressionError.trailingData }
+            return []
+        }
+        guard let source = input.baseAddress, !input.isEmpty else { return [] }
+
+        stream.pointee.src_ptr = source.assumingMemoryBound(to: UInt8.self)
+        stream.pointee.src_size = input.count
+
+        var output: [UInt8] = []
+        var buffer = [UInt8](repeating: 0, count: 64 * 1024)
+        while true {
+            let status = buffer.withUnsafeMutableBufferPointer { buffer in
+                stream.pointee.dst_ptr = buffer.baseAddress!
+                stream.pointee.dst_size = buffer.count
+                return compression_stream_process(stream, 0)
+            }
+            output.append(contentsOf: buffer[..<(buffer.count - stream.pointee.dst_size)])
+
+            switch status {
+            case COMPRESSION_STATUS_END:
+                isEnded = true
+                if stream.pointee.src_size > 0 { throw CompressionError.trailingData }
+                return output
+            case COMPRESSION_STATUS_OK:
+                if stream.pointee.src_size == 0 && stream.pointee.dst_size > 0 {
+                    return output
+                }
+            default:
+                throw CompressionError.failed("invalid brotli data")
+            }
+        }
+    }
+
+    func finish() throws -> [UInt8] {
+        guard isEnded else { throw CompressionError.truncated }
+        return []
+    }
+}
+
+@objc protocol JSZlibStreamExport: JSExport {
+    func write(_ data: JSValue) -> JSValue?
+    func finish() -> JSValue?
+}
+
+@objc final class JSZlibStream: NSObject, JSZlibStreamExport {
+
+    private let codec: ZlibCodec
+
+    init(_ codec: ZlibCodec) {
+        self.codec = codec
+        super.init()
+    }
+}
+
+extension JSZlibStream {
+
+    func write(_ data: JSValue) -> JSValue? {
+        return withCodecOperation { try codec.update(data.typedArrayBytes) }
+    }
+
+    func finish() -> JSValue? {
+        return withCodecOperation { try codec.finish() }
+    }
+
+    private func withCodecOperation(_ operation: () throws -> [UInt8]) -> JSValue? {
+        let context = JSContext.current()!
+        do {
+            return .uint8Array(try operation(), in: context)
+        } catch {
+            context.exception = JSValue(newErrorFromMessage: "\(error)", in: context)
+            return nil
+        }
+    }
+}
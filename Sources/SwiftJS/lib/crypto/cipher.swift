@@ -0,0 +1,121 @@
+//
+//  cipher.swift
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import Crypto
+import _CryptoExtras
+import JavaScriptCore
+
+extension JSCrypto {
+
+  func aesGcmSeal(_ key: JSValue, _ iv: JSValue, _ data: JSValue, _ additionalData: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let sealed = try AES.GCM.seal(
+        data.typedArrayBytes,
+        using: SymmetricKey(data: key.typedArrayBytes),
+        nonce: AES.GCM.Nonce(data: iv.typedArrayBytes),
+        authenticating: additionalData.typedArrayBytes)
+      return .uint8Array(sealed.ciphertext + sealed.tag, in: context)
+    }
+  }
+
+  func aesGcmOpen(
+    _ key: JSValue, _ iv: JSValue, _ data: JSValue, _ additionalData: JSValue, _ tagLength: Int
+  ) -> JSValue? {
+    return withCryptoOperation { context in
+      let symmetricKey = SymmetricKey(data: key.typedArrayBytes)
+      let nonce = try AES.GCM.Nonce(data: iv.typedArrayBytes)
+      let bytes = Data(data.typedArrayBytes)
+      guard tagLength > 0, bytes.count >= tagLength else { throw CryptoKitError.authenticationFailure }
+      let ciphertext = bytes.prefix(bytes.count - tagLength)
+      let tag = bytes.suffix(tagLength)
+
+      if tagLength == 16 {
+        let box = try AES.GCM.SealedBox(nonce: nonce, ciphertext: ciphertext, tag: tag)
+        let plaintext = try AES.GCM.open(box, using: symmetricKey, authenticating: additionalData.typedArrayBytes)
+        return .uint8Array(plaintext, in: context)
+      }
+
+      // AES.GCM.open only accepts full 16 byte tags. GCM encryption is a CTR
+      // keystream XOR, so sealing the ciphertext recovers the plaintext, and
+      // sealing that plaintext again yields the full tag to compare against.
+      let plaintext = try AES.GCM.seal(ciphertext, using: symmetricKey, nonce: nonce).ciphertext
+      let expected = try AES.GCM.seal(
+        plaintext, using: symmetricKey, nonce: nonce,
+        authenticating: additionalData.typedArrayBytes)
+      guard constantTimeEquals(expected.tag.prefix(tagLength), tag) else {
+        throw CryptoKitError.authenticationFailure
+      }
+      return .uint8Array(plaintext, in: context)
+    }
+  }
+
+  func aesCbcEncrypt(_ key: JSValue, _ iv: JSValue, _ data: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let ciphertext = try AES._CBC.encrypt(
+        data.typedArrayBytes,
+        using: SymmetricKey(data: key.typedArrayBytes),
+        iv: AES._CBC.IV(ivBytes: iv.typedArrayBytes))
+      return .uint8Array(ciphertext, in: context)
+    }
+  }
+
+  func aesCbcDecrypt(_ key: JSValue, _ iv: JSValue, _ data: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let plaintext = try AES._CBC.decrypt(
+        data.typedArrayBytes,
+        using: SymmetricKey(data: key.typedArrayBytes),
+        iv: AES._CBC.IV(ivBytes: iv.typedArrayBytes))
+      return .uint8Array(plaintext, in: context)
+    }
+  }
+
+  func aesCtr(_ key: JSValue, _ counter: JSValue, _ data: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let output = try AES._CTR.encrypt(
+        data.typedArrayBytes,
+        using: SymmetricKey(data: key.typedArrayBytes),
+        nonce: AES._CTR.Nonce(nonceBytes: counter.typedArrayBytes))
+      return .uint8Array(output, in: context)
+    }
+  }
+
+  func aesKeyWrap(_ key: JSValue, _ data: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let wrapped = try AES.KeyWrap.wrap(
+        SymmetricKey(data: data.typedArrayBytes),
+        using: SymmetricKey(data: key.typedArrayBytes))
+      return .uint8Array(wrapped, in: context)
+    }
+  }
+
+  func aesKeyUnwrap(_ key: JSValue, _ data: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let unwrapped = try AES.KeyWrap.unwrap(
+        data.typedArrayBytes,
+        using: SymmetricKey(data: key.typedArrayBytes))
+      return .uint8Array(unwrapped.withUnsafeBytes { Data($0) }, in: context)
+    }
+  }
+}
@@ -37,8 +37,105 @@ import JavaScriptCore
   func createHash(_ algorithm: String) -> JSDigest
 
   func createHamc(_ algorithm: String, _ secret: JSValue) -> JSDigest?
+
+  func aesGcmSeal(_ key: JSValue, _ iv: JSValue, _ data: JSValue, _ additionalData: JSValue) -> JSValue?
+
+  func aesGcmOpen(
+    _ key: JSValue, _ iv: JSValue, _ data: JSValue, _ additionalData: JSValue, _ tagLength: Int
+  ) -> JSValue?
+
+  func aesCbcEncrypt(_ key: JSValue, _ iv: JSValue, _ data: JSValue) -> JSValue?
+
+  func aesCbcDecrypt(_ key: JSValue, _ iv: JSValue, _ data: JSValue) -> JSValue?
+
+  func aesCtr(_ key: JSValue, _ counter: JSValue, _ data: JSValue) -> JSValue?
+
+  func aesKeyWrap(_ key: JSValue, _ data: JSValue) -> JSValue?
+
+  func aesKeyUnwrap(_ key: JSValue, _ data: JSValue) -> JSValue?
+
+  func ecGenerateKey(_ curve: String) -> JSValue?
+
+  func ecPublicKey(_ curve: String, _ privateKey: JSValue) -> JSValue?
+
+  func ecNormalizePublicKey(_ curve: String, _ publicKey: JSValue) -> JSValue?
+
+  func ecSign(_ curve: String, _ hash: String, _ privateKey: JSValue, _ data: JSValue) -> JSValue?
+
+  func ecVerify(
+    _ curve: String, _ hash: String, _ publicKey: JSValue, _ signature: JSValue, _ data: JSValue
+  ) -> JSValue?
+
+  func ecDeriveBits(_ curve: String, _ privateKey: JSValue, _ publicKey: JSValue) -> JSValue?
+
+  func pbkdf2(
+    _ hash: String, _ password: JSValue, _ salt: JSValue, _ iterations: Int, _ length: Int
+  ) -> JSValue?
+
+  func hkdf(_ hash: String, _ key: JSValue, _ salt: JSValue, _ info: JSValue, _ length: Int) -> JSValue?
+
+  func rsaGenerateKey(_ modulusLength: Int) -> JSValue?
+
+  func rsaSign(_ padding: String, _ hash: String, _ privateKey: JSValue, _ data: JSValue) -> JSValue?
+
+  func rsaVerify(
+    _ padding: String, _ hash: String, _ publicKey: JSValue, _ signature: JSValue, _ data: JSValue
+  ) -> JSValue?
+
+  func rsaEncrypt(_ hash: String, _ publicKey: JSValue, _ data: JSValue) -> JSValue?
+
+  func rsaDecrypt(_ hash: String, _ privateKey: JSValue, _ data: JSValue) -> JSValue?
 }
 
 @objc final class JSCrypto: NSObject, JSCryptoExport {
 
 }
+
+enum JSCryptoError: Error, CustomStringConvertible {
+
+  case unsupportedAlgorithm(String)
+
+  var description: String {
+    switch self {
+    case let .unsupportedAlgorithm(name): return "Unsupported algorithm: \(name)"
+    }
+  }
+}
+
+extension JSCrypto {
+
+  /// Runs a native crypto operation, turning thrown errors into a JavaScript exception.
+  func withCryptoOperation(_ operation: (JSContext) throws -> JSValue) -> JSValue? {
+    let context = JSContext.current()!
+    do {
+      return try operation(context)
+    } catch {
+      context.exception = JSValue(newErrorFromMessage: "\(error)", in: context)
+      return nil
+    }
+  }
+
+  func hashDigest(_ algorithm: String, _ data: UnsafeRawBufferPointer) throws -> any Digest {
+    switch algorithm {
+    case "sha1": return Insecure.SHA1.hash(data: data)
+    case "sha256": return SHA256.hash(data: data)
+    case "sha384": return SHA384.hash(data: data)
+    case "sha512": return SHA512.hash(data: data)
+    default: throw JSCryptoError.unsupportedAlgorithm(algorithm)
+    }
+  }
+
+  func constantTimeEquals<A: DataProtocol, B: DataProtocol>(_ lhs: A, _ rhs: B) -> Bool {
+    guard lhs.count == rhs.count else { return false }
+    return zip(lhs, rhs).reduce(0) { $0 | ($1.0 ^ $1.1) } == 0
+  }
+}
+
+extension JSValue {
+
+  static func uint8Array<D: DataProtocol>(_ data: D, in context: JSContext) -> JSValue {
+    return .uint8Array(count: data.count, in: context) { buffer in
+      buffer.copyBytes(from: data)
+    }
+  }
+}
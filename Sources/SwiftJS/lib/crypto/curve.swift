@@ -0,0 +1,147 @@
+//
+//  curve.swift
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import Crypto
+import JavaScriptCore
+
+// Elliptic curve keys are exchanged with JavaScript as raw bytes: private keys
+// as the scalar (P-256, P-384) or 32 byte key (Ed25519, X25519), public keys as
+// uncompressed x9.63 points (P-256, P-384) or the 32 byte key (Ed25519, X25519).
+extension JSCrypto {
+
+  func ecGenerateKey(_ curve: String) -> JSValue? {
+    return withCryptoOperation { context in
+      switch curve {
+      case "P-256": return .uint8Array(P256.Signing.PrivateKey().rawRepresentation, in: context)
+      case "P-384": return .uint8Array(P384.Signing.PrivateKey().rawRepresentation, in: context)
+      case "Ed25519": return .uint8Array(Curve25519.Signing.PrivateKey().rawRepresentation, in: context)
+      case "X25519": return .uint8Array(Curve25519.KeyAgreement.PrivateKey().rawRepresentation, in: context)
+      default: throw JSCryptoError.unsupportedAlgorithm(curve)
+      }
+    }
+  }
+
+  func ecPublicKey(_ curve: String, _ privateKey: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let bytes = privateKey.typedArrayBytes
+      switch curve {
+      case "P-256":
+        let key = try P256.Signing.PrivateKey(rawRepresentation: bytes)
+        return .uint8Array(key.publicKey.x963Representation, in: context)
+      case "P-384":
+        let key = try P384.Signing.PrivateKey(rawRepresentation: bytes)
+        return .uint8Array(key.publicKey.x963Representation, in: context)
+      case "Ed25519":
+        let key = try Curve25519.Signing.PrivateKey(rawRepresentation: bytes)
+        return .uint8Array(key.publicKey.rawRepresentation, in: context)
+      case "X25519":
+        let key = try Curve25519.KeyAgreement.PrivateKey(rawRepresentation: bytes)
+        return .uint8Array(key.publicKey.rawRepresentation, in: context)
+      default: throw JSCryptoError.unsupportedAlgorithm(curve)
+      }
+    }
+  }
+
+  /// Validates a public key, expanding compressed P-256 and P-384 points.
+  func ecNormalizePublicKey(_ curve: String, _ publicKey: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let bytes = publicKey.typedArrayBytes
+      switch curve {
+      case "P-256":
+        let key = bytes.count == 33
+          ? try P256.Signing.PublicKey(compressedRepresentation: bytes)
+          : try P256.Signing.PublicKey(x963Representation: bytes)
+        return .uint8Array(key.x963Representation, in: context)
+      case "P-384":
+        let key = bytes.count == 49
+          ? try P384.Signing.PublicKey(compressedRepresentation: bytes)
+          : try P384.Signing.PublicKey(x963Representation: bytes)
+        return .uint8Array(key.x963Representation, in: context)
+      case "Ed25519":
+        let key = try Curve25519.Signing.PublicKey(rawRepresentation: bytes)
+        return .uint8Array(key.rawRepresentation, in: context)
+      case "X25519":
+        let key = try Curve25519.KeyAgreement.PublicKey(rawRepresentation: bytes)
+        return .uint8Array(key.rawRepresentation, in: context)
+      default: throw JSCryptoError.unsupportedAlgorithm(curve)
+      }
+    }
+  }
+
+  /// Signs data, returning ECDSA signatures as raw r || s like browsers do.
+  /// The hash is ignored for Ed25519.
+  func ecSign(_ curve: String, _ hash: String, _ privateKey: JSValue, _ data: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let bytes = privateKey.typedArrayBytes
+      switch curve {
+      case "P-256":
+        let key = try P256.Signing.PrivateKey(rawRepresentation: bytes)
+        let signature = try key.signature(for: hashDigest(hash, data.typedArrayBytes))
+        return .uint8Array(signature.rawRepresentation, in: context)
+      case "P-384":
+        let key = try P384.Signing.PrivateKey(rawRepresentation: bytes)
+        let signature = try key.signature(for: hashDigest(hash, data.typedArrayBytes))
+        return .uint8Array(signature.rawRepresentation, in: context)
+      case "Ed25519":
+        let key = try Curve25519.Signing.PrivateKey(rawRepresentation: bytes)
+        return .uint8Array(try key.signature(for: data.typedArrayBytes), in: context)
+      default: throw JSCryptoError.unsupportedAlgorithm(curve)
+      }
+    }
+  }
+
+  func ecVerify(
+    _ curve: String, _ hash: String, _ publicKey: JSValue, _ signature: JSValue, _ data: JSValue
+  ) -> JSValue? {
+    return withCryptoOperation { context in
+      let bytes = publicKey.typedArrayBytes
+      let signatureBytes = signature.typedArrayBytes
+      let isValid: Bool
+      switch curve {
+      case "P-256":
+        let key = try P256.Signing.PublicKey(x963Representation: bytes)
+        let digest = try hashDigest(hash, data.typedArrayBytes)
+        if let signature = try? P256.Signing.ECDSASignature(rawRepresentation: signatureBytes) {
+          isValid = key.isValidSignature(signature, for: digest)
+        } else {
+          isValid = false
+        }
+      case "P-384":
+        let key = try P384.Signing.PublicKey(x963Representation: bytes)
+        let digest = try hashDigest(hash, data.typedArrayBytes)
+        if let signature = try? P384.Signing.ECDSASignature(rawRepresentation: signatureBytes) {
+          isValid = key.isValidSignature(signature, for: digest)
+        } else {
+          isValid = false
+        }
+      case "Ed25519":
+        let key = try Curve25519.Signing.PublicKey(rawRepresentation: bytes)
+        isValid = key.isValidSignature(signatureBytes, for: data.typedArrayBytes)
+      default: throw JSCryptoError.unsupportedAlgorithm(curve)
+      }
+      return JSValue(bool: isValid, in: context)
+    }
+  }
+}
@@ -0,0 +1,130 @@
+//
+//  derive.swift
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import Crypto
+import JavaScriptCore
+
+extension JSCrypto {
+
+  func pbkdf2(
+    _ hash: String, _ password: JSValue, _ salt: JSValue, _ iterations: Int, _ length: Int
+  ) -> JSValue? {
+    return withCryptoOperation { context in
+      guard iterations > 0 else { throw CryptoKitError.incorrectParameterSize }
+      let password = password.typedArrayBytes
+      let salt = salt.typedArrayBytes
+      let derived: [UInt8]
+      switch hash {
+      case "sha1": derived = pbkdf2(Insecure.SHA1.self, password, salt, iterations, length)
+      case "sha256": derived = pbkdf2(SHA256.self, password, salt, iterations, length)
+      case "sha384": derived = pbkdf2(SHA384.self, password, salt, iterations, length)
+      case "sha512": derived = pbkdf2(SHA512.self, password, salt, iterations, length)
+      default: throw JSCryptoError.unsupportedAlgorithm(hash)
+      }
+      return .uint8Array(derived, in: context)
+    }
+  }
+
+  func hkdf(_ hash: String, _ key: JSValue, _ salt: JSValue, _ info: JSValue, _ length: Int) -> JSValue? {
+    return withCryptoOperation { context in
+      let key = SymmetricKey(data: key.typedArrayBytes)
+      let salt = salt.typedArrayBytes
+      let info = info.typedArrayBytes
+      let derived: SymmetricKey
+      switch hash {
+      case "sha1":
+        guard length <= 255 * Insecure.SHA1.byteCount else { throw CryptoKitError.incorrectParameterSize }
+        derived = HKDF<Insecure.SHA1>.deriveKey(
+          inputKeyMaterial: key, salt: salt, info: info, outputByteCount: length)
+      case "sha256":
+        guard length <= 255 * SHA256.byteCount else { throw CryptoKitError.incorrectParameterSize }
+        derived = HKDF<SHA256>.deriveKey(
+          inputKeyMaterial: key, salt: salt, info: info, outputByteCount: length)
+      case "sha384":
+        guard length <= 255 * SHA384.byteCount else { throw CryptoKitError.incorrectParameterSize }
+        derived = HKDF<SHA384>.deriveKey(
+          inputKeyMaterial: key, salt: salt, info: info, outputByteCount: length)
+      case "sha512":
+        guard length <= 255 * SHA512.byteCount else { throw CryptoKitError.incorrectParameterSize }
+        derived = HKDF<SHA512>.deriveKey(
+          inputKeyMaterial: key, salt: salt, info: info, outputByteCount: length)
+      default: throw JSCryptoError.unsupportedAlgorithm(hash)
+      }
+      return derived.withUnsafeBytes { .uint8Array($0, in: context) }
+    }
+  }
+
+  /// Computes the raw ECDH shared secret between a private and a public key,
+  /// both in the raw representations used by the curve functions.
+  func ecDeriveBits(_ curve: String, _ privateKey: JSValue, _ publicKey: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let privateBytes = privateKey.typedArrayBytes
+      let publicBytes = publicKey.typedArrayBytes
+      let secret: SharedSecret
+      switch curve {
+      case "P-256":
+        secret = try P256.KeyAgreement.PrivateKey(rawRepresentation: privateBytes)
+          .sharedSecretFromKeyAgreement(with: .init(x963Representation: publicBytes))
+      case "P-384":
+        secret = try P384.KeyAgreement.PrivateKey(rawRepresentation: privateBytes)
+          .sharedSecretFromKeyAgreement(with: .init(x963Representation: publicBytes))
+      case "X25519":
+        secret = try Curve25519.KeyAgreement.PrivateKey(rawRepresentation: privateBytes)
+          .sharedSecretFromKeyAgreement(with: .init(rawRepresentation: publicBytes))
+      default: throw JSCryptoError.unsupportedAlgorithm(curve)
+      }
+      return secret.withUnsafeBytes { .uint8Array($0, in: context) }
+    }
+  }
+}
+
+extension JSCrypto {
+
+  /// PBKDF2 as specified in RFC 8018 section 5.2.
+  private func pbkdf2<H: HashFunction>(
+    _ hash: H.Type, _ password: UnsafeRawBufferPointer, _ salt: UnsafeRawBufferPointer,
+    _ iterations: Int, _ length: Int
+  ) -> [UInt8] {
+    let key = SymmetricKey(data: password)
+    var output: [UInt8] = []
+    var blockIndex: UInt32 = 1
+    while output.count < length {
+      var hmac = HMAC<H>(key: key)
+      hmac.update(data: salt)
+      hmac.update(data: withUnsafeBytes(of: blockIndex.bigEndian) { Array($0) })
+      var block = Array(hmac.finalize())
+      var result = block
+      for _ in 1..<iterations {
+        block = Array(HMAC<H>.authenticationCode(for: block, using: key))
+        for i in result.indices {
+          result[i] ^= block[i]
+        }
+      }
+      output.append(contentsOf: result)
+      blockIndex += 1
+    }
+    return Array(output.prefix(length))
+  }
+}
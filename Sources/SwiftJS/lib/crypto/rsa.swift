@@ -0,0 +1,97 @@
+//
+//  rsa.swift
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import Crypto
+import _CryptoExtras
+import JavaScriptCore
+
+// RSA keys are exchanged with JavaScript as DER: PKCS #1 or PKCS #8 for
+// private keys and SubjectPublicKeyInfo for public keys.
+extension JSCrypto {
+
+  func rsaGenerateKey(_ modulusLength: Int) -> JSValue? {
+    return withCryptoOperation { context in
+      let key = try _RSA.Signing.PrivateKey(keySize: .init(bitCount: modulusLength))
+      return .uint8Array(key.derRepresentation, in: context)
+    }
+  }
+
+  /// Signs data with RSASSA-PKCS1-v1_5 (padding "pkcs1") or RSA-PSS (padding "pss").
+  func rsaSign(_ padding: String, _ hash: String, _ privateKey: JSValue, _ data: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let key = try _RSA.Signing.PrivateKey(derRepresentation: privateKey.typedArrayBytes)
+      let signature = try key.signature(
+        for: hashDigest(hash, data.typedArrayBytes), padding: signingPadding(padding))
+      return .uint8Array(signature.rawRepresentation, in: context)
+    }
+  }
+
+  func rsaVerify(
+    _ padding: String, _ hash: String, _ publicKey: JSValue, _ signature: JSValue, _ data: JSValue
+  ) -> JSValue? {
+    return withCryptoOperation { context in
+      let key = try _RSA.Signing.PublicKey(derRepresentation: publicKey.typedArrayBytes)
+      let digest = try hashDigest(hash, data.typedArrayBytes)
+      let signature = _RSA.Signing.RSASignature(rawRepresentation: signature.typedArrayBytes)
+      let isValid = key.isValidSignature(signature, for: digest, padding: try signingPadding(padding))
+      return JSValue(bool: isValid, in: context)
+    }
+  }
+
+  func rsaEncrypt(_ hash: String, _ publicKey: JSValue, _ data: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let key = try _RSA.Encryption.PublicKey(derRepresentation: publicKey.typedArrayBytes)
+      let ciphertext = try key.encrypt(data.typedArrayBytes, padding: encryptionPadding(hash))
+      return .uint8Array(ciphertext, in: context)
+    }
+  }
+
+  func rsaDecrypt(_ hash: String, _ privateKey: JSValue, _ data: JSValue) -> JSValue? {
+    return withCryptoOperation { context in
+      let key = try _RSA.Encryption.PrivateKey(derRepresentation: privateKey.typedArrayBytes)
+      let plaintext = try key.decrypt(data.typedArrayBytes, padding: encryptionPadding(hash))
+      return .uint8Array(plaintext, in: context)
+    }
+  }
+}
+
+extension JSCrypto {
+
+  private func signingPadding(_ padding: String) throws -> _RSA.Signing.Padding {
+    switch padding {
+    case "pkcs1": return .insecurePKCS1v1_5
+    case "pss": return .PSS
+    default: throw JSCryptoError.unsupportedAlgorithm(padding)
+    }
+  }
+
+  private func encryptionPadding(_ hash: String) throws -> _RSA.Encryption.Padding {
+    switch hash {
+    case "sha1": return .PKCS1_OAEP
+    case "sha256": return .PKCS1_OAEP_SHA256
+    default: throw JSCryptoError.unsupportedAlgorithm("RSA-OAEP with \(hash)")
+    }
+  }
+}
@@ -43,6 +43,10 @@ import Foundation
     func copyItem(_ sourcePath: String, _ destinationPath: String) -> Bool
     func moveItem(_ sourcePath: String, _ destinationPath: String) -> Bool
 
+    // Temporary files owned by the context
+    func registerTemporaryFile(_ path: String)
+    func removeTemporaryFile(_ path: String)
+
     // Streaming methods for efficient file reading
     func getFileSize(_ path: String) -> Int
 
@@ -304,6 +308,24 @@ import Foundation
         }
     }
 
+    /// Removes the file at `path` when the context is torn down, unless
+    /// `removeTemporaryFile` removes it first
+    func registerTemporaryFile(_ path: String) {
+        context.temporaryFilesLock.lock()
+        context.temporaryFiles.insert(path)
+        context.temporaryFilesLock.unlock()
+    }
+
+    /// Removes a file registered with `registerTemporaryFile`
+    func removeTemporaryFile(_ path: String) {
+        context.temporaryFilesLock.lock()
+        let isRegistered = context.temporaryFiles.remove(path) != nil
+        context.temporaryFilesLock.unlock()
+        if isRegistered {
+            try? FileManager.default.removeItem(atPath: path)
+        }
+    }
+
     // Streaming methods for efficient file reading
     func getFileSize(_ path: String) -> Int {
         do {
@@ -0,0 +1,99 @@
+//
+//  configuration.swift
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import Foundation
+import JavaScriptCore
+import NIOSSL
+import AsyncHTTPClient
+
+enum HTTPClientConfigurationError: Error, CustomStringConvertible {
+    case invalidCertificate(String)
+    case invalidPrivateKey
+
+    var description: String {
+        switch self {
+        case let .invalidCertificate(option): return "Invalid PEM certificate in \(option)"
+        case .invalidPrivateKey: return "Invalid PEM private key in key"
+        }
+    }
+}
+
+extension HTTPClient.Configuration {
+
+    /// Builds the configuration of a dedicated client from the options of an
+    /// `HttpClient`. The polyfill has already validated and normalized them:
+    /// `proxy` is `{ protocol, host, port, username?, password? }`, `caCerts`
+    /// is an array of PEM strings, and `cert` and `key` are given together.
+    init(options: JSValue) throws {
+        self.init()
+
+        if let proxy = options.forProperty("proxy"), proxy.isObject {
+            let host = proxy.forProperty("host").toString() ?? ""
+            let port = Int(proxy.forProperty("port").toInt32())
+            if proxy.forProperty("protocol").toString() == "socks5" {
+                self.proxy = .socksServer(host: host, port: port)
+            } else if let username = proxy.forProperty("username"), username.isString {
+                let password = proxy.forProperty("password").toString() ?? ""
+                self.proxy = .server(
+                    host: host,
+                    port: port,
+                    authorization: .basic(username: username.toString(), password: password)
+                )
+            } else {
+                self.proxy = .server(host: host, port: port)
+            }
+        }
+
+        var tlsConfiguration = TLSConfiguration.makeClientConfiguration()
+        if let caCerts = options.forProperty("caCerts")?.toArray() as? [String], !caCerts.isEmpty {
+            let certificates = try caCerts.flatMap { try Self.certificates(fromPEM: $0, option: "caCerts") }
+            tlsConfiguration.additionalTrustRoots = [.certificates(certificates)]
+        }
+        if let cert = options.forProperty("cert"), cert.isString,
+           let key = options.forProperty("key"), key.isString {
+            tlsConfiguration.certificateChain = try Self.certificates(fromPEM: cert.toString(), option: "cert")
+                .map { .certificate($0) }
+            do {
+                tlsConfiguration.privateKey = .privateKey(
+                    try NIOSSLPrivateKey(bytes: Array(key.toString().utf8), format: .pem))
+            } catch {
+                throw HTTPClientConfigurationError.invalidPrivateKey
+            }
+        }
+        self.tlsConfiguration = tlsConfiguration
+
+        if let limit = options.forProperty("maxConnectionsPerHost"), limit.isNumber {
+            self.connectionPool.concurrentHTTP1ConnectionsPerHostSoftLimit = Int(limit.toInt32())
+        }
+    }
+
+    private static func certificates(fromPEM pem: String, option: String) throws -> [NIOSSLCertificate] {
+        let certificates = try? NIOSSLCertificate.fromPEMBytes(Array(pem.utf8))
+        guard let certificates = certificates, !certificates.isEmpty else {
+            throw HTTPClientConfigurationError.invalidCertificate(option)
+        }
+        return certificates
+    }
+}
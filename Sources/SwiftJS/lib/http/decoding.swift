@@ -0,0 +1,128 @@
+//
+//  decoding.swift
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import Foundation
+import NIOHTTP1
+import zlib
+
+/// Decodes a response body according to its Content-Encoding header.
+/// Codings are undone in reverse order of application, so
+/// `Content-Encoding: deflate, gzip` is gunzipped before it is inflated.
+final class ContentDecoder: @unchecked Sendable {
+
+    static let acceptEncoding = "gzip, deflate, br"
+
+    private let codecs: [StreamingCodec]
+    private var receivedInput = false
+
+    /// Returns nil when the header is absent or names a coding that cannot be
+    /// decoded, in which case the body is passed through untouched.
+    init?(contentEncoding: String?) {
+        let codings = (contentEncoding ?? "")
+            .split(separator: ",")
+            .map { $0.trimmingCharacters(in: .whitespaces).lowercased() }
+            .filter { !$0.isEmpty && $0 != "identity" }
+        guard !codings.isEmpty else { return nil }
+
+        var codecs: [StreamingCodec] = []
+        for coding in codings.reversed() {
+            switch coding {
+            case "gzip", "x-gzip":
+                guard let codec = ZlibCodec(mode: .decompress, windowBits: MAX_WBITS + 16) else { return nil }
+                codecs.append(codec)
+            case "deflate":
+                codecs.append(HTTPDeflateDecoder())
+            case "br":
+                guard let codec = BrotliDecoder() else { return nil }
+                codecs.append(codec)
+            default:
+                return nil
+            }
+        }
+        self.codecs = codecs
+    }
+
+    /// Removes the headers that describe the encoded body. The decoded length
+    /// is not known until the body has been read, so Content-Length goes too.
+    static func decodedHeaders(_ headers: HTTPHeaders) -> HTTPHeaders {
+        var headers = headers
+        headers.remove(name: "Content-Encoding")
+        headers.remove(name: "Content-Length")
+        return headers
+    }
+
+    func update(_ data: Data) throws -> Data {
+        guard !data.isEmpty else { return Data() }
+        receivedInput = true
+        var output = data
+        for codec in codecs {
+            output = Data(try output.withUnsafeBytes { try codec.update($0) })
+        }
+        return output
+    }
+
+    /// Completes every codec in turn, feeding the remainder of each one into
+    /// the next. An empty body, such as the body of a HEAD response, is valid.
+    func finish() throws -> Data {
+        guard receivedInput else { return Data() }
+        var output = Data()
+        for codec in codecs {
+            var remainder = try output.withUnsafeBytes { try codec.update($0) }
+            remainder += try codec.finish()
+            output = Data(remainder)
+        }
+        return output
+    }
+}
+
+/// HTTP `deflate` is specified as zlib framed data, but some servers send raw
+/// deflate instead. The framing is picked from the first two bytes.
+private final class HTTPDeflateDecoder: StreamingCodec {
+
+    private var codec: ZlibCodec?
+    private var header: [UInt8] = []
+
+    func update(_ input: UnsafeRawBufferPointer) throws -> [UInt8] {
+        if let codec = codec {
+            return try codec.update(input)
+        }
+        header.append(contentsOf: input)
+        guard header.count >= 2 else { return [] }
+
+        let isZlib = header[0] & 0x0F == 8 && (UInt16(header[0]) << 8 | UInt16(header[1])) % 31 == 0
+        guard let codec = ZlibCodec(mode: .decompress, windowBits: isZlib ? MAX_WBITS : -MAX_WBITS) else {
+            throw CompressionError.failed("unable to initialize decoder")
+        }
+        self.codec = codec
+        let buffered = header
+        header = []
+        return try buffered.withUnsafeBytes { try codec.update($0) }
+    }
+
+    func finish() throws -> [UInt8] {
+        guard let codec = codec else { throw CompressionError.truncated }
+        return try codec.finish()
+    }
+}
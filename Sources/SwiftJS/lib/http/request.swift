@@ -34,6 +34,10 @@ import JavaScriptCore
     var allHTTPHeaderFields: [String: String] { get set }
     var httpBody: JSValue? { get set }
     var timeoutInterval: Double { get set }
+    var connectTimeoutInterval: Double { get set }
+    var idleTimeoutInterval: Double { get set }
+    var decompressesResponse: Bool { get set }
+    var expectedBodyLength: Double { get set }
     
     func setValueForHTTPHeaderField(_ value: String?, _ field: String)
     func addValueForHTTPHeaderField(_ value: String, _ field: String)
@@ -45,7 +49,18 @@ import JavaScriptCore
     public var url: String?
     public var httpMethod: String = "GET"
     public var allHTTPHeaderFields: [String: String] = [:]
+    /// Seconds the whole request may take; 0 means no limit
     public var timeoutInterval: Double = 60.0
+    /// Seconds to wait for a connection; 0 uses the client's default
+    public var connectTimeoutInterval: Double = 0
+    /// Seconds to wait for the next bytes of the response; 0 means no limit
+    public var idleTimeoutInterval: Double = 0
+    /// Decodes gzip, deflate and br response bodies before they reach the
+    /// progress handler. When false the handler receives the bytes as sent.
+    public var decompressesResponse: Bool = true
+    /// Length of a streamed body when it is known in advance, reported as the
+    /// total of its upload progress; -1 when unknown. It is not sent.
+    public var expectedBodyLength: Double = -1
     private var httpBodyData: Data?
     
     init(url: String) {
@@ -30,6 +30,7 @@ import JavaScriptCore
   var url: String? { get }
   var statusCode: Int { get }
   var allHeaderFields: [String: String] { get }
+  var headerList: [[String]] { get }
   var textEncodingName: String? { get }
   var expectedContentLength: Int64 { get }
   var mimeType: String? { get }
@@ -42,24 +43,28 @@ import JavaScriptCore
   private let response: HTTPURLResponse
   private let customStatusCode: Int?
   private let customHeaders: [String: String]?
+  private let customHeaderList: [[String]]?
   private let customURL: String?
 
   init(response: HTTPURLResponse) {
     self.response = response
     self.customStatusCode = nil
     self.customHeaders = nil
+    self.customHeaderList = nil
     self.customURL = nil
     super.init()
   }
 
-  // Convenience initializer for NIO responses
-  init(statusCode: Int, headers: [String: String], url: String?) {
+  // Convenience initializer for NIO responses. `headerList` keeps repeated
+  // fields such as Set-Cookie apart, which `headers` joins with commas.
+  init(statusCode: Int, headers: [String: String], headerList: [[String]]? = nil, url: String?) {
     // Create a dummy HTTPURLResponse for compatibility
     let dummyURL = URL(string: url ?? "https://example.com")!
     self.response = HTTPURLResponse(
       url: dummyURL, statusCode: statusCode, httpVersion: "HTTP/1.1", headerFields: headers)!
     self.customStatusCode = statusCode
     self.customHeaders = headers
+    self.customHeaderList = headerList
     self.customURL = url
     super.init()
   }
@@ -83,6 +88,14 @@ import JavaScriptCore
     }
   }
 
+  /// The response header fields as `[name, value]` pairs in the order received
+  var headerList: [[String]] {
+    if let customHeaderList = customHeaderList {
+      return customHeaderList
+    }
+    return allHeaderFields.map { [$0.key, $0.value] }
+  }
+
   var textEncodingName: String? {
     return response.textEncodingName
   }
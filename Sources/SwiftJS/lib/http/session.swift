@@ -25,15 +25,21 @@
 
 import JavaScriptCore
 import NIOHTTP1
+import AsyncHTTPClient
 
 @objc protocol JSURLSessionExport: JSExport {
     
     func shared() -> JSURLSession
     
+    func createSession(_ options: JSValue) -> JSURLSession?
+    
+    func invalidate() -> JSValue?
+    
     func httpRequestWithRequest(
         _ request: JSURLRequest,
         _ bodyStream: JSValue,
-        _ progressHandler: JSValue
+        _ progressHandler: JSValue,
+        _ transferObserver: JSValue
     ) -> JSValue?
 }
 
@@ -41,9 +47,15 @@ import NIOHTTP1
     
     // Store reference to SwiftJS context for network tracking
     private let context: SwiftJS.Context
+    private let client: NIOHTTPClient
+    
+    // Set by `invalidate`, after which requests are rejected
+    private var isInvalidated = false
+    private let invalidatedLock = NSLock()
 
-    init(context: SwiftJS.Context) {
+    init(context: SwiftJS.Context, client: NIOHTTPClient = .shared) {
         self.context = context
+        self.client = client
         super.init()
     }
 
@@ -51,15 +63,68 @@ import NIOHTTP1
         return self
     }
 
-    /// Unified HTTP request method using JSURLRequest
+    /// Creates a session with a connection pool of its own, configured from
+    /// the normalized options of an `HttpClient`
+    func createSession(_ options: JSValue) -> JSURLSession? {
+        let jsContext = JSContext.current()!
+        do {
+            let configuration = try HTTPClient.Configuration(options: options)
+            return JSURLSession(context: context, client: NIOHTTPClient(configuration: configuration))
+        } catch {
+            jsContext.exception = JSValue(newErrorFromMessage: "\(error)", in: jsContext)
+            return nil
+        }
+    }
+
+    /// Shuts down the connection pool of a session made by `createSession`,
+    /// and rejects the requests made after it. The shared session stays open.
+    func invalidate() -> JSValue? {
+        guard let context = JSContext.current() else { return nil }
+
+        return JSValue(newPromiseIn: context) { resolve, reject in
+            guard self.client !== NIOHTTPClient.shared else {
+                resolve?.call(withArguments: [])
+                return
+            }
+            let wasInvalidated = self.invalidatedLock.withLock {
+                defer { self.isInvalidated = true }
+                return self.isInvalidated
+            }
+            guard !wasInvalidated else {
+                resolve?.call(withArguments: [])
+                return
+            }
+            Task {
+                do {
+                    try await self.client.shutdown()
+                    resolve?.call(withArguments: [])
+                } catch {
+                    reject?.call(withArguments: [
+                        JSValue(newErrorFromMessage: error.localizedDescription, in: context)!
+                    ])
+                }
+            }
+        }
+    }
+
+    /// Unified HTTP request method using JSURLRequest. The optional
+    /// `transferObserver` has `upload` and `download` functions called with
+    /// the bytes transferred so far and the total, or -1 when it is unknown.
     func httpRequestWithRequest(
         _ request: JSURLRequest,
         _ bodyStream: JSValue,
-        _ progressHandler: JSValue
+        _ progressHandler: JSValue,
+        _ transferObserver: JSValue
     ) -> JSValue? {
         guard let context = JSContext.current() else { return nil }
 
         return JSValue(newPromiseIn: context) { resolve, reject in
+            guard !self.invalidatedLock.withLock({ self.isInvalidated }) else {
+                reject?.call(withArguments: [
+                    JSValue(newErrorFromMessage: "The session has been invalidated", in: context)!
+                ])
+                return
+            }
             Task {
                 // Start network request tracking
                 let networkId = self.context.startNetworkRequest()
@@ -87,6 +152,11 @@ import NIOHTTP1
                         onComplete: endOnce
                     )
 
+                    let progress = transferObserver.isObject ? TransferProgress(
+                        observer: transferObserver,
+                        uploadTotal: request.bodyData.map { Int64($0.count) } ?? Int64(request.expectedBodyLength)
+                    ) : nil
+
                     let responseHead: HTTPResponseHead
 
                     if !bodyStream.isNull && !bodyStream.isUndefined {
@@ -97,16 +167,18 @@ import NIOHTTP1
                         let streamReader = JSStreamReader(stream: bodyStream, context: context)
                         let dataStream = streamReader.createAsyncStream()
 
-                        responseHead = try await NIOHTTPClient.shared.executeStreamingUpload(
+                        responseHead = try await self.client.executeStreamingUpload(
                             request,
                             bodyStream: dataStream,
-                            streamController: streamController
+                            streamController: streamController,
+                            progress: progress
                         )
                     } else {
                         // Regular request (GET/POST without streaming body)
-                        responseHead = try await NIOHTTPClient.shared.executeStreamingRequest(
+                        responseHead = try await self.client.executeStreamingRequest(
                             request,
-                            streamController: streamController
+                            streamController: streamController,
+                            progress: progress
                         )
                     }
 
@@ -126,6 +198,7 @@ import NIOHTTP1
                     let jsResponse = JSURLResponse(
                         statusCode: Int(responseHead.status.code),
                         headers: headersDict,
+                        headerList: responseHead.headers.map { [$0.name, $0.value] },
                         url: request.url
                     )
 
@@ -134,9 +207,7 @@ import NIOHTTP1
                 } catch {
                     // Ensure we end network tracking on error as well
                     endOnce()
-                    reject?.call(withArguments: [
-                        JSValue(newErrorFromMessage: error.localizedDescription, in: context)!
-                    ])
+                    reject?.call(withArguments: [JSValue.requestError(error, in: context)])
                 }
             }
         }
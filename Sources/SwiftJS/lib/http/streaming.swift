@@ -59,7 +59,7 @@ final class StreamController: @unchecked Sendable {
         // Also call progressHandler with error indicator (empty chunk + completion)
         // This allows the JavaScript polyfill to handle cleanup if needed
         let emptyArray = JSValue.uint8Array(count: 0, in: context) { _ in }
-        let jsError = JSValue(newErrorFromMessage: error.localizedDescription, in: context)!
+        let jsError = JSValue.requestError(error, in: context)
         progressHandler.call(withArguments: [emptyArray, jsError])
         // Notify completion/error to caller
         onComplete()
@@ -73,36 +73,236 @@ final class StreamController: @unchecked Sendable {
     }
 }
 
+/// Reports the bytes of a request sent and of its response received to the
+/// `upload` and `download` functions of a JavaScript observer, as
+/// `(loaded, total)`. Totals are -1 when unknown. The download counts the
+/// bytes as they arrive, before any content decoding.
+final class TransferProgress: @unchecked Sendable {
+    private let observer: JSValue
+    private let lock = NSLock()
+    private var sent: Int64 = 0
+    private var received: Int64 = 0
+    private var downloadTotal: Int64 = -1
+    let uploadTotal: Int64
+
+    init(observer: JSValue, uploadTotal: Int64) {
+        self.observer = observer
+        self.uploadTotal = uploadTotal
+    }
+
+    var observesUpload: Bool { handler(named: "upload") != nil }
+
+    func didSend(_ count: Int) {
+        guard count > 0, let upload = handler(named: "upload") else { return }
+        let loaded = lock.withLock {
+            sent += Int64(count)
+            return sent
+        }
+        upload.call(withArguments: [loaded, uploadTotal])
+    }
+
+    func didReceiveHead(_ headers: HTTPHeaders) {
+        guard let length = headers.first(name: "Content-Length").flatMap(Int64.init) else { return }
+        lock.withLock { downloadTotal = length }
+    }
+
+    func didReceive(_ count: Int) {
+        guard count > 0, let download = handler(named: "download") else { return }
+        let (loaded, total) = lock.withLock {
+            received += Int64(count)
+            return (received, downloadTotal)
+        }
+        download.call(withArguments: [loaded, total])
+    }
+
+    private func handler(named name: String) -> JSValue? {
+        guard let handler = observer.forProperty(name), handler.isObject else { return nil }
+        return handler
+    }
+}
+
+/// Request body that reports each chunk as sent when the client asks for the
+/// next one, which it does once the previous chunk has been written
+struct UploadProgressSequence<Base: AsyncSequence & Sendable>: AsyncSequence, Sendable where Base.Element == ByteBuffer {
+    typealias Element = ByteBuffer
+
+    let base: Base
+    let progress: TransferProgress
+
+    struct AsyncIterator: AsyncIteratorProtocol {
+        var base: Base.AsyncIterator
+        let progress: TransferProgress
+        var pending = 0
+
+        mutating func next() async throws -> ByteBuffer? {
+            progress.didSend(pending)
+            let buffer = try await base.next()
+            pending = buffer?.readableBytes ?? 0
+            return buffer
+        }
+    }
+
+    func makeAsyncIterator() -> AsyncIterator {
+        AsyncIterator(base: base.makeAsyncIterator(), progress: progress)
+    }
+}
+
+extension JSValue {
+    
+    /// Creates the JavaScript error for a failed request. Timeouts are named
+    /// `TimeoutError` so the polyfill can tell them apart from other failures.
+    static func requestError(_ error: Error, in context: JSContext) -> JSValue {
+        let jsError = JSValue(newErrorFromMessage: error.localizedDescription, in: context)!
+        let timeouts: [AsyncHTTPClient.HTTPClientError] = [
+            .connectTimeout, .readTimeout, .deadlineExceeded,
+            .tlsHandshakeTimeout, .socksHandshakeTimeout, .httpProxyHandshakeTimeout,
+        ]
+        if let error = error as? AsyncHTTPClient.HTTPClientError, timeouts.contains(error) {
+            jsError.setValue("TimeoutError", forProperty: "name")
+        }
+        return jsError
+    }
+}
+
 /// NIO-based HTTP client for streaming requests and responses
 final class NIOHTTPClient: @unchecked Sendable {
+    private let configuration: HTTPClient.Configuration
     private let httpClient: HTTPClient
-    private let eventLoopGroup: EventLoopGroup
+    
+    /// Connect and idle timeouts are settings of an `HTTPClient`, so requests
+    /// that set them use a client made for those values. All of them share
+    /// the configuration of this client. Only the most recently used clients
+    /// are kept; the others are shut down once their requests have finished.
+    private struct Timeouts: Hashable {
+        let connect: Int64
+        let idle: Int64
+    }
+    private final class TimeoutClient: @unchecked Sendable {
+        let client: HTTPClient
+        var activeRequests = 0
+        var lastUse = 0
+        var isEvicted = false
+        
+        init(client: HTTPClient) {
+            self.client = client
+        }
+    }
+    private static let maxTimeoutClients = 8
+    private var timeoutClients: [Timeouts: TimeoutClient] = [:]
+    private var timeoutClientUses = 0
+    private let timeoutClientsLock = NSLock()
+    
+    /// Event loops used by the shared client and by every dedicated client
+    private static let eventLoopGroup = MultiThreadedEventLoopGroup(numberOfThreads: System.coreCount)
     
     static let shared = NIOHTTPClient()
     
-    private init() {
-        self.eventLoopGroup = MultiThreadedEventLoopGroup(numberOfThreads: System.coreCount)
-        
+    /// Creates a client with its own connection pool. Proxy, TLS and pool
+    /// settings come from `configuration`.
+    init(configuration: HTTPClient.Configuration = HTTPClient.Configuration()) {
         // Configure HTTP client to NOT follow redirects automatically
         // This allows our JavaScript fetch implementation to handle redirects according to the Fetch API spec
-        var configuration = HTTPClient.Configuration()
+        var configuration = configuration
         configuration.redirectConfiguration = .disallow
 
+        self.configuration = configuration
         self.httpClient = HTTPClient(
-            eventLoopGroupProvider: .shared(eventLoopGroup),
+            eventLoopGroupProvider: .shared(NIOHTTPClient.eventLoopGroup),
             configuration: configuration
         )
     }
     
     deinit {
         try? httpClient.syncShutdown()
-        try? eventLoopGroup.syncShutdownGracefully()
+        for entry in timeoutClients.values {
+            try? entry.client.syncShutdown()
+        }
+    }
+    
+    /// Closes the pooled connections. Requests that are still running fail.
+    func shutdown() async throws {
+        try await httpClient.shutdown()
+        let clients = timeoutClientsLock.withLock {
+            defer { timeoutClients.removeAll() }
+            return timeoutClients.values.map(\.client)
+        }
+        for client in clients {
+            try await client.shutdown()
+        }
+    }
+    
+    /// Returns the client that applies the connect and idle timeouts of
+    /// `request`, and a function to call once the request has finished
+    private func client(for request: JSURLRequest) -> (client: HTTPClient, release: @Sendable () -> Void) {
+        let timeouts = Timeouts(
+            connect: Int64(request.connectTimeoutInterval * 1000),
+            idle: Int64(request.idleTimeoutInterval * 1000)
+        )
+        guard timeouts.connect > 0 || timeouts.idle > 0 else { return (httpClient, {}) }
+        
+        let (entry, evicted) = timeoutClientsLock.withLock { () -> (TimeoutClient, [HTTPClient]) in
+            let entry = timeoutClients[timeouts] ?? TimeoutClient(client: makeClient(timeouts))
+            timeoutClients[timeouts] = entry
+            timeoutClientUses += 1
+            entry.lastUse = timeoutClientUses
+            entry.activeRequests += 1
+            
+            var evicted: [HTTPClient] = []
+            while timeoutClients.count > Self.maxTimeoutClients,
+                  let oldest = timeoutClients.min(by: { $0.value.lastUse < $1.value.lastUse }) {
+                timeoutClients[oldest.key] = nil
+                oldest.value.isEvicted = true
+                if oldest.value.activeRequests == 0 {
+                    evicted.append(oldest.value.client)
+                }
+            }
+            return (entry, evicted)
+        }
+        shutdownEvicted(evicted)
+        
+        return (entry.client, {
+            let isUnused = self.timeoutClientsLock.withLock { () -> Bool in
+                entry.activeRequests -= 1
+                return entry.isEvicted && entry.activeRequests == 0
+            }
+            if isUnused {
+                self.shutdownEvicted([entry.client])
+            }
+        })
+    }
+    
+    private func makeClient(_ timeouts: Timeouts) -> HTTPClient {
+        var configuration = self.configuration
+        configuration.timeout = HTTPClient.Configuration.Timeout(
+            connect: timeouts.connect > 0 ? .milliseconds(timeouts.connect) : nil,
+            read: timeouts.idle > 0 ? .milliseconds(timeouts.idle) : nil
+        )
+        return HTTPClient(
+            eventLoopGroupProvider: .shared(NIOHTTPClient.eventLoopGroup),
+            configuration: configuration
+        )
+    }
+    
+    /// Shuts down clients that were evicted and have no requests running
+    private func shutdownEvicted(_ clients: [HTTPClient]) {
+        for client in clients {
+            Task {
+                try? await client.shutdown()
+            }
+        }
+    }
+    
+    /// The deadline of the whole request; a `timeoutInterval` of 0 has none
+    private func deadline(for request: JSURLRequest) -> NIODeadline {
+        guard request.timeoutInterval > 0 else { return .distantFuture }
+        return .now() + .milliseconds(Int64(request.timeoutInterval * 1000))
     }
     
     /// Execute a streaming HTTP request
     func executeStreamingRequest(
         _ request: JSURLRequest,
-        streamController: StreamController
+        streamController: StreamController,
+        progress: TransferProgress? = nil
     ) async throws -> HTTPResponseHead {
         
         // Convert JSURLRequest to HTTPClient.Request
@@ -117,55 +317,45 @@ final class NIOHTTPClient: @unchecked Sendable {
         for (key, value) in request.allHTTPHeaderFields {
             httpRequest.headers.add(name: key, value: value)
         }
+        if !httpRequest.headers.contains(name: "Accept-Encoding") {
+            httpRequest.headers.add(name: "Accept-Encoding", value: ContentDecoder.acceptEncoding)
+        }
         
         // Handle request body
         // First check the bodyData property directly
         if let httpBodyData = request.bodyData {
-            httpRequest.body = .bytes(httpBodyData)
+            httpRequest.body = requestBody(httpBodyData, progress: progress)
         } else if let httpBody = request.httpBody {
             // Fallback to JSValue property if no body data
             if httpBody.isTypedArray {
                 let bodyData = httpBody.typedArrayBytes
                 let data = Data(bodyData.bindMemory(to: UInt8.self))
-                httpRequest.body = .bytes(data)
+                httpRequest.body = requestBody(data, progress: progress)
             } else if httpBody.isString {
                 let data = httpBody.toString().data(using: .utf8) ?? Data()
-                httpRequest.body = .bytes(data)
+                httpRequest.body = requestBody(data, progress: progress)
             }
         }
         
         // Execute request and stream response
-        let response = try await httpClient.execute(
-            httpRequest,
-            deadline: .now() + .seconds(Int64(request.timeoutInterval))
-        )
-        
-        // Stream response body in a detached task to avoid data races
-        let controller = streamController
-        Task.detached {
-            do {
-                for try await buffer in response.body {
-                    let data = Data(buffer: buffer)
-                    controller.enqueue(data)
-                }
-                controller.close()
-            } catch {
-                controller.error(error)
-            }
+        let (client, release) = self.client(for: request)
+        let response: HTTPClientResponse
+        do {
+            response = try await client.execute(httpRequest, deadline: deadline(for: request))
+        } catch {
+            release()
+            throw error
         }
         
-        return HTTPResponseHead(
-            version: response.version,
-            status: HTTPResponseStatus(statusCode: Int(response.status.code)),
-            headers: HTTPHeaders(response.headers.map { ($0.name, $0.value) })
-        )
+        return streamResponse(response, for: request, to: streamController, progress: progress, release: release)
     }
     
     /// Execute a streaming upload request with body stream
     func executeStreamingUpload(
         _ request: JSURLRequest,
         bodyStream: AsyncStream<Data>,
-        streamController: StreamController
+        streamController: StreamController,
+        progress: TransferProgress? = nil
     ) async throws -> HTTPResponseHead {
         
         guard let urlString = request.url else {
@@ -179,26 +369,81 @@ final class NIOHTTPClient: @unchecked Sendable {
         for (key, value) in request.allHTTPHeaderFields {
             httpRequest.headers.add(name: key, value: value)
         }
+        if !httpRequest.headers.contains(name: "Accept-Encoding") {
+            httpRequest.headers.add(name: "Accept-Encoding", value: ContentDecoder.acceptEncoding)
+        }
         
         // Create streaming body from AsyncStream
-        httpRequest.body = .stream(
-            bodyStream.map { ByteBuffer(data: $0) },
-            length: .unknown
-        )
+        let buffers = bodyStream.map { ByteBuffer(data: $0) }
+        if let progress = progress, progress.observesUpload {
+            httpRequest.body = .stream(UploadProgressSequence(base: buffers, progress: progress), length: .unknown)
+        } else {
+            httpRequest.body = .stream(buffers, length: .unknown)
+        }
         
         // Execute request and stream response
-        let response = try await httpClient.execute(
-            httpRequest,
-            deadline: .now() + .seconds(Int64(request.timeoutInterval))
-        )
+        let (client, release) = self.client(for: request)
+        let response: HTTPClientResponse
+        do {
+            response = try await client.execute(httpRequest, deadline: deadline(for: request))
+        } catch {
+            release()
+            throw error
+        }
+        
+        return streamResponse(response, for: request, to: streamController, progress: progress, release: release)
+    }
+    
+    /// Size of the chunks an in-memory body is written in while its upload
+    /// progress is observed
+    private static let uploadChunkSize = 64 * 1024
+    
+    /// The body of a request held in memory. An observed upload is written in
+    /// chunks so that its progress is reported along the way.
+    private func requestBody(_ data: Data, progress: TransferProgress?) -> HTTPClientRequest.Body {
+        guard let progress = progress, progress.observesUpload, !data.isEmpty else {
+            return .bytes(data)
+        }
+        let chunks = AsyncStream<ByteBuffer> { continuation in
+            var buffer = ByteBuffer(data: data)
+            while buffer.readableBytes > 0 {
+                continuation.yield(buffer.readSlice(length: min(Self.uploadChunkSize, buffer.readableBytes))!)
+            }
+            continuation.finish()
+        }
+        return .stream(UploadProgressSequence(base: chunks, progress: progress), length: .known(Int64(data.count)))
+    }
+    
+    /// Streams the response body to the controller in a detached task to avoid
+    /// data races. Unless the request opted out, encoded bodies are decoded
+    /// first, and the returned head drops the headers describing the encoding.
+    /// `release` is called once the body has been read.
+    private func streamResponse(
+        _ response: HTTPClientResponse,
+        for request: JSURLRequest,
+        to controller: StreamController,
+        progress: TransferProgress?,
+        release: @escaping @Sendable () -> Void
+    ) -> HTTPResponseHead {
+        
+        var headers = HTTPHeaders(response.headers.map { ($0.name, $0.value) })
+        progress?.didReceiveHead(headers)
+        let contentEncoding = headers["Content-Encoding"].joined(separator: ",")
+        let decoder = request.decompressesResponse ? ContentDecoder(contentEncoding: contentEncoding) : nil
+        if decoder != nil {
+            headers = ContentDecoder.decodedHeaders(headers)
+        }
         
-        // Stream response body in a detached task to avoid data races
-        let controller = streamController
         Task.detached {
+            defer { release() }
             do {
                 for try await buffer in response.body {
                     let data = Data(buffer: buffer)
-                    controller.enqueue(data)
+                    controller.enqueue(try decoder?.update(data) ?? data)
+                    progress?.didReceive(buffer.readableBytes)
+                }
+                if let decoder = decoder {
+                    controller.enqueue(try decoder.finish())
                 }
                 controller.close()
             } catch {
@@ -209,7 +454,7 @@ final class NIOHTTPClient: @unchecked Sendable {
         return HTTPResponseHead(
             version: response.version,
             status: HTTPResponseStatus(statusCode: Int(response.status.code)),
-            headers: HTTPHeaders(response.headers.map { ($0.name, $0.value) })
+            headers: headers
         )
     }
 }
@@ -0,0 +1,127 @@
+//
+//  textCodec.swift
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import JavaScriptCore
+
+@objc protocol JSTextCodecExport: JSExport {
+    func encodeUtf8(_ string: String) -> JSValue
+    func decodeUtf8(_ data: JSValue, _ fatal: Bool) -> String?
+    func decodingTable(_ encoding: String, _ prefix: JSValue) -> [String]?
+}
+
+@objc final class JSTextCodec: NSObject, JSTextCodecExport {
+}
+
+extension JSTextCodec {
+
+    /// Encodes a string as UTF-8. Lone surrogates in the JavaScript string are
+    /// replaced with U+FFFD when the string is transcoded.
+    func encodeUtf8(_ string: String) -> JSValue {
+        var string = string
+        return string.withUTF8 { utf8 in
+            .uint8Array(count: utf8.count, in: JSContext.current()) { buffer in
+                buffer.copyMemory(from: UnsafeRawBufferPointer(utf8))
+            }
+        }
+    }
+
+    /// Decodes UTF-8, replacing each maximal invalid subsequence with U+FFFD,
+    /// or returning nil for invalid input when `fatal` is set.
+    func decodeUtf8(_ data: JSValue, _ fatal: Bool) -> String? {
+        let bytes = data.typedArrayBytes
+        if fatal {
+            var decoder = UTF8()
+            var iterator = bytes.makeIterator()
+            validation: while true {
+                switch decoder.decode(&iterator) {
+                case .scalarValue: continue
+                case .emptyInput: break validation
+                case .error: return nil
+                }
+            }
+        }
+        return String(decoding: bytes, as: UTF8.self)
+    }
+
+    /// Legacy WHATWG encodings backed by the system string converters, keyed by
+    /// the encoding name the polyfill's TextDecoder resolves labels to.
+    static let legacyEncodings: [String: CFStringEncoding] = {
+        let builtIn: [String: CFStringBuiltInEncodings] = [
+            "macintosh": .macRoman,
+            "windows-1252": .windowsLatin1,
+        ]
+        let encodings: [String: CFStringEncodings] = [
+            "ibm866": .dosRussian,
+            "iso-8859-2": .isoLatin2,
+            "iso-8859-3": .isoLatin3,
+            "iso-8859-4": .isoLatin4,
+            "iso-8859-5": .isoLatinCyrillic,
+            "iso-8859-6": .isoLatinArabic,
+            "iso-8859-7": .isoLatinGreek,
+            "iso-8859-8": .isoLatinHebrew,
+            "iso-8859-8-i": .isoLatinHebrew,
+            "iso-8859-10": .isoLatin6,
+            "iso-8859-13": .isoLatin7,
+            "iso-8859-14": .isoLatin8,
+            "iso-8859-15": .isoLatin9,
+            "iso-8859-16": .isoLatin10,
+            "koi8-r": .KOI8_R,
+            "koi8-u": .KOI8_U,
+            "windows-874": .dosThai,
+            "windows-1250": .windowsLatin2,
+            "windows-1251": .windowsCyrillic,
+            "windows-1253": .windowsGreek,
+            "windows-1254": .windowsLatin5,
+            "windows-1255": .windowsHebrew,
+            "windows-1256": .windowsArabic,
+            "windows-1257": .windowsBalticRim,
+            "windows-1258": .windowsVietnamese,
+            "x-mac-cyrillic": .macCyrillic,
+            "gb18030": .GB_18030_2000,
+            "big5": .big5_HKSCS_1999,
+            "euc-jp": .EUC_JP,
+            "shift_jis": .dosJapanese,
+            "euc-kr": .dosKorean,
+        ]
+        var result = builtIn.mapValues { CFStringEncoding($0.rawValue) }
+        result.merge(encodings.mapValues { CFStringEncoding($0.rawValue) }) { current, _ in current }
+        return result
+    }()
+
+    /// Decodes `prefix` followed by every possible final byte, returning the
+    /// 256 results with an empty string for sequences the encoding rejects.
+    /// The polyfill builds its single-byte and multi-byte lookup tables lazily
+    /// from these rows and runs the WHATWG decoder algorithms on top of them.
+    func decodingTable(_ encoding: String, _ prefix: JSValue) -> [String]? {
+        guard let cfEncoding = JSTextCodec.legacyEncodings[encoding] else { return nil }
+        let stringEncoding = String.Encoding(rawValue: CFStringConvertEncodingToNSStringEncoding(cfEncoding))
+        var bytes = Array(prefix.typedArrayBytes)
+        bytes.append(0)
+        return (0...255).map { byte in
+            bytes[bytes.count - 1] = UInt8(byte)
+            return String(bytes: bytes, encoding: stringEncoding) ?? ""
+        }
+    }
+}
@@ -6,13 +6,33 @@
     formDataToMultipart: Symbol('FormData._toMultipartString'),
     formDataBoundary: Symbol('FormData._boundary'),
     formDataHasStreamingValues: Symbol('FormData._hasStreamingValues'),
+    formDataLength: Symbol('FormData._length'),
     blobPlaceholderPromise: Symbol('Blob._placeholderPromise'),
     requestOriginalBody: Symbol('Request._originalBody'),
+    requestDecompress: Symbol('Request._decompress'),
+    requestCookieJar: Symbol('Request._cookieJar'),
+    requestClient: Symbol('Request._client'),
+    requestTimeout: Symbol('Request._timeout'),
+    requestProgress: Symbol('Request._progress'),
+    httpClientSession: Symbol('HttpClient._session'),
+    httpClientCacheScope: Symbol('HttpClient._cacheScope'),
+    httpCacheLookup: Symbol('HTTPCache._lookup'),
+    httpCacheRespond: Symbol('HTTPCache._respond'),
+    httpCacheStore: Symbol('HTTPCache._store'),
+    httpCacheUpdate: Symbol('HTTPCache._update'),
+    httpCacheInvalidate: Symbol('HTTPCache._invalidate'),
+    responseOpaqueRedirect: Symbol('Response._opaqueRedirect'),
+    responseTakeBody: Symbol('Response._takeBody'),
+    cacheCreate: Symbol('Cache._create'),
+    searchParamsBind: Symbol('URLSearchParams._bind'),
+    searchParamsReset: Symbol('URLSearchParams._reset'),
     streamInternal: Symbol('Stream._internal'),
     abortSignalMarkAborted: Symbol('AbortSignal._markAborted'),
-    abortSignalTimeoutMs: Symbol('AbortSignal._timeoutMs'),
+    abortSignalDeadline: Symbol('AbortSignal._deadline'),
     filePath: Symbol('File._filePath'),
-    eventTargetOriginalListener: Symbol('EventTarget._originalListener')
+    eventTargetOriginalListener: Symbol('EventTarget._originalListener'),
+    cryptoKeyMaterial: Symbol('CryptoKey._material'),
+    hashCloneDigest: Symbol('Hash._cloneDigest')
   };
 
   // Process API - provides Node.js-like process object
@@ -400,12 +420,18 @@
       return new ReadableStream({
         async start(controller) {
           const reader = baseStream.getReader();
+          // Flush any multi-byte sequence the decoder is still holding
+          const close = () => {
+            const text = decoder ? decoder.decode() : '';
+            if (text) controller.enqueue(text);
+            controller.close();
+          };
           try {
             while (true) {
               const { done, value } = await reader.read();
 
               if (done) {
-                controller.close();
+                close();
                 break;
               }
 
@@ -425,7 +451,7 @@
 
               // Stop if we've passed the end byte
               if (hasEnd && chunkStart >= end + 1) {
-                controller.close();
+                close();
                 break;
               }
 
@@ -446,7 +472,7 @@
 
               // Stop if we've reached the end byte
               if (hasEnd && bytesRead >= end + 1) {
-                controller.close();
+                close();
                 break;
               }
             }
@@ -633,12 +659,36 @@
     }
   };
 
+  // Legacy numeric codes of the DOMException names that have one
+  const DOM_EXCEPTION_CODES = {
+    IndexSizeError: 1, HierarchyRequestError: 3, WrongDocumentError: 4, InvalidCharacterError: 5,
+    NoModificationAllowedError: 7, NotFoundError: 8, NotSupportedError: 9, InvalidStateError: 11,
+    SyntaxError: 12, InvalidModificationError: 13, NamespaceError: 14, InvalidAccessError: 15,
+    TypeMismatchError: 17, SecurityError: 18, NetworkError: 19, AbortError: 20, URLMismatchError: 21,
+    QuotaExceededError: 22, TimeoutError: 23, InvalidNodeTypeError: 24, DataCloneError: 25
+  };
+
+  // DOMException - an Error carrying a Web IDL error name
+  globalThis.DOMException = class DOMException extends Error {
+    #name;
+
+    constructor(message = '', name = 'Error') {
+      super(String(message));
+      this.#name = String(name);
+    }
+
+    get name() { return this.#name; }
+    get code() { return DOM_EXCEPTION_CODES[this.#name] ?? 0; }
+  };
+
   // AbortSignal and AbortController - for cancellation
   globalThis.AbortSignal = class AbortSignal extends EventTarget {
     #aborted = false;
+    #reason = undefined;
     #onabort = null;
 
     get aborted() { return this.#aborted; }
+    get reason() { return this.#reason; }
     get onabort() { return this.#onabort; }
 
     set onabort(listener) {
@@ -651,20 +701,71 @@
       }
     }
 
-    [SYMBOLS.abortSignalMarkAborted]() {
+    throwIfAborted() {
+      if (this.#aborted) {
+        throw this.#reason;
+      }
+    }
+
+    [SYMBOLS.abortSignalMarkAborted](reason) {
       this.#aborted = true;
+      this.#reason = reason;
+    }
+
+    // Static factory method for an already aborted AbortSignal
+    static abort(reason) {
+      const controller = new AbortController();
+      controller.abort(reason);
+      return controller.signal;
     }
 
     // Static factory method for timeout-based AbortSignal
     static timeout(milliseconds) {
       const controller = new AbortController();
-      // Set timeout hint on the signal using symbol
-      controller.signal[SYMBOLS.abortSignalTimeoutMs] = milliseconds;
+      // Record the deadline on the signal so fetch can hand it to the native request
+      controller.signal[SYMBOLS.abortSignalDeadline] = Date.now() + milliseconds;
       setTimeout(() => {
-        controller.abort();
+        controller.abort(createNamedError('TimeoutError', 'The operation timed out'));
       }, milliseconds);
       return controller.signal;
     }
+
+    // Static factory method for a signal that aborts as soon as any of
+    // `signals` does, with that signal's reason. It keeps the earliest deadline.
+    static any(signals) {
+      const sources = [...signals];
+      if (!sources.every(signal => signal instanceof AbortSignal)) {
+        throw new TypeError("Failed to execute 'any' on 'AbortSignal': Every element must be an AbortSignal");
+      }
+
+      const controller = new AbortController();
+      const abortedSource = sources.find(signal => signal.aborted);
+      if (abortedSource) {
+        controller.abort(abortedSource.reason);
+        return controller.signal;
+      }
+
+      const deadlines = sources
+        .map(signal => signal[SYMBOLS.abortSignalDeadline])
+        .filter(deadline => deadline !== undefined);
+      if (deadlines.length > 0) {
+        controller.signal[SYMBOLS.abortSignalDeadline] = Math.min(...deadlines);
+      }
+
+      const listeners = new Map();
+      for (const source of sources) {
+        if (listeners.has(source)) continue;
+        const listener = () => {
+          for (const [signal, registered] of listeners) {
+            signal.removeEventListener('abort', registered);
+          }
+          controller.abort(source.reason);
+        };
+        listeners.set(source, listener);
+        source.addEventListener('abort', listener);
+      }
+      return controller.signal;
+    }
   };
 
   globalThis.AbortController = class AbortController {
@@ -672,2603 +773,8393 @@
 
     get signal() { return this.#signal; }
 
-    abort() {
+    abort(reason = createNamedError('AbortError', 'The operation was aborted')) {
       if (!this.#signal.aborted) {
-        this.#signal[SYMBOLS.abortSignalMarkAborted]();
+        this.#signal[SYMBOLS.abortSignalMarkAborted](reason);
         this.#signal.dispatchEvent(new Event('abort'));
       }
     }
   };
 
-  // Crypto API - cryptographic functions
-  globalThis.crypto = new class Crypto {
-    randomUUID() {
-      return __APPLE_SPEC__.crypto.randomUUID();
+  // Helper: create a DOMException carrying a Web IDL error name
+  // (e.g. 'NotSupportedError', 'OperationError')
+  function createNamedError(name, message) {
+    return new DOMException(message, name);
+  }
+
+  // Web Crypto hash algorithms: native digest identifier, output and block length in bits
+  const CRYPTO_HASH_ALGORITHMS = {
+    'SHA-1': { native: 'sha1', length: 160, blockLength: 512 },
+    'SHA-256': { native: 'sha256', length: 256, blockLength: 512 },
+    'SHA-384': { native: 'sha384', length: 384, blockLength: 1024 },
+    'SHA-512': { native: 'sha512', length: 512, blockLength: 1024 }
+  };
+
+  const CRYPTO_KEY_FORMATS = ['raw', 'spki', 'pkcs8', 'jwk'];
+  const CRYPTO_KEY_USAGES = ['encrypt', 'decrypt', 'sign', 'verify', 'deriveKey', 'deriveBits', 'wrapKey', 'unwrapKey'];
+
+  // Helper: normalize an AlgorithmIdentifier (string or { name }) into a
+  // dictionary whose name uses the canonical casing of a supported algorithm
+  function normalizeCryptoAlgorithm(algorithm, supportedNames) {
+    const params = typeof algorithm === 'string' ? { name: algorithm } : algorithm;
+    if (!params || typeof params !== 'object' || typeof params.name !== 'string') {
+      throw new TypeError('Algorithm: Unrecognized name');
+    }
+    const upperName = params.name.toUpperCase();
+    const name = supportedNames.find(n => n.toUpperCase() === upperName);
+    if (!name) {
+      throw createNamedError('NotSupportedError', `Unrecognized algorithm name: ${params.name}`);
     }
+    return { ...params, name };
+  }
 
-    randomBytes(length) {
-      if (!Number.isSafeInteger(length) || length < 0) {
-        throw new Error('Invalid length');
-      }
-      return __APPLE_SPEC__.crypto.randomBytes(length);
+  // Helper: resolve the required `hash` member of an algorithm dictionary to a hash name
+  function normalizeHashAlgorithm(hash) {
+    if (hash === undefined) {
+      throw new TypeError("Algorithm: Missing required member 'hash'");
     }
+    return normalizeCryptoAlgorithm(hash, Object.keys(CRYPTO_HASH_ALGORITHMS)).name;
+  }
 
-    getRandomValues(buffer) {
-      if (!ArrayBuffer.isView(buffer)) {
-        throw new Error('Invalid type of buffer');
-      }
-      const bytes = buffer instanceof Uint8Array
-        ? buffer
-  : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
-      __APPLE_SPEC__.crypto.getRandomValues(bytes);
-      return buffer;
+  // Helper: copy a BufferSource into a new Uint8Array, as Web Crypto requires
+  // operations to work on a snapshot of the caller's bytes
+  function copyBufferSource(data, argumentName = 'data') {
+    if (!(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) {
+      throw new TypeError(`${argumentName} is not of type '(ArrayBuffer or ArrayBufferView)'`);
     }
-  };
+    return toUint8Array(data).slice();
+  }
 
-  // TextEncoder - encode strings to UTF-8
-  globalThis.TextEncoder = class TextEncoder {
-    encoding = 'utf-8';
+  // Helper: encode bytes as unpadded base64url (RFC 4648 section 5), the encoding used by JWK
+  function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
 
-    static #getByteLength(string) {
-      if (string == null) return 0;
-      if (typeof string !== 'string') string = String(string);
+  function base64UrlToBytes(string) {
+    if (typeof string !== 'string' || /[^A-Za-z0-9_-]/.test(string)) {
+      throw createNamedError('DataError', 'Invalid base64url encoded value');
+    }
+    const binary = atob(string.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
 
-      let length = 0;
-      for (let i = 0; i < string.length; i++) {
-        const code = string.charCodeAt(i);
-        if (code < 0x80) {
-          length += 1;
-        } else if (code < 0x800) {
-          length += 2;
-        } else if ((code & 0xFC00) === 0xD800 && i + 1 < string.length &&
-          (string.charCodeAt(i + 1) & 0xFC00) === 0xDC00) {
-          // Surrogate pair
-          i++;
-          length += 4;
-        } else {
-          length += 3;
-        }
-      }
-      return length;
+  // Helper: compare two byte arrays without exiting early on the first mismatch
+  function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference |= a[i] ^ b[i];
     }
+    return difference === 0;
+  }
 
-    encode(string = '') {
-      // Convert non-string inputs to strings like browsers do
-      if (typeof string !== 'string') {
-        string = String(string);
+  // Helper: validate requested key usages against those an algorithm supports
+  function validateKeyUsages(usages, allowedUsages) {
+    if (!Array.isArray(usages)) {
+      throw new TypeError('keyUsages is not a sequence');
+    }
+    for (const usage of usages) {
+      if (!CRYPTO_KEY_USAGES.includes(usage)) {
+        throw new TypeError(`Invalid key usage: ${usage}`);
       }
+      if (!allowedUsages.includes(usage)) {
+        throw createNamedError('SyntaxError', `Cannot create a key using the specified key usage: ${usage}`);
+      }
+    }
+    return [...new Set(usages)];
+  }
 
-      const utf8 = new Uint8Array(TextEncoder.#getByteLength(string));
-      let byteIndex = 0;
-
-      for (let charIndex = 0; charIndex < string.length; charIndex++) {
-        let code = string.charCodeAt(charIndex);
+  // Helper: validate the members shared by every JSON Web Key before an algorithm reads it
+  function validateJsonWebKey(jwk, kty, usages, extractable) {
+    if (!jwk || typeof jwk !== 'object' || ArrayBuffer.isView(jwk) || jwk instanceof ArrayBuffer) {
+      throw new TypeError('keyData is not a JsonWebKey');
+    }
+    if (jwk.kty !== kty) {
+      throw createNamedError('DataError', `The JWK "kty" member was not "${kty}"`);
+    }
+    if (jwk.ext === false && extractable) {
+      throw createNamedError('DataError', 'The JWK "ext" member was false but the key is extractable');
+    }
+    if (jwk.key_ops !== undefined) {
+      if (!Array.isArray(jwk.key_ops) || usages.some(usage => !jwk.key_ops.includes(usage))) {
+        throw createNamedError('DataError', 'The JWK "key_ops" member does not contain the requested usages');
+      }
+    }
+  }
 
-        if (code < 128) {
-          utf8[byteIndex++] = code;
-          continue;
-        }
+  // CryptoKey - opaque handle to key material created by SubtleCrypto
+  globalThis.CryptoKey = class CryptoKey {
+    #type;
+    #extractable;
+    #algorithm;
+    #usages;
 
-        if (code < 2048) {
-          utf8[byteIndex++] = code >> 6 | 192;
-        } else {
-          // Handle surrogate pairs
-          if ((code & 0xFC00) === 0xD800 && charIndex + 1 < string.length &&
-            (string.charCodeAt(charIndex + 1) & 0xFC00) === 0xDC00) {
-            code = 0x10000 + ((code & 0x03FF) << 10) + (string.charCodeAt(++charIndex) & 0x03FF);
-            utf8[byteIndex++] = code >> 18 | 240;
-            utf8[byteIndex++] = code >> 12 & 63 | 128;
-          } else {
-            utf8[byteIndex++] = code >> 12 | 224;
-          }
-          utf8[byteIndex++] = code >> 6 & 63 | 128;
-        }
-        utf8[byteIndex++] = code & 63 | 128;
+    constructor(token, type, extractable, algorithm, usages, material) {
+      if (token !== SYMBOLS.cryptoKeyMaterial) {
+        throw new TypeError('Illegal constructor');
       }
-
-      return utf8.subarray(0, byteIndex);
+      this.#type = type;
+      this.#extractable = extractable;
+      this.#algorithm = Object.freeze(algorithm);
+      this.#usages = Object.freeze(usages);
+      this[SYMBOLS.cryptoKeyMaterial] = material;
     }
-  };
 
-  // TextDecoder - decode UTF-8 to strings
-  globalThis.TextDecoder = class TextDecoder {
-    encoding = 'utf-8';
+    get type() { return this.#type; }
+    get extractable() { return this.#extractable; }
+    get algorithm() { return this.#algorithm; }
+    get usages() { return this.#usages; }
 
-    decode(input) {
-      if (!input) return '';
+    get [Symbol.toStringTag]() { return 'CryptoKey'; }
+  };
 
-      const bytes = input instanceof Uint8Array
-        ? input
-        : new Uint8Array(input);
+  function createCryptoKey(type, extractable, algorithm, usages, material) {
+    return new CryptoKey(SYMBOLS.cryptoKeyMaterial, type, Boolean(extractable), algorithm, usages, material);
+  }
 
-      let result = '';
-      let i = 0;
+  // Helper: compute an HMAC through the native createHamc bridge
+  function computeHmac(hashName, keyBytes, data) {
+    const hmac = __APPLE_SPEC__.crypto.createHamc(CRYPTO_HASH_ALGORITHMS[hashName].native, keyBytes);
+    hmac.update(data);
+    return toUint8Array(hmac.digest());
+  }
 
-      while (i < bytes.length) {
-        const byte1 = bytes[i++];
-
-        if (byte1 < 128) {
-          result += String.fromCharCode(byte1);
-        } else if ((byte1 >> 5) === 6) {
-          const byte2 = bytes[i++];
-          result += String.fromCharCode(((byte1 & 31) << 6) | (byte2 & 63));
-        } else if ((byte1 >> 4) === 14) {
-          const byte2 = bytes[i++];
-          const byte3 = bytes[i++];
-          result += String.fromCharCode(
-            ((byte1 & 15) << 12) | ((byte2 & 63) << 6) | (byte3 & 63)
-          );
-        } else if ((byte1 >> 3) === 30) {
-          const byte2 = bytes[i++];
-          const byte3 = bytes[i++];
-          const byte4 = bytes[i++];
-          let codePoint = ((byte1 & 7) << 18) | ((byte2 & 63) << 12) |
-            ((byte3 & 63) << 6) | (byte4 & 63);
-          codePoint -= 0x10000;
-          result += String.fromCharCode(
-            0xD800 + (codePoint >> 10),
-            0xDC00 + (codePoint & 1023)
-          );
-        }
-      }
-      return result;
+  // Helper: run a native crypto operation, reporting failures as OperationError
+  function runNativeCrypto(operation) {
+    try {
+      return toUint8Array(operation());
+    } catch (error) {
+      throw createNamedError('OperationError', error.message || 'The operation failed for an operation-specific reason');
     }
-  };
+  }
 
-  // Base64 encoding/decoding functions for Data URLs and binary data
-  globalThis.btoa = function (data) {
-    // Web standard: btoa should accept any value and convert to string
-    if (arguments.length === 0) {
-      throw new TypeError('Failed to execute \'btoa\': 1 argument required, but only 0 present.');
+  // Helper: a signature that does not verify is reported as false, so a native
+  // verification failure means the key could not be used
+  function runNativeVerify(operation) {
+    try {
+      return operation();
+    } catch (error) {
+      throw createNamedError('DataError', error.message || 'Invalid key data');
     }
+  }
 
-    // Convert to string following web standard ToString operation
-    const str = String(data);
+  // Helper: big-endian conversion between counter blocks and BigInt values
+  function bytesToBigInt(bytes) {
+    let value = 0n;
+    for (const byte of bytes) {
+      value = (value << 8n) | BigInt(byte);
+    }
+    return value;
+  }
 
-    // Convert string to UTF-8 bytes first
-    const utf8Bytes = [];
-    for (let i = 0; i < str.length; i++) {
-      const code = str.charCodeAt(i);
-      if (code > 255) {
-        throw new Error('Failed to execute \'btoa\': The string to be encoded contains characters outside of the Latin1 range.');
-      }
-      utf8Bytes.push(code);
+  function bigIntToBytes(value, length) {
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+      bytes[i] = Number(value & 0xffn);
+      value >>= 8n;
     }
+    return bytes;
+  }
 
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-    let result = '';
+  // Helper: AES-CTR where only the rightmost `length` bits of the counter block
+  // increment. The native cipher increments the whole block, so the input is
+  // split where the counter bits wrap back to zero.
+  function aesCtr(params, key, data) {
+    const counter = copyBufferSource(params.counter, 'counter');
+    const length = params.length;
+    if (counter.length !== 16) {
+      throw createNamedError('OperationError', 'AES-CTR counter must be 16 bytes');
+    }
+    if (!Number.isInteger(length) || length < 1 || length > 128) {
+      throw createNamedError('OperationError', 'AES-CTR length must be between 1 and 128');
+    }
 
-    for (let i = 0; i < utf8Bytes.length; i += 3) {
-      const a = utf8Bytes[i];
-      const b = i + 1 < utf8Bytes.length ? utf8Bytes[i + 1] : 0;
-      const c = i + 2 < utf8Bytes.length ? utf8Bytes[i + 2] : 0;
+    const keyBytes = key[SYMBOLS.cryptoKeyMaterial];
+    const blocks = BigInt(Math.ceil(data.length / 16));
+    const modulus = 1n << BigInt(length);
+    if (blocks > modulus) {
+      throw createNamedError('OperationError', 'AES-CTR counter would repeat for this input length');
+    }
 
-      const bitmap = (a << 16) | (b << 8) | c;
+    const counterValue = bytesToBigInt(counter);
+    const remaining = modulus - (counterValue % modulus);
+    if (blocks <= remaining) {
+      return runNativeCrypto(() => __APPLE_SPEC__.crypto.aesCtr(keyBytes, counter, data)).buffer;
+    }
 
-      result += chars.charAt((bitmap >> 18) & 63);
-      result += chars.charAt((bitmap >> 12) & 63);
-      result += i + 1 < utf8Bytes.length ? chars.charAt((bitmap >> 6) & 63) : '=';
-      result += i + 2 < utf8Bytes.length ? chars.charAt(bitmap & 63) : '=';
+    const split = Number(remaining) * 16;
+    const wrapped = bigIntToBytes(counterValue - (counterValue % modulus), 16);
+    const head = runNativeCrypto(() => __APPLE_SPEC__.crypto.aesCtr(keyBytes, counter, data.subarray(0, split)));
+    const tail = runNativeCrypto(() => __APPLE_SPEC__.crypto.aesCtr(keyBytes, wrapped, data.subarray(split)));
+    const output = new Uint8Array(data.length);
+    output.set(head);
+    output.set(tail, head.length);
+    return output.buffer;
+  }
+
+  // Helper: validate the AES-GCM tagLength parameter, returning it in bytes
+  function aesGcmTagLength(params) {
+    const tagLength = params.tagLength ?? 128;
+    if (![32, 64, 96, 104, 112, 120, 128].includes(tagLength)) {
+      throw createNamedError('OperationError', `Invalid AES-GCM tag length: ${tagLength}`);
     }
+    return tagLength / 8;
+  }
 
-    return result;
-  };
+  function aesGcmAdditionalData(params) {
+    return params.additionalData === undefined ? new Uint8Array(0) : copyBufferSource(params.additionalData, 'additionalData');
+  }
 
-  globalThis.atob = function (data) {
-    // Web standard: atob should accept any value and convert to string
-    if (arguments.length === 0) {
-      throw new TypeError('Failed to execute \'atob\': 1 argument required, but only 0 present.');
+  function aesCbcIv(params) {
+    const iv = copyBufferSource(params.iv, 'iv');
+    if (iv.length !== 16) {
+      throw createNamedError('OperationError', 'AES-CBC iv must be 16 bytes');
     }
+    return iv;
+  }
 
-    // Convert to string following web standard ToString operation
-    let base64 = String(data);
+  // Helper: build the key management half of an AES algorithm. `jwkSuffix` is
+  // the JWK "alg" suffix, e.g. "GCM" for A256GCM.
+  function createAesAlgorithm(name, jwkSuffix, operations) {
+    const checkLength = (length, errorName) => {
+      if (![128, 192, 256].includes(length)) {
+        throw createNamedError(errorName, 'AES key length must be 128, 192 or 256 bits');
+      }
+    };
 
-    // Remove whitespace and validate base64 characters
-    base64 = base64.replace(/\s/g, '');
+    return {
+      usages: ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey'],
 
-    // Handle missing padding by adding it
-    const paddingNeeded = 4 - (base64.length % 4);
-    if (paddingNeeded < 4) {
-      base64 += '='.repeat(paddingNeeded);
-    }
+      getKeyLength(params) {
+        checkLength(params.length, 'OperationError');
+        return params.length;
+      },
 
-    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64)) {
-      throw new Error('Failed to execute \'atob\': The string to be decoded is not correctly encoded.');
-    }
+      generateKey(params, extractable, usages) {
+        checkLength(params.length, 'OperationError');
+        const bytes = toUint8Array(__APPLE_SPEC__.crypto.randomBytes(params.length / 8));
+        return createCryptoKey('secret', extractable, { name, length: params.length }, usages, bytes);
+      },
 
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-    let result = '';
+      importKey(format, keyData, params, extractable, usages) {
+        let bytes;
+        if (format === 'raw') {
+          bytes = keyData;
+        } else if (format === 'jwk') {
+          validateJsonWebKey(keyData, 'oct', usages, extractable);
+          if (keyData.use !== undefined && keyData.use !== 'enc') {
+            throw createNamedError('DataError', 'The JWK "use" member was not "enc"');
+          }
+          bytes = base64UrlToBytes(keyData.k);
+          const expectedAlg = `A${bytes.length * 8}${jwkSuffix}`;
+          if (keyData.alg !== undefined && keyData.alg !== expectedAlg) {
+            throw createNamedError('DataError', `The JWK "alg" member was not "${expectedAlg}"`);
+          }
+        } else {
+          throw createNamedError('NotSupportedError', `Unsupported key format for ${name}: ${format}`);
+        }
+        checkLength(bytes.length * 8, 'DataError');
+        return createCryptoKey('secret', extractable, { name, length: bytes.length * 8 }, usages, bytes);
+      },
 
-    for (let i = 0; i < base64.length; i += 4) {
-      const char1 = base64.charAt(i);
-      const char2 = base64.charAt(i + 1);
-      const char3 = base64.charAt(i + 2);
-      const char4 = base64.charAt(i + 3);
+      exportKey(format, key) {
+        const bytes = key[SYMBOLS.cryptoKeyMaterial];
+        if (format === 'raw') {
+          return bytes.slice().buffer;
+        }
+        if (format === 'jwk') {
+          return { kty: 'oct', k: bytesToBase64Url(bytes), alg: `A${key.algorithm.length}${jwkSuffix}` };
+        }
+        throw createNamedError('NotSupportedError', `Unsupported key format for ${name}: ${format}`);
+      },
 
-      const encoded1 = chars.indexOf(char1);
-      const encoded2 = chars.indexOf(char2);
-      const encoded3 = char3 === '=' ? 0 : chars.indexOf(char3);
-      const encoded4 = char4 === '=' ? 0 : chars.indexOf(char4);
+      ...operations
+    };
+  }
 
-      if (encoded1 === -1 || encoded2 === -1 || (char3 !== '=' && encoded3 === -1) || (char4 !== '=' && encoded4 === -1)) {
-        throw new Error('Failed to execute \'atob\': The string to be decoded is not correctly encoded.');
-      }
+  // Helper: minimal ASN.1 DER reader and writer for the spki and pkcs8 key formats
+  function derRead(bytes, offset = 0) {
+    const invalid = () => createNamedError('DataError', 'Invalid DER encoded key data');
+    if (offset + 2 > bytes.length) throw invalid();
+    const tag = bytes[offset];
+    let length = bytes[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+      const count = length & 0x7f;
+      if (count === 0 || count > 4 || start + count > bytes.length) throw invalid();
+      length = 0;
+      for (let i = 0; i < count; i++) {
+        length = length * 256 + bytes[start + i];
+      }
+      start += count;
+    }
+    if (start + length > bytes.length) throw invalid();
+    return { tag, contents: bytes.subarray(start, start + length), end: start + length };
+  }
 
-      const bitmap = (encoded1 << 18) | (encoded2 << 12) | (encoded3 << 6) | encoded4;
+  function derReadElements(bytes) {
+    const elements = [];
+    for (let offset = 0; offset < bytes.length;) {
+      const element = derRead(bytes, offset);
+      elements.push(element);
+      offset = element.end;
+    }
+    return elements;
+  }
 
-      // Always decode the first byte
-      result += String.fromCharCode((bitmap >> 16) & 255);
+  function derWrite(tag, ...contents) {
+    const length = contents.reduce((sum, part) => sum + part.length, 0);
+    const header = [tag];
+    if (length < 0x80) {
+      header.push(length);
+    } else {
+      const lengthBytes = [];
+      for (let n = length; n > 0; n = Math.floor(n / 256)) {
+        lengthBytes.unshift(n & 0xff);
+      }
+      header.push(0x80 | lengthBytes.length, ...lengthBytes);
+    }
+    return combineChunksToUint8Array([new Uint8Array(header), ...contents]);
+  }
 
-      // Decode second byte unless we have double padding
-      if (char3 !== '=') {
-        result += String.fromCharCode((bitmap >> 8) & 255);
+  function derWriteOid(oid) {
+    const [first, second, ...rest] = oid.split('.').map(Number);
+    const bytes = [];
+    for (const arc of [first * 40 + second, ...rest]) {
+      const encoded = [arc & 0x7f];
+      for (let n = Math.floor(arc / 128); n > 0; n = Math.floor(n / 128)) {
+        encoded.unshift((n & 0x7f) | 0x80);
       }
+      bytes.push(...encoded);
+    }
+    return derWrite(0x06, new Uint8Array(bytes));
+  }
 
-      // Decode third byte unless we have any padding
-      if (char4 !== '=') {
-        result += String.fromCharCode(bitmap & 255);
+  function derReadOid(element) {
+    if (!element || element.tag !== 0x06 || element.contents.length === 0) {
+      throw createNamedError('DataError', 'Invalid DER encoded object identifier');
+    }
+    const arcs = [];
+    let value = 0;
+    for (const byte of element.contents) {
+      value = value * 128 + (byte & 0x7f);
+      if (!(byte & 0x80)) {
+        arcs.push(value);
+        value = 0;
       }
     }
+    const first = Math.min(Math.floor(arcs[0] / 40), 2);
+    return [first, arcs[0] - first * 40, ...arcs.slice(1)].join('.');
+  }
 
-    return result;
-  };  // Enhanced Console implementation
-  globalThis.console = globalThis.console || {};
+  // Helper: read a SubjectPublicKeyInfo into its algorithm OID, parameters and key bytes
+  function readSpki(bytes) {
+    const root = derRead(bytes);
+    const [algorithm, publicKey] = root.tag === 0x30 && root.end === bytes.length ? derReadElements(root.contents) : [];
+    if (!algorithm || algorithm.tag !== 0x30 || !publicKey || publicKey.tag !== 0x03 || publicKey.contents[0] !== 0) {
+      throw createNamedError('DataError', 'Invalid spki key data');
+    }
+    const [oid, parameters] = derReadElements(algorithm.contents);
+    return { oid: derReadOid(oid), parameters, key: publicKey.contents.subarray(1) };
+  }
 
-  // Console state tracking
-  const consoleState = {
-    timers: new Map(),
-    counters: new Map(),
-    groupStack: [],
-    groupDepth: 0
-  };
+  // Helper: read a PKCS #8 PrivateKeyInfo into its algorithm OID, parameters and key bytes
+  function readPkcs8(bytes) {
+    const root = derRead(bytes);
+    const [version, algorithm, privateKey] = root.tag === 0x30 && root.end === bytes.length ? derReadElements(root.contents) : [];
+    if (!version || version.tag !== 0x02 || !algorithm || algorithm.tag !== 0x30 || !privateKey || privateKey.tag !== 0x04) {
+      throw createNamedError('DataError', 'Invalid pkcs8 key data');
+    }
+    const [oid, parameters] = derReadElements(algorithm.contents);
+    return { oid: derReadOid(oid), parameters, key: privateKey.contents };
+  }
 
-  // Utility functions for better formatting
-  function formatValue(value, depth = 0, maxDepth = 3, seen = new WeakSet()) {
-    if (depth > maxDepth) return '[Max Depth Reached]';
+  function writeAlgorithmIdentifier(oid, parameters) {
+    return derWrite(0x30, derWriteOid(oid), ...(parameters ? [parameters] : []));
+  }
 
-    if (value === null) return 'null';
-    if (value === undefined) return 'undefined';
+  function writeSpki(oid, parameters, key) {
+    return derWrite(0x30, writeAlgorithmIdentifier(oid, parameters), derWrite(0x03, new Uint8Array([0]), key));
+  }
 
-    const type = typeof value;
+  function writePkcs8(oid, parameters, key) {
+    return derWrite(0x30, derWrite(0x02, new Uint8Array([0])), writeAlgorithmIdentifier(oid, parameters), derWrite(0x04, key));
+  }
 
-    if (type === 'string') return `"${value}"`;
-    if (type === 'number' || type === 'boolean' || type === 'bigint') return String(value);
-    if (type === 'symbol') return value.toString();
+  // Elliptic curves: `size` is the private key and coordinate length in bytes
+  const ELLIPTIC_CURVES = {
+    'P-256': { oid: '1.2.840.10045.3.1.7', size: 32 },
+    'P-384': { oid: '1.3.132.0.34', size: 48 },
+    'Ed25519': { oid: '1.3.101.112', size: 32 },
+    'X25519': { oid: '1.3.101.110', size: 32 }
+  };
+  const EC_PUBLIC_KEY_OID = '1.2.840.10045.2.1';
 
-    if (type === 'function') {
-      const funcStr = value.toString();
-      const name = value.name || 'anonymous';
-      // Show just the function signature for better readability
-      const match = funcStr.match(/^(?:async\s+)?(?:function\s*)?([^(]*)\([^)]*\)/);
-      return match ? `[Function: ${name}]` : `[Function: ${name}]`;
+  // Helper: whether a curve uses the RFC 8410 octet key pair encodings instead of SEC 1
+  function isOctetKeyPairCurve(curve) {
+    return curve === 'Ed25519' || curve === 'X25519';
+  }
+
+  // Helper: left pad an unsigned big-endian integer to a fixed length
+  function padBytes(bytes, length) {
+    if (bytes.length > length) {
+      throw createNamedError('DataError', 'Key data is too long');
     }
+    const padded = new Uint8Array(length);
+    padded.set(bytes, length - bytes.length);
+    return padded;
+  }
 
-    if (type === 'object') {
-      if (seen.has(value)) return '[Circular Reference]';
-      seen.add(value);
+  function checkCurveAlgorithm(curve, oid, parameters) {
+    const matches = isOctetKeyPairCurve(curve)
+      ? oid === ELLIPTIC_CURVES[curve].oid
+      : oid === EC_PUBLIC_KEY_OID && derReadOid(parameters) === ELLIPTIC_CURVES[curve].oid;
+    if (!matches) {
+      throw createNamedError('DataError', `The key is not a ${curve} key`);
+    }
+  }
 
-      try {
-        if (Array.isArray(value)) {
-          if (value.length === 0) return '[]';
-          if (depth >= maxDepth) return `[Array(${value.length})]`;
+  function readCurvePkcs8(curve, bytes) {
+    const { oid, parameters, key } = readPkcs8(bytes);
+    checkCurveAlgorithm(curve, oid, parameters);
+    if (isOctetKeyPairCurve(curve)) {
+      const seed = derRead(key);
+      if (seed.tag !== 0x04) {
+        throw createNamedError('DataError', 'Invalid pkcs8 key data');
+      }
+      return { privateKey: seed.contents.slice(), publicKey: null };
+    }
 
-          const items = value.slice(0, 10).map(item => formatValue(item, depth + 1, maxDepth, seen));
-          const result = items.length < value.length
-            ? `[ ${items.join(', ')}, ... ${value.length - items.length} more ]`
-            : `[ ${items.join(', ')} ]`;
-          seen.delete(value);
-          return result;
-        }
+    // ECPrivateKey ::= SEQUENCE { version, privateKey, [0] parameters OPTIONAL, [1] publicKey OPTIONAL }
+    const ecPrivateKey = derRead(key);
+    const [version, privateKey, ...optional] = ecPrivateKey.tag === 0x30 ? derReadElements(ecPrivateKey.contents) : [];
+    if (!version || !privateKey || privateKey.tag !== 0x04) {
+      throw createNamedError('DataError', 'Invalid pkcs8 key data');
+    }
+    const publicKeyElement = optional.find(element => element.tag === 0xa1);
+    const publicKey = publicKeyElement ? derRead(publicKeyElement.contents).contents.subarray(1) : null;
+    return { privateKey: padBytes(privateKey.contents, ELLIPTIC_CURVES[curve].size), publicKey };
+  }
 
-        if (value instanceof Date) {
-          seen.delete(value);
-          return value.toISOString();
+  function writeCurvePkcs8(curve, material) {
+    const { oid } = ELLIPTIC_CURVES[curve];
+    if (isOctetKeyPairCurve(curve)) {
+      return writePkcs8(oid, null, derWrite(0x04, material.privateKey));
+    }
+    const ecPrivateKey = derWrite(0x30,
+      derWrite(0x02, new Uint8Array([1])),
+      derWrite(0x04, material.privateKey),
+      derWrite(0xa1, derWrite(0x03, new Uint8Array([0]), material.publicKey)));
+    return writePkcs8(EC_PUBLIC_KEY_OID, derWriteOid(oid), ecPrivateKey);
+  }
+
+  function readCurveJwk(curve, jwk, jwkOptions, usages, extractable) {
+    const okp = isOctetKeyPairCurve(curve);
+    validateJsonWebKey(jwk, okp ? 'OKP' : 'EC', usages, extractable);
+    if (jwk.crv !== curve) {
+      throw createNamedError('DataError', `The JWK "crv" member was not "${curve}"`);
+    }
+    if (jwk.use !== undefined && jwk.use !== jwkOptions.use) {
+      throw createNamedError('DataError', `The JWK "use" member was not "${jwkOptions.use}"`);
+    }
+    if (jwk.alg !== undefined && jwkOptions.algs && !jwkOptions.algs(curve).includes(jwk.alg)) {
+      throw createNamedError('DataError', `The JWK "alg" member is not valid for ${curve}`);
+    }
+
+    const { size } = ELLIPTIC_CURVES[curve];
+    const x = base64UrlToBytes(jwk.x);
+    const publicKey = okp ? x : combineChunksToUint8Array([new Uint8Array([4]), x, base64UrlToBytes(jwk.y)]);
+    if (x.length !== size || publicKey.length !== (okp ? size : size * 2 + 1)) {
+      throw createNamedError('DataError', 'The JWK coordinates have the wrong length');
+    }
+    const privateKey = jwk.d === undefined ? null : base64UrlToBytes(jwk.d);
+    if (privateKey && privateKey.length !== size) {
+      throw createNamedError('DataError', 'The JWK "d" member has the wrong length');
+    }
+    return { privateKey, publicKey };
+  }
+
+  function writeCurveJwk(curve, material) {
+    const { size } = ELLIPTIC_CURVES[curve];
+    const jwk = isOctetKeyPairCurve(curve)
+      ? { kty: 'OKP', crv: curve, x: bytesToBase64Url(material.publicKey) }
+      : {
+        kty: 'EC',
+        crv: curve,
+        x: bytesToBase64Url(material.publicKey.subarray(1, 1 + size)),
+        y: bytesToBase64Url(material.publicKey.subarray(1 + size))
+      };
+    if (material.privateKey) {
+      jwk.d = bytesToBase64Url(material.privateKey);
+    }
+    return jwk;
+  }
+
+  // Helper: validate curve key material natively, deriving the public key of private keys
+  function createCurveKeyMaterial(curve, privateKey, publicKey) {
+    let material;
+    try {
+      if (privateKey) {
+        const derived = toUint8Array(__APPLE_SPEC__.crypto.ecPublicKey(curve, privateKey));
+        material = { privateKey, publicKey: derived };
+        publicKey = publicKey && toUint8Array(__APPLE_SPEC__.crypto.ecNormalizePublicKey(curve, publicKey));
+        if (publicKey && !timingSafeEqual(publicKey, derived)) {
+          throw new Error('The public key does not match the private key');
         }
+      } else {
+        material = { privateKey: null, publicKey: toUint8Array(__APPLE_SPEC__.crypto.ecNormalizePublicKey(curve, publicKey)) };
+      }
+    } catch (error) {
+      throw createNamedError('DataError', error.message || `Invalid ${curve} key data`);
+    }
+    return material;
+  }
 
-        if (value instanceof Error) {
-          seen.delete(value);
-          return `${value.name}: ${value.message}${value.stack ? '\n' + value.stack : ''}`;
+  // Helper: build an algorithm over elliptic curve key pairs. Key material is
+  // { privateKey, publicKey } as raw bytes; see ecGenerateKey in the native bridge.
+  function createCurveAlgorithm(name, { privateUsages, publicUsages, getCurve, jwk: jwkOptions }, operations) {
+    const algorithmFor = (curve) => name === curve ? { name } : { name, namedCurve: curve };
+    const curveOf = (key) => key.algorithm.namedCurve ?? key.algorithm.name;
+
+    return {
+      usages: [...privateUsages, ...publicUsages],
+
+      generateKey(params, extractable, usages) {
+        const curve = getCurve(params);
+        const privateKey = runNativeCrypto(() => __APPLE_SPEC__.crypto.ecGenerateKey(curve));
+        const material = createCurveKeyMaterial(curve, privateKey, null);
+        return {
+          publicKey: createCryptoKey('public', true, algorithmFor(curve),
+            usages.filter(usage => publicUsages.includes(usage)), { privateKey: null, publicKey: material.publicKey }),
+          privateKey: createCryptoKey('private', extractable, algorithmFor(curve),
+            usages.filter(usage => privateUsages.includes(usage)), material)
+        };
+      },
+
+      importKey(format, keyData, params, extractable, usages) {
+        const curve = getCurve(params);
+        let privateKey = null;
+        let publicKey = null;
+        if (format === 'raw') {
+          publicKey = keyData;
+        } else if (format === 'spki') {
+          const spki = readSpki(keyData);
+          checkCurveAlgorithm(curve, spki.oid, spki.parameters);
+          publicKey = spki.key;
+        } else if (format === 'pkcs8') {
+          ({ privateKey, publicKey } = readCurvePkcs8(curve, keyData));
+        } else {
+          ({ privateKey, publicKey } = readCurveJwk(curve, keyData, jwkOptions, usages, extractable));
         }
 
-        if (value instanceof RegExp) {
-          seen.delete(value);
-          return value.toString();
+        const allowedUsages = privateKey ? privateUsages : publicUsages;
+        if (usages.some(usage => !allowedUsages.includes(usage))) {
+          throw createNamedError('SyntaxError', `Invalid key usages for a ${privateKey ? 'private' : 'public'} ${name} key`);
         }
+        const material = createCurveKeyMaterial(curve, privateKey, publicKey);
+        return createCryptoKey(privateKey ? 'private' : 'public', extractable, algorithmFor(curve), usages, material);
+      },
 
-        // Handle DOM-like objects or objects with custom toString
-        if (value.toString && value.toString !== Object.prototype.toString) {
-          const str = value.toString();
-          if (str !== '[object Object]') {
-            seen.delete(value);
-            return str;
+      exportKey(format, key) {
+        const curve = curveOf(key);
+        const material = key[SYMBOLS.cryptoKeyMaterial];
+        if (format === 'jwk') {
+          return writeCurveJwk(curve, material);
+        }
+        if (format === 'pkcs8') {
+          if (key.type !== 'private') {
+            throw createNamedError('InvalidAccessError', 'Only private keys can be exported as pkcs8');
           }
+          return writeCurvePkcs8(curve, material).buffer;
         }
-
-        // Format plain objects
-        if (depth >= maxDepth) {
-          seen.delete(value);
-          return '[Object]';
+        if (key.type !== 'public') {
+          throw createNamedError('InvalidAccessError', `Only public keys can be exported as ${format}`);
+        }
+        if (format === 'spki') {
+          const { oid } = ELLIPTIC_CURVES[curve];
+          const spki = isOctetKeyPairCurve(curve)
+            ? writeSpki(oid, null, material.publicKey)
+            : writeSpki(EC_PUBLIC_KEY_OID, derWriteOid(oid), material.publicKey);
+          return spki.buffer;
         }
+        return material.publicKey.slice().buffer;
+      },
 
-        const keys = Object.keys(value);
-        if (keys.length === 0) {
-          seen.delete(value);
-          return '{}';
+      ...operations
+    };
+  }
+
+  // Helper: resolve the namedCurve of ECDSA and ECDH parameters
+  function getNamedCurve(params) {
+    if (typeof params.namedCurve !== 'string') {
+      throw new TypeError("Algorithm: Missing required member 'namedCurve'");
+    }
+    if (!['P-256', 'P-384'].includes(params.namedCurve)) {
+      throw createNamedError('NotSupportedError', `Unsupported named curve: ${params.namedCurve}`);
+    }
+    return params.namedCurve;
+  }
+
+  // Helper: validate a deriveBits length for PBKDF2 and HKDF, returning it in bytes
+  function checkDerivedBitLength(length) {
+    if (length === null || length === undefined || !Number.isInteger(length) || length < 0 || length % 8 !== 0) {
+      throw createNamedError('OperationError', 'The derived bit length must be a non-negative multiple of 8');
+    }
+    return length / 8;
+  }
+
+  // Helper: build a key derivation function whose keys are imported from raw,
+  // non-extractable key material
+  function createKdfAlgorithm(name, deriveBits) {
+    return {
+      usages: ['deriveKey', 'deriveBits'],
+
+      importKey(format, keyData, params, extractable, usages) {
+        if (format !== 'raw') {
+          throw createNamedError('NotSupportedError', `Unsupported key format for ${name}: ${format}`);
         }
+        if (extractable) {
+          throw createNamedError('SyntaxError', `${name} keys cannot be extractable`);
+        }
+        return createCryptoKey('secret', false, { name }, usages, keyData);
+      },
 
-        const pairs = keys.slice(0, 10).map(key => {
-          try {
-            return `${key}: ${formatValue(value[key], depth + 1, maxDepth, seen)}`;
-          } catch (e) {
-            return `${key}: [Error getting value]`;
-          }
-        });
+      deriveBits
+    };
+  }
 
-        const result = keys.length > 10
-          ? `{ ${pairs.join(', ')}, ... ${keys.length - 10} more }`
-          : `{ ${pairs.join(', ')} }`;
+  // Helper: ECDH and X25519 deriveBits, truncating the shared secret to `length` bits
+  function deriveSharedSecret(params, key, length) {
+    const publicKey = params.public;
+    if (!(publicKey instanceof CryptoKey)) {
+      throw new TypeError("Algorithm: Missing required member 'public' of type 'CryptoKey'");
+    }
+    if (publicKey.type !== 'public') {
+      throw createNamedError('InvalidAccessError', 'The public member is not a public key');
+    }
+    if (publicKey.algorithm.name !== key.algorithm.name || publicKey.algorithm.namedCurve !== key.algorithm.namedCurve) {
+      throw createNamedError('InvalidAccessError', 'The public key does not use the same algorithm and curve');
+    }
 
-        seen.delete(value);
-        return result;
-      } catch (e) {
-        seen.delete(value);
-        return '[Error formatting object]';
-      }
+    const curve = key.algorithm.namedCurve ?? key.algorithm.name;
+    const secret = runNativeCrypto(() => __APPLE_SPEC__.crypto.ecDeriveBits(curve,
+      key[SYMBOLS.cryptoKeyMaterial].privateKey, publicKey[SYMBOLS.cryptoKeyMaterial].publicKey));
+    if (length === null || length === undefined) {
+      return secret.buffer;
+    }
+    if (!Number.isInteger(length) || length < 0 || length > secret.length * 8) {
+      throw createNamedError('OperationError', `The derived bit length must be at most ${secret.length * 8}`);
     }
+    const bits = secret.slice(0, Math.ceil(length / 8));
+    if (length % 8) {
+      bits[bits.length - 1] &= 0xff << (8 - length % 8);
+    }
+    return bits.buffer;
+  }
 
-    return String(value);
+  // Helper: DER INTEGER conversion for unsigned big-endian values such as RSA key components
+  function derReadUnsignedInteger(element) {
+    if (!element || element.tag !== 0x02) {
+      throw createNamedError('DataError', 'Invalid DER encoded integer');
+    }
+    let start = 0;
+    while (start < element.contents.length - 1 && element.contents[start] === 0) {
+      start++;
+    }
+    return element.contents.slice(start);
   }
 
-  function formatArguments(args) {
-    return args.map(arg => formatValue(arg)).join(' ');
+  function derWriteUnsignedInteger(bytes) {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) {
+      start++;
+    }
+    const value = bytes.subarray(start);
+    return value.length === 0 || value[0] & 0x80
+      ? derWrite(0x02, new Uint8Array([0]), value)
+      : derWrite(0x02, value);
   }
 
-  function getGroupPrefix() {
-    return '  '.repeat(consoleState.groupDepth);
+  const RSA_ENCRYPTION_OID = '1.2.840.113549.1.1.1';
+  const RSA_PUBLIC_COMPONENTS = ['n', 'e'];
+  const RSA_PRIVATE_COMPONENTS = ['n', 'e', 'd', 'p', 'q', 'dp', 'dq', 'qi'];
+
+  // Helper: read RSAPrivateKey (PKCS #1) or a PKCS #8 wrapper around it into key components
+  function readRsaPrivateKey(bytes) {
+    const root = derRead(bytes);
+    const elements = root.tag === 0x30 ? derReadElements(root.contents) : [];
+    if (elements[1] && elements[1].tag === 0x30) {
+      const { oid, key } = readPkcs8(bytes);
+      if (oid !== RSA_ENCRYPTION_OID) {
+        throw createNamedError('DataError', 'The key is not an RSA key');
+      }
+      return readRsaPrivateKey(key);
+    }
+    if (elements.length < 9) {
+      throw createNamedError('DataError', 'Invalid RSA private key data');
+    }
+    const components = {};
+    RSA_PRIVATE_COMPONENTS.forEach((name, index) => {
+      components[name] = derReadUnsignedInteger(elements[index + 1]);
+    });
+    return components;
   }
 
-  // Enhanced console methods that work with the existing Swift logger
-  const originalConsole = globalThis.console;
+  function writeRsaPrivateKey(components) {
+    return derWrite(0x30, derWrite(0x02, new Uint8Array([0])),
+      ...RSA_PRIVATE_COMPONENTS.map(name => derWriteUnsignedInteger(components[name])));
+  }
 
-  // Basic logging methods - these will be overridden by Swift but we provide fallbacks
-  ['log', 'error', 'warn', 'info', 'debug', 'trace'].forEach(method => {
-    if (!originalConsole[method]) {
-      originalConsole[method] = function (...args) {
-        // Fallback implementation if Swift doesn't override
-        const formatted = formatArguments(args);
-        const prefix = getGroupPrefix();
-        console._nativeLog?.(method.toUpperCase(), `${prefix}${formatted}`) ||
-          console._print?.(`[${method.toUpperCase()}] ${prefix}${formatted}`);
-      };
+  function readRsaSpki(bytes) {
+    const { oid, key } = readSpki(bytes);
+    if (oid !== RSA_ENCRYPTION_OID) {
+      throw createNamedError('DataError', 'The key is not an RSA key');
     }
-  });
+    const root = derRead(key);
+    const [n, e] = root.tag === 0x30 ? derReadElements(root.contents) : [];
+    return { n: derReadUnsignedInteger(n), e: derReadUnsignedInteger(e) };
+  }
 
-  // Enhanced console methods
-  Object.assign(globalThis.console, {
-    // Timing methods
-    time(label = 'default') {
-      consoleState.timers.set(label, Date.now());
-    },
+  function writeRsaSpki(components) {
+    const rsaPublicKey = derWrite(0x30, derWriteUnsignedInteger(components.n), derWriteUnsignedInteger(components.e));
+    return writeSpki(RSA_ENCRYPTION_OID, derWrite(0x05), rsaPublicKey);
+  }
 
-    timeEnd(label = 'default') {
-      const startTime = consoleState.timers.get(label);
-      if (startTime !== undefined) {
-        const duration = Date.now() - startTime;
-        consoleState.timers.delete(label);
-        const message = `${label}: ${duration}ms`;
-        const prefix = getGroupPrefix();
+  // Helper: the bit length of an unsigned big-endian integer
+  function bitLength(bytes) {
+    let start = 0;
+    while (start < bytes.length && bytes[start] === 0) {
+      start++;
+    }
+    return start === bytes.length ? 0 : (bytes.length - start - 1) * 8 + (32 - Math.clz32(bytes[start]));
+  }
 
-        // Use existing log method (which Swift will override)
-        console.log(`${prefix}⏱️  ${message}`);
-      } else {
-        console.warn(`Timer '${label}' does not exist`);
-      }
-    },
+  // Helper: build an RSA algorithm. Key material holds the RSA components
+  // ({ n, e } for public keys, plus d, p, q, dp, dq, qi for private keys) and
+  // is converted to DER for the native bridge. `jwkAlg` maps a hash name to the JWK "alg".
+  function createRsaAlgorithm(name, { privateUsages, publicUsages, jwkAlg }, operations) {
+    const createKey = (type, extractable, hash, usages, components) => {
+      const algorithm = {
+        name,
+        modulusLength: bitLength(components.n),
+        publicExponent: components.e.slice(),
+        hash: { name: hash }
+      };
+      return createCryptoKey(type, extractable, algorithm, usages, components);
+    };
 
-    timeLog(label = 'default', ...args) {
-      const startTime = consoleState.timers.get(label);
-      if (startTime !== undefined) {
-        const duration = Date.now() - startTime;
-        const extraArgs = args.length > 0 ? ' ' + formatArguments(args) : '';
-        const message = `${label}: ${duration}ms${extraArgs}`;
-        const prefix = getGroupPrefix();
-        console.log(`${prefix}⏱️  ${message}`);
-      } else {
-        console.warn(`Timer '${label}' does not exist`);
-      }
-    },
+    return {
+      usages: [...privateUsages, ...publicUsages],
 
-    // Counting methods
-    count(label = 'default') {
-      const current = consoleState.counters.get(label) || 0;
-      const newCount = current + 1;
-      consoleState.counters.set(label, newCount);
-      const prefix = getGroupPrefix();
-      console.log(`${prefix}🔢 ${label}: ${newCount}`);
-    },
+      generateKey(params, extractable, usages) {
+        const hash = normalizeHashAlgorithm(params.hash);
+        const { modulusLength } = params;
+        const publicExponent = copyBufferSource(params.publicExponent, 'publicExponent');
+        if (bytesToBigInt(publicExponent) !== 65537n) {
+          throw createNamedError('OperationError', 'Only the public exponent 65537 is supported');
+        }
+        if (!Number.isInteger(modulusLength) || modulusLength < 2048 || modulusLength % 8 !== 0) {
+          throw createNamedError('OperationError', 'RSA modulusLength must be a multiple of 8 and at least 2048');
+        }
 
-    countReset(label = 'default') {
-      if (consoleState.counters.has(label)) {
-        consoleState.counters.delete(label);
-      } else {
-        console.warn(`Count for '${label}' does not exist`);
-      }
-    },
+        const components = readRsaPrivateKey(runNativeCrypto(() => __APPLE_SPEC__.crypto.rsaGenerateKey(modulusLength)));
+        return {
+          publicKey: createKey('public', true, hash,
+            usages.filter(usage => publicUsages.includes(usage)), { n: components.n, e: components.e }),
+          privateKey: createKey('private', extractable, hash,
+            usages.filter(usage => privateUsages.includes(usage)), components)
+        };
+      },
 
-    // Grouping methods
-    group(label = '') {
-      const prefix = getGroupPrefix();
-      if (label) {
-        console.log(`${prefix}📁 ${label}`);
-      }
-      consoleState.groupDepth++;
-    },
+      importKey(format, keyData, params, extractable, usages) {
+        const hash = normalizeHashAlgorithm(params.hash);
+        let components;
+        if (format === 'spki') {
+          components = readRsaSpki(keyData);
+        } else if (format === 'pkcs8') {
+          const { oid, key } = readPkcs8(keyData);
+          if (oid !== RSA_ENCRYPTION_OID) {
+            throw createNamedError('DataError', 'The key is not an RSA key');
+          }
+          components = readRsaPrivateKey(key);
+        } else if (format === 'jwk') {
+          validateJsonWebKey(keyData, 'RSA', usages, extractable);
+          if (keyData.alg !== undefined && keyData.alg !== jwkAlg(hash)) {
+            throw createNamedError('DataError', `The JWK "alg" member was not "${jwkAlg(hash)}"`);
+          }
+          const isPrivate = keyData.d !== undefined;
+          if (isPrivate && RSA_PRIVATE_COMPONENTS.some(member => keyData[member] === undefined)) {
+            throw createNamedError('DataError', 'RSA private JWKs must include the CRT members p, q, dp, dq and qi');
+          }
+          components = {};
+          for (const member of isPrivate ? RSA_PRIVATE_COMPONENTS : RSA_PUBLIC_COMPONENTS) {
+            components[member] = base64UrlToBytes(keyData[member]);
+          }
+        } else {
+          throw createNamedError('NotSupportedError', `Unsupported key format for ${name}: ${format}`);
+        }
 
-    groupCollapsed(label = '') {
-      // Same as group for text-based console
-      this.group(label);
-    },
+        const isPrivate = components.d !== undefined;
+        const allowedUsages = isPrivate ? privateUsages : publicUsages;
+        if (usages.some(usage => !allowedUsages.includes(usage))) {
+          throw createNamedError('SyntaxError', `Invalid key usages for a ${isPrivate ? 'private' : 'public'} ${name} key`);
+        }
+        if (bitLength(components.n) === 0 || bitLength(components.e) === 0) {
+          throw createNamedError('DataError', 'Invalid RSA key data');
+        }
+        return createKey(isPrivate ? 'private' : 'public', extractable, hash, usages, components);
+      },
 
-    groupEnd() {
-      if (consoleState.groupDepth > 0) {
-        consoleState.groupDepth--;
-      }
-    },
+      exportKey(format, key) {
+        const components = key[SYMBOLS.cryptoKeyMaterial];
+        if (format === 'jwk') {
+          const jwk = { kty: 'RSA', alg: jwkAlg(key.algorithm.hash.name) };
+          for (const member of key.type === 'private' ? RSA_PRIVATE_COMPONENTS : RSA_PUBLIC_COMPONENTS) {
+            jwk[member] = bytesToBase64Url(components[member]);
+          }
+          return jwk;
+        }
+        if (format === 'spki' && key.type === 'public') {
+          return writeRsaSpki(components).buffer;
+        }
+        if (format === 'pkcs8' && key.type === 'private') {
+          return writePkcs8(RSA_ENCRYPTION_OID, derWrite(0x05), writeRsaPrivateKey(components)).buffer;
+        }
+        if (format === 'raw') {
+          throw createNamedError('NotSupportedError', `Unsupported key format for ${name}: ${format}`);
+        }
+        throw createNamedError('InvalidAccessError', `A ${key.type} key cannot be exported as ${format}`);
+      },
 
-    // Table method (basic implementation)
-    table(data, columns) {
-      const prefix = getGroupPrefix();
+      ...operations
+    };
+  }
 
-      if (!data || typeof data !== 'object') {
-        console.log(`${prefix}${formatValue(data)}`);
-        return;
-      }
+  // Helper: RSASSA-PKCS1-v1_5 and RSA-PSS signing through the native bridge
+  function rsaSign(padding, key, data) {
+    const hash = CRYPTO_HASH_ALGORITHMS[key.algorithm.hash.name].native;
+    const privateKey = writeRsaPrivateKey(key[SYMBOLS.cryptoKeyMaterial]);
+    return runNativeCrypto(() => __APPLE_SPEC__.crypto.rsaSign(padding, hash, privateKey, data)).buffer;
+  }
 
-      if (Array.isArray(data)) {
-        console.log(`${prefix}📊 Table:`);
-        data.forEach((row, index) => {
-          if (typeof row === 'object' && row !== null) {
-            const rowData = columns ?
-              columns.reduce((acc, col) => ({ ...acc, [col]: row[col] }), {}) :
-              row;
-            console.log(`${prefix}  ${index}: ${formatValue(rowData)}`);
-          } else {
-            console.log(`${prefix}  ${index}: ${formatValue(row)}`);
+  function rsaVerify(padding, key, signature, data) {
+    const hash = CRYPTO_HASH_ALGORITHMS[key.algorithm.hash.name].native;
+    const publicKey = writeRsaSpki(key[SYMBOLS.cryptoKeyMaterial]);
+    return runNativeVerify(() => __APPLE_SPEC__.crypto.rsaVerify(padding, hash, publicKey, signature, data));
+  }
+
+  // Helper: the native PSS padding always uses a salt as long as the hash output
+  function checkPssSaltLength(params, key) {
+    const hashLength = CRYPTO_HASH_ALGORITHMS[key.algorithm.hash.name].length / 8;
+    if (params.saltLength !== hashLength) {
+      throw createNamedError('NotSupportedError', `RSA-PSS saltLength must be ${hashLength} for ${key.algorithm.hash.name}`);
+    }
+  }
+
+  // Helper: RSA-OAEP through the native bridge, which supports SHA-1 and SHA-256 without a label
+  function rsaOaepParameters(params, key) {
+    if (params.label !== undefined && copyBufferSource(params.label, 'label').length > 0) {
+      throw createNamedError('NotSupportedError', 'RSA-OAEP labels are not supported');
+    }
+    const hash = key.algorithm.hash.name;
+    if (hash !== 'SHA-1' && hash !== 'SHA-256') {
+      throw createNamedError('NotSupportedError', `RSA-OAEP with ${hash} is not supported`);
+    }
+    return CRYPTO_HASH_ALGORITHMS[hash].native;
+  }
+
+  // Web Crypto algorithm implementations, keyed by canonical algorithm name.
+  // SubtleCrypto dispatches each operation to the algorithms that implement it.
+  const SUBTLE_ALGORITHMS = {
+    'HMAC': {
+      usages: ['sign', 'verify'],
+
+      generateKey(params, extractable, usages) {
+        const hash = normalizeHashAlgorithm(params.hash);
+        const length = this.getKeyLength(params);
+        const bytes = toUint8Array(__APPLE_SPEC__.crypto.randomBytes(Math.ceil(length / 8)));
+        return createCryptoKey('secret', extractable, { name: 'HMAC', hash: { name: hash }, length }, usages, bytes);
+      },
+
+      getKeyLength(params) {
+        const hash = normalizeHashAlgorithm(params.hash);
+        const length = params.length ?? CRYPTO_HASH_ALGORITHMS[hash].blockLength;
+        if (!Number.isInteger(length) || length <= 0) {
+          throw createNamedError('OperationError', 'HMAC key length must be a positive integer');
+        }
+        return length;
+      },
+
+      importKey(format, keyData, params, extractable, usages) {
+        const hash = normalizeHashAlgorithm(params.hash);
+        let bytes;
+        if (format === 'raw') {
+          bytes = keyData;
+        } else if (format === 'jwk') {
+          validateJsonWebKey(keyData, 'oct', usages, extractable);
+          if (keyData.use !== undefined && keyData.use !== 'sig') {
+            throw createNamedError('DataError', 'The JWK "use" member was not "sig"');
           }
-        });
-      } else {
-        console.log(`${prefix}📊 Table:`);
-        Object.entries(data).forEach(([key, value]) => {
-          console.log(`${prefix}  ${key}: ${formatValue(value)}`);
-        });
+          const expectedAlg = 'HS' + hash.slice(4);
+          if (keyData.alg !== undefined && keyData.alg !== expectedAlg) {
+            throw createNamedError('DataError', `The JWK "alg" member was not "${expectedAlg}"`);
+          }
+          bytes = base64UrlToBytes(keyData.k);
+        } else {
+          throw createNamedError('NotSupportedError', `Unsupported key format for HMAC: ${format}`);
+        }
+
+        if (bytes.length === 0) {
+          throw createNamedError('DataError', 'HMAC key data must not be empty');
+        }
+        let length = bytes.length * 8;
+        if (params.length !== undefined) {
+          if (params.length > length || params.length <= length - 8) {
+            throw createNamedError('DataError', 'HMAC key length does not match the key data');
+          }
+          length = params.length;
+        }
+        return createCryptoKey('secret', extractable, { name: 'HMAC', hash: { name: hash }, length }, usages, bytes);
+      },
+
+      exportKey(format, key) {
+        const bytes = key[SYMBOLS.cryptoKeyMaterial];
+        if (format === 'raw') {
+          return bytes.slice().buffer;
+        }
+        if (format === 'jwk') {
+          return { kty: 'oct', k: bytesToBase64Url(bytes), alg: 'HS' + key.algorithm.hash.name.slice(4) };
+        }
+        throw createNamedError('NotSupportedError', `Unsupported key format for HMAC: ${format}`);
+      },
+
+      sign(params, key, data) {
+        return computeHmac(key.algorithm.hash.name, key[SYMBOLS.cryptoKeyMaterial], data).buffer;
+      },
+
+      verify(params, key, signature, data) {
+        const expected = computeHmac(key.algorithm.hash.name, key[SYMBOLS.cryptoKeyMaterial], data);
+        return timingSafeEqual(expected, signature);
       }
     },
 
-    // Assertion method
-    assert(condition, ...args) {
-      if (!condition) {
-        const message = args.length > 0 ? formatArguments(args) : 'Assertion failed';
-        const prefix = getGroupPrefix();
-        console.error(`${prefix}❌ Assertion failed: ${message}`);
+    'AES-GCM': createAesAlgorithm('AES-GCM', 'GCM', {
+      encrypt(params, key, data) {
+        const iv = copyBufferSource(params.iv, 'iv');
+        const tagLength = aesGcmTagLength(params);
+        const additionalData = aesGcmAdditionalData(params);
+        const sealed = runNativeCrypto(() => __APPLE_SPEC__.crypto.aesGcmSeal(key[SYMBOLS.cryptoKeyMaterial], iv, data, additionalData));
+        // The native seal always appends a 16 byte tag; shorter tags are its prefix
+        return sealed.slice(0, sealed.length - 16 + tagLength).buffer;
+      },
+
+      decrypt(params, key, data) {
+        const iv = copyBufferSource(params.iv, 'iv');
+        const tagLength = aesGcmTagLength(params);
+        const additionalData = aesGcmAdditionalData(params);
+        if (data.length < tagLength) {
+          throw createNamedError('OperationError', 'AES-GCM ciphertext is shorter than the tag length');
+        }
+        return runNativeCrypto(() => __APPLE_SPEC__.crypto.aesGcmOpen(key[SYMBOLS.cryptoKeyMaterial], iv, data, additionalData, tagLength)).buffer;
       }
-    },
+    }),
 
-    // Clear method (visual separator)
-    clear() {
-      console.log('\n'.repeat(3) + '🧹 Console cleared' + '\n'.repeat(2));
-    },
+    'AES-CBC': createAesAlgorithm('AES-CBC', 'CBC', {
+      encrypt(params, key, data) {
+        const iv = aesCbcIv(params);
+        return runNativeCrypto(() => __APPLE_SPEC__.crypto.aesCbcEncrypt(key[SYMBOLS.cryptoKeyMaterial], iv, data)).buffer;
+      },
 
-    // Directory listing (basic object inspection)
-    dir(obj) {
-      const prefix = getGroupPrefix();
-      console.log(`${prefix}📋 ${formatValue(obj, 0, 5)}`);
-    },
+      decrypt(params, key, data) {
+        const iv = aesCbcIv(params);
+        return runNativeCrypto(() => __APPLE_SPEC__.crypto.aesCbcDecrypt(key[SYMBOLS.cryptoKeyMaterial], iv, data)).buffer;
+      }
+    }),
 
-    dirxml(obj) {
-      // Alias for dir in non-DOM environment
-      this.dir(obj);
-    }
-  });
+    'AES-CTR': createAesAlgorithm('AES-CTR', 'CTR', {
+      encrypt: aesCtr,
+      decrypt: aesCtr
+    }),
 
-  // Blob - binary data container
-  globalThis.Blob = class Blob {
-    #size = 0;
-    #type = '';
-    #parts = [];
+    'AES-KW': createAesAlgorithm('AES-KW', 'KW', {
+      usages: ['wrapKey', 'unwrapKey'],
 
-    constructor(parts = [], options = {}) {
-      this.#parts = Array.isArray(parts) ? parts.slice() : [parts];
-      this.#type = String(options.type || '').toLowerCase();
-      this.#calculateSize();
-      this[Symbol.toStringTag] = 'Blob';
-    }
+      wrapKey(params, key, data) {
+        return runNativeCrypto(() => __APPLE_SPEC__.crypto.aesKeyWrap(key[SYMBOLS.cryptoKeyMaterial], data)).buffer;
+      },
 
-    get size() { return this.#size; }
-    get type() { return this.#type; }
+      unwrapKey(params, key, data) {
+        return runNativeCrypto(() => __APPLE_SPEC__.crypto.aesKeyUnwrap(key[SYMBOLS.cryptoKeyMaterial], data)).buffer;
+      }
+    }),
+
+    'ECDSA': createCurveAlgorithm('ECDSA', {
+      privateUsages: ['sign'],
+      publicUsages: ['verify'],
+      getCurve: getNamedCurve,
+      jwk: { use: 'sig', algs: curve => [{ 'P-256': 'ES256', 'P-384': 'ES384' }[curve]] }
+    }, {
+      sign(params, key, data) {
+        const hash = CRYPTO_HASH_ALGORITHMS[normalizeHashAlgorithm(params.hash)].native;
+        const { privateKey } = key[SYMBOLS.cryptoKeyMaterial];
+        return runNativeCrypto(() => __APPLE_SPEC__.crypto.ecSign(key.algorithm.namedCurve, hash, privateKey, data)).buffer;
+      },
 
-    #calculateSize() {
-      const encoder = new TextEncoder();
-      for (const part of this.#parts) {
-        if (typeof part === 'string') {
-          this.#size += encoder.encode(part).length;
-        } else if (part instanceof ArrayBuffer) {
-          this.#size += part.byteLength;
-        } else if (ArrayBuffer.isView(part)) {
-          this.#size += part.byteLength;
-        } else if (part instanceof Blob) {
-          this.#size += part.size || 0;
-        } else if (part != null) {
-          // Fallback to string conversion
-          this.#size += encoder.encode(String(part)).length;
-        }
+      verify(params, key, signature, data) {
+        const hash = CRYPTO_HASH_ALGORITHMS[normalizeHashAlgorithm(params.hash)].native;
+        const { publicKey } = key[SYMBOLS.cryptoKeyMaterial];
+        return runNativeVerify(() => __APPLE_SPEC__.crypto.ecVerify(key.algorithm.namedCurve, hash, publicKey, signature, data));
+      }
+    }),
+
+    'Ed25519': createCurveAlgorithm('Ed25519', {
+      privateUsages: ['sign'],
+      publicUsages: ['verify'],
+      getCurve: () => 'Ed25519',
+      jwk: { use: 'sig', algs: () => ['Ed25519', 'EdDSA'] }
+    }, {
+      sign(params, key, data) {
+        const { privateKey } = key[SYMBOLS.cryptoKeyMaterial];
+        return runNativeCrypto(() => __APPLE_SPEC__.crypto.ecSign('Ed25519', '', privateKey, data)).buffer;
+      },
+
+      verify(params, key, signature, data) {
+        const { publicKey } = key[SYMBOLS.cryptoKeyMaterial];
+        return runNativeVerify(() => __APPLE_SPEC__.crypto.ecVerify('Ed25519', '', publicKey, signature, data));
+      }
+    }),
+    'ECDH': createCurveAlgorithm('ECDH', {
+      privateUsages: ['deriveKey', 'deriveBits'],
+      publicUsages: [],
+      getCurve: getNamedCurve,
+      jwk: { use: 'enc' }
+    }, {
+      deriveBits: deriveSharedSecret
+    }),
+
+    'X25519': createCurveAlgorithm('X25519', {
+      privateUsages: ['deriveKey', 'deriveBits'],
+      publicUsages: [],
+      getCurve: () => 'X25519',
+      jwk: { use: 'enc' }
+    }, {
+      deriveBits: deriveSharedSecret
+    }),
+
+    'PBKDF2': createKdfAlgorithm('PBKDF2', (params, key, length) => {
+      const hash = CRYPTO_HASH_ALGORITHMS[normalizeHashAlgorithm(params.hash)].native;
+      const salt = copyBufferSource(params.salt, 'salt');
+      const byteLength = checkDerivedBitLength(length);
+      if (!Number.isInteger(params.iterations) || params.iterations <= 0) {
+        throw createNamedError('OperationError', 'PBKDF2 iterations must be a positive integer');
+      }
+      if (byteLength === 0) {
+        return new ArrayBuffer(0);
       }
-    }
+      return runNativeCrypto(() => __APPLE_SPEC__.crypto.pbkdf2(hash, key[SYMBOLS.cryptoKeyMaterial], salt, params.iterations, byteLength)).buffer;
+    }),
 
-    #setSize(size) {
-      this.#size = size;
+    'HKDF': createKdfAlgorithm('HKDF', (params, key, length) => {
+      const hashName = normalizeHashAlgorithm(params.hash);
+      const salt = copyBufferSource(params.salt, 'salt');
+      const info = copyBufferSource(params.info, 'info');
+      const byteLength = checkDerivedBitLength(length);
+      if (byteLength > 255 * CRYPTO_HASH_ALGORITHMS[hashName].length / 8) {
+        throw createNamedError('OperationError', 'The derived bit length is too large for the HKDF hash');
+      }
+      if (byteLength === 0) {
+        return new ArrayBuffer(0);
+      }
+      const hash = CRYPTO_HASH_ALGORITHMS[hashName].native;
+      return runNativeCrypto(() => __APPLE_SPEC__.crypto.hkdf(hash, key[SYMBOLS.cryptoKeyMaterial], salt, info, byteLength)).buffer;
+    }),
+    'RSASSA-PKCS1-v1_5': createRsaAlgorithm('RSASSA-PKCS1-v1_5', {
+      privateUsages: ['sign'],
+      publicUsages: ['verify'],
+      jwkAlg: hash => 'RS' + hash.slice(4)
+    }, {
+      sign: (params, key, data) => rsaSign('pkcs1', key, data),
+      verify: (params, key, signature, data) => rsaVerify('pkcs1', key, signature, data)
+    }),
+
+    'RSA-PSS': createRsaAlgorithm('RSA-PSS', {
+      privateUsages: ['sign'],
+      publicUsages: ['verify'],
+      jwkAlg: hash => 'PS' + hash.slice(4)
+    }, {
+      sign(params, key, data) {
+        checkPssSaltLength(params, key);
+        return rsaSign('pss', key, data);
+      },
+
+      verify(params, key, signature, data) {
+        checkPssSaltLength(params, key);
+        return rsaVerify('pss', key, signature, data);
+      }
+    }),
+
+    'RSA-OAEP': createRsaAlgorithm('RSA-OAEP', {
+      privateUsages: ['decrypt', 'unwrapKey'],
+      publicUsages: ['encrypt', 'wrapKey'],
+      jwkAlg: hash => hash === 'SHA-1' ? 'RSA-OAEP' : 'RSA-OAEP-' + hash.slice(4)
+    }, {
+      encrypt(params, key, data) {
+        const hash = rsaOaepParameters(params, key);
+        const publicKey = writeRsaSpki(key[SYMBOLS.cryptoKeyMaterial]);
+        return runNativeCrypto(() => __APPLE_SPEC__.crypto.rsaEncrypt(hash, publicKey, data)).buffer;
+      },
+
+      decrypt(params, key, data) {
+        const hash = rsaOaepParameters(params, key);
+        const privateKey = writeRsaPrivateKey(key[SYMBOLS.cryptoKeyMaterial]);
+        return runNativeCrypto(() => __APPLE_SPEC__.crypto.rsaDecrypt(hash, privateKey, data)).buffer;
+      }
+    })
+  };
+
+  // Helper: the algorithm names that implement a given SubtleCrypto operation
+  function subtleAlgorithmNames(operation) {
+    return Object.keys(SUBTLE_ALGORITHMS).filter(name => typeof SUBTLE_ALGORITHMS[name][operation] === 'function');
+  }
+
+  // Helper: check that a key may be used with an algorithm for an operation
+  function checkCryptoKey(key, algorithmName, usage) {
+    if (!(key instanceof CryptoKey)) {
+      throw new TypeError("key is not of type 'CryptoKey'");
+    }
+    if (key.algorithm.name !== algorithmName) {
+      throw createNamedError('InvalidAccessError', `The key algorithm ${key.algorithm.name} does not match the requested algorithm ${algorithmName}`);
+    }
+    if (!key.usages.includes(usage)) {
+      throw createNamedError('InvalidAccessError', `The key does not support the '${usage}' operation`);
     }
+  }
 
-    async #processAsyncParts(parts) {
-      const resolved = [];
-      for (const part of parts) {
-        if (part?.__asyncBlob) {
-          const blob = await part[SYMBOLS.blobPlaceholderPromise];
-          const buffer = await blob.arrayBuffer();
-          resolved.push(new Uint8Array(buffer, 0, buffer.byteLength));
-        } else {
-          resolved.push(part);
-        }
+  // Helper: reject secret and private keys that end up without any usage
+  function checkCreatedKeyUsages(key) {
+    const keys = key instanceof CryptoKey ? [key] : [key.privateKey];
+    for (const k of keys) {
+      if ((k.type === 'secret' || k.type === 'private') && k.usages.length === 0) {
+        throw createNamedError('SyntaxError', 'Usages cannot be empty when creating a key');
       }
-      return resolved;
     }
+  }
 
-    async arrayBuffer() {
-      let partsToProcess = this.#parts;
+  // Helper: normalize a wrapKey/unwrapKey algorithm. Algorithms without a
+  // dedicated key wrapping operation (AES-GCM, RSA-OAEP, ...) fall back to
+  // encrypt/decrypt, as the Web Crypto specification requires.
+  function normalizeWrapAlgorithm(algorithm, operation, fallback) {
+    const names = subtleAlgorithmNames(operation);
+    const params = normalizeCryptoAlgorithm(algorithm, [...names, ...subtleAlgorithmNames(fallback)]);
+    return { params, operation: names.includes(params.name) ? operation : fallback };
+  }
 
-      // Handle async placeholders
-      if (partsToProcess?.some(p => p?.__asyncBlob)) {
-        partsToProcess = await this.#processAsyncParts(partsToProcess);
-      }
+  // Helper: serialize a JWK for wrapping. AES-KW only wraps multiples of 8
+  // bytes, so the JSON is padded with trailing whitespace, which JSON.parse ignores.
+  function encodeWrappedJwk(jwk, algorithmName) {
+    const bytes = new TextEncoder().encode(JSON.stringify(jwk));
+    if (algorithmName !== 'AES-KW' || bytes.length % 8 === 0) {
+      return bytes;
+    }
+    const padded = new Uint8Array(Math.ceil(bytes.length / 8) * 8).fill(0x20);
+    padded.set(bytes);
+    return padded;
+  }
 
-      const encoder = new TextEncoder();
-      const chunks = [];
-      let totalSize = 0;
+  function decodeWrappedJwk(bytes) {
+    try {
+      return JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+      throw createNamedError('DataError', 'The unwrapped key is not a valid JWK');
+    }
+  }
 
-      for (const part of partsToProcess) {
-        let chunk;
+  // SubtleCrypto - Web Crypto API primitives backed by Swift Crypto
+  globalThis.SubtleCrypto = class SubtleCrypto {
+    async digest(algorithm, data) {
+      const { name } = normalizeCryptoAlgorithm(algorithm, Object.keys(CRYPTO_HASH_ALGORITHMS));
+      const bytes = copyBufferSource(data);
 
-        if (typeof part === 'string') {
-          chunk = encoder.encode(part);
-        } else if (part instanceof ArrayBuffer) {
-          chunk = new Uint8Array(part, 0, part.byteLength);
-        } else if (ArrayBuffer.isView(part)) {
-          chunk = new Uint8Array(part.buffer, part.byteOffset, part.byteLength);
-        } else if (part instanceof Blob) {
-          const buffer = await part.arrayBuffer();
-          chunk = new Uint8Array(buffer, 0, buffer.byteLength);
-        } else if (part != null) {
-          chunk = encoder.encode(String(part));
-        } else {
-          continue;
-        }
+      const hash = __APPLE_SPEC__.crypto.createHash(CRYPTO_HASH_ALGORITHMS[name].native);
+      hash.update(bytes);
+      return toUint8Array(hash.digest()).buffer;
+    }
 
-        chunks.push(chunk);
-        totalSize += chunk.byteLength;
+    async generateKey(algorithm, extractable, keyUsages) {
+      const params = normalizeCryptoAlgorithm(algorithm, subtleAlgorithmNames('generateKey'));
+      const implementation = SUBTLE_ALGORITHMS[params.name];
+      const usages = validateKeyUsages(keyUsages, implementation.usages);
+
+      const key = implementation.generateKey(params, extractable, usages);
+      checkCreatedKeyUsages(key);
+      return key;
+    }
+
+    async importKey(format, keyData, algorithm, extractable, keyUsages) {
+      if (!CRYPTO_KEY_FORMATS.includes(format)) {
+        throw new TypeError(`Invalid key format: ${format}`);
       }
+      const params = normalizeCryptoAlgorithm(algorithm, subtleAlgorithmNames('importKey'));
+      const implementation = SUBTLE_ALGORITHMS[params.name];
+      const usages = validateKeyUsages(keyUsages, implementation.usages);
+      const data = format === 'jwk' ? keyData : copyBufferSource(keyData, 'keyData');
 
-      const result = new Uint8Array(totalSize);
-      let offset = 0;
-      for (const chunk of chunks) {
-        result.set(chunk, offset);
-        offset += chunk.byteLength;
+      const key = implementation.importKey(format, data, params, extractable, usages);
+      checkCreatedKeyUsages(key);
+      return key;
+    }
+
+    async exportKey(format, key) {
+      if (!CRYPTO_KEY_FORMATS.includes(format)) {
+        throw new TypeError(`Invalid key format: ${format}`);
+      }
+      if (!(key instanceof CryptoKey)) {
+        throw new TypeError("key is not of type 'CryptoKey'");
+      }
+      const implementation = SUBTLE_ALGORITHMS[key.algorithm.name];
+      if (!implementation || typeof implementation.exportKey !== 'function') {
+        throw createNamedError('NotSupportedError', `Exporting ${key.algorithm.name} keys is not supported`);
+      }
+      if (!key.extractable) {
+        throw createNamedError('InvalidAccessError', 'The key is not extractable');
       }
 
-      // Use helper to combine chunks
-      const combined = combineChunksToUint8Array(chunks);
-      return combined.buffer;
+      const exported = implementation.exportKey(format, key);
+      if (format === 'jwk') {
+        return { ...exported, key_ops: [...key.usages], ext: key.extractable };
+      }
+      return exported;
     }
 
-    async text() {
-      const buffer = await this.arrayBuffer();
-      return new TextDecoder().decode(new Uint8Array(buffer));
+    async sign(algorithm, key, data) {
+      const params = normalizeCryptoAlgorithm(algorithm, subtleAlgorithmNames('sign'));
+      const bytes = copyBufferSource(data);
+      checkCryptoKey(key, params.name, 'sign');
+      return SUBTLE_ALGORITHMS[params.name].sign(params, key, bytes);
     }
 
-    slice(start = 0, end = undefined, contentType = '') {
-      const size = this.size || 0;
-      const relativeStart = start < 0 ? Math.max(size + start, 0) : Math.min(start, size);
-      const relativeEnd = end === undefined ? size : (end < 0 ? Math.max(size + end, 0) : Math.min(end, size));
-      const span = Math.max(relativeEnd - relativeStart, 0);
+    async verify(algorithm, key, signature, data) {
+      const params = normalizeCryptoAlgorithm(algorithm, subtleAlgorithmNames('verify'));
+      const signatureBytes = copyBufferSource(signature, 'signature');
+      const bytes = copyBufferSource(data);
+      checkCryptoKey(key, params.name, 'verify');
+      return SUBTLE_ALGORITHMS[params.name].verify(params, key, signatureBytes, bytes);
+    }
 
-      if (span === 0) {
-        return new Blob([], { type: contentType });
+    async encrypt(algorithm, key, data) {
+      const params = normalizeCryptoAlgorithm(algorithm, subtleAlgorithmNames('encrypt'));
+      const bytes = copyBufferSource(data);
+      checkCryptoKey(key, params.name, 'encrypt');
+      return SUBTLE_ALGORITHMS[params.name].encrypt(params, key, bytes);
+    }
+
+    async decrypt(algorithm, key, data) {
+      const params = normalizeCryptoAlgorithm(algorithm, subtleAlgorithmNames('decrypt'));
+      const bytes = copyBufferSource(data);
+      checkCryptoKey(key, params.name, 'decrypt');
+      return SUBTLE_ALGORITHMS[params.name].decrypt(params, key, bytes);
+    }
+
+    async deriveBits(algorithm, baseKey, length = null) {
+      const params = normalizeCryptoAlgorithm(algorithm, subtleAlgorithmNames('deriveBits'));
+      checkCryptoKey(baseKey, params.name, 'deriveBits');
+      return SUBTLE_ALGORITHMS[params.name].deriveBits(params, baseKey, length);
+    }
+
+    async deriveKey(algorithm, baseKey, derivedKeyType, extractable, keyUsages) {
+      const params = normalizeCryptoAlgorithm(algorithm, subtleAlgorithmNames('deriveBits'));
+      const derivedParams = normalizeCryptoAlgorithm(derivedKeyType, subtleAlgorithmNames('getKeyLength'));
+      const length = SUBTLE_ALGORITHMS[derivedParams.name].getKeyLength(derivedParams);
+      checkCryptoKey(baseKey, params.name, 'deriveKey');
+
+      const bits = SUBTLE_ALGORITHMS[params.name].deriveBits(params, baseKey, length);
+      return this.importKey('raw', bits, derivedParams, extractable, keyUsages);
+    }
+
+    async wrapKey(format, key, wrappingKey, wrapAlgorithm) {
+      const { params, operation } = normalizeWrapAlgorithm(wrapAlgorithm, 'wrapKey', 'encrypt');
+      checkCryptoKey(wrappingKey, params.name, 'wrapKey');
+
+      const exported = await this.exportKey(format, key);
+      const bytes = format === 'jwk' ? encodeWrappedJwk(exported, params.name) : new Uint8Array(exported);
+      return SUBTLE_ALGORITHMS[params.name][operation](params, wrappingKey, bytes);
+    }
+
+    async unwrapKey(format, wrappedKey, unwrappingKey, unwrapAlgorithm, unwrappedKeyAlgorithm, extractable, keyUsages) {
+      if (!CRYPTO_KEY_FORMATS.includes(format)) {
+        throw new TypeError(`Invalid key format: ${format}`);
       }
+      const { params, operation } = normalizeWrapAlgorithm(unwrapAlgorithm, 'unwrapKey', 'decrypt');
+      normalizeCryptoAlgorithm(unwrappedKeyAlgorithm, subtleAlgorithmNames('importKey'));
+      const bytes = copyBufferSource(wrappedKey, 'wrappedKey');
+      checkCryptoKey(unwrappingKey, params.name, 'unwrapKey');
 
-      const slicePromise = this.arrayBuffer().then(buffer => {
-        const slicedBuffer = new Uint8Array(buffer, relativeStart, span);
-        return new Blob([slicedBuffer], { type: contentType });
-      });
+      const unwrapped = new Uint8Array(SUBTLE_ALGORITHMS[params.name][operation](params, unwrappingKey, bytes));
+      const keyData = format === 'jwk' ? decodeWrappedJwk(unwrapped) : unwrapped;
+      return this.importKey(format, keyData, unwrappedKeyAlgorithm, extractable, keyUsages);
+    }
+  };
 
-      // Return placeholder blob
-      const placeholder = new Blob([], { type: contentType });
-      placeholder.#parts = [{
-        __asyncBlob: true,
-        [SYMBOLS.blobPlaceholderPromise]: slicePromise
-      }];
-      placeholder.#setSize(span);
-      return placeholder;
+  // Node-style hash algorithm names mapped to the native digest identifiers
+  const NODE_HASH_ALGORITHMS = { md5: 'md5', sha1: 'sha1', sha256: 'sha256', sha384: 'sha384', sha512: 'sha512' };
+
+  function normalizeNodeHashAlgorithm(algorithm) {
+    const name = NODE_HASH_ALGORITHMS[String(algorithm).toLowerCase().replace(/-/g, '')];
+    if (!name) {
+      throw new Error(`Digest method not supported: ${algorithm}`);
     }
+    return name;
+  }
 
-    stream() {
-      // Return a ReadableStream that properly streams the blob data
-      const blob = this;
-      const chunkSize = 64 * 1024; // 64KB chunks
+  // Helper: encode a string to bytes using a Node-style encoding name
+  function encodeStringToBytes(string, encoding = 'utf8') {
+    switch (String(encoding).toLowerCase()) {
+      case 'utf8':
+      case 'utf-8':
+        return new TextEncoder().encode(string);
+      case 'latin1':
+      case 'binary':
+        return Uint8Array.from(string, char => char.charCodeAt(0) & 0xff);
+      case 'hex': {
+        const length = string.match(/^(?:[0-9a-fA-F]{2})*/)[0].length / 2;
+        const bytes = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+          bytes[i] = parseInt(string.substr(i * 2, 2), 16);
+        }
+        return bytes;
+      }
+      case 'base64':
+      case 'base64url':
+        return encodeStringToBytes(atob(string.replace(/-/g, '+').replace(/_/g, '/').replace(/=+$/, '')), 'latin1');
+      default:
+        throw new TypeError(`Unknown encoding: ${encoding}`);
+    }
+  }
 
-      return new ReadableStream({
-        async start(controller) {
-          try {
-            // Stream each part individually without loading everything into memory
-            await streamParts(blob.#parts, controller, chunkSize);
-            controller.close();
-          } catch (error) {
-            controller.error(error);
-          }
+  // Helper: decode bytes to a string using a Node-style encoding name
+  function decodeBytesToString(bytes, encoding) {
+    switch (String(encoding).toLowerCase()) {
+      case 'hex':
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+      case 'base64':
+        return btoa(decodeBytesToString(bytes, 'latin1'));
+      case 'base64url':
+        return bytesToBase64Url(bytes);
+      case 'latin1':
+      case 'binary': {
+        let string = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+          string += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
         }
-      });
+        return string;
+      }
+      case 'utf8':
+      case 'utf-8':
+        return new TextDecoder().decode(bytes);
+      default:
+        throw new TypeError(`Unknown encoding: ${encoding}`);
+    }
+  }
 
-      // Helper function to stream blob parts
-      async function streamParts(parts, controller, chunkSize) {
-        const encoder = new TextEncoder();
+  // Helper: a WritableStream that feeds every chunk into a Hash or Hmac, so a
+  // ReadableStream can be piped into it without buffering the whole body
+  function createDigestSink(hasher) {
+    return new WritableStream({
+      write(chunk) {
+        hasher.update(chunk);
+      }
+    });
+  }
 
-        for (const part of parts) {
-          // Handle async placeholders (from sliced blobs)
-          if (part?.__asyncBlob) {
-            const resolvedBlob = await part[SYMBOLS.blobPlaceholderPromise];
-            await streamParts(resolvedBlob.#parts, controller, chunkSize);
-            continue;
-          }
+  // HashBase - Node-style incremental digest backed by the native JSDigest,
+  // shared by Hash and Hmac
+  class HashBase {
+    #digest;
+    #finalized = false;
+    #writable = null;
 
-          if (typeof part === 'string') {
-            // Stream string data in chunks
-            const encoded = encoder.encode(part);
-            await streamBuffer(encoded, controller, chunkSize);
-          } else if (part instanceof ArrayBuffer) {
-            await streamBuffer(new Uint8Array(part, 0, part.byteLength), controller, chunkSize);
-          } else if (ArrayBuffer.isView(part)) {
-            await streamBuffer(new Uint8Array(part.buffer, part.byteOffset, part.byteLength), controller, chunkSize);
-          } else if (part instanceof Blob) {
-            // Recursively stream nested blob without loading into memory
-            const nestedStream = part.stream();
-            const reader = nestedStream.getReader();
-            try {
-                while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                const _v = toUint8Array(value);
-                controller.enqueue(new Uint8Array(_v.buffer, _v.byteOffset, _v.byteLength));
-              }
-            } finally {
-              reader.releaseLock();
-            }
-          } else if (part != null) {
-            // Fallback to string conversion for unknown types
-            const encoded = encoder.encode(String(part));
-            await streamBuffer(encoded, controller, chunkSize);
-          }
-        }
-      }
+    constructor(digest) {
+      this.#digest = digest;
+    }
 
-      // Helper function to stream buffer in chunks
-      async function streamBuffer(buffer, controller, chunkSize) {
-        for (let offset = 0; offset < buffer.length; offset += chunkSize) {
-          const chunk = buffer.slice(offset, Math.min(offset + chunkSize, buffer.length));
-          controller.enqueue(chunk);
-          // Yield control to allow other operations
-          await new Promise(resolve => setTimeout(resolve, 0));
-        }
+    update(data, inputEncoding) {
+      this.#assertNotFinalized();
+      if (typeof data === 'string') {
+        this.#digest.update(encodeStringToBytes(data, inputEncoding));
+      } else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        this.#digest.update(toUint8Array(data));
+      } else {
+        throw new TypeError('The "data" argument must be of type string or an instance of ArrayBuffer, TypedArray, or DataView');
       }
+      return this;
     }
-  };
-
-  // Reusable helper: create a ReadableStream that streams a file from the native
-  // FileSystem using the Swift file handle APIs. This centralizes the
-  // createReadFileHandle/readFileHandleChunk/closeFileHandle pattern used in several
-  // places in the polyfill.
-  function createFileReadableStream(filePath, chunkSize = 64 * 1024) {
-    // Native handles use -1 to indicate failure
-    let handle = -1;
 
-    return new ReadableStream({
-      // Use async start so we can await Promise-based native APIs without blocking
-      async start(controller) {
-        try {
-          handle = await __APPLE_SPEC__.FileSystem.createReadFileHandle(filePath);
-          if (handle === -1 || handle < 0) {
-            controller.error(new Error(`Failed to open file: ${filePath}`));
-            return;
-          }
+    digest(encoding) {
+      this.#assertNotFinalized();
+      this.#finalized = true;
+      const bytes = toUint8Array(this.#digest.digest());
+      return encoding === undefined ? bytes : decodeBytesToString(bytes, encoding);
+    }
 
-          while (true) {
-            try {
-              const chunk = await __APPLE_SPEC__.FileSystem.readFileHandleChunk(handle, chunkSize);
-              const bytes = toUint8Array(chunk);
-
-              // EOF: treat null/empty as end of stream
-              if (!bytes || bytes.length === 0) {
-                if (handle >= 0) {
-                  await __APPLE_SPEC__.FileSystem.closeFileHandle(handle);
-                  handle = -1;
-                }
-                controller.close();
-                break;
-              }
+    get writable() {
+      return this.#writable ??= createDigestSink(this);
+    }
 
-              controller.enqueue(bytes);
-              // Yield to event loop to keep things cooperative
-              await new Promise(resolve => setTimeout(resolve, 0));
-            } catch (err) {
-              if (handle >= 0) {
-                await __APPLE_SPEC__.FileSystem.closeFileHandle(handle);
-                handle = -1;
-              }
-              controller.error(err);
-              break;
-            }
-          }
-        } catch (err) {
-          if (handle >= 0) {
-            await __APPLE_SPEC__.FileSystem.closeFileHandle(handle);
-            handle = -1;
-          }
-          controller.error(err);
-        }
-      },
+    [SYMBOLS.hashCloneDigest]() {
+      this.#assertNotFinalized();
+      return this.#digest.clone();
+    }
 
-      // Allow cancel to asynchronously close native handle
-      async cancel(reason) {
-        if (handle >= 0) {
-          await __APPLE_SPEC__.FileSystem.closeFileHandle(handle);
-          handle = -1;
-        }
+    #assertNotFinalized() {
+      if (this.#finalized) {
+        throw new Error('Digest already called');
       }
-    });
+    }
   }
 
-  // Helper: combine an array of Uint8Array chunks into a single Uint8Array
-  function combineChunksToUint8Array(chunks) {
-    const totalLength = chunks.reduce((sum, c) => sum + (c ? c.byteLength : 0), 0);
-    const combined = new Uint8Array(totalLength);
-    let offset = 0;
-    for (const chunk of chunks) {
-      if (!chunk) continue;
-      combined.set(chunk, offset);
-      offset += chunk.byteLength;
+  // Hash - Node-style incremental hash
+  class Hash extends HashBase {
+    // Copy the current hash state, so a common prefix can be hashed once
+    copy() {
+      return new Hash(this[SYMBOLS.hashCloneDigest]());
     }
-    return combined;
   }
 
-  // Helper: normalize various chunk shapes into a Uint8Array
-  function toUint8Array(value) {
-    if (value == null) return new Uint8Array(0);
-    if (value instanceof Uint8Array) return value;
-    if (value instanceof ArrayBuffer) return new Uint8Array(value, 0, value.byteLength);
-    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
-    // Some native bridges expose typedArrayBytes-like objects (ArrayBuffer or ArrayBufferView)
-    if (value && value.typedArrayBytes) {
-      const tab = value.typedArrayBytes;
-      if (tab instanceof ArrayBuffer) return new Uint8Array(tab, 0, tab.byteLength);
-      if (ArrayBuffer.isView(tab)) return new Uint8Array(tab.buffer, tab.byteOffset, tab.byteLength);
-      try { return new Uint8Array(tab); } catch (e) { /* fallthrough */ }
+  // Hmac - Node-style incremental HMAC
+  class Hmac extends HashBase {}
+
+  // Crypto API - cryptographic functions
+  globalThis.crypto = new class Crypto {
+    #subtle = new SubtleCrypto();
+
+    get subtle() { return this.#subtle; }
+
+    randomUUID() {
+      return __APPLE_SPEC__.crypto.randomUUID();
     }
-    try {
-      // last-resort: attempt to construct a Uint8Array (may copy)
-      return new Uint8Array(value);
-    } catch (e) {
-      return new Uint8Array(0);
+
+    createHash(algorithm) {
+      return new Hash(__APPLE_SPEC__.crypto.createHash(normalizeNodeHashAlgorithm(algorithm)));
     }
-  }
 
-  // Helper: consume a ReadableStreamDefaultReader and return an ArrayBuffer
-  // options: { onProgress: (loaded)=>void, shouldAbort: ()=>boolean }
-  async function readAllArrayBufferFromReader(reader, options = {}) {
-    const { onProgress, shouldAbort } = options;
-    const chunks = [];
-    let totalLength = 0;
+    createHmac(algorithm, key) {
+      let keyBytes;
+      if (typeof key === 'string') {
+        keyBytes = encodeStringToBytes(key);
+      } else if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) {
+        keyBytes = copyBufferSource(key, 'key');
+      } else {
+        throw new TypeError('The "key" argument must be of type string or an instance of ArrayBuffer, TypedArray, or DataView');
+      }
+      return new Hmac(__APPLE_SPEC__.crypto.createHamc(normalizeNodeHashAlgorithm(algorithm), keyBytes));
+    }
 
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        const bytes = toUint8Array(value);
-        chunks.push(bytes);
-        totalLength += bytes.byteLength;
-        if (onProgress) onProgress(totalLength);
-        if (shouldAbort && shouldAbort()) {
-          return null;
-        }
+    randomBytes(length) {
+      if (!Number.isSafeInteger(length) || length < 0) {
+        throw new Error('Invalid length');
       }
-      const combined = combineChunksToUint8Array(chunks);
-      return combined.buffer;
-    } finally {
-      try { reader.releaseLock(); } catch (e) { }
+      return __APPLE_SPEC__.crypto.randomBytes(length);
     }
-  }
 
-  // Helper: consume a ReadableStreamDefaultReader and return a decoded string
-  // options: { encoding: 'utf-8', onProgress: (loaded)=>void, shouldAbort: ()=>boolean }
-  async function readAllTextFromReader(reader, options = {}) {
-    const { encoding = 'utf-8', onProgress, shouldAbort } = options;
-    const decoder = new TextDecoder(encoding, { stream: true });
-    let result = '';
+    getRandomValues(buffer) {
+      if (!ArrayBuffer.isView(buffer)) {
+        throw new Error('Invalid type of buffer');
+      }
+      const bytes = buffer instanceof Uint8Array
+        ? buffer
+  : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+      __APPLE_SPEC__.crypto.getRandomValues(bytes);
+      return buffer;
+    }
+  };
 
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        const bytes = toUint8Array(value);
-        result += decoder.decode(bytes, { stream: true });
-        if (onProgress) onProgress(bytes.byteLength);
-        if (shouldAbort && shouldAbort()) {
-          return null;
+  // Strings and byte arrays at least this long are encoded and decoded as UTF-8
+  // natively; below it the bridge overhead outweighs the JavaScript loops.
+  const NATIVE_TEXT_CODEC_THRESHOLD = 1024;
+
+  // TextEncoder - encode strings to UTF-8
+  globalThis.TextEncoder = class TextEncoder {
+    encoding = 'utf-8';
+
+    static #getByteLength(string) {
+      if (string == null) return 0;
+      if (typeof string !== 'string') string = String(string);
+
+      let length = 0;
+      for (let i = 0; i < string.length; i++) {
+        const code = string.charCodeAt(i);
+        if (code < 0x80) {
+          length += 1;
+        } else if (code < 0x800) {
+          length += 2;
+        } else if ((code & 0xFC00) === 0xD800 && i + 1 < string.length &&
+          (string.charCodeAt(i + 1) & 0xFC00) === 0xDC00) {
+          // Surrogate pair
+          i++;
+          length += 4;
+        } else {
+          length += 3;
         }
       }
-      result += decoder.decode();
-      return result;
-    } finally {
-      try { reader.releaseLock(); } catch (e) { }
+      return length;
     }
-  }
 
-  // File - extends Blob with file metadata
-  globalThis.File = class File extends Blob {
-    #name;
-    #lastModified;
-    #filePath; // For files created from FileSystemFileHandle
+    // Encode as much of `string` as fits into `destination`, writing only
+    // complete UTF-8 sequences. Lone surrogates are encoded as U+FFFD.
+    static #encodeInto(string, destination) {
+      const capacity = destination.length;
+      let read = 0;
+      let written = 0;
 
-    constructor(parts, name, options = {}) {
-      if (arguments.length < 2) {
-        throw new TypeError(`Failed to construct 'File': 2 arguments required, but only ${arguments.length} present.`);
-      }
-      if (typeof name !== 'string') {
-        throw new TypeError("Failed to construct 'File': parameter 2 is not of type 'string'.");
-      }
+      while (read < string.length) {
+        let code = string.charCodeAt(read);
+        let units = 1;
 
-      super(parts, options);
-      this.#name = String(name || '');
-      this.#lastModified = options.lastModified || Date.now();
-      this.#filePath = options[SYMBOLS.filePath] || null; // Internal option for file system files
-      this[Symbol.toStringTag] = 'File';
-    }
+        if (code < 0x80) {
+          if (written >= capacity) break;
+          destination[written++] = code;
+          read++;
+          continue;
+        }
 
-    get name() { return this.#name; }
-    get lastModified() { return this.#lastModified; }
+        if ((code & 0xF800) === 0xD800) {
+          const next = string.charCodeAt(read + 1);
+          if ((code & 0xFC00) === 0xD800 && (next & 0xFC00) === 0xDC00) {
+            code = 0x10000 + ((code & 0x03FF) << 10) + (next & 0x03FF);
+            units = 2;
+          } else {
+            code = 0xFFFD;
+          }
+        }
 
-    stream() {
-      // If this File was created from a file system path, stream directly from disk using Swift
-      const filePath = this.#filePath;
-      if (filePath && __APPLE_SPEC__.FileSystem.exists(filePath) && __APPLE_SPEC__.FileSystem.isFile(filePath)) {
-        return createFileReadableStream(filePath);
+        if (code < 0x800) {
+          if (written + 2 > capacity) break;
+          destination[written++] = code >> 6 | 0xC0;
+        } else if (code < 0x10000) {
+          if (written + 3 > capacity) break;
+          destination[written++] = code >> 12 | 0xE0;
+          destination[written++] = code >> 6 & 0x3F | 0x80;
+        } else {
+          if (written + 4 > capacity) break;
+          destination[written++] = code >> 18 | 0xF0;
+          destination[written++] = code >> 12 & 0x3F | 0x80;
+          destination[written++] = code >> 6 & 0x3F | 0x80;
+        }
+        destination[written++] = code & 0x3F | 0x80;
+        read += units;
       }
 
-      // For in-memory File objects, use the parent Blob stream() method
-      return super.stream();
+      return { read, written };
     }
 
-    async text() {
-      // If this File was created from a file system path, read directly from disk
-      const filePath = this.#filePath;
-      if (filePath && __APPLE_SPEC__.FileSystem.exists(filePath) && __APPLE_SPEC__.FileSystem.isFile(filePath)) {
-        const content = __APPLE_SPEC__.FileSystem.readFile(filePath);
-        if (content === null) {
-          throw new Error(`Failed to read file: ${filePath}`);
-        }
-        return content;
+    encode(string = '') {
+      // Convert non-string inputs to strings like browsers do
+      if (typeof string !== 'string') {
+        string = String(string);
       }
 
-      // For in-memory File objects, use the parent Blob text() method
-      return super.text();
+      if (string.length >= NATIVE_TEXT_CODEC_THRESHOLD) {
+        return __APPLE_SPEC__.textCodec.encodeUtf8(string);
+      }
+
+      const utf8 = new Uint8Array(TextEncoder.#getByteLength(string));
+      TextEncoder.#encodeInto(string, utf8);
+      return utf8;
     }
 
-    async arrayBuffer() {
-      // If this File was created from a file system path, read directly from disk
-      const filePath = this.#filePath;
-      if (filePath && __APPLE_SPEC__.FileSystem.exists(filePath) && __APPLE_SPEC__.FileSystem.isFile(filePath)) {
-        const data = __APPLE_SPEC__.FileSystem.readFileData(filePath);
-        if (!data) {
-          throw new Error(`Failed to read file: ${filePath}`);
-        }
-        return data.buffer;
+    encodeInto(source, destination) {
+      if (!(destination instanceof Uint8Array)) {
+        throw new TypeError("Failed to execute 'encodeInto' on 'TextEncoder': parameter 2 is not of type 'Uint8Array'.");
       }
+      const string = String(source);
 
-      // For in-memory File objects, use the parent Blob arrayBuffer() method
-      return super.arrayBuffer();
-    }
-
-    // Static method to create File from file system path
-    static fromPath(path) {
-      if (!__APPLE_SPEC__.FileSystem.exists(path) || !__APPLE_SPEC__.FileSystem.isFile(path)) {
-        throw new Error(`File not found: ${path}`);
+      // Every UTF-16 code unit takes at most 3 bytes, so the whole string fits
+      if (string.length >= NATIVE_TEXT_CODEC_THRESHOLD && string.length * 3 <= destination.length) {
+        const utf8 = __APPLE_SPEC__.textCodec.encodeUtf8(string);
+        destination.set(utf8);
+        return { read: string.length, written: utf8.length };
       }
 
-      const stats = __APPLE_SPEC__.FileSystem.stat(path);
+      return TextEncoder.#encodeInto(string, destination);
+    }
+  };
 
-      // Extract filename and extension using JavaScript
-      const name = path.split('/').pop() || '';
-      const ext = name.includes('.') ? '.' + name.split('.').pop() : '';
+  // WHATWG Encoding Standard labels, grouped by the encoding name they resolve to
+  const TEXT_ENCODING_LABELS = {
+    'utf-8': ['unicode-1-1-utf-8', 'unicode11utf8', 'unicode20utf8', 'utf-8', 'utf8', 'x-unicode20utf8'],
+    'ibm866': ['866', 'cp866', 'csibm866', 'ibm866'],
+    'iso-8859-2': ['csisolatin2', 'iso-8859-2', 'iso-ir-101', 'iso8859-2', 'iso88592', 'iso_8859-2', 'iso_8859-2:1987', 'l2', 'latin2'],
+    'iso-8859-3': ['csisolatin3', 'iso-8859-3', 'iso-ir-109', 'iso8859-3', 'iso88593', 'iso_8859-3', 'iso_8859-3:1988', 'l3', 'latin3'],
+    'iso-8859-4': ['csisolatin4', 'iso-8859-4', 'iso-ir-110', 'iso8859-4', 'iso88594', 'iso_8859-4', 'iso_8859-4:1988', 'l4', 'latin4'],
+    'iso-8859-5': ['csisolatincyrillic', 'cyrillic', 'iso-8859-5', 'iso-ir-144', 'iso8859-5', 'iso88595', 'iso_8859-5', 'iso_8859-5:1988'],
+    'iso-8859-6': ['arabic', 'asmo-708', 'csiso88596e', 'csiso88596i', 'csisolatinarabic', 'ecma-114', 'iso-8859-6', 'iso-8859-6-e',
+      'iso-8859-6-i', 'iso-ir-127', 'iso8859-6', 'iso88596', 'iso_8859-6', 'iso_8859-6:1987'],
+    'iso-8859-7': ['csisolatingreek', 'ecma-118', 'elot_928', 'greek', 'greek8', 'iso-8859-7', 'iso-ir-126', 'iso8859-7', 'iso88597',
+      'iso_8859-7', 'iso_8859-7:1987', 'sun_eu_greek'],
+    'iso-8859-8': ['csiso88598e', 'csisolatinhebrew', 'hebrew', 'iso-8859-8', 'iso-8859-8-e', 'iso-ir-138', 'iso8859-8', 'iso88598',
+      'iso_8859-8', 'iso_8859-8:1988', 'visual'],
+    'iso-8859-8-i': ['csiso88598i', 'iso-8859-8-i', 'logical'],
+    'iso-8859-10': ['csisolatin6', 'iso-8859-10', 'iso-ir-157', 'iso8859-10', 'iso885910', 'l6', 'latin6'],
+    'iso-8859-13': ['iso-8859-13', 'iso8859-13', 'iso885913'],
+    'iso-8859-14': ['iso-8859-14', 'iso8859-14', 'iso885914'],
+    'iso-8859-15': ['csisolatin9', 'iso-8859-15', 'iso8859-15', 'iso885915', 'iso_8859-15', 'l9'],
+    'iso-8859-16': ['iso-8859-16'],
+    'koi8-r': ['cskoi8r', 'koi', 'koi8', 'koi8-r', 'koi8_r'],
+    'koi8-u': ['koi8-ru', 'koi8-u'],
+    'macintosh': ['csmacintosh', 'mac', 'macintosh', 'x-mac-roman'],
+    'windows-874': ['dos-874', 'iso-8859-11', 'iso8859-11', 'iso885911', 'tis-620', 'windows-874'],
+    'windows-1250': ['cp1250', 'windows-1250', 'x-cp1250'],
+    'windows-1251': ['cp1251', 'windows-1251', 'x-cp1251'],
+    'windows-1252': ['ansi_x3.4-1968', 'ascii', 'cp1252', 'cp819', 'csisolatin1', 'ibm819', 'iso-8859-1', 'iso-ir-100', 'iso8859-1',
+      'iso88591', 'iso_8859-1', 'iso_8859-1:1987', 'l1', 'latin1', 'us-ascii', 'windows-1252', 'x-cp1252'],
+    'windows-1253': ['cp1253', 'windows-1253', 'x-cp1253'],
+    'windows-1254': ['cp1254', 'csisolatin5', 'iso-8859-9', 'iso-ir-148', 'iso8859-9', 'iso88599', 'iso_8859-9', 'iso_8859-9:1989',
+      'l5', 'latin5', 'windows-1254', 'x-cp1254'],
+    'windows-1255': ['cp1255', 'windows-1255', 'x-cp1255'],
+    'windows-1256': ['cp1256', 'windows-1256', 'x-cp1256'],
+    'windows-1257': ['cp1257', 'windows-1257', 'x-cp1257'],
+    'windows-1258': ['cp1258', 'windows-1258', 'x-cp1258'],
+    'x-mac-cyrillic': ['x-mac-cyrillic', 'x-mac-ukrainian'],
+    'gbk': ['chinese', 'csgb2312', 'csiso58gb231280', 'gb2312', 'gb_2312', 'gb_2312-80', 'gbk', 'iso-ir-58', 'x-gbk'],
+    'gb18030': ['gb18030'],
+    'big5': ['big5', 'big5-hkscs', 'cn-big5', 'csbig5', 'x-x-big5'],
+    'euc-jp': ['cseucpkdfmtjapanese', 'euc-jp', 'x-euc-jp'],
+    'iso-2022-jp': ['csiso2022jp', 'iso-2022-jp'],
+    'shift_jis': ['csshiftjis', 'ms932', 'ms_kanji', 'shift-jis', 'shift_jis', 'sjis', 'windows-31j', 'x-sjis'],
+    'euc-kr': ['cseuckr', 'csksc56011987', 'euc-kr', 'iso-ir-149', 'korean', 'ks_c_5601-1987', 'ks_c_5601-1989', 'ksc5601',
+      'ksc_5601', 'windows-949'],
+    'replacement': ['csiso2022kr', 'hz-gb-2312', 'iso-2022-cn', 'iso-2022-cn-ext', 'iso-2022-kr', 'replacement'],
+    'utf-16be': ['unicodefffe', 'utf-16be'],
+    'utf-16le': ['csunicode', 'iso-10646-ucs-2', 'ucs-2', 'unicode', 'unicodefeff', 'utf-16', 'utf-16le'],
+    'x-user-defined': ['x-user-defined']
+  };
 
-      // Helper function for MIME types
-      function getMimeType(ext) {
-        const mimes = {
-          '.txt': 'text/plain',
-          '.html': 'text/html',
-          '.json': 'application/json',
-          '.js': 'application/javascript',
-          '.css': 'text/css',
-          '.png': 'image/png',
-          '.jpg': 'image/jpeg',
-          '.jpeg': 'image/jpeg',
-          '.gif': 'image/gif',
-          '.pdf': 'application/pdf'
-        };
-        return mimes[ext.toLowerCase()] || 'application/octet-stream';
-      }
+  const TEXT_ENCODINGS = new Map(Object.entries(TEXT_ENCODING_LABELS)
+    .flatMap(([name, labels]) => labels.map(label => [label, name])));
 
-      // Create File object that references the path for efficient operations
-      const file = new File([], name, {
-        type: getMimeType(ext),
-        lastModified: stats.mtime || Date.now(),
-        [SYMBOLS.filePath]: path
-      });
+  // Helper: resolve an encoding label to its encoding name, or null for unknown labels
+  function resolveTextEncodingLabel(label) {
+    return TEXT_ENCODINGS.get(String(label).replace(/^[\t\n\f\r ]+|[\t\n\f\r ]+$/g, '').toLowerCase()) ?? null;
+  }
 
-      // Override the size property to reflect the actual file size
-      Object.defineProperty(file, 'size', {
-        value: stats.size || 0,
-        writable: false,
-        enumerable: true,
-        configurable: false
-      });
+  // Legacy decoding tables are fetched from the native string converters one
+  // row (a byte prefix followed by every possible final byte) at a time.
+  const LEGACY_DECODING_ROWS = new Map();
 
-      return file;
+  function legacyDecodingRow(encoding, ...prefix) {
+    const key = `${encoding}:${prefix.join(',')}`;
+    let row = LEGACY_DECODING_ROWS.get(key);
+    if (!row) {
+      row = __APPLE_SPEC__.textCodec.decodingTable(encoding, new Uint8Array(prefix)) ?? [];
+      LEGACY_DECODING_ROWS.set(key, row);
     }
-  };
-
-  // FileReader - asynchronous file reading with events
-  globalThis.FileReader = class FileReader extends EventTarget {
-    static EMPTY = 0;
-    static LOADING = 1;
-    static DONE = 2;
-
-    #readyState = FileReader.EMPTY;
-    #result = null;
-    #error = null;
+    return row;
+  }
 
-    constructor() {
-      super();
-      this.EMPTY = FileReader.EMPTY;
-      this.LOADING = FileReader.LOADING;
-      this.DONE = FileReader.DONE;
+  function pushCodePoint(units, codePoint) {
+    if (codePoint > 0xFFFF) {
+      codePoint -= 0x10000;
+      units.push(0xD800 + (codePoint >> 10), 0xDC00 + (codePoint & 0x3FF));
+    } else {
+      units.push(codePoint);
+    }
+  }
 
-      // Event handler properties
-      this.onloadstart = null;
-      this.onprogress = null;
-      this.onload = null;
-      this.onabort = null;
-      this.onerror = null;
-      this.onloadend = null;
+  // Helper: append a decoded table entry, which holds at most two code points
+  function pushDecodedSequence(units, text) {
+    if (!text || text.length > 2) return false;
+    for (let i = 0; i < text.length; i++) {
+      units.push(text.charCodeAt(i));
     }
+    return true;
+  }
 
-    get readyState() { return this.#readyState; }
-    get result() { return this.#result; }
-    get error() { return this.#error; }
+  // Text decoding readers implement the WHATWG decoder algorithms one byte
+  // sequence at a time. A reader decodes the sequence starting at `bytes[i]`
+  // into `units` and returns the number of bytes consumed, -n for an error
+  // that consumes n bytes, or 0 when the sequence is cut off by the end of
+  // the input.
+  function readUtf8Sequence(bytes, i, units) {
+    const first = bytes[i];
+    if (first < 0x80) {
+      units.push(first);
+      return 1;
+    }
 
-    #setReadyState(state) {
-      this.#readyState = state;
+    let needed, codePoint;
+    let lower = 0x80;
+    let upper = 0xBF;
+    if (first >= 0xC2 && first <= 0xDF) {
+      needed = 1;
+      codePoint = first & 0x1F;
+    } else if (first >= 0xE0 && first <= 0xEF) {
+      needed = 2;
+      codePoint = first & 0x0F;
+      if (first === 0xE0) lower = 0xA0;
+      if (first === 0xED) upper = 0x9F;
+    } else if (first >= 0xF0 && first <= 0xF4) {
+      needed = 3;
+      codePoint = first & 0x07;
+      if (first === 0xF0) lower = 0x90;
+      if (first === 0xF4) upper = 0x8F;
+    } else {
+      return -1;
     }
 
-    #fireEvent(type, data = {}) {
-      const event = new Event(type);
-      Object.assign(event, data);
+    for (let n = 1; n <= needed; n++) {
+      if (i + n >= bytes.length) return 0;
+      const byte = bytes[i + n];
+      if (byte < lower || byte > upper) return -n;
+      lower = 0x80;
+      upper = 0xBF;
+      codePoint = (codePoint << 6) | (byte & 0x3F);
+    }
+    pushCodePoint(units, codePoint);
+    return needed + 1;
+  }
 
-      this.dispatchEvent(event);
+  function createUtf16Reader(bigEndian) {
+    const readUnit = (bytes, i) => bigEndian ? (bytes[i] << 8) | bytes[i + 1] : bytes[i] | (bytes[i + 1] << 8);
+    return (bytes, i, units) => {
+      if (i + 1 >= bytes.length) return 0;
+      const unit = readUnit(bytes, i);
+      if (unit < 0xD800 || unit > 0xDFFF) {
+        units.push(unit);
+        return 2;
+      }
+      if (unit >= 0xDC00) return -2;
+      if (i + 3 >= bytes.length) return 0;
+      const trail = readUnit(bytes, i + 2);
+      if (trail < 0xDC00 || trail > 0xDFFF) return -2;
+      units.push(unit, trail);
+      return 4;
+    };
+  }
 
-      // Also call the onX handler if it exists
-      const handler = this['on' + type];
-      if (typeof handler === 'function') {
-        // Ensure target is set correctly for onX handlers
-        if (!event.target) {
-          event.target = this;
-        }
-        handler.call(this, event);
+  function createSingleByteReader(encoding) {
+    return (bytes, i, units) => {
+      const byte = bytes[i];
+      if (byte < 0x80) {
+        units.push(byte);
+        return 1;
       }
+      const text = legacyDecodingRow(encoding)[byte];
+      if (text?.length === 1) {
+        units.push(text.charCodeAt(0));
+        return 1;
+      }
+      // windows-1252 passes the bytes it leaves undefined through as C1 controls
+      if (encoding === 'windows-1252' && byte < 0xA0) {
+        units.push(byte);
+        return 1;
+      }
+      return -1;
+    };
+  }
+
+  // Helper: the error result for an invalid two-byte sequence; an ASCII second
+  // byte is not consumed, so it is decoded again on its own
+  function invalidTrailByte(byte) {
+    return byte < 0x80 ? -1 : -2;
+  }
+
+  // gbk and gb18030 share the gb18030 decoder
+  function readGb18030Sequence(bytes, i, units) {
+    const first = bytes[i];
+    if (first < 0x80) {
+      units.push(first);
+      return 1;
     }
+    if (first === 0x80) {
+      units.push(0x20AC);
+      return 1;
+    }
+    if (first === 0xFF) return -1;
+    if (i + 1 >= bytes.length) return 0;
 
-    abort() {
-      if (this.#readyState === FileReader.LOADING) {
-        this.#setReadyState(FileReader.DONE);
-        this.#result = null;
-        this.#fireEvent('abort');
-        this.#fireEvent('loadend');
-      }
+    const second = bytes[i + 1];
+    if (second >= 0x30 && second <= 0x39) {
+      if (i + 2 >= bytes.length) return 0;
+      const third = bytes[i + 2];
+      if (third < 0x81 || third > 0xFE) return -1;
+      if (i + 3 >= bytes.length) return 0;
+      const fourth = bytes[i + 3];
+      if (fourth < 0x30 || fourth > 0x39) return -1;
+      return pushDecodedSequence(units, legacyDecodingRow('gb18030', first, second, third)[fourth]) ? 4 : -4;
+    }
+    if ((second >= 0x40 && second <= 0x7E) || (second >= 0x80 && second <= 0xFE)) {
+      if (pushDecodedSequence(units, legacyDecodingRow('gb18030', first)[second])) return 2;
     }
+    return invalidTrailByte(second);
+  }
 
-    readAsArrayBuffer(blob) {
-      if (this.#readyState === FileReader.LOADING) {
-        throw new Error('InvalidStateError: FileReader is already reading');
-      }
-      this.#startReading(blob, 'arraybuffer');
+  function readBig5Sequence(bytes, i, units) {
+    const lead = bytes[i];
+    if (lead < 0x80) {
+      units.push(lead);
+      return 1;
     }
+    if (lead === 0x80 || lead === 0xFF) return -1;
+    if (i + 1 >= bytes.length) return 0;
 
-    readAsBinaryString(blob) {
-      if (this.#readyState === FileReader.LOADING) {
-        throw new Error('InvalidStateError: FileReader is already reading');
-      }
-      this.#startReading(blob, 'binarystring');
+    const byte = bytes[i + 1];
+    if ((byte >= 0x40 && byte <= 0x7E) || (byte >= 0xA1 && byte <= 0xFE)) {
+      if (pushDecodedSequence(units, legacyDecodingRow('big5', lead)[byte])) return 2;
     }
+    return invalidTrailByte(byte);
+  }
 
-    readAsDataURL(blob) {
-      if (this.#readyState === FileReader.LOADING) {
-        throw new Error('InvalidStateError: FileReader is already reading');
-      }
-      this.#startReading(blob, 'dataurl');
+  function readShiftJisSequence(bytes, i, units) {
+    const lead = bytes[i];
+    if (lead <= 0x80) {
+      units.push(lead);
+      return 1;
+    }
+    if (lead >= 0xA1 && lead <= 0xDF) {
+      units.push(0xFF61 - 0xA1 + lead);
+      return 1;
     }
+    if ((lead < 0x81 || lead > 0x9F) && (lead < 0xE0 || lead > 0xFC)) return -1;
+    if (i + 1 >= bytes.length) return 0;
 
-    readAsText(blob, encoding = 'utf-8') {
-      if (this.#readyState === FileReader.LOADING) {
-        throw new Error('InvalidStateError: FileReader is already reading');
+    const byte = bytes[i + 1];
+    if ((byte >= 0x40 && byte <= 0x7E) || (byte >= 0x80 && byte <= 0xFC)) {
+      const pointer = (lead - (lead < 0xA0 ? 0x81 : 0xC1)) * 188 + byte - (byte < 0x7F ? 0x40 : 0x41);
+      // The user-defined area maps directly onto the Private Use Area
+      if (pointer >= 8836 && pointer <= 10715) {
+        units.push(0xE000 - 8836 + pointer);
+        return 2;
       }
-      this.#startReading(blob, 'text', encoding);
+      if (pushDecodedSequence(units, legacyDecodingRow('shift_jis', lead)[byte])) return 2;
     }
+    return invalidTrailByte(byte);
+  }
 
-    // Enhanced method to read files directly from filesystem paths
-    readAsArrayBufferFromPath(filePath) {
-      const file = File.fromPath(filePath);
-      this.readAsArrayBuffer(file);
+  function readEucKrSequence(bytes, i, units) {
+    const lead = bytes[i];
+    if (lead < 0x80) {
+      units.push(lead);
+      return 1;
     }
+    if (lead < 0x81 || lead > 0xFE) return -1;
+    if (i + 1 >= bytes.length) return 0;
 
-    readAsTextFromPath(filePath, encoding = 'utf-8') {
-      const file = File.fromPath(filePath);
-      this.readAsText(file);
+    const byte = bytes[i + 1];
+    if (byte >= 0x41 && byte <= 0xFE && pushDecodedSequence(units, legacyDecodingRow('euc-kr', lead)[byte])) return 2;
+    return invalidTrailByte(byte);
+  }
+
+  function readEucJpSequence(bytes, i, units) {
+    const lead = bytes[i];
+    if (lead < 0x80) {
+      units.push(lead);
+      return 1;
     }
+    if (lead !== 0x8E && lead !== 0x8F && (lead < 0xA1 || lead > 0xFE)) return -1;
+    if (i + 1 >= bytes.length) return 0;
 
-    readAsDataURLFromPath(filePath) {
-      const file = File.fromPath(filePath);
-      this.readAsDataURL(file);
+    const byte = bytes[i + 1];
+    if (lead === 0x8E && byte >= 0xA1 && byte <= 0xDF) {
+      units.push(0xFF61 - 0xA1 + byte);
+      return 2;
     }
+    if (lead === 0x8F && byte >= 0xA1 && byte <= 0xFE) {
+      // JIS X 0212 three-byte sequence
+      if (i + 2 >= bytes.length) return 0;
+      const third = bytes[i + 2];
+      if (third >= 0xA1 && third <= 0xFE && pushDecodedSequence(units, legacyDecodingRow('euc-jp', lead, byte)[third])) return 3;
+      return third < 0x80 ? -2 : -3;
+    }
+    if (lead >= 0xA1 && byte >= 0xA1 && byte <= 0xFE && pushDecodedSequence(units, legacyDecodingRow('euc-jp', lead)[byte])) return 2;
+    return invalidTrailByte(byte);
+  }
 
-    async #startReading(blobOrFile, format, encoding = 'utf-8') {
-      // State should already be checked by the caller, but double-check
-      if (this.#readyState === FileReader.LOADING) {
-        throw new Error('InvalidStateError: FileReader is already reading');
-      }
+  function readUserDefinedSequence(bytes, i, units) {
+    const byte = bytes[i];
+    units.push(byte < 0x80 ? byte : 0xF780 + byte - 0x80);
+    return 1;
+  }
 
-      // Capture 'this' reference to preserve context across async boundaries
-      const self = this;
+  // Helper: the reader for an encoding name, or null when the encoding is not supported
+  function createTextDecodingReader(encoding) {
+    switch (encoding) {
+      case 'utf-8': return readUtf8Sequence;
+      case 'utf-16le': return createUtf16Reader(false);
+      case 'utf-16be': return createUtf16Reader(true);
+      case 'gbk':
+      case 'gb18030': return readGb18030Sequence;
+      case 'big5': return readBig5Sequence;
+      case 'shift_jis': return readShiftJisSequence;
+      case 'euc-kr': return readEucKrSequence;
+      case 'euc-jp': return readEucJpSequence;
+      case 'x-user-defined': return readUserDefinedSequence;
+      case 'iso-2022-jp':
+      case 'replacement': return null;
+      default: return createSingleByteReader(encoding);
+    }
+  }
 
-      self.#setReadyState(FileReader.LOADING);
-      self.#result = null;
-      self.#error = null;
+  // Helper: the length of `bytes` without a trailing UTF-8 sequence that is
+  // cut short, which a streaming decode keeps for the next chunk
+  function completeUtf8Length(bytes) {
+    for (let i = Math.max(0, bytes.length - 3); i < bytes.length; i++) {
+      if (bytes[i] >= 0xC2 && readUtf8Sequence(bytes, i, []) === 0) return i;
+    }
+    return bytes.length;
+  }
 
-      // Fire loadstart event
-      self.#fireEvent('loadstart');
+  function codeUnitsToString(units) {
+    let string = '';
+    for (let i = 0; i < units.length; i += 0x8000) {
+      string += String.fromCharCode(...units.slice(i, i + 0x8000));
+    }
+    return string;
+  }
 
-      try {
-        let blob = blobOrFile;
-        let useStreaming = blob.size > 1024 * 1024; // Use streaming for files > 1MB
+  // TextDecoder - decode bytes in any WHATWG encoding to strings
+  globalThis.TextDecoder = class TextDecoder {
+    #encoding;
+    #fatal;
+    #ignoreBOM;
+    #reader;
+    #pending = new Uint8Array(0);
+    #bomSeen = false;
 
-        const total = blob.size || 0;
-        let loaded = 0;
+    constructor(label = 'utf-8', options = {}) {
+      const encoding = resolveTextEncodingLabel(label);
+      const reader = encoding && createTextDecodingReader(encoding);
+      if (!reader) {
+        throw new RangeError(`The encoding label provided ('${label}') is invalid or not supported.`);
+      }
+      this.#encoding = encoding;
+      this.#reader = reader;
+      this.#fatal = Boolean(options?.fatal);
+      this.#ignoreBOM = Boolean(options?.ignoreBOM);
+    }
 
-        // Fire initial progress event
-        self.#fireEvent('progress', { loaded: 0, total, lengthComputable: total > 0 });
+    get encoding() {
+      return this.#encoding;
+    }
 
-        let result;
+    get fatal() {
+      return this.#fatal;
+    }
 
-        if (useStreaming && (format === 'arraybuffer' || format === 'text')) {
-          // Use proper streaming that processes chunks as they arrive
-          result = await self.#streamingRead(blob, format, encoding, (progressLoaded) => {
-            loaded = progressLoaded;
-            self.#fireEvent('progress', { loaded, total, lengthComputable: true });
-          });
-        } else {
-          // Standard reading for smaller files
-          switch (format) {
-            case 'arraybuffer':
-              result = await blob.arrayBuffer();
-              break;
+    get ignoreBOM() {
+      return this.#ignoreBOM;
+    }
 
-            case 'text':
-              result = await blob.text();
-              break;
+    decode(input, options = {}) {
+      if (input != null && !(input instanceof ArrayBuffer) && !ArrayBuffer.isView(input)) {
+        throw new TypeError("The provided value is not of type '(ArrayBuffer or ArrayBufferView)'");
+      }
+      const stream = Boolean(options?.stream);
 
-            case 'dataurl':
-              const buffer = await blob.arrayBuffer();
-              const bytes = new Uint8Array(buffer);
-              const base64 = btoa(String.fromCharCode(...bytes));
-              result = `data:${blob.type || 'application/octet-stream'};base64,${base64}`;
-              break;
+      let bytes = toUint8Array(input);
+      if (this.#pending.length > 0) {
+        const combined = new Uint8Array(this.#pending.length + bytes.length);
+        combined.set(this.#pending);
+        combined.set(bytes, this.#pending.length);
+        bytes = combined;
+      }
 
-            case 'binarystring':
-              const binaryBuffer = await blob.arrayBuffer();
-              const binaryBytes = new Uint8Array(binaryBuffer);
-              result = String.fromCharCode(...binaryBytes);
-              break;
+      let text;
+      let consumed;
+      if (this.#encoding === 'utf-8' && bytes.length >= NATIVE_TEXT_CODEC_THRESHOLD) {
+        consumed = stream ? completeUtf8Length(bytes) : bytes.length;
+        text = __APPLE_SPEC__.textCodec.decodeUtf8(bytes.subarray(0, consumed), this.#fatal);
+        if (text == null) this.#fail();
+      } else {
+        [text, consumed] = this.#decodeSequences(bytes, stream);
+      }
+      this.#pending = stream ? bytes.slice(consumed) : new Uint8Array(0);
 
-            default:
-              throw new Error(`Unknown format: ${format}`);
-          }
+      if (!this.#bomSeen && text.length > 0) {
+        this.#bomSeen = true;
+        const unicode = this.#encoding === 'utf-8' || this.#encoding === 'utf-16le' || this.#encoding === 'utf-16be';
+        if (unicode && !this.#ignoreBOM && text.charCodeAt(0) === 0xFEFF) {
+          text = text.slice(1);
         }
+      }
+      if (!stream) {
+        this.#bomSeen = false;
+      }
+      return text;
+    }
 
-        // Check if reading was aborted
-        if (self.#readyState !== FileReader.LOADING) {
-          return; // Aborted
+    // Run the encoding's reader over `bytes`, returning the decoded text and
+    // the number of bytes consumed
+    #decodeSequences(bytes, stream) {
+      const units = [];
+      let i = 0;
+      while (i < bytes.length) {
+        const result = this.#reader(bytes, i, units);
+        if (result > 0) {
+          i += result;
+          continue;
         }
+        // Keep a sequence split across calls for the next chunk of the stream
+        if (result === 0 && stream) break;
+        if (this.#fatal) this.#fail();
+        units.push(0xFFFD);
+        i += result === 0 ? bytes.length - i : -result;
+      }
+      return [codeUnitsToString(units), i];
+    }
 
-        self.#result = result;
-        self.#setReadyState(FileReader.DONE);
+    #fail() {
+      this.#pending = new Uint8Array(0);
+      this.#bomSeen = false;
+      throw new TypeError(`The encoded data was not valid for encoding ${this.#encoding}`);
+    }
+  };
 
-        // Fire final progress event
-        self.#fireEvent('progress', { loaded: total, total, lengthComputable: true });
+  // Base64 encoding/decoding functions for Data URLs and binary data
+  globalThis.btoa = function (data) {
+    // Web standard: btoa should accept any value and convert to string
+    if (arguments.length === 0) {
+      throw new TypeError('Failed to execute \'btoa\': 1 argument required, but only 0 present.');
+    }
 
-        // Fire load event
-        self.#fireEvent('load');
+    // Convert to string following web standard ToString operation
+    const str = String(data);
 
-        // Fire loadend event
-        self.#fireEvent('loadend');
+    // Convert string to UTF-8 bytes first
+    const utf8Bytes = [];
+    for (let i = 0; i < str.length; i++) {
+      const code = str.charCodeAt(i);
+      if (code > 255) {
+        throw new Error('Failed to execute \'btoa\': The string to be encoded contains characters outside of the Latin1 range.');
+      }
+      utf8Bytes.push(code);
+    }
 
-      } catch (error) {
-        // Check if reading was aborted
-        if (self.#readyState !== FileReader.LOADING) {
-          return; // Aborted
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    let result = '';
+
+    for (let i = 0; i < utf8Bytes.length; i += 3) {
+      const a = utf8Bytes[i];
+      const b = i + 1 < utf8Bytes.length ? utf8Bytes[i + 1] : 0;
+      const c = i + 2 < utf8Bytes.length ? utf8Bytes[i + 2] : 0;
+
+      const bitmap = (a << 16) | (b << 8) | c;
+
+      result += chars.charAt((bitmap >> 18) & 63);
+      result += chars.charAt((bitmap >> 12) & 63);
+      result += i + 1 < utf8Bytes.length ? chars.charAt((bitmap >> 6) & 63) : '=';
+      result += i + 2 < utf8Bytes.length ? chars.charAt(bitmap & 63) : '=';
+    }
+
+    return result;
+  };
+
+  globalThis.atob = function (data) {
+    // Web standard: atob should accept any value and convert to string
+    if (arguments.length === 0) {
+      throw new TypeError('Failed to execute \'atob\': 1 argument required, but only 0 present.');
+    }
+
+    // Convert to string following web standard ToString operation
+    let base64 = String(data);
+
+    // Remove whitespace and validate base64 characters
+    base64 = base64.replace(/\s/g, '');
+
+    // Handle missing padding by adding it
+    const paddingNeeded = 4 - (base64.length % 4);
+    if (paddingNeeded < 4) {
+      base64 += '='.repeat(paddingNeeded);
+    }
+
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(base64)) {
+      throw new Error('Failed to execute \'atob\': The string to be decoded is not correctly encoded.');
+    }
+
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    let result = '';
+
+    for (let i = 0; i < base64.length; i += 4) {
+      const char1 = base64.charAt(i);
+      const char2 = base64.charAt(i + 1);
+      const char3 = base64.charAt(i + 2);
+      const char4 = base64.charAt(i + 3);
+
+      const encoded1 = chars.indexOf(char1);
+      const encoded2 = chars.indexOf(char2);
+      const encoded3 = char3 === '=' ? 0 : chars.indexOf(char3);
+      const encoded4 = char4 === '=' ? 0 : chars.indexOf(char4);
+
+      if (encoded1 === -1 || encoded2 === -1 || (char3 !== '=' && encoded3 === -1) || (char4 !== '=' && encoded4 === -1)) {
+        throw new Error('Failed to execute \'atob\': The string to be decoded is not correctly encoded.');
+      }
+
+      const bitmap = (encoded1 << 18) | (encoded2 << 12) | (encoded3 << 6) | encoded4;
+
+      // Always decode the first byte
+      result += String.fromCharCode((bitmap >> 16) & 255);
+
+      // Decode second byte unless we have double padding
+      if (char3 !== '=') {
+        result += String.fromCharCode((bitmap >> 8) & 255);
+      }
+
+      // Decode third byte unless we have any padding
+      if (char4 !== '=') {
+        result += String.fromCharCode(bitmap & 255);
+      }
+    }
+
+    return result;
+  };  // Enhanced Console implementation
+  globalThis.console = globalThis.console || {};
+
+  // Console state tracking
+  const consoleState = {
+    timers: new Map(),
+    counters: new Map(),
+    groupStack: [],
+    groupDepth: 0
+  };
+
+  // Utility functions for better formatting
+  function formatValue(value, depth = 0, maxDepth = 3, seen = new WeakSet()) {
+    if (depth > maxDepth) return '[Max Depth Reached]';
+
+    if (value === null) return 'null';
+    if (value === undefined) return 'undefined';
+
+    const type = typeof value;
+
+    if (type === 'string') return `"${value}"`;
+    if (type === 'number' || type === 'boolean' || type === 'bigint') return String(value);
+    if (type === 'symbol') return value.toString();
+
+    if (type === 'function') {
+      const funcStr = value.toString();
+      const name = value.name || 'anonymous';
+      // Show just the function signature for better readability
+      const match = funcStr.match(/^(?:async\s+)?(?:function\s*)?([^(]*)\([^)]*\)/);
+      return match ? `[Function: ${name}]` : `[Function: ${name}]`;
+    }
+
+    if (type === 'object') {
+      if (seen.has(value)) return '[Circular Reference]';
+      seen.add(value);
+
+      try {
+        if (Array.isArray(value)) {
+          if (value.length === 0) return '[]';
+          if (depth >= maxDepth) return `[Array(${value.length})]`;
+
+          const items = value.slice(0, 10).map(item => formatValue(item, depth + 1, maxDepth, seen));
+          const result = items.length < value.length
+            ? `[ ${items.join(', ')}, ... ${value.length - items.length} more ]`
+            : `[ ${items.join(', ')} ]`;
+          seen.delete(value);
+          return result;
+        }
+
+        if (value instanceof Date) {
+          seen.delete(value);
+          return value.toISOString();
+        }
+
+        if (value instanceof Error) {
+          seen.delete(value);
+          return `${value.name}: ${value.message}${value.stack ? '\n' + value.stack : ''}`;
+        }
+
+        if (value instanceof RegExp) {
+          seen.delete(value);
+          return value.toString();
+        }
+
+        // Handle DOM-like objects or objects with custom toString
+        if (value.toString && value.toString !== Object.prototype.toString) {
+          const str = value.toString();
+          if (str !== '[object Object]') {
+            seen.delete(value);
+            return str;
+          }
+        }
+
+        // Format plain objects
+        if (depth >= maxDepth) {
+          seen.delete(value);
+          return '[Object]';
+        }
+
+        const keys = Object.keys(value);
+        if (keys.length === 0) {
+          seen.delete(value);
+          return '{}';
+        }
+
+        const pairs = keys.slice(0, 10).map(key => {
+          try {
+            return `${key}: ${formatValue(value[key], depth + 1, maxDepth, seen)}`;
+          } catch (e) {
+            return `${key}: [Error getting value]`;
+          }
+        });
+
+        const result = keys.length > 10
+          ? `{ ${pairs.join(', ')}, ... ${keys.length - 10} more }`
+          : `{ ${pairs.join(', ')} }`;
+
+        seen.delete(value);
+        return result;
+      } catch (e) {
+        seen.delete(value);
+        return '[Error formatting object]';
+      }
+    }
+
+    return String(value);
+  }
+
+  function formatArguments(args) {
+    return args.map(arg => formatValue(arg)).join(' ');
+  }
+
+  function getGroupPrefix() {
+    return '  '.repeat(consoleState.groupDepth);
+  }
+
+  // Enhanced console methods that work with the existing Swift logger
+  const originalConsole = globalThis.console;
+
+  // Basic logging methods - these will be overridden by Swift but we provide fallbacks
+  ['log', 'error', 'warn', 'info', 'debug', 'trace'].forEach(method => {
+    if (!originalConsole[method]) {
+      originalConsole[method] = function (...args) {
+        // Fallback implementation if Swift doesn't override
+        const formatted = formatArguments(args);
+        const prefix = getGroupPrefix();
+        console._nativeLog?.(method.toUpperCase(), `${prefix}${formatted}`) ||
+          console._print?.(`[${method.toUpperCase()}] ${prefix}${formatted}`);
+      };
+    }
+  });
+
+  // Enhanced console methods
+  Object.assign(globalThis.console, {
+    // Timing methods
+    time(label = 'default') {
+      consoleState.timers.set(label, Date.now());
+    },
+
+    timeEnd(label = 'default') {
+      const startTime = consoleState.timers.get(label);
+      if (startTime !== undefined) {
+        const duration = Date.now() - startTime;
+        consoleState.timers.delete(label);
+        const message = `${label}: ${duration}ms`;
+        const prefix = getGroupPrefix();
+
+        // Use existing log method (which Swift will override)
+        console.log(`${prefix}⏱️  ${message}`);
+      } else {
+        console.warn(`Timer '${label}' does not exist`);
+      }
+    },
+
+    timeLog(label = 'default', ...args) {
+      const startTime = consoleState.timers.get(label);
+      if (startTime !== undefined) {
+        const duration = Date.now() - startTime;
+        const extraArgs = args.length > 0 ? ' ' + formatArguments(args) : '';
+        const message = `${label}: ${duration}ms${extraArgs}`;
+        const prefix = getGroupPrefix();
+        console.log(`${prefix}⏱️  ${message}`);
+      } else {
+        console.warn(`Timer '${label}' does not exist`);
+      }
+    },
+
+    // Counting methods
+    count(label = 'default') {
+      const current = consoleState.counters.get(label) || 0;
+      const newCount = current + 1;
+      consoleState.counters.set(label, newCount);
+      const prefix = getGroupPrefix();
+      console.log(`${prefix}🔢 ${label}: ${newCount}`);
+    },
+
+    countReset(label = 'default') {
+      if (consoleState.counters.has(label)) {
+        consoleState.counters.delete(label);
+      } else {
+        console.warn(`Count for '${label}' does not exist`);
+      }
+    },
+
+    // Grouping methods
+    group(label = '') {
+      const prefix = getGroupPrefix();
+      if (label) {
+        console.log(`${prefix}📁 ${label}`);
+      }
+      consoleState.groupDepth++;
+    },
+
+    groupCollapsed(label = '') {
+      // Same as group for text-based console
+      this.group(label);
+    },
+
+    groupEnd() {
+      if (consoleState.groupDepth > 0) {
+        consoleState.groupDepth--;
+      }
+    },
+
+    // Table method (basic implementation)
+    table(data, columns) {
+      const prefix = getGroupPrefix();
+
+      if (!data || typeof data !== 'object') {
+        console.log(`${prefix}${formatValue(data)}`);
+        return;
+      }
+
+      if (Array.isArray(data)) {
+        console.log(`${prefix}📊 Table:`);
+        data.forEach((row, index) => {
+          if (typeof row === 'object' && row !== null) {
+            const rowData = columns ?
+              columns.reduce((acc, col) => ({ ...acc, [col]: row[col] }), {}) :
+              row;
+            console.log(`${prefix}  ${index}: ${formatValue(rowData)}`);
+          } else {
+            console.log(`${prefix}  ${index}: ${formatValue(row)}`);
+          }
+        });
+      } else {
+        console.log(`${prefix}📊 Table:`);
+        Object.entries(data).forEach(([key, value]) => {
+          console.log(`${prefix}  ${key}: ${formatValue(value)}`);
+        });
+      }
+    },
+
+    // Assertion method
+    assert(condition, ...args) {
+      if (!condition) {
+        const message = args.length > 0 ? formatArguments(args) : 'Assertion failed';
+        const prefix = getGroupPrefix();
+        console.error(`${prefix}❌ Assertion failed: ${message}`);
+      }
+    },
+
+    // Clear method (visual separator)
+    clear() {
+      console.log('\n'.repeat(3) + '🧹 Console cleared' + '\n'.repeat(2));
+    },
+
+    // Directory listing (basic object inspection)
+    dir(obj) {
+      const prefix = getGroupPrefix();
+      console.log(`${prefix}📋 ${formatValue(obj, 0, 5)}`);
+    },
+
+    dirxml(obj) {
+      // Alias for dir in non-DOM environment
+      this.dir(obj);
+    }
+  });
+
+  // Blob - binary data container
+  globalThis.Blob = class Blob {
+    #size = 0;
+    #type = '';
+    #parts = [];
+
+    constructor(parts = [], options = {}) {
+      this.#parts = Array.isArray(parts) ? parts.slice() : [parts];
+      this.#type = String(options.type || '').toLowerCase();
+      this.#calculateSize();
+      this[Symbol.toStringTag] = 'Blob';
+    }
+
+    get size() { return this.#size; }
+    get type() { return this.#type; }
+
+    #calculateSize() {
+      const encoder = new TextEncoder();
+      for (const part of this.#parts) {
+        if (typeof part === 'string') {
+          this.#size += encoder.encode(part).length;
+        } else if (part instanceof ArrayBuffer) {
+          this.#size += part.byteLength;
+        } else if (ArrayBuffer.isView(part)) {
+          this.#size += part.byteLength;
+        } else if (part instanceof Blob) {
+          this.#size += part.size || 0;
+        } else if (part != null) {
+          // Fallback to string conversion
+          this.#size += encoder.encode(String(part)).length;
+        }
+      }
+    }
+
+    #setSize(size) {
+      this.#size = size;
+    }
+
+    async #processAsyncParts(parts) {
+      const resolved = [];
+      for (const part of parts) {
+        if (part?.__asyncBlob) {
+          const blob = await part[SYMBOLS.blobPlaceholderPromise];
+          const buffer = await blob.arrayBuffer();
+          resolved.push(new Uint8Array(buffer, 0, buffer.byteLength));
+        } else {
+          resolved.push(part);
+        }
+      }
+      return resolved;
+    }
+
+    async arrayBuffer() {
+      let partsToProcess = this.#parts;
+
+      // Handle async placeholders
+      if (partsToProcess?.some(p => p?.__asyncBlob)) {
+        partsToProcess = await this.#processAsyncParts(partsToProcess);
+      }
+
+      const encoder = new TextEncoder();
+      const chunks = [];
+      let totalSize = 0;
+
+      for (const part of partsToProcess) {
+        let chunk;
+
+        if (typeof part === 'string') {
+          chunk = encoder.encode(part);
+        } else if (part instanceof ArrayBuffer) {
+          chunk = new Uint8Array(part, 0, part.byteLength);
+        } else if (ArrayBuffer.isView(part)) {
+          chunk = new Uint8Array(part.buffer, part.byteOffset, part.byteLength);
+        } else if (part instanceof Blob) {
+          const buffer = await part.arrayBuffer();
+          chunk = new Uint8Array(buffer, 0, buffer.byteLength);
+        } else if (part != null) {
+          chunk = encoder.encode(String(part));
+        } else {
+          continue;
+        }
+
+        chunks.push(chunk);
+        totalSize += chunk.byteLength;
+      }
+
+      const result = new Uint8Array(totalSize);
+      let offset = 0;
+      for (const chunk of chunks) {
+        result.set(chunk, offset);
+        offset += chunk.byteLength;
+      }
+
+      // Use helper to combine chunks
+      const combined = combineChunksToUint8Array(chunks);
+      return combined.buffer;
+    }
+
+    async text() {
+      const buffer = await this.arrayBuffer();
+      return new TextDecoder().decode(new Uint8Array(buffer));
+    }
+
+    slice(start = 0, end = undefined, contentType = '') {
+      const size = this.size || 0;
+      const relativeStart = start < 0 ? Math.max(size + start, 0) : Math.min(start, size);
+      const relativeEnd = end === undefined ? size : (end < 0 ? Math.max(size + end, 0) : Math.min(end, size));
+      const span = Math.max(relativeEnd - relativeStart, 0);
+
+      if (span === 0) {
+        return new Blob([], { type: contentType });
+      }
+
+      const slicePromise = this.arrayBuffer().then(buffer => {
+        const slicedBuffer = new Uint8Array(buffer, relativeStart, span);
+        return new Blob([slicedBuffer], { type: contentType });
+      });
+
+      // Return placeholder blob
+      const placeholder = new Blob([], { type: contentType });
+      placeholder.#parts = [{
+        __asyncBlob: true,
+        [SYMBOLS.blobPlaceholderPromise]: slicePromise
+      }];
+      placeholder.#setSize(span);
+      return placeholder;
+    }
+
+    stream() {
+      // Return a ReadableStream that properly streams the blob data
+      const blob = this;
+      const chunkSize = 64 * 1024; // 64KB chunks
+
+      return new ReadableStream({
+        async start(controller) {
+          try {
+            // Stream each part individually without loading everything into memory
+            await streamParts(blob.#parts, controller, chunkSize);
+            controller.close();
+          } catch (error) {
+            controller.error(error);
+          }
+        }
+      });
+
+      // Helper function to stream blob parts
+      async function streamParts(parts, controller, chunkSize) {
+        const encoder = new TextEncoder();
+
+        for (const part of parts) {
+          // Handle async placeholders (from sliced blobs)
+          if (part?.__asyncBlob) {
+            const resolvedBlob = await part[SYMBOLS.blobPlaceholderPromise];
+            await streamParts(resolvedBlob.#parts, controller, chunkSize);
+            continue;
+          }
+
+          if (typeof part === 'string') {
+            // Stream string data in chunks
+            const encoded = encoder.encode(part);
+            await streamBuffer(encoded, controller, chunkSize);
+          } else if (part instanceof ArrayBuffer) {
+            await streamBuffer(new Uint8Array(part, 0, part.byteLength), controller, chunkSize);
+          } else if (ArrayBuffer.isView(part)) {
+            await streamBuffer(new Uint8Array(part.buffer, part.byteOffset, part.byteLength), controller, chunkSize);
+          } else if (part instanceof Blob) {
+            // Recursively stream nested blob without loading into memory
+            const nestedStream = part.stream();
+            const reader = nestedStream.getReader();
+            try {
+                while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                const _v = toUint8Array(value);
+                controller.enqueue(new Uint8Array(_v.buffer, _v.byteOffset, _v.byteLength));
+              }
+            } finally {
+              reader.releaseLock();
+            }
+          } else if (part != null) {
+            // Fallback to string conversion for unknown types
+            const encoded = encoder.encode(String(part));
+            await streamBuffer(encoded, controller, chunkSize);
+          }
+        }
+      }
+
+      // Helper function to stream buffer in chunks
+      async function streamBuffer(buffer, controller, chunkSize) {
+        for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+          const chunk = buffer.slice(offset, Math.min(offset + chunkSize, buffer.length));
+          controller.enqueue(chunk);
+          // Yield control to allow other operations
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+    }
+  };
+
+  // Reusable helper: create a ReadableStream that streams a file from the native
+  // FileSystem using the Swift file handle APIs. This centralizes the
+  // createReadFileHandle/readFileHandleChunk/closeFileHandle pattern used in several
+  // places in the polyfill. Chunks are read as the consumer pulls them, so a
+  // slow reader never holds more than one chunk of the file in memory.
+  // `owner` is kept alive until the file is open, for files that are removed
+  // once their owner has been garbage collected.
+  function createFileReadableStream(filePath, chunkSize = 64 * 1024, owner = null) {
+    // Native handles use -1 to indicate failure
+    let handle = -1;
+    let opened = null;
+
+    const closeHandle = async () => {
+      if (handle >= 0) {
+        const current = handle;
+        handle = -1;
+        await __APPLE_SPEC__.FileSystem.closeFileHandle(current);
+      }
+    };
+
+    return new ReadableStream({
+      // Open the file straight away so that it can be removed from disk while
+      // the stream is still being read
+      start() {
+        opened = Promise.resolve(__APPLE_SPEC__.FileSystem.createReadFileHandle(filePath)).then(result => {
+          owner = null;
+          handle = result;
+          if (handle === -1 || handle < 0) {
+            throw new Error(`Failed to open file: ${filePath}`);
+          }
+        });
+        // Errors are reported by the first pull
+        opened.catch(() => { });
+      },
+
+      async pull(controller) {
+        try {
+          await opened;
+          const chunk = await __APPLE_SPEC__.FileSystem.readFileHandleChunk(handle, chunkSize);
+          const bytes = toUint8Array(chunk);
+
+          // EOF: treat null/empty as end of stream
+          if (!bytes || bytes.length === 0) {
+            await closeHandle();
+            controller.close();
+            return;
+          }
+          controller.enqueue(bytes);
+        } catch (err) {
+          await closeHandle();
+          controller.error(err);
+        }
+      },
+
+      // Allow cancel to asynchronously close native handle
+      async cancel() {
+        await opened?.catch(() => { });
+        await closeHandle();
+      }
+    });
+  }
+
+  // Helper: combine an array of Uint8Array chunks into a single Uint8Array
+  function combineChunksToUint8Array(chunks) {
+    const totalLength = chunks.reduce((sum, c) => sum + (c ? c.byteLength : 0), 0);
+    const combined = new Uint8Array(totalLength);
+    let offset = 0;
+    for (const chunk of chunks) {
+      if (!chunk) continue;
+      combined.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+    return combined;
+  }
+
+  // Helper: normalize various chunk shapes into a Uint8Array
+  function toUint8Array(value) {
+    if (value == null) return new Uint8Array(0);
+    if (value instanceof Uint8Array) return value;
+    if (value instanceof ArrayBuffer) return new Uint8Array(value, 0, value.byteLength);
+    if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    // Some native bridges expose typedArrayBytes-like objects (ArrayBuffer or ArrayBufferView)
+    if (value && value.typedArrayBytes) {
+      const tab = value.typedArrayBytes;
+      if (tab instanceof ArrayBuffer) return new Uint8Array(tab, 0, tab.byteLength);
+      if (ArrayBuffer.isView(tab)) return new Uint8Array(tab.buffer, tab.byteOffset, tab.byteLength);
+      try { return new Uint8Array(tab); } catch (e) { /* fallthrough */ }
+    }
+    try {
+      // last-resort: attempt to construct a Uint8Array (may copy)
+      return new Uint8Array(value);
+    } catch (e) {
+      return new Uint8Array(0);
+    }
+  }
+
+  // Helper: consume a ReadableStreamDefaultReader and return an ArrayBuffer
+  // options: { onProgress: (loaded)=>void, shouldAbort: ()=>boolean }
+  async function readAllArrayBufferFromReader(reader, options = {}) {
+    const { onProgress, shouldAbort } = options;
+    const chunks = [];
+    let totalLength = 0;
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const bytes = toUint8Array(value);
+        chunks.push(bytes);
+        totalLength += bytes.byteLength;
+        if (onProgress) onProgress(totalLength);
+        if (shouldAbort && shouldAbort()) {
+          return null;
+        }
+      }
+      const combined = combineChunksToUint8Array(chunks);
+      return combined.buffer;
+    } finally {
+      try { reader.releaseLock(); } catch (e) { }
+    }
+  }
+
+  // Helper: consume a ReadableStreamDefaultReader and return a decoded string
+  // options: { encoding: 'utf-8', onProgress: (loaded)=>void, shouldAbort: ()=>boolean }
+  async function readAllTextFromReader(reader, options = {}) {
+    const { encoding = 'utf-8', onProgress, shouldAbort } = options;
+    const decoder = new TextDecoder(encoding, { stream: true });
+    let result = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const bytes = toUint8Array(value);
+        result += decoder.decode(bytes, { stream: true });
+        if (onProgress) onProgress(bytes.byteLength);
+        if (shouldAbort && shouldAbort()) {
+          return null;
+        }
+      }
+      result += decoder.decode();
+      return result;
+    } finally {
+      try { reader.releaseLock(); } catch (e) { }
+    }
+  }
+
+  // File - extends Blob with file metadata
+  globalThis.File = class File extends Blob {
+    #name;
+    #lastModified;
+    #filePath; // For files created from FileSystemFileHandle
+
+    constructor(parts, name, options = {}) {
+      if (arguments.length < 2) {
+        throw new TypeError(`Failed to construct 'File': 2 arguments required, but only ${arguments.length} present.`);
+      }
+      if (typeof name !== 'string') {
+        throw new TypeError("Failed to construct 'File': parameter 2 is not of type 'string'.");
+      }
+
+      super(parts, options);
+      this.#name = String(name || '');
+      this.#lastModified = options.lastModified || Date.now();
+      this.#filePath = options[SYMBOLS.filePath] || null; // Internal option for file system files
+      this[Symbol.toStringTag] = 'File';
+    }
+
+    get name() { return this.#name; }
+    get lastModified() { return this.#lastModified; }
+
+    stream() {
+      // If this File was created from a file system path, stream directly from disk using Swift
+      const filePath = this.#filePath;
+      if (filePath && __APPLE_SPEC__.FileSystem.exists(filePath) && __APPLE_SPEC__.FileSystem.isFile(filePath)) {
+        return createFileReadableStream(filePath, undefined, this);
+      }
+
+      // For in-memory File objects, use the parent Blob stream() method
+      return super.stream();
+    }
+
+    async text() {
+      // If this File was created from a file system path, read directly from disk
+      const filePath = this.#filePath;
+      if (filePath && __APPLE_SPEC__.FileSystem.exists(filePath) && __APPLE_SPEC__.FileSystem.isFile(filePath)) {
+        const content = __APPLE_SPEC__.FileSystem.readFile(filePath);
+        if (content === null) {
+          throw new Error(`Failed to read file: ${filePath}`);
+        }
+        return content;
+      }
+
+      // For in-memory File objects, use the parent Blob text() method
+      return super.text();
+    }
+
+    async arrayBuffer() {
+      // If this File was created from a file system path, read directly from disk
+      const filePath = this.#filePath;
+      if (filePath && __APPLE_SPEC__.FileSystem.exists(filePath) && __APPLE_SPEC__.FileSystem.isFile(filePath)) {
+        const data = __APPLE_SPEC__.FileSystem.readFile(filePath, true);
+        if (!data) {
+          throw new Error(`Failed to read file: ${filePath}`);
+        }
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+      }
+
+      // For in-memory File objects, use the parent Blob arrayBuffer() method
+      return super.arrayBuffer();
+    }
+
+    // Static method to create File from file system path
+    static fromPath(path) {
+      if (!__APPLE_SPEC__.FileSystem.exists(path) || !__APPLE_SPEC__.FileSystem.isFile(path)) {
+        throw new Error(`File not found: ${path}`);
+      }
+
+      const stats = __APPLE_SPEC__.FileSystem.stat(path);
+
+      // Extract filename and extension using JavaScript
+      const name = path.split('/').pop() || '';
+      const ext = name.includes('.') ? '.' + name.split('.').pop() : '';
+
+      // Helper function for MIME types
+      function getMimeType(ext) {
+        const mimes = {
+          '.txt': 'text/plain',
+          '.html': 'text/html',
+          '.json': 'application/json',
+          '.js': 'application/javascript',
+          '.css': 'text/css',
+          '.png': 'image/png',
+          '.jpg': 'image/jpeg',
+          '.jpeg': 'image/jpeg',
+          '.gif': 'image/gif',
+          '.pdf': 'application/pdf'
+        };
+        return mimes[ext.toLowerCase()] || 'application/octet-stream';
+      }
+
+      return createDiskFile(path, name, {
+        type: getMimeType(ext),
+        lastModified: stats.mtime || Date.now(),
+        size: stats.size || 0
+      });
+    }
+  };
+
+  // A File whose contents stay on disk at `path` and are read or streamed
+  // from there, as File.fromPath() and parsed multipart uploads return
+  function createDiskFile(path, name, { type = '', lastModified = Date.now(), size = 0 } = {}) {
+    const file = new File([], name, { type, lastModified, [SYMBOLS.filePath]: path });
+
+    // Override the size property to reflect the actual file size
+    Object.defineProperty(file, 'size', {
+      value: size,
+      writable: false,
+      enumerable: true,
+      configurable: false
+    });
+
+    return file;
+  }
+
+  // FileReader - asynchronous file reading with events
+  globalThis.FileReader = class FileReader extends EventTarget {
+    static EMPTY = 0;
+    static LOADING = 1;
+    static DONE = 2;
+
+    #readyState = FileReader.EMPTY;
+    #result = null;
+    #error = null;
+
+    constructor() {
+      super();
+      this.EMPTY = FileReader.EMPTY;
+      this.LOADING = FileReader.LOADING;
+      this.DONE = FileReader.DONE;
+
+      // Event handler properties
+      this.onloadstart = null;
+      this.onprogress = null;
+      this.onload = null;
+      this.onabort = null;
+      this.onerror = null;
+      this.onloadend = null;
+    }
+
+    get readyState() { return this.#readyState; }
+    get result() { return this.#result; }
+    get error() { return this.#error; }
+
+    #setReadyState(state) {
+      this.#readyState = state;
+    }
+
+    #fireEvent(type, data = {}) {
+      const event = new Event(type);
+      Object.assign(event, data);
+
+      this.dispatchEvent(event);
+
+      // Also call the onX handler if it exists
+      const handler = this['on' + type];
+      if (typeof handler === 'function') {
+        // Ensure target is set correctly for onX handlers
+        if (!event.target) {
+          event.target = this;
+        }
+        handler.call(this, event);
+      }
+    }
+
+    abort() {
+      if (this.#readyState === FileReader.LOADING) {
+        this.#setReadyState(FileReader.DONE);
+        this.#result = null;
+        this.#fireEvent('abort');
+        this.#fireEvent('loadend');
+      }
+    }
+
+    readAsArrayBuffer(blob) {
+      if (this.#readyState === FileReader.LOADING) {
+        throw new Error('InvalidStateError: FileReader is already reading');
+      }
+      this.#startReading(blob, 'arraybuffer');
+    }
+
+    readAsBinaryString(blob) {
+      if (this.#readyState === FileReader.LOADING) {
+        throw new Error('InvalidStateError: FileReader is already reading');
+      }
+      this.#startReading(blob, 'binarystring');
+    }
+
+    readAsDataURL(blob) {
+      if (this.#readyState === FileReader.LOADING) {
+        throw new Error('InvalidStateError: FileReader is already reading');
+      }
+      this.#startReading(blob, 'dataurl');
+    }
+
+    readAsText(blob, encoding = 'utf-8') {
+      if (this.#readyState === FileReader.LOADING) {
+        throw new Error('InvalidStateError: FileReader is already reading');
+      }
+      this.#startReading(blob, 'text', encoding);
+    }
+
+    // Enhanced method to read files directly from filesystem paths
+    readAsArrayBufferFromPath(filePath) {
+      const file = File.fromPath(filePath);
+      this.readAsArrayBuffer(file);
+    }
+
+    readAsTextFromPath(filePath, encoding = 'utf-8') {
+      const file = File.fromPath(filePath);
+      this.readAsText(file);
+    }
+
+    readAsDataURLFromPath(filePath) {
+      const file = File.fromPath(filePath);
+      this.readAsDataURL(file);
+    }
+
+    async #startReading(blobOrFile, format, encoding = 'utf-8') {
+      // State should already be checked by the caller, but double-check
+      if (this.#readyState === FileReader.LOADING) {
+        throw new Error('InvalidStateError: FileReader is already reading');
+      }
+
+      // Capture 'this' reference to preserve context across async boundaries
+      const self = this;
+
+      self.#setReadyState(FileReader.LOADING);
+      self.#result = null;
+      self.#error = null;
+
+      // Fire loadstart event
+      self.#fireEvent('loadstart');
+
+      try {
+        let blob = blobOrFile;
+        let useStreaming = blob.size > 1024 * 1024; // Use streaming for files > 1MB
+
+        const total = blob.size || 0;
+        let loaded = 0;
+
+        // Fire initial progress event
+        self.#fireEvent('progress', { loaded: 0, total, lengthComputable: total > 0 });
+
+        let result;
+
+        if (useStreaming && (format === 'arraybuffer' || format === 'text')) {
+          // Use proper streaming that processes chunks as they arrive
+          result = await self.#streamingRead(blob, format, encoding, (progressLoaded) => {
+            loaded = progressLoaded;
+            self.#fireEvent('progress', { loaded, total, lengthComputable: true });
+          });
+        } else {
+          // Standard reading for smaller files
+          switch (format) {
+            case 'arraybuffer':
+              result = await blob.arrayBuffer();
+              break;
+
+            case 'text':
+              result = await blob.text();
+              break;
+
+            case 'dataurl':
+              const buffer = await blob.arrayBuffer();
+              const bytes = new Uint8Array(buffer);
+              const base64 = btoa(String.fromCharCode(...bytes));
+              result = `data:${blob.type || 'application/octet-stream'};base64,${base64}`;
+              break;
+
+            case 'binarystring':
+              const binaryBuffer = await blob.arrayBuffer();
+              const binaryBytes = new Uint8Array(binaryBuffer);
+              result = String.fromCharCode(...binaryBytes);
+              break;
+
+            default:
+              throw new Error(`Unknown format: ${format}`);
+          }
+        }
+
+        // Check if reading was aborted
+        if (self.#readyState !== FileReader.LOADING) {
+          return; // Aborted
+        }
+
+        self.#result = result;
+        self.#setReadyState(FileReader.DONE);
+
+        // Fire final progress event
+        self.#fireEvent('progress', { loaded: total, total, lengthComputable: true });
+
+        // Fire load event
+        self.#fireEvent('load');
+
+        // Fire loadend event
+        self.#fireEvent('loadend');
+
+      } catch (error) {
+        // Check if reading was aborted
+        if (self.#readyState !== FileReader.LOADING) {
+          return; // Aborted
+        }
+
+        self.#error = error;
+        self.#setReadyState(FileReader.DONE);
+
+        // Fire error event
+        self.#fireEvent('error');
+
+        // Fire loadend event
+        self.#fireEvent('loadend');
+      }
+    }
+
+    async #streamingRead(blob, format, encoding, onProgress) {
+      // Check if this is a file with path-based streaming
+      if (blob[SYMBOLS.filePath] && blob.size > 0) {
+        return this.#streamFromFilePath(blob[SYMBOLS.filePath], format, encoding, onProgress);
+      }
+
+      // Standard streaming for in-memory blobs
+      const stream = blob.stream();
+      const reader = stream.getReader();
+      try {
+        if (format === 'arraybuffer') {
+          const buffer = await readAllArrayBufferFromReader(reader, {
+            onProgress: (loaded) => { if (onProgress) onProgress(loaded); },
+            shouldAbort: () => this.#readyState !== FileReader.LOADING
+          });
+          return buffer;
+        } else if (format === 'text') {
+          const text = await readAllTextFromReader(reader, {
+            encoding,
+            onProgress: (loaded) => { if (onProgress) onProgress(loaded); },
+            shouldAbort: () => this.#readyState !== FileReader.LOADING
+          });
+          return text;
+        }
+
+        throw new Error(`Streaming not supported for format: ${format}`);
+      } finally {
+        try { reader.releaseLock(); } catch (e) { }
+      }
+    }
+
+    async #streamFromFilePath(filePath, format, encoding, onProgress) {
+      try {
+        // Create a file-backed readable stream and consume it according to format
+        const stream = createFileReadableStream(filePath);
+        const reader = stream.getReader();
+        let totalLoaded = 0;
+
+        try {
+          if (format === 'arraybuffer') {
+            const buffer = await readAllArrayBufferFromReader(reader, {
+              onProgress: (loaded) => { if (onProgress) onProgress(loaded); },
+              shouldAbort: () => this.#readyState !== FileReader.LOADING
+            });
+            return buffer;
+          } else if (format === 'text') {
+            const text = await readAllTextFromReader(reader, {
+              encoding,
+              onProgress: (loaded) => { if (onProgress) onProgress(loaded); },
+              shouldAbort: () => this.#readyState !== FileReader.LOADING
+            });
+            return text;
+          }
+
+          throw new Error(`Path streaming not supported for format: ${format}`);
+        } finally {
+          try { reader.releaseLock(); } catch (e) { }
+        }
+
+      } catch (error) {
+        throw error;
+      }
+    }
+  };
+
+  // XMLHttpRequest - HTTP request implementation
+  globalThis.XMLHttpRequest = class XMLHttpRequest extends EventTarget {
+    // State constants
+    static UNSENT = 0;
+    static OPENED = 1;
+    static HEADERS_RECEIVED = 2;
+    static LOADING = 3;
+    static DONE = 4;
+
+    // Private fields
+    #method = null;
+    #url = null;
+    #async = true;
+    #request = null;
+    #requestHeaders = {};
+    #response = null;
+    #aborted = false;
+    #status = 0;
+    #statusText = '';
+    #responseURL = '';
+    #readyState = XMLHttpRequest.UNSENT;
+    #responseData = null;
+    #responseText = '';
+    #upload = new EventTarget();
+    #streamingBody = null;
+
+    constructor() {
+      super();
+      // Copy static constants to instance for compatibility
+      this.UNSENT = XMLHttpRequest.UNSENT;
+      this.OPENED = XMLHttpRequest.OPENED;
+      this.HEADERS_RECEIVED = XMLHttpRequest.HEADERS_RECEIVED;
+      this.LOADING = XMLHttpRequest.LOADING;
+      this.DONE = XMLHttpRequest.DONE;
+
+      // Public properties
+      this.responseType = '';
+      this.timeout = 0;
+      // Non-standard: a CookieJar that supplies and stores cookies
+      this.cookieJar = null;
+      // Non-standard: an HttpClient to send the request through
+      this.client = null;
+      // Event handlers
+      this.onreadystatechange = null;
+      this.onabort = null;
+      this.onerror = null;
+      this.onload = null;
+      this.onloadend = null;
+      this.onloadstart = null;
+      this.onprogress = null;
+      this.ontimeout = null;
+    }
+
+    // Getters
+    get status() { return this.#status; }
+    get statusText() { return this.#statusText; }
+    get responseURL() { return this.#responseURL; }
+    get readyState() { return this.#readyState; }
+    get response() { return this.#responseData; }
+    get responseText() { return this.#responseText; }
+    get upload() { return this.#upload; }
+
+    open(method, url, async = true, user = null, password = null) {
+      this.#method = method.toUpperCase();
+      // There is no document base URL, so a URL that does not parse is kept
+      // as given and fails with an error event when it is sent
+      const parsedURL = URL.parse(url);
+      if (parsedURL && user !== null) parsedURL.username = user;
+      if (parsedURL && password !== null) parsedURL.password = password;
+      this.#url = parsedURL ? parsedURL.href : String(url);
+      this.#async = async;
+      this.#request = new __APPLE_SPEC__.URLRequest(this.#url);
+      this.#request.httpMethod = this.#method;
+      this.#setReadyState(XMLHttpRequest.OPENED);
+    }
+
+    setRequestHeader(name, value) {
+      if (this.readyState !== XMLHttpRequest.OPENED) {
+        throw new Error('InvalidStateError: The object is in an invalid state.');
+      }
+      this.#requestHeaders[name] = value;
+      this.#request.setValueForHTTPHeaderField(value, name);
+    }
+
+    send(body = null) {
+      if (this.readyState !== XMLHttpRequest.OPENED) {
+        throw new Error('InvalidStateError: The object is in an invalid state.');
+      }
+
+      const session = this.client ? this.client[SYMBOLS.httpClientSession]() : __APPLE_SPEC__.URLSession.shared();
+      this.#setRequestBody(body);
+      this.#applyClientHeaders();
+      this.#applyCookies();
+      this.#setReadyState(XMLHttpRequest.LOADING);
+      this.#dispatchEvent('loadstart');
+
+      // Set timeout on the URLRequest if specified
+      if (this.timeout > 0) {
+        this.#request.timeoutInterval = this.timeout / 1000; // Convert ms to seconds
+      }
+
+      // Implement progressive loading with onprogress events
+      let accumulatedData = new Uint8Array(0);
+      let timeoutId = null;
+
+      // Set up timeout if specified
+      if (this.timeout > 0) {
+        timeoutId = setTimeout(() => {
+          if (!this.#aborted && this.readyState !== XMLHttpRequest.DONE) {
+            this.#aborted = true;
+            this.#setReadyState(XMLHttpRequest.DONE);
+            this.#dispatchEvent('timeout');
+            this.#dispatchEvent('loadend');
+          }
+        }, this.timeout);
+      }
+
+      const progressHandler = (chunk, error) => {
+        if (this.#aborted) return;
+
+        if (error) {
+          // Clear timeout on error
+          if (timeoutId) {
+            clearTimeout(timeoutId);
+            timeoutId = null;
+          }
+          this.#handleError(error);
+        } else if (chunk.length > 0) {
+          // Accumulate chunks for partial response access
+          const newData = new Uint8Array(accumulatedData.length + chunk.length);
+          newData.set(accumulatedData);
+          newData.set(chunk, accumulatedData.length);
+          accumulatedData = newData;
+
+          // Update partial response text for readyState = 3 (LOADING)
+          if (this.responseType === '' || this.responseType === 'text') {
+            this.#responseText = this.#decodeText(accumulatedData);
+            this.#responseData = this.#responseText;
+          }
+
+          // Fire progress event
+          const progressEvent = new Event('progress');
+          progressEvent.loaded = accumulatedData.length;
+          progressEvent.lengthComputable = false; // We don't know total yet
+          this.dispatchEvent(progressEvent);
+          if (this.onprogress) {
+            this.onprogress.call(this, progressEvent);
+          }
+        } else {
+          // Clear timeout on completion
+          if (timeoutId) {
+            clearTimeout(timeoutId);
+            timeoutId = null;
+          }
+          // Final response data is already accumulated
+          this.#finalizeResponse(accumulatedData);
+        }
+      };
+
+      let promise;
+      if (!isHTTPSchemeURL(this.#url)) {
+        // data:, blob: and file: URLs are read without the network
+        promise = schemeFetch(new Request(this.#url, { method: this.#method }))
+          .then(response => this.#deliverResponse(response, progressHandler));
+      } else if (httpInterceptors.length > 0) {
+        promise = this.#sendThroughInterceptors(session, body, progressHandler);
+      } else {
+        promise = session.httpRequestWithRequest(
+          this.#request,
+          this.#streamingBody,  // Use streaming body if available, otherwise null
+          progressHandler       // progressHandler for streaming updates
+        );
+      }
+
+      promise
+        .then(result => {
+          if (!this.#aborted) {
+            // Clear timeout on success
+            if (timeoutId) {
+              clearTimeout(timeoutId);
+              timeoutId = null;
+            }
+
+            // Set response headers when we get the result
+            // XMLHttpRequest uses progressHandler, so result is the JSURLResponse directly
+            this.#response = result;
+            this.#storeCookies(result);
+            this.#status = result.statusCode;
+            this.#statusText = this.#getStatusText(this.#status);
+            this.#responseURL = result.url || this.#url;
+            if (this.readyState < XMLHttpRequest.HEADERS_RECEIVED) {
+              this.#setReadyState(XMLHttpRequest.HEADERS_RECEIVED);
+            }
+
+            // Don't call #handleResponse since we're using progress handler
+            // The progress handler will call #finalizeResponse when complete
+          }
+        })
+        .catch(error => {
+          // Clear timeout on error
+          if (timeoutId) {
+            clearTimeout(timeoutId);
+            timeoutId = null;
+          }
+          this.#handleError(error);
+        });
+    }
+
+    // Send the request as a Request through the interceptors of HttpTransport,
+    // and hand the Response to the same handlers as a native response
+    async #sendThroughInterceptors(session, body, progressHandler) {
+      const request = new Request(this.#url, {
+        method: this.#method,
+        headers: this.#request.allHTTPHeaderFields,
+        // A streamed body was already taken from the FormData or Blob
+        body: this.#method === 'GET' || this.#method === 'HEAD' ? null : this.#streamingBody ?? body
+      });
+      const response = await runHttpInterceptors(request, (sent) => sendHttpRequest(sent, session, {
+        timeouts: { connect: null, idle: null, deadline: this.timeout > 0 ? Date.now() + this.timeout : null }
+      }));
+      return this.#deliverResponse(response, progressHandler);
+    }
+
+    // Hand a Response to the handlers of a native response: the result
+    // describes the head, and the body is passed to progressHandler
+    #deliverResponse(response, progressHandler) {
+      // Deliver the body after the head, as the native session does
+      setTimeout(async () => {
+        try {
+          const reader = response.body?.getReader();
+          while (reader) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            const chunk = toUint8Array(value);
+            if (chunk.length > 0) progressHandler(chunk, false);
+          }
+          progressHandler(new Uint8Array(0), false);
+        } catch (error) {
+          progressHandler(new Uint8Array(0), error);
+        }
+      }, 0);
+
+      const fields = {};
+      for (const [name] of response.headers) {
+        fields[name] = response.headers.get(name);
+      }
+      return {
+        statusCode: response.status,
+        url: response.url,
+        headerList: [...response.headers],
+        allHeaderFields: fields,
+        valueForHTTPHeaderField: (name) => response.headers.get(name)
+      };
+    }
+
+    #setRequestBody(body) {
+      if (!body) return;
+
+      // Fire upload events for non-empty bodies
+      let hasUploadBody = false;
+
+      if (body instanceof FormData) {
+        // Check if FormData contains streams using internal symbol
+        if (body[SYMBOLS.formDataHasStreamingValues]()) {
+          // Use streaming interface for FormData with streams
+          const formStream = body.stream();
+          this.#streamingBody = formStream;
+
+          // Set Content-Type header with the boundary from the stream
+          const boundary = formStream[SYMBOLS.formDataBoundary];
+          if (boundary && !this.#requestHeaders['Content-Type']) {
+            this.setRequestHeader('Content-Type', `multipart/form-data; boundary=${boundary}`);
+          }
+          hasUploadBody = true;
+        } else {
+        // Use traditional multipart conversion for FormData without streams
+          const multipart = body[SYMBOLS.formDataToMultipart]();
+          this.#request.httpBody = multipart.body;
+          if (!this.#requestHeaders['Content-Type']) {
+            this.setRequestHeader('Content-Type', `multipart/form-data; boundary=${multipart.boundary}`);
+          }
+          hasUploadBody = true;
+        }
+      } else if (typeof body === 'string') {
+        this.#request.httpBody = body;
+        if (!this.#requestHeaders['Content-Type']) {
+          this.setRequestHeader('Content-Type', 'text/plain;charset=UTF-8');
+        }
+        hasUploadBody = body.length > 0;
+      } else if (body instanceof URLSearchParams) {
+        // Convert URLSearchParams to application/x-www-form-urlencoded string
+        const formString = body.toString();
+        this.#request.httpBody = formString;
+        if (!this.#requestHeaders['Content-Type']) {
+          this.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+        }
+        hasUploadBody = formString.length > 0;
+      } else if (body instanceof Blob) {
+        // Handle Blob by streaming its content
+        if (body.size > 0) {
+          const blobStream = body.stream();
+          this.#streamingBody = blobStream;
+          
+          // Set Content-Type from Blob if available
+          if (body.type && !this.#requestHeaders['Content-Type']) {
+            this.setRequestHeader('Content-Type', body.type);
+          } else if (!this.#requestHeaders['Content-Type']) {
+            this.setRequestHeader('Content-Type', 'application/octet-stream');
+          }
+          hasUploadBody = true;
+        }
+      } else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+        this.#request.httpBody = new Uint8Array(body);
+        if (!this.#requestHeaders['Content-Type']) {
+          this.setRequestHeader('Content-Type', 'application/octet-stream');
+        }
+        hasUploadBody = true;
+      }
+
+      // Fire upload events if we have a body to upload
+      if (hasUploadBody) {
+        // Fire upload start
+        const uploadStartEvent = new Event('loadstart');
+        this.#upload.dispatchEvent(uploadStartEvent);
+
+        // Simulate upload progress (since we don't have real upload progress from Swift yet)
+        setTimeout(() => {
+          const uploadProgressEvent = new Event('progress');
+          uploadProgressEvent.loaded = this.#request.httpBody ? this.#request.httpBody.length : 0;
+          uploadProgressEvent.total = uploadProgressEvent.loaded;
+          uploadProgressEvent.lengthComputable = true;
+          this.#upload.dispatchEvent(uploadProgressEvent);
+
+          const uploadLoadEvent = new Event('load');
+          this.#upload.dispatchEvent(uploadLoadEvent);
+
+          const uploadLoadEndEvent = new Event('loadend');
+          this.#upload.dispatchEvent(uploadLoadEndEvent);
+        }, 0);
+      }
+    }
+
+    #applyClientHeaders() {
+      if (!this.client) return;
+      const names = Object.keys(this.#requestHeaders).map(name => name.toLowerCase());
+      for (const [name, value] of this.client.headers) {
+        if (!names.includes(name)) this.#request.setValueForHTTPHeaderField(value, name);
+      }
+    }
+
+    #applyCookies() {
+      // A URL that does not parse fails when it is sent, so it has no cookies
+      if (!this.cookieJar || !URL.canParse(this.#url)) return;
+      const cookies = this.cookieJar.getCookieString(this.#url);
+      if (!cookies) return;
+      const name = Object.keys(this.#requestHeaders).find(key => key.toLowerCase() === 'cookie');
+      const existing = name ? this.#requestHeaders[name] : null;
+      this.#request.setValueForHTTPHeaderField(existing ? `${existing}; ${cookies}` : cookies, name ?? 'Cookie');
+    }
+
+    #storeCookies(result) {
+      if (!this.cookieJar) return;
+      const headers = new Headers(result.headerList ?? Object.entries(result.allHeaderFields));
+      for (const cookie of headers.getSetCookie()) {
+        this.cookieJar.setCookie(cookie, result.url || this.#url);
+      }
+    }
+
+    #finalizeResponse(accumulatedData) {
+      if (this.#aborted) return;
+
+      // Set final response data based on responseType
+      this.#setResponseData(accumulatedData);
+      this.#setReadyState(XMLHttpRequest.DONE);
+      this.#dispatchEvent('load');
+      this.#dispatchEvent('loadend');
+    }
+
+    #handleError(error) {
+      if (this.#aborted) return;
+
+      this.#setReadyState(XMLHttpRequest.DONE);
+      this.#dispatchEvent('error');
+      this.#dispatchEvent('loadend');
+    }
+
+    #setResponseData(data) {
+      switch (this.responseType) {
+        case '':
+        case 'text':
+          this.#responseText = this.#decodeText(data);
+          this.#responseData = this.#responseText;
+          break;
+        case 'arraybuffer':
+          this.#responseData = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+          this.#responseText = '';
+          break;
+        case 'blob':
+          this.#responseData = new Blob([data]);
+          this.#responseText = '';
+          break;
+        case 'json':
+          try {
+            const text = new TextDecoder().decode(data);
+            this.#responseData = JSON.parse(text);
+          } catch (e) {
+            this.#responseData = null;
+          }
+          this.#responseText = '';
+          break;
+      }
+    }
+
+    // Decode text in the charset of the response's Content-Type, falling back
+    // to UTF-8 when there is none or it is not supported
+    #decodeText(data) {
+      const charset = getMimeTypeCharset(this.getResponseHeader('Content-Type'));
+      try {
+        return new TextDecoder(charset ?? 'utf-8').decode(data);
+      } catch {
+        return new TextDecoder().decode(data);
+      }
+    }
+
+    abort() {
+      this.#aborted = true;
+      if (this.readyState !== XMLHttpRequest.DONE) {
+        this.#setReadyState(XMLHttpRequest.DONE);
+        this.#dispatchEvent('abort');
+        this.#dispatchEvent('loadend');
+      }
+      // Note: We can't easily cancel the ongoing Swift request, but we mark it as aborted
+    }
+
+    getResponseHeader(name) {
+      if (this.readyState < XMLHttpRequest.HEADERS_RECEIVED || !this.#response) {
+        return null;
+      }
+      return this.#response.valueForHTTPHeaderField(name) || null;
+    }
+
+    getAllResponseHeaders() {
+      if (this.readyState < XMLHttpRequest.HEADERS_RECEIVED || !this.#response) {
+        return '';
+      }
+      const headers = this.#response.allHeaderFields;
+      return Object.keys(headers)
+        .map(key => `${key}: ${headers[key]}`)
+        .join('\r\n') + '\r\n';
+    }
+
+    #setReadyState(state) {
+      this.#readyState = state;
+      this.#dispatchEvent('readystatechange');
+    }
+
+    #dispatchEvent(type) {
+      const event = new Event(type);
+      this.dispatchEvent(event);
+
+      const handler = this['on' + type];
+      if (typeof handler === 'function') {
+        handler.call(this, event);
+      }
+    }
+
+    #getStatusText(status) {
+      return getStatusText(status);
+    }
+  };
+
+  // Headers - HTTP headers implementation
+  globalThis.Headers = class Headers {
+    #headers = new Map();
+    // Set-Cookie values cannot be joined with commas, so they are kept apart
+    #setCookies = [];
+
+    constructor(init) {
+      if (init) {
+        this.#initializeHeaders(init);
+      }
+    }
+
+    // Validate header name according to HTTP specification
+    #validateHeaderName(name) {
+      if (typeof name !== 'string' || name === '') {
+        throw new TypeError('Invalid header name: must be a non-empty string');
+      }
+
+      // Check for invalid characters according to RFC 7230
+      // Header names must be tokens: 1*( ALPHA / DIGIT / "!" / "#" / "$" / "%" / "&" / "'" / "*" / "+" / "-" / "." / "^" / "_" / "`" / "|" / "~" )
+      if (/[^\x21\x23-\x27\x2A\x2B\x2D\x2E\x30-\x39\x41-\x5A\x5E-\x7A\x7C\x7E]/.test(name)) {
+        throw new TypeError('Invalid header name: contains invalid characters');
+      }
+    }
+
+    // Validate header value according to HTTP specification  
+    #validateHeaderValue(value) {
+      const valueStr = String(value);
+      // Header values cannot contain control characters except tabs
+      if (/[\x00-\x08\x0A-\x1F\x7F]/.test(valueStr)) {
+        throw new TypeError('Invalid header value: contains invalid characters');
+      }
+    }
+
+    #initializeHeaders(init) {
+      if (init instanceof Headers) {
+        for (const [key, value] of init.#headers) {
+          this.#headers.set(key.toLowerCase(), value);
+        }
+        this.#setCookies = [...init.#setCookies];
+      } else if (Array.isArray(init)) {
+        for (const [key, value] of init) {
+          this.append(key, value);
+        }
+      } else if (typeof init === 'object') {
+        for (const [key, value] of Object.entries(init)) {
+          this.#validateHeaderName(key);
+          this.#validateHeaderValue(value);
+          this.#headers.set(key.toLowerCase(), String(value));
+        }
+      }
+    }
+
+    append(name, value) {
+      this.#validateHeaderName(name);
+      this.#validateHeaderValue(value);
+      const normalizedName = name.toLowerCase();
+      const existing = this.#headers.get(normalizedName);
+      const newValue = existing ? `${existing}, ${value}` : String(value);
+      this.#headers.set(normalizedName, newValue);
+      if (normalizedName === 'set-cookie') {
+        this.#setCookies.push(String(value));
+      }
+    }
+
+    delete(name) {
+      this.#validateHeaderName(name);
+      const normalizedName = name.toLowerCase();
+      this.#headers.delete(normalizedName);
+      if (normalizedName === 'set-cookie') {
+        this.#setCookies = [];
+      }
+    }
+
+    get(name) {
+      this.#validateHeaderName(name);
+      return this.#headers.get(name.toLowerCase()) || null;
+    }
+
+    has(name) {
+      this.#validateHeaderName(name);
+      return this.#headers.has(name.toLowerCase());
+    }
+
+    set(name, value) {
+      this.#validateHeaderName(name);
+      this.#validateHeaderValue(value);
+      const normalizedName = name.toLowerCase();
+      this.#headers.set(normalizedName, String(value));
+      if (normalizedName === 'set-cookie') {
+        this.#setCookies = [String(value)];
+      }
+    }
+
+    getSetCookie() {
+      return [...this.#setCookies];
+    }
+
+    // Each Set-Cookie value is its own entry, as the Fetch spec requires
+    *#entries() {
+      for (const [key, value] of this.#headers) {
+        if (key === 'set-cookie') {
+          for (const cookie of this.#setCookies) {
+            yield [key, cookie];
+          }
+        } else {
+          yield [key, value];
+        }
+      }
+    }
+
+    entries() {
+      return this.#entries();
+    }
+
+    *keys() {
+      for (const [key] of this.#entries()) {
+        yield key;
+      }
+    }
+
+    *values() {
+      for (const [, value] of this.#entries()) {
+        yield value;
+      }
+    }
+
+    forEach(callback, thisArg) {
+      for (const [key, value] of this.#entries()) {
+        callback.call(thisArg, value, key, this);
+      }
+    }
+
+    [Symbol.iterator]() {
+      return this.#entries();
+    }
+  };
+
+  // CookieJar - RFC 6265 cookie store consulted by fetch and XMLHttpRequest (non-web standard)
+  const COOKIE_DATE_DELIMITER = /[\x09\x20-\x2F\x3B-\x40\x5B-\x60\x7B-\x7E]+/;
+  const COOKIE_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const COOKIE_SAME_SITE_VALUES = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+  // Parse a cookie-date as described in RFC 6265 section 5.1.1, returning a
+  // timestamp or null when the date is invalid
+  function parseCookieDate(input) {
+    let time = null, dayOfMonth = null, month = null, year = null;
+
+    for (const token of input.split(COOKIE_DATE_DELIMITER)) {
+      if (!token) continue;
+      let match;
+      if (time === null && (match = /^(\d{1,2}):(\d{1,2}):(\d{1,2})(?:\D|$)/.exec(token))) {
+        time = [Number(match[1]), Number(match[2]), Number(match[3])];
+      } else if (dayOfMonth === null && (match = /^(\d{1,2})(?:\D|$)/.exec(token))) {
+        dayOfMonth = Number(match[1]);
+      } else if (month === null && COOKIE_MONTHS.includes(token.slice(0, 3).toLowerCase())) {
+        month = COOKIE_MONTHS.indexOf(token.slice(0, 3).toLowerCase());
+      } else if (year === null && (match = /^(\d{2,4})(?:\D|$)/.exec(token))) {
+        year = Number(match[1]);
+      }
+    }
+
+    if (time === null || dayOfMonth === null || month === null || year === null) return null;
+    if (year >= 70 && year <= 99) year += 1900;
+    else if (year >= 0 && year <= 69) year += 2000;
+
+    const [hours, minutes, seconds] = time;
+    if (dayOfMonth < 1 || dayOfMonth > 31 || year < 1601 || hours > 23 || minutes > 59 || seconds > 59) {
+      return null;
+    }
+    const timestamp = Date.UTC(year, month, dayOfMonth, hours, minutes, seconds);
+    // Reject dates such as 31 Feb that roll over into the next month
+    if (new Date(timestamp).getUTCMonth() !== month) return null;
+    return timestamp;
+  }
+
+  function isIPAddressHost(host) {
+    return host.startsWith('[') || /^\d+\.\d+\.\d+\.\d+$/.test(host);
+  }
+
+  // RFC 6265 section 5.1.3
+  function cookieDomainMatches(host, domain) {
+    if (host === domain) return true;
+    return host.endsWith(`.${domain}`) && !isIPAddressHost(host);
+  }
+
+  // RFC 6265 section 5.1.4
+  function defaultCookiePath(pathname) {
+    if (!pathname.startsWith('/')) return '/';
+    const lastSlash = pathname.lastIndexOf('/');
+    return lastSlash === 0 ? '/' : pathname.slice(0, lastSlash);
+  }
+
+  function cookiePathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+  }
+
+  function isSecureCookieURL(url) {
+    return url.protocol === 'https:' || url.protocol === 'wss:';
+  }
+
+  // Split a Set-Cookie header into its name, value and attributes (RFC 6265 section 5.2)
+  function parseSetCookie(header) {
+    if (/[\x00-\x08\x0A-\x1F\x7F]/.test(header)) return null;
+
+    const [pair, ...attributeStrings] = header.split(';');
+    const separator = pair.indexOf('=');
+    const name = separator === -1 ? '' : pair.slice(0, separator).trim();
+    const value = (separator === -1 ? pair : pair.slice(separator + 1)).trim();
+    if (name === '' && value === '') return null;
+
+    const attributes = [];
+    for (const attribute of attributeStrings) {
+      const equals = attribute.indexOf('=');
+      attributes.push([
+        (equals === -1 ? attribute : attribute.slice(0, equals)).trim().toLowerCase(),
+        equals === -1 ? '' : attribute.slice(equals + 1).trim()
+      ]);
+    }
+    return { name, value, attributes };
+  }
+
+  globalThis.CookieJar = class CookieJar {
+    // Cookies in creation order, which breaks ties between equal path lengths
+    #cookies = [];
+
+    static fromJSON(data) {
+      const json = typeof data === 'string' ? JSON.parse(data) : data;
+      const jar = new CookieJar();
+      for (const cookie of json?.cookies ?? []) {
+        if (typeof cookie?.name !== 'string' || typeof cookie.domain !== 'string') continue;
+        jar.#cookies.push({
+          name: cookie.name,
+          value: String(cookie.value ?? ''),
+          domain: cookie.domain,
+          path: String(cookie.path ?? '/'),
+          expires: typeof cookie.expires === 'number' ? cookie.expires : null,
+          secure: Boolean(cookie.secure),
+          httpOnly: Boolean(cookie.httpOnly),
+          sameSite: COOKIE_SAME_SITE_VALUES[String(cookie.sameSite).toLowerCase()] ?? null,
+          hostOnly: Boolean(cookie.hostOnly),
+          creationTime: typeof cookie.creationTime === 'number' ? cookie.creationTime : Date.now()
+        });
+      }
+      jar.#removeExpired();
+      return jar;
+    }
+
+    // Read a jar written by save(); a missing file gives an empty jar
+    static load(path) {
+      if (!_FileSystem.exists(path)) return new CookieJar();
+      return CookieJar.fromJSON(_FileSystem.readFile(path));
+    }
+
+    save(path) {
+      const directory = Path.dirname(path);
+      if (directory !== '.' && !_FileSystem.exists(directory)) {
+        _FileSystem.mkdir(directory);
+      }
+      return _FileSystem.writeFile(path, JSON.stringify(this));
+    }
+
+    toJSON() {
+      this.#removeExpired();
+      return { version: 1, cookies: this.getAllCookies() };
+    }
+
+    // Store a cookie from a Set-Cookie header value received for `url`.
+    // Returns the stored cookie, or null when the cookie was rejected or
+    // only removed an existing one.
+    setCookie(cookieString, url, options = {}) {
+      const { http = true, sameSiteContext } = options;
+      const requestURL = new URL(String(url));
+      if (requestURL.protocol !== 'http:' && requestURL.protocol !== 'https:' &&
+        requestURL.protocol !== 'ws:' && requestURL.protocol !== 'wss:') {
+        return null;
+      }
+      const parsed = parseSetCookie(String(cookieString));
+      if (!parsed) return null;
+
+      const host = requestURL.hostname;
+      const secureURL = isSecureCookieURL(requestURL);
+      const cookie = {
+        name: parsed.name,
+        value: parsed.value,
+        domain: host,
+        path: defaultCookiePath(requestURL.pathname),
+        expires: null,
+        secure: false,
+        httpOnly: false,
+        sameSite: null,
+        hostOnly: true,
+        creationTime: Date.now()
+      };
+      let domainAttribute = null;
+      let pathAttribute = null;
+      let maxAge = null;
+      let expires = null;
+
+      for (const [name, value] of parsed.attributes) {
+        switch (name) {
+          case 'expires': {
+            const date = parseCookieDate(value);
+            if (date !== null) expires = date;
+            break;
+          }
+          case 'max-age':
+            if (/^-?\d+$/.test(value)) maxAge = Number(value);
+            break;
+          case 'domain':
+            if (value !== '') domainAttribute = value.replace(/^\./, '').toLowerCase();
+            break;
+          case 'path':
+            pathAttribute = value;
+            cookie.path = value.startsWith('/') ? value : defaultCookiePath(requestURL.pathname);
+            break;
+          case 'secure':
+            cookie.secure = true;
+            break;
+          case 'httponly':
+            cookie.httpOnly = true;
+            break;
+          case 'samesite':
+            // Unrecognised values are treated as if the attribute were absent
+            cookie.sameSite = COOKIE_SAME_SITE_VALUES[value.toLowerCase()] ?? null;
+            break;
+        }
+      }
+
+      // Max-Age takes precedence over Expires; zero or less expires the cookie at once
+      if (maxAge !== null) {
+        cookie.expires = maxAge <= 0 ? 0 : Date.now() + maxAge * 1000;
+      } else if (expires !== null) {
+        cookie.expires = expires;
+      }
+
+      if (domainAttribute !== null) {
+        if (!cookieDomainMatches(host, domainAttribute)) return null;
+        // Without a public suffix list, single-label domains such as `com` are
+        // only accepted when they name the request host itself
+        if (!domainAttribute.includes('.') && domainAttribute !== host) return null;
+        if (domainAttribute !== host) {
+          cookie.domain = domainAttribute;
+          cookie.hostOnly = false;
+        }
+      }
+
+      if (cookie.secure && !secureURL) return null;
+      if (cookie.httpOnly && !http) return null;
+      if (cookie.sameSite === 'None' && !cookie.secure) return null;
+      if (cookie.sameSite && cookie.sameSite !== 'None' && sameSiteContext === 'none') return null;
+
+      const lowerName = cookie.name.toLowerCase();
+      if (lowerName.startsWith('__secure-') && !(cookie.secure && secureURL)) return null;
+      if (lowerName.startsWith('__host-') &&
+        !(cookie.secure && secureURL && domainAttribute === null && pathAttribute === '/')) {
+        return null;
+      }
+
+      // An insecure origin may not overwrite a Secure cookie it could not have set
+      if (!secureURL && this.#cookies.some(existing => existing.secure &&
+        existing.name === cookie.name &&
+        (cookieDomainMatches(existing.domain, cookie.domain) || cookieDomainMatches(cookie.domain, existing.domain)) &&
+        cookiePathMatches(cookie.path, existing.path))) {
+        return null;
+      }
+
+      const index = this.#cookies.findIndex(existing => existing.name === cookie.name &&
+        existing.domain === cookie.domain && existing.path === cookie.path);
+      if (index !== -1) {
+        const existing = this.#cookies[index];
+        if (existing.httpOnly && !http) return null;
+        cookie.creationTime = existing.creationTime;
+        this.#cookies.splice(index, 1);
+      }
+
+      if (cookie.expires !== null && cookie.expires <= Date.now()) return null;
+      this.#cookies.push(cookie);
+      return { ...cookie };
+    }
+
+    // Cookies that would be sent to `url`, longest path first (RFC 6265 section 5.4).
+    // SameSite is only enforced when a `sameSiteContext` of 'strict', 'lax' or 'none' is given.
+    getCookies(url, options = {}) {
+      const { http = true, sameSiteContext } = options;
+      const requestURL = new URL(String(url));
+      const host = requestURL.hostname;
+      const secureURL = isSecureCookieURL(requestURL);
+      const path = requestURL.pathname || '/';
+      this.#removeExpired();
+
+      const cookies = this.#cookies.filter(cookie => {
+        if (cookie.hostOnly ? host !== cookie.domain : !cookieDomainMatches(host, cookie.domain)) return false;
+        if (!cookiePathMatches(path, cookie.path)) return false;
+        if (cookie.secure && !secureURL) return false;
+        if (cookie.httpOnly && !http) return false;
+        if (sameSiteContext === 'none' && cookie.sameSite && cookie.sameSite !== 'None') return false;
+        if (sameSiteContext === 'lax' && cookie.sameSite === 'Strict') return false;
+        return true;
+      });
+      return cookies
+        .sort((a, b) => b.path.length - a.path.length)
+        .map(cookie => ({ ...cookie }));
+    }
+
+    // The value of the Cookie request header for `url`
+    getCookieString(url, options = {}) {
+      return this.getCookies(url, options)
+        .map(cookie => cookie.name === '' ? cookie.value : `${cookie.name}=${cookie.value}`)
+        .join('; ');
+    }
+
+    getAllCookies() {
+      this.#removeExpired();
+      return this.#cookies.map(cookie => ({ ...cookie }));
+    }
+
+    // Remove the cookies named `name`, optionally only those for `domain` and `path`
+    removeCookie(name, domain, path) {
+      const before = this.#cookies.length;
+      this.#cookies = this.#cookies.filter(cookie => cookie.name !== name ||
+        (domain !== undefined && cookie.domain !== String(domain).replace(/^\./, '').toLowerCase()) ||
+        (path !== undefined && cookie.path !== path));
+      return this.#cookies.length !== before;
+    }
+
+    clear() {
+      this.#cookies = [];
+    }
+
+    #removeExpired() {
+      const now = Date.now();
+      this.#cookies = this.#cookies.filter(cookie => cookie.expires === null || cookie.expires > now);
+    }
+
+    get [Symbol.toStringTag]() {
+      return 'CookieJar';
+    }
+  };
+
+  const FETCH_TIMEOUT_PHASES = ['connect', 'idle', 'total'];
+
+  // Normalize a timeout option to { connect?, idle?, total? } in milliseconds.
+  // A number limits the total duration and null lifts every limit. A phase set
+  // to null has no limit; one left out falls back to the next level of settings.
+  function normalizeFetchTimeout(timeout) {
+    if (timeout === undefined) return {};
+    if (timeout === null) return { connect: null, idle: null, total: null };
+    const phases = typeof timeout === 'number' ? { total: timeout } : timeout;
+    if (typeof phases !== 'object') {
+      throw new TypeError('timeout must be a number of milliseconds or an object of connect, idle and total timeouts');
+    }
+    const normalized = {};
+    for (const phase of FETCH_TIMEOUT_PHASES) {
+      const value = phases[phase];
+      if (value === undefined) continue;
+      if (value !== null && !(typeof value === 'number' && Number.isFinite(value) && value > 0)) {
+        throw new RangeError(`Invalid ${phase} timeout: ${value}`);
+      }
+      normalized[phase] = value;
+    }
+    return normalized;
+  }
+
+  // Normalize the proxy option of HttpClient to { protocol, host, port, username?, password? }
+  function parseHttpClientProxy(proxy) {
+    const { url, basicAuth } = typeof proxy === 'string' ? { url: proxy } : proxy;
+    const parsed = URL.parse(String(url));
+    if (!parsed || !['http:', 'socks5:'].includes(parsed.protocol) || !parsed.hostname) {
+      throw new TypeError(`Invalid proxy URL: ${url}; expected an http: or socks5: URL`);
+    }
+    const protocol = parsed.protocol.slice(0, -1);
+    const normalized = {
+      protocol,
+      host: parsed.hostname.replace(/^\[(.*)\]$/, '$1'),
+      port: parsed.port ? Number(parsed.port) : (protocol === 'http' ? 80 : 1080)
+    };
+    const username = basicAuth?.username ?? decodeURIComponent(parsed.username);
+    const password = basicAuth?.password ?? decodeURIComponent(parsed.password);
+    if (username || password) {
+      if (protocol === 'socks5') {
+        throw new TypeError('SOCKS5 proxies with credentials are not supported');
+      }
+      normalized.username = String(username);
+      normalized.password = String(password);
+    }
+    return normalized;
+  }
+
+  // HttpClient - a dedicated connection pool with its own proxy, TLS and
+  // connection settings, used through fetch(url, { client }) (non-web standard)
+  globalThis.HttpClient = class HttpClient {
+    #session;
+    #headers;
+    #timeout;
+    #closed = false;
+    #closing = null;
+    #cacheScope;
+
+    constructor(options = {}) {
+      const { proxy, caCerts = [], cert, key, maxConnectionsPerHost, headers, timeout } = options;
+      const configuration = {};
+
+      if (proxy != null) {
+        configuration.proxy = parseHttpClientProxy(proxy);
+      }
+      if (!Array.isArray(caCerts) || caCerts.some(pem => typeof pem !== 'string')) {
+        throw new TypeError('caCerts must be an array of PEM strings');
+      }
+      configuration.caCerts = caCerts;
+      if ((cert == null) !== (key == null)) {
+        throw new TypeError('cert and key must be given together');
+      }
+      if (cert != null) {
+        configuration.cert = String(cert);
+        configuration.key = String(key);
+      }
+      if (maxConnectionsPerHost !== undefined) {
+        if (!Number.isInteger(maxConnectionsPerHost) || maxConnectionsPerHost < 1) {
+          throw new RangeError(`Invalid maxConnectionsPerHost: ${maxConnectionsPerHost}`);
+        }
+        configuration.maxConnectionsPerHost = maxConnectionsPerHost;
+      }
+
+      this.#headers = new Headers(headers);
+      this.#timeout = normalizeFetchTimeout(timeout);
+      this.#session = __APPLE_SPEC__.URLSession.shared().createSession(configuration);
+      // Responses are cached apart for each client, since its proxy and TLS
+      // settings may change them; a client certificate is a credential
+      this.#cacheScope = { id: crypto.randomUUID(), hasCertificate: cert != null };
+    }
+
+    // Sent with every request, unless the request sets the same header
+    get headers() { return this.#headers; }
+    // Timeouts of requests that do not set their own, in milliseconds
+    get timeout() { return { ...this.#timeout }; }
+    get closed() { return this.#closed; }
+
+    // Close the pooled connections; requests still running are cancelled.
+    // Resolves once the native client has shut down.
+    close() {
+      if (!this.#closing) {
+        this.#closed = true;
+        // Shutting down with requests still running reports an unclean
+        // shutdown, which is expected here
+        this.#closing = this.#session.invalidate().catch(() => { });
+      }
+      return this.#closing;
+    }
+
+    [SYMBOLS.httpClientCacheScope]() {
+      return this.#cacheScope;
+    }
+
+    [SYMBOLS.httpClientSession]() {
+      if (this.#closed) {
+        throw new TypeError('HttpClient is closed');
+      }
+      return this.#session;
+    }
+
+    get [Symbol.toStringTag]() {
+      return 'HttpClient';
+    }
+  };
+
+  globalThis.createHttpClient = function createHttpClient(options = {}) {
+    return new HttpClient(options);
+  };
+
+  // Request - HTTP request representation
+  globalThis.Request = class Request {
+    #url;
+    #method;
+    #headers;
+    #body;
+    #signal;
+    #redirect;
+    #cache;
+    #bodyUsed = false;
+
+    constructor(input, init = {}) {
+      // Validate required URL argument
+      if (arguments.length === 0) {
+        throw new TypeError("Failed to construct 'Request': 1 argument required, but only 0 present.");
+      }
+
+      if (input instanceof Request) {
+        this.#copyFromRequest(input);
+      } else {
+        this.#initializeFromUrl(String(input), init);
+      }
+    }
+
+    #copyFromRequest(request) {
+      this.#url = request.url;
+      this.#method = request.method;
+      this.#headers = new Headers(request.headers);
+      this.#body = request.body;
+      this.#signal = request.signal;
+      this.#redirect = request.redirect;
+      this.#cache = request.cache;
+      this[SYMBOLS.requestOriginalBody] = request[SYMBOLS.requestOriginalBody]; // Copy the original body
+      this[SYMBOLS.requestDecompress] = request[SYMBOLS.requestDecompress];
+      this[SYMBOLS.requestCookieJar] = request[SYMBOLS.requestCookieJar];
+      this[SYMBOLS.requestClient] = request[SYMBOLS.requestClient];
+      this[SYMBOLS.requestTimeout] = request[SYMBOLS.requestTimeout];
+      this[SYMBOLS.requestProgress] = request[SYMBOLS.requestProgress];
+    }
+
+    #initializeFromUrl(url, init) {
+      const parsedURL = URL.parse(url);
+      if (!parsedURL) {
+        throw new TypeError(`Failed to construct 'Request': Invalid URL "${url}"`);
+      }
+      if (parsedURL.username || parsedURL.password) {
+        throw new TypeError(`Failed to construct 'Request': Request cannot be constructed from a URL that includes credentials: ${url}`);
+      }
+      this.#url = parsedURL.href;
+
+      // Validate method
+      const method = (init.method || 'GET').toUpperCase();
+
+      // Check for forbidden methods (case-insensitive)
+      const forbiddenMethods = ['CONNECT', 'TRACE', 'TRACK'];
+      if (forbiddenMethods.includes(method)) {
+        throw new TypeError(`'${init.method}' HTTP method is forbidden.`);
+      }
+
+      // Validate that method is a valid HTTP token
+      // HTTP token chars: A-Z, a-z, 0-9, !, #, $, %, &, ', *, +, -, ., ^, _, `, |, ~
+      if (!/^[A-Za-z0-9!#$%&'*+\-.^_`|~]+$/.test(method)) {
+        throw new TypeError(`'${init.method}' is not a valid HTTP method.`);
+      }
+
+      // Validate that GET/HEAD requests don't have body
+      if ((method === 'GET' || method === 'HEAD') && init.body) {
+        throw new TypeError(`Request with GET/HEAD method cannot have body.`);
+      }
+
+      this.#method = method;
+      this.#headers = new Headers(init.headers);
+      this.#body = init.body || null;
+      this[SYMBOLS.requestOriginalBody] = init.body || null; // Store original body
+      // Non-standard: `decompress: false` keeps Content-Encoding and the encoded body bytes
+      this[SYMBOLS.requestDecompress] = init.decompress !== false;
+      // Non-standard: `cookieJar` sends and stores cookies through a CookieJar
+      if (init.cookieJar != null && !(init.cookieJar instanceof CookieJar)) {
+        throw new TypeError("Failed to construct 'Request': cookieJar must be a CookieJar");
+      }
+      this[SYMBOLS.requestCookieJar] = init.cookieJar ?? null;
+      // Non-standard: `client` sends the request through an HttpClient
+      if (init.client != null && !(init.client instanceof HttpClient)) {
+        throw new TypeError("Failed to construct 'Request': client must be an HttpClient");
+      }
+      this[SYMBOLS.requestClient] = init.client ?? null;
+      // Non-standard: `timeout` limits the connect, idle and total time of a fetch
+      this[SYMBOLS.requestTimeout] = normalizeFetchTimeout(init.timeout);
+      // Non-standard: `onUploadProgress` and `onDownloadProgress` observe the bytes sent and received
+      for (const option of ['onUploadProgress', 'onDownloadProgress']) {
+        if (init[option] != null && typeof init[option] !== 'function') {
+          throw new TypeError(`Failed to construct 'Request': ${option} must be a function`);
+        }
+      }
+      this[SYMBOLS.requestProgress] = init.onUploadProgress || init.onDownloadProgress
+        ? { upload: init.onUploadProgress ?? null, download: init.onDownloadProgress ?? null }
+        : null;
+      this.#signal = init.signal || null;
+      this.#redirect = init.redirect || 'follow';
+
+      // Validate redirect option
+      if (!['follow', 'error', 'manual'].includes(this.#redirect)) {
+        throw new TypeError(`Invalid redirect option: ${this.#redirect}`);
+      }
+
+      this.#cache = init.cache || 'default';
+      if (!REQUEST_CACHE_MODES.includes(this.#cache)) {
+        throw new TypeError(`Invalid cache option: ${this.#cache}`);
+      }
+    }
+
+    // Getters
+    get url() { return this.#url; }
+    get method() { return this.#method; }
+    get headers() { return this.#headers; }
+    get body() { return this.#body; }
+    get signal() { return this.#signal; }
+    get redirect() { return this.#redirect; }
+    get cache() { return this.#cache; }
+    get bodyUsed() { return this.#bodyUsed; }
+
+    #setBodyUsed() {
+      this.#bodyUsed = true;
+    }
+
+    clone() {
+      if (this.bodyUsed) {
+        throw new TypeError('Cannot clone a Request whose body has already been read');
+      }
+      return new Request(this);
+    }
+
+    async arrayBuffer() {
+      if (this.bodyUsed) {
+        throw new TypeError('Body has already been read');
+      }
+      this.#setBodyUsed();
+
+      if (!this.body) return new ArrayBuffer(0);
+      if (this.body instanceof ArrayBuffer) return this.body;
+      if (this.body instanceof Blob) {
+        return await this.body.arrayBuffer();
+      }
+      if (this.body instanceof FormData) {
+        // Check if FormData contains streams using internal symbol
+        if (this.body[SYMBOLS.formDataHasStreamingValues]()) {
+          // Use streaming interface for FormData with streams - consume the actual stream
+          const stream = this.body.stream();
+          const reader = stream.getReader();
+          const buffer = await readAllArrayBufferFromReader(reader);
+          return buffer || new ArrayBuffer(0);
+        } else {
+        // Use traditional multipart conversion for FormData without streams
+          const multipart = this.body[SYMBOLS.formDataToMultipart]();
+          return new TextEncoder().encode(multipart.body).buffer;
+        }
+      }
+      if (this.body instanceof URLSearchParams) {
+        return new TextEncoder().encode(this.body.toString()).buffer;
+      }
+      if (typeof this.body === 'string') {
+        return new TextEncoder().encode(this.body).buffer;
+      }
+      if (ArrayBuffer.isView(this.body)) {
+        return this.body.buffer.slice(this.body.byteOffset, this.body.byteOffset + this.body.byteLength);
+      }
+      if (this.body instanceof ReadableStream) {
+        return await readAllArrayBufferFromReader(this.body.getReader());
+      }
+      throw new TypeError('Unsupported body type');
+    }
+
+    async blob() {
+      const buffer = await this.arrayBuffer();
+      return new Blob([buffer]);
+    }
+
+    async bytes() {
+      return new Uint8Array(await this.arrayBuffer());
+    }
+
+    async formData() {
+      if (this.bodyUsed) {
+        throw new TypeError('Body has already been read');
+      }
+      this.#setBodyUsed();
+
+      const body = this.body;
+      if (body instanceof FormData || body instanceof URLSearchParams) {
+        return createFormDataFrom(body);
+      }
+      const contentType = this.headers.get('Content-Type') ?? (body instanceof Blob && body.type ? body.type : null);
+      const stream = body instanceof ReadableStream ? body : body ? new Response(body).body : null;
+      return parseFormDataBody(stream, contentType);
+    }
+
+    async json() {
+      const text = await this.text();
+      return JSON.parse(text);
+    }
+
+    async text() {
+      if (this.bodyUsed) {
+        throw new TypeError('Body has already been read');
+      }
+      this.#setBodyUsed();
+
+      if (!this.body) return '';
+      if (typeof this.body === 'string') return this.body;
+      if (this.body instanceof URLSearchParams) {
+        return this.body.toString();
+      }
+      if (this.body instanceof Blob) {
+        return await this.body.text();
+      }
+      if (this.body instanceof FormData) {
+        // Check if FormData contains streams using internal symbol
+        if (this.body[SYMBOLS.formDataHasStreamingValues]()) {
+          // Use streaming interface for FormData with streams - consume the actual stream
+          const stream = this.body.stream();
+          const reader = stream.getReader();
+          const text = await readAllTextFromReader(reader, { encoding: 'utf-8' });
+          return text || '';
+        } else {
+        // Use traditional multipart conversion for FormData without streams
+          const multipart = this.body[SYMBOLS.formDataToMultipart]();
+          return multipart.body;
+        }
+      }
+
+      const buffer = await this.arrayBuffer();
+      return new TextDecoder().decode(buffer);
+    }
+  };
+
+  const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+  const NULL_BODY_STATUSES = [101, 103, 204, 205, 304];
+  const REQUEST_CACHE_MODES = ['default', 'no-store', 'reload', 'no-cache', 'force-cache', 'only-if-cached'];
+
+  // Response implementation
+  globalThis.Response = class Response {
+    #bodyStream;
+    #originalBody;
+    #status;
+    #statusText;
+    #headers;
+    #url;
+    #redirected;
+    #type;
+    #ok;
+    #bodyUsed;
+
+    constructor(body, init = {}) {
+      // Validate status code
+      const status = init.status !== undefined ? init.status : 200;
+      if (!Number.isInteger(status) || status < 100 || status > 599) {
+        throw new RangeError(`Invalid status code: ${status}`);
+      }
+
+      this.#originalBody = body || null;
+      this.#status = status;
+      this.#statusText = init.statusText !== undefined ? init.statusText : getStatusText(this.#status);
+      this.#headers = new Headers(init.headers);
+      this.#url = init.url || '';
+      this.#redirected = init.redirected || false;
+      this.#type = init.type || 'default';
+      this.#ok = this.#status >= 200 && this.#status < 300;
+      this.#bodyUsed = false;
+      this.#bodyStream = this.#createBodyStream(body);
+    }
+
+    get body() {
+      return this.#bodyStream;
+    }
+
+    #createBodyStream(body) {
+      if (!body) {
+        return null;
+      }
+
+      // If body is already a ReadableStream, return it
+      if (body instanceof ReadableStream) {
+        return body;
+      }
+
+      // Create a ReadableStream from the body data
+      return new ReadableStream({
+        async start(controller) {
+          try {
+            if (typeof body === 'string') {
+              const encoder = new TextEncoder();
+              const bytes = encoder.encode(body);
+              controller.enqueue(bytes);
+            } else if (body instanceof Blob) {
+              // Use proper streaming from blob without loading everything into memory
+              const blobStream = body.stream();
+              const reader = blobStream.getReader();
+              try {
+                while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                const _v = toUint8Array(value);
+                controller.enqueue(new Uint8Array(_v.buffer, _v.byteOffset, _v.byteLength));
+              }
+              } finally {
+                reader.releaseLock();
+              }
+            } else if (body instanceof URLSearchParams) {
+              const encoder = new TextEncoder();
+              const bytes = encoder.encode(body.toString());
+              controller.enqueue(bytes);
+            } else if (body instanceof Uint8Array) {
+              controller.enqueue(body);
+            } else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+              controller.enqueue(toUint8Array(body));
+            } else if (body instanceof FormData) {
+              // Check if FormData contains streams using internal symbol
+              if (body[SYMBOLS.formDataHasStreamingValues]()) {
+                // Use streaming interface for FormData with streams - pipe the actual stream
+                const formStream = body.stream();
+                const reader = formStream.getReader();
+
+                // Pump data from FormData stream to response stream
+                const pump = async () => {
+                  try {
+                    while (true) {
+                      const { done, value } = await reader.read();
+                      if (done) break;
+                      controller.enqueue(toUint8Array(value));
+                    }
+                    controller.close();
+                  } catch (error) {
+                    controller.error(error);
+                  } finally {
+                    try { reader.releaseLock(); } catch (e) { }
+                  }
+                };
+                pump();
+                return; // Exit early since we're handling async pumping
+              } else {
+              // Use traditional multipart conversion for FormData without streams
+                const multipart = body[SYMBOLS.formDataToMultipart]();
+                const encoder = new TextEncoder();
+                const bytes = encoder.encode(multipart.body);
+                controller.enqueue(bytes);
+              }
+            } else {
+              // Convert to string and encode
+              const encoder = new TextEncoder();
+              const bytes = encoder.encode(String(body));
+              controller.enqueue(bytes);
+            }
+            controller.close();
+          } catch (error) {
+            controller.error(error);
+          }
+        }
+      });
+    }
+
+    get status() {
+      return this.#status;
+    }
+
+    get statusText() {
+      return this.#statusText;
+    }
+
+    get headers() {
+      return this.#headers;
+    }
+
+    get url() {
+      return this.#url;
+    }
+
+    get redirected() {
+      return this.#redirected;
+    }
+
+    get type() {
+      return this.#type;
+    }
+
+    get ok() {
+      return this.#ok;
+    }
+
+    get bodyUsed() {
+      return this.#bodyUsed;
+    }
+
+    // Internal method to set bodyUsed (used by body reading methods)
+    #setBodyUsed() {
+      this.#bodyUsed = true;
+    }
+
+    // Hand the body stream to an internal consumer, marking the body used
+    [SYMBOLS.responseTakeBody]() {
+      if (this.bodyUsed) {
+        throw new TypeError('Body has already been read');
+      }
+      this.#setBodyUsed();
+      return this.#bodyStream;
+    }
+
+    // Internal method to set type (used by static methods)
+    #setType(type) {
+      this.#type = type;
+    }
+
+    // Network errors and opaque-redirect responses have status 0, which the
+    // constructor rejects, so they are filled in after construction
+    static #createFiltered(type, url = '') {
+      const response = new Response(null);
+      response.#status = 0;
+      response.#statusText = '';
+      response.#ok = false;
+      response.#url = url;
+      response.#setType(type);
+      return response;
+    }
+
+    static error() {
+      return Response.#createFiltered('error');
+    }
+
+    // Result of fetch() with redirect: 'manual'. The status, headers and body
+    // of the redirect are hidden, as in browsers.
+    static [SYMBOLS.responseOpaqueRedirect](url) {
+      return Response.#createFiltered('opaqueredirect', url);
+    }
+
+    static json(data, init = {}) {
+      const body = JSON.stringify(data);
+      if (body === undefined) {
+        throw new TypeError("Failed to execute 'json' on 'Response': The data is not JSON serializable");
+      }
+      const status = init.status ?? 200;
+      if (NULL_BODY_STATUSES.includes(status)) {
+        throw new TypeError(`Failed to execute 'json' on 'Response': Response with status ${status} cannot have a body`);
+      }
+      const headers = new Headers(init.headers);
+      if (!headers.has('Content-Type')) {
+        headers.set('Content-Type', 'application/json');
+      }
+      return new Response(body, { ...init, headers });
+    }
+
+    static redirect(url, status = 302) {
+      const parsedURL = URL.parse(url);
+      if (!parsedURL) {
+        throw new TypeError(`Failed to execute 'redirect' on 'Response': Invalid URL "${url}"`);
+      }
+      if (!REDIRECT_STATUSES.includes(status)) {
+        throw new RangeError(`Failed to execute 'redirect' on 'Response': Invalid status code ${status}`);
+      }
+      return new Response(null, { status, headers: { Location: parsedURL.href } });
+    }
+
+    clone() {
+      if (this.bodyUsed) {
+        throw new TypeError('Cannot clone a Response whose body has already been read');
+      }
+
+      // For responses with streams, we need to tee the stream
+      let clonedBody = this.#originalBody;
+      let clonedStream = null;
+
+      if (this.#bodyStream && !this.#originalBody) {
+        // If we only have a stream, we need to tee it
+        const [stream1, stream2] = this.#bodyStream.tee ? this.#bodyStream.tee() : [this.#bodyStream, this.#bodyStream];
+        this.#bodyStream = stream1;
+        clonedStream = stream2;
+      }
+
+      const cloned = new Response(clonedBody, {
+        status: this.status,
+        statusText: this.statusText,
+        headers: this.headers,
+        url: this.url,
+        redirected: this.redirected,
+        type: this.type
+      });
+
+      // If we teed a stream, set it directly
+      if (clonedStream) {
+        cloned.#bodyStream = clonedStream;
+      }
+
+      return cloned;
+    }
+
+    async arrayBuffer() {
+      if (this.bodyUsed) {
+        throw new TypeError('Body has already been read');
+      }
+      this.#setBodyUsed();
+
+      if (!this.#bodyStream) {
+        return new ArrayBuffer(0);
+      }
+
+      // If we have original body data, use it directly for better performance
+      if (this.#originalBody instanceof ArrayBuffer) {
+        return this.#originalBody;
+      } else if (this.#originalBody instanceof Uint8Array) {
+        return this.#originalBody.buffer.slice(this.#originalBody.byteOffset, this.#originalBody.byteOffset + this.#originalBody.byteLength);
+      } else if (this.#originalBody && typeof this.#originalBody === 'string') {
+        return new TextEncoder().encode(this.#originalBody).buffer;
+      } else if (this.#originalBody instanceof FormData) {
+        // Check if FormData contains streams using internal symbol
+        if (this.#originalBody[SYMBOLS.formDataHasStreamingValues]()) {
+          // Use streaming interface for FormData with streams - consume the actual stream
+          const stream = this.#originalBody.stream();
+          const reader = stream.getReader();
+          const buffer = await readAllArrayBufferFromReader(reader);
+          return buffer || new ArrayBuffer(0);
+        } else {
+        // Use traditional multipart conversion for FormData without streams
+          const multipart = this.#originalBody[SYMBOLS.formDataToMultipart]();
+          return new TextEncoder().encode(multipart.body).buffer;
+        }
+      }
+
+      // Read from stream using helper
+      const reader = this.#bodyStream.getReader();
+      const buffer = await readAllArrayBufferFromReader(reader, { onProgress: null });
+      return buffer || new ArrayBuffer(0);
+    }
+
+    async blob() {
+      const buffer = await this.arrayBuffer();
+      return new Blob([buffer]);
+    }
+
+    async bytes() {
+      return new Uint8Array(await this.arrayBuffer());
+    }
+
+    async formData() {
+      const body = this.#originalBody;
+      const stream = this[SYMBOLS.responseTakeBody]();
+      if (body instanceof FormData || body instanceof URLSearchParams) {
+        return createFormDataFrom(body);
+      }
+      const contentType = this.headers.get('Content-Type') ?? (body instanceof Blob && body.type ? body.type : null);
+      return parseFormDataBody(stream, contentType);
+    }
+
+    async json() {
+      const text = await this.text();
+      return JSON.parse(text);
+    }
+
+    async text() {
+      if (this.bodyUsed) {
+        throw new TypeError('Body has already been read');
+      }
+      this.#setBodyUsed();
+
+      if (!this.#bodyStream) {
+        return '';
+      }
+
+      // If we have original string data, use it directly
+      if (typeof this.#originalBody === 'string') {
+        return this.#originalBody;
+      } else if (this.#originalBody instanceof FormData) {
+        // Check if FormData contains streams using internal symbol
+        if (this.#originalBody[SYMBOLS.formDataHasStreamingValues]()) {
+          // Use streaming interface for FormData with streams - consume the actual stream
+          const stream = this.#originalBody.stream();
+          const reader = stream.getReader();
+          const text = await readAllTextFromReader(reader, { encoding: 'utf-8' });
+          return text || '';
+        } else {
+        // Use traditional multipart conversion for FormData without streams
+          const multipart = this.#originalBody[SYMBOLS.formDataToMultipart]();
+          return multipart.body;
+        }
+      }
+
+      // Read from stream using helper for text decoding
+      const reader = this.#bodyStream.getReader();
+      const text = await readAllTextFromReader(reader, { encoding: 'utf-8' });
+      return text || '';
+    }
+  };
+
+  // Helper function to get status text from status code
+  function getStatusText(status) {
+    const statusTexts = {
+      100: 'Continue',
+      101: 'Switching Protocols',
+      200: 'OK',
+      201: 'Created',
+      202: 'Accepted',
+      204: 'No Content',
+      301: 'Moved Permanently',
+      302: 'Found',
+      304: 'Not Modified',
+      400: 'Bad Request',
+      401: 'Unauthorized',
+      403: 'Forbidden',
+      404: 'Not Found',
+      405: 'Method Not Allowed',
+      500: 'Internal Server Error',
+      502: 'Bad Gateway',
+      503: 'Service Unavailable'
+    };
+    return statusTexts[status] || '';
+  }
+
+  // Interceptors added with HttpTransport.use(), in the order they run
+  const httpInterceptors = [];
+
+  // HttpTransport - interceptors for every request that fetch and
+  // XMLHttpRequest send, to rewrite, answer or record them (non-web standard)
+  globalThis.HttpTransport = class HttpTransport {
+    constructor() {
+      throw new TypeError('Illegal constructor');
+    }
+
+    // Add an interceptor: a function (request, next) => Response, or an object
+    // with such an intercept() method. Returns a function that removes it.
+    static use(interceptor) {
+      if (typeof interceptor !== 'function' && typeof interceptor?.intercept !== 'function') {
+        throw new TypeError('An interceptor must be a function or have an intercept() method');
+      }
+      httpInterceptors.push(interceptor);
+      return () => {
+        const index = httpInterceptors.indexOf(interceptor);
+        if (index !== -1) httpInterceptors.splice(index, 1);
+      };
+    }
+
+    static get interceptors() {
+      return [...httpInterceptors];
+    }
+
+    static clear() {
+      httpInterceptors.length = 0;
+    }
+  };
+
+  // Pass `request` through the interceptors and then to `transport`. Each
+  // interceptor may call next() with the same or another Request, or answer
+  // with a Response of its own; Response.error() fails the request.
+  function runHttpInterceptors(request, transport) {
+    const interceptors = [...httpInterceptors];
+    const dispatch = async (index, current) => {
+      if (!(current instanceof Request)) {
+        throw new TypeError('An interceptor must pass a Request to next()');
+      }
+      if (index === interceptors.length) {
+        return transport(current);
+      }
+      const interceptor = interceptors[index];
+      const next = (nextRequest = current) => dispatch(index + 1, nextRequest);
+      const response = await (typeof interceptor === 'function' ?
+        interceptor(current, next) :
+        interceptor.intercept(current, next));
+      if (!(response instanceof Response)) {
+        throw new TypeError('An interceptor must return a Response');
+      }
+      if (response.type === 'error') {
+        throw new TypeError(`Network request to ${current.url} failed`);
+      }
+      if (response.url) {
+        return response;
+      }
+      // A Response made by an interceptor takes the URL of the request it answers
+      return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        url: current.url,
+        redirected: response.redirected
+      });
+    };
+    return dispatch(0, request);
+  }
+
+  // Read the body of a request about to be sent into bytes, with the
+  // Content-Type it is sent with
+  async function serializeRequestBody(request) {
+    const body = request.body;
+    let contentType = request.headers.get('Content-Type');
+    let bytes = null;
+    if (body instanceof ReadableStream) {
+      bytes = new Uint8Array(await readAllArrayBufferFromReader(body.getReader()));
+    } else if (body instanceof FormData) {
+      if (body[SYMBOLS.formDataHasStreamingValues]()) {
+        const stream = body.stream();
+        contentType = `multipart/form-data; boundary=${stream[SYMBOLS.formDataBoundary]}`;
+        bytes = new Uint8Array(await readAllArrayBufferFromReader(stream.getReader()));
+      } else {
+        const multipart = body[SYMBOLS.formDataToMultipart]();
+        contentType = `multipart/form-data; boundary=${multipart.boundary}`;
+        bytes = new TextEncoder().encode(multipart.body);
+      }
+    } else if (body instanceof Blob) {
+      contentType ??= body.type || null;
+      bytes = new Uint8Array(await body.arrayBuffer());
+    } else if (body instanceof URLSearchParams) {
+      contentType ??= 'application/x-www-form-urlencoded';
+      bytes = new TextEncoder().encode(body.toString());
+    } else if (typeof body === 'string') {
+      bytes = new TextEncoder().encode(body);
+    } else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+      bytes = toUint8Array(body).slice();
+    }
+    return { bytes, contentType };
+  }
+
+  // HAR body content: the text of a UTF-8 body, or base64 for any other bytes
+  function createHarContent(bytes) {
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes) };
+    } catch (error) {
+      return { text: decodeBytesToString(bytes, 'base64'), encoding: 'base64' };
+    }
+  }
+
+  function createHarHeaders(headers) {
+    return [...headers].map(([name, value]) => ({ name, value }));
+  }
+
+  function stripURLFragment(url) {
+    const parsed = URL.parse(url);
+    if (!parsed) return url;
+    parsed.hash = '';
+    return parsed.href;
+  }
+
+  // HarRecorder - an interceptor that records requests and responses as the
+  // entries of a HAR 1.2 log (non-web standard). Bodies are read completely
+  // before the response is handed on.
+  globalThis.HarRecorder = class HarRecorder {
+    #entries = [];
+
+    get entries() {
+      return [...this.#entries];
+    }
+
+    async intercept(request, next) {
+      const startedDateTime = new Date();
+      const { bytes: requestBytes, contentType } = await serializeRequestBody(request);
+      const headers = new Headers(request.headers);
+      if (contentType) headers.set('Content-Type', contentType);
+      const sent = new Request(request.url, {
+        method: request.method,
+        headers,
+        body: requestBytes,
+        signal: request.signal,
+        redirect: request.redirect,
+        cache: request.cache
+      });
+
+      const entry = {
+        startedDateTime: startedDateTime.toISOString(),
+        time: 0,
+        request: {
+          method: sent.method,
+          url: sent.url,
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: createHarHeaders(sent.headers),
+          queryString: [...new URL(sent.url).searchParams].map(([name, value]) => ({ name, value })),
+          headersSize: -1,
+          bodySize: requestBytes ? requestBytes.length : 0
+        },
+        response: null,
+        cache: {},
+        timings: { send: 0, wait: 0, receive: 0 }
+      };
+      if (requestBytes) {
+        const { text, encoding } = createHarContent(requestBytes);
+        entry.request.postData = { mimeType: contentType ?? '', text, ...(encoding && { _encoding: encoding }) };
+      }
+
+      let response;
+      try {
+        response = await next(sent);
+      } catch (error) {
+        // HAR marks a request that got no response with status 0
+        entry.time = Date.now() - startedDateTime.getTime();
+        entry.response = {
+          status: 0, statusText: '', httpVersion: '', cookies: [], headers: [],
+          content: { size: 0, mimeType: '' }, redirectURL: '', headersSize: -1, bodySize: -1,
+          _error: String(error?.message ?? error)
+        };
+        this.#entries.push(entry);
+        throw error;
+      }
+
+      const waited = Date.now() - startedDateTime.getTime();
+      const responseBytes = new Uint8Array(await response.arrayBuffer());
+      entry.time = Date.now() - startedDateTime.getTime();
+      entry.timings = { send: 0, wait: waited, receive: entry.time - waited };
+      entry.response = {
+        status: response.status,
+        statusText: response.statusText,
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: createHarHeaders(response.headers),
+        content: {
+          size: responseBytes.length,
+          mimeType: response.headers.get('Content-Type') ?? '',
+          ...createHarContent(responseBytes)
+        },
+        redirectURL: response.headers.get('Location') ?? '',
+        headersSize: -1,
+        bodySize: responseBytes.length
+      };
+      this.#entries.push(entry);
+
+      return new Response(responseBytes.length > 0 ? responseBytes : null, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        url: response.url,
+        redirected: response.redirected
+      });
+    }
+
+    clear() {
+      this.#entries = [];
+    }
+
+    save(path) {
+      const directory = Path.dirname(path);
+      if (directory !== '.' && !_FileSystem.exists(directory)) {
+        _FileSystem.mkdir(directory);
+      }
+      return _FileSystem.writeFile(path, JSON.stringify(this, null, 2));
+    }
+
+    toJSON() {
+      return {
+        log: {
+          version: '1.2',
+          creator: { name: 'SwiftJS', version: '' },
+          entries: this.#entries
+        }
+      };
+    }
+
+    get [Symbol.toStringTag]() {
+      return 'HarRecorder';
+    }
+  };
+
+  // HarReplayer - an interceptor that answers requests from the entries of a
+  // HAR log (non-web standard). Requests match entries by method and URL, and
+  // repeated requests get the matching entries in recorded order, the last
+  // one again once all were used. Unmatched requests fail with a TypeError,
+  // or go on to the network with `fallthrough: true`.
+  globalThis.HarReplayer = class HarReplayer {
+    #entries;
+    #fallthrough;
+    #used = new Set();
+
+    constructor(har, options = {}) {
+      const json = typeof har === 'string' ? JSON.parse(har) : har;
+      if (!Array.isArray(json?.log?.entries)) {
+        throw new TypeError('Invalid HAR: log.entries must be an array');
+      }
+      this.#entries = json.log.entries.filter(entry => entry?.request && entry.response);
+      this.#fallthrough = options.fallthrough === true;
+    }
+
+    static load(path, options = {}) {
+      return new HarReplayer(_FileSystem.readFile(path), options);
+    }
+
+    intercept(request, next) {
+      const url = stripURLFragment(request.url);
+      const matching = [];
+      this.#entries.forEach((entry, index) => {
+        if (String(entry.request.method).toUpperCase() === request.method &&
+          stripURLFragment(String(entry.request.url)) === url) {
+          matching.push(index);
+        }
+      });
+      if (matching.length === 0) {
+        if (this.#fallthrough) return next(request);
+        throw new TypeError(`No recorded response for ${request.method} ${request.url}`);
+      }
+
+      const index = matching.find(candidate => !this.#used.has(candidate)) ?? matching[matching.length - 1];
+      this.#used.add(index);
+      const { response } = this.#entries[index];
+      if (response.status === 0) {
+        throw new TypeError(response._error || `Network request to ${request.url} failed`);
+      }
+      const content = response.content ?? {};
+      const body = content.encoding === 'base64' ?
+        encodeStringToBytes(content.text ?? '', 'base64') :
+        content.text ?? '';
+      return new Response(body.length > 0 ? body : null, {
+        status: response.status,
+        statusText: response.statusText,
+        // HTTP/2 pseudo-headers such as :status are not headers of a Response
+        headers: (response.headers ?? [])
+          .filter(({ name }) => !String(name).startsWith(':'))
+          .map(({ name, value }) => [name, value]),
+        url: request.url
+      });
+    }
+
+    // Serve every entry again from the first
+    reset() {
+      this.#used.clear();
+    }
+
+    get [Symbol.toStringTag]() {
+      return 'HarReplayer';
+    }
+  };
+
+  // Timeouts used by fetch when neither the request nor its client sets them
+  let defaultFetchTimeout = { connect: 30000, idle: 30000, total: null };
+
+  function createTimeoutError() {
+    return createNamedError('TimeoutError', 'The operation timed out');
+  }
+
+  // Resolve the timeouts of a fetch from the request, then its client, then
+  // fetch.defaultTimeout. The total duration and the deadline of the signal,
+  // if it comes from AbortSignal.timeout(), make one deadline for the whole
+  // fetch, redirects included.
+  function resolveFetchTimeouts(request) {
+    const { connect, idle, total } = {
+      ...defaultFetchTimeout,
+      ...request[SYMBOLS.requestClient]?.timeout,
+      ...request[SYMBOLS.requestTimeout]
+    };
+    const deadlines = [request.signal?.[SYMBOLS.abortSignalDeadline], total === null ? undefined : Date.now() + total]
+      .filter(deadline => deadline !== undefined);
+    return { connect, idle, deadline: deadlines.length > 0 ? Math.min(...deadlines) : null };
+  }
+
+  // Native timeouts fail with an Error named TimeoutError; surface them as a DOMException
+  function toNetworkError(error) {
+    return error?.name === 'TimeoutError' ? createNamedError('TimeoutError', error.message) : error;
+  }
+
+  // Perform a single HTTP request without following redirects. `extraHeaders`
+  // are sent in addition to the request's own headers, and `timeouts` come
+  // from resolveFetchTimeouts(). Interceptors see the request with every
+  // header it is sent with.
+  async function httpNetworkFetch(request, extraHeaders = null, timeouts = null) {
+
+    // Check if the request is already aborted
+    if (request.signal && request.signal.aborted) {
+      throw request.signal.reason;
+    }
+
+    const client = request[SYMBOLS.requestClient];
+    const session = client ? client[SYMBOLS.httpClientSession]() : __APPLE_SPEC__.URLSession.shared();
+
+    // Header names from Headers are lowercase, so the request's own headers
+    // replace the client's defaults
+    const headers = new Headers(client?.headers);
+    for (const [key, value] of [...request.headers, ...(extraHeaders ?? [])]) {
+      headers.set(key, value);
+    }
+
+    const cookieJar = request[SYMBOLS.requestCookieJar];
+    const cookies = cookieJar?.getCookieString(request.url);
+    if (cookies) {
+      const existing = request.headers.get('Cookie');
+      headers.set('Cookie', existing ? `${existing}; ${cookies}` : cookies);
+    }
+
+    const sentRequest = new Request(request.url, {
+      method: request.method,
+      headers,
+      body: request.body,
+      signal: request.signal,
+      redirect: request.redirect,
+      cache: request.cache
+    });
+    const response = await runHttpInterceptors(sentRequest, (sent) => sendHttpRequest(sent, session, {
+      decompress: request[SYMBOLS.requestDecompress],
+      timeouts,
+      progress: request[SYMBOLS.requestProgress]
+    }));
+
+    // The header list keeps every Set-Cookie value apart
+    for (const cookie of cookieJar ? response.headers.getSetCookie() : []) {
+      cookieJar.setCookie(cookie, request.url);
+    }
+    return response;
+  }
+
+  // Call a fetch progress callback the way event listeners are called: an
+  // error it throws is logged and does not affect the request. A total of -1
+  // from the native session is unknown.
+  function reportFetchProgress(callback, loaded, total) {
+    try {
+      callback({ loaded, total: Math.max(total, 0), lengthComputable: total >= 0 });
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  // Send a request through a native session, the last step of every request
+  // of fetch, and of XMLHttpRequest when interceptors are registered
+  async function sendHttpRequest(request, session, { decompress = true, timeouts = null, progress = null } = {}) {
+    const deadline = timeouts?.deadline ?? null;
+    if (deadline !== null && Date.now() >= deadline) {
+      throw createTimeoutError();
+    }
+
+    const urlRequest = new __APPLE_SPEC__.URLRequest(request.url);
+    urlRequest.httpMethod = request.method;
+    urlRequest.decompressesResponse = decompress;
+
+    // Intervals are in seconds and 0 means no limit. The native deadline backs
+    // up the timer below, which also covers reading the body.
+    urlRequest.connectTimeoutInterval = (timeouts?.connect ?? 0) / 1000;
+    urlRequest.idleTimeoutInterval = (timeouts?.idle ?? 0) / 1000;
+    urlRequest.timeoutInterval = deadline === null ? 0 : (deadline - Date.now()) / 1000;
+
+    for (const [key, value] of request.headers) {
+      urlRequest.setValueForHTTPHeaderField(value, key);
+    }
+
+    // Set body and determine if we need streaming
+    let bodyStream = null;
+
+    if (request.body) {
+      if (request.body instanceof ReadableStream) {
+        // Wrap user-provided ReadableStream to ensure it yields ArrayBuffer chunks
+        const sourceStream = request.body;
+        bodyStream = new ReadableStream({
+          async start(controller) {
+            const reader = sourceStream.getReader();
+            try {
+              while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                const _v = toUint8Array(value);
+                // Enqueue a copied Uint8Array to ensure stable backing memory for native reader
+                controller.enqueue(new Uint8Array(_v));
+              }
+              controller.close();
+            } catch (err) {
+              controller.error(err);
+            } finally {
+              try { reader.releaseLock(); } catch (e) { }
+            }
+          },
+          cancel(reason) {
+            try { sourceStream.cancel && sourceStream.cancel(reason); } catch (e) { }
+          }
+        });
+      } else if (request.body instanceof FormData) {
+        // Check if FormData contains streams using internal symbol
+        if (request.body[SYMBOLS.formDataHasStreamingValues]()) {
+          // Use streaming interface for FormData with streams
+          const formStream = request.body.stream();
+          bodyStream = formStream;
+
+          // Set Content-Type header with the boundary from the stream
+          const boundary = formStream[SYMBOLS.formDataBoundary];
+          if (boundary) {
+            urlRequest.setValueForHTTPHeaderField(
+              `multipart/form-data; boundary=${boundary}`,
+              'Content-Type'
+            );
+          }
+          urlRequest.expectedBodyLength = formStream[SYMBOLS.formDataLength] ?? -1;
+        } else {
+        // Use traditional multipart conversion for FormData without streams
+          const multipart = request.body[SYMBOLS.formDataToMultipart]();
+          urlRequest.httpBody = multipart.body;
+          urlRequest.setValueForHTTPHeaderField(
+            `multipart/form-data; boundary=${multipart.boundary}`,
+            'Content-Type'
+          );
+        }
+      } else if (request[SYMBOLS.requestOriginalBody] instanceof URLSearchParams) {
+        urlRequest.httpBody = request[SYMBOLS.requestOriginalBody].toString();
+        if (!request.headers.has('Content-Type')) {
+          urlRequest.setValueForHTTPHeaderField(
+            'application/x-www-form-urlencoded',
+            'Content-Type'
+          );
+        }
+      } else if (request.body instanceof URLSearchParams) {
+        urlRequest.httpBody = request.body.toString();
+        if (!request.headers.has('Content-Type')) {
+          urlRequest.setValueForHTTPHeaderField(
+            'application/x-www-form-urlencoded',
+            'Content-Type'
+          );
+        }
+      } else if (request.body instanceof Blob) {
+        // Stream Blob bodies to native. Wrap the blob.stream() so the
+        // produced stream yields Uint8Array chunks (native bridge expects typed arrays).
+        const blob = request.body;
+        if (!request.headers.has('Content-Type') && blob.type) {
+          urlRequest.setValueForHTTPHeaderField(blob.type, 'Content-Type');
+        }
+        urlRequest.expectedBodyLength = blob.size;
+
+        // Wrap the blob's native stream and copy each chunk before enqueueing
+        const sourceStream = blob.stream();
+        bodyStream = new ReadableStream({
+          async start(controller) {
+            const reader = sourceStream.getReader();
+            try {
+              while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                const _v = toUint8Array(value);
+                // Copy chunk so the native bridge can safely read its bytes
+                controller.enqueue(new Uint8Array(_v));
+              }
+              controller.close();
+            } catch (err) {
+              controller.error(err);
+            } finally {
+              try { reader.releaseLock(); } catch (e) { }
+            }
+          },
+          cancel(reason) {
+            try { sourceStream.cancel && sourceStream.cancel(reason); } catch (e) { }
+          }
+        });
+      } else if (typeof request.body === 'string') {
+        urlRequest.httpBody = request.body;
+      } else if (request.body instanceof ArrayBuffer || ArrayBuffer.isView(request.body)) {
+        urlRequest.httpBody = toUint8Array(request.body);
+      }
+    }
+
+    // Create a streaming response body using progress handler
+    let responseBodyController = null;
+    let aborted = false;
+    let deadlineTimer = null;
+    const clearDeadline = () => {
+      if (deadlineTimer !== null) {
+        clearTimeout(deadlineTimer);
+        deadlineTimer = null;
+      }
+    };
+    const responseBody = new ReadableStream({
+      start(controller) {
+        responseBodyController = controller;
+      },
+      cancel() {
+        responseBodyController = null;
+        clearDeadline();
+      }
+    });
+
+    // Set up abort and deadline handling: either fails the request, or the
+    // response body when it is already streaming
+    let failRequest;
+    const failurePromise = new Promise((_, reject) => {
+      failRequest = (error) => {
+        if (aborted) return;
+        aborted = true;
+        clearDeadline();
+        if (responseBodyController) {
+          responseBodyController.error(error);
+          responseBodyController = null;
+        }
+        reject(error);
+      };
+    });
+    if (request.signal) {
+      request.signal.addEventListener('abort', () => failRequest(request.signal.reason));
+    }
+    if (deadline !== null) {
+      deadlineTimer = setTimeout(() => failRequest(createTimeoutError()), deadline - Date.now());
+    }
+
+    // Use progress handler to stream response data
+    const progressHandler = function (chunk, error) {
+      if (aborted || !responseBodyController) return;
+
+      if (error) {
+        clearDeadline();
+        responseBodyController.error(toNetworkError(error));
+        responseBodyController = null;
+      } else if (chunk.length > 0) {
+        responseBodyController.enqueue(chunk);
+      } else {
+        clearDeadline();
+        responseBodyController.close();
+        responseBodyController = null;
+      }
+    };
+
+    // The body of a redirect is never exposed, so its download is not
+    // reported; bytes that arrive before the status is known wait for it
+    let responseStatus = null;
+    let pendingDownload = null;
+    const reportsDownload = () => !REDIRECT_STATUSES.includes(responseStatus);
+    const transferObserver = progress && {
+      upload: progress.upload && ((loaded, total) => {
+        if (!aborted) reportFetchProgress(progress.upload, loaded, total);
+      }),
+      download: progress.download && ((loaded, total) => {
+        if (aborted) return;
+        if (responseStatus === null) {
+          pendingDownload = [loaded, total];
+        } else if (reportsDownload()) {
+          reportFetchProgress(progress.download, loaded, total);
         }
+      })
+    };
 
-        self.#error = error;
-        self.#setReadyState(FileReader.DONE);
+    try {
+      // Race the HTTP request with the abort signal and the deadline
+      const requestPromise = session.httpRequestWithRequest(
+        urlRequest,
+        bodyStream,       // bodyStream parameter
+        progressHandler,  // progressHandler for streaming response
+        transferObserver  // bytes sent and received, for onUploadProgress and onDownloadProgress
+      );
 
-        // Fire error event
-        self.#fireEvent('error');
+      const result = await Promise.race([requestPromise, failurePromise]);
 
-        // Fire loadend event
-        self.#fireEvent('loadend');
+      responseStatus = result.statusCode;
+      if (pendingDownload && reportsDownload()) {
+        reportFetchProgress(progress.download, ...pendingDownload);
+      }
+
+      // Create response with streaming body; the header list keeps every
+      // Set-Cookie value apart
+      return new Response(responseBody, {
+        status: result.statusCode,
+        statusText: getStatusText(result.statusCode),
+        headers: new Headers(result.headerList ?? Object.entries(result.allHeaderFields)),
+        url: result.url || request.url
+      });
+    } catch (error) {
+      // Make sure to close the stream on any error
+      const networkError = toNetworkError(error);
+      clearDeadline();
+      if (responseBodyController) {
+        responseBodyController.error(networkError);
+        responseBodyController = null;
       }
+      throw networkError;
     }
+  }
 
-    async #streamingRead(blob, format, encoding, onProgress) {
-      // Check if this is a file with path-based streaming
-      if (blob[SYMBOLS.filePath] && blob.size > 0) {
-        return this.#streamFromFilePath(blob[SYMBOLS.filePath], format, encoding, onProgress);
+  const MAX_REDIRECTS = 20;
+
+  // Credentials are not forwarded when a redirect leaves the original origin
+  const CROSS_ORIGIN_REDIRECT_STRIPPED_HEADERS = ['Authorization', 'Cookie', 'Proxy-Authorization'];
+  const REQUEST_BODY_HEADERS = ['Content-Encoding', 'Content-Language', 'Content-Location', 'Content-Type'];
+
+  // Build the request for the next hop of a followed redirect, or return null
+  // when the response has no Location to follow
+  function createRedirectRequest(request, response, redirectCount) {
+    const location = response.headers.get('Location');
+    if (location === null) return null;
+
+    // Resolve the Location header against the URL that was requested
+    const redirectURL = URL.parse(location, request.url);
+    if (!redirectURL) {
+      throw new TypeError(`Invalid redirect location: ${location}`);
+    }
+    if (redirectURL.protocol !== 'http:' && redirectURL.protocol !== 'https:') {
+      throw new TypeError(`Redirect to unsupported scheme: ${redirectURL.protocol}`);
+    }
+    if (redirectCount >= MAX_REDIRECTS) {
+      throw new TypeError(`Maximum number of redirects (${MAX_REDIRECTS}) exceeded`);
+    }
+    // A ReadableStream body has been consumed by the first request and cannot be sent again
+    if (response.status !== 303 && request.body instanceof ReadableStream) {
+      throw new TypeError('Cannot follow a redirect for a request with a ReadableStream body');
+    }
+    // The fragment of the original URL carries over when the location has none
+    if (redirectURL.hash === '' && !location.includes('#')) {
+      redirectURL.hash = new URL(request.url).hash;
+    }
+
+    const headers = new Headers(request.headers);
+    let method = request.method;
+    let body = request.body;
+
+    // 301/302 turn POST into GET, and 303 turns everything but GET/HEAD into GET
+    if (((response.status === 301 || response.status === 302) && method === 'POST') ||
+      (response.status === 303 && method !== 'GET' && method !== 'HEAD')) {
+      method = 'GET';
+      body = null;
+      for (const name of REQUEST_BODY_HEADERS) headers.delete(name);
+    }
+
+    if (redirectURL.origin !== new URL(request.url).origin) {
+      for (const name of CROSS_ORIGIN_REDIRECT_STRIPPED_HEADERS) headers.delete(name);
+    }
+
+    return new Request(redirectURL.href, {
+      method,
+      headers,
+      body,
+      redirect: request.redirect,
+      cache: request.cache,
+      signal: request.signal,
+      decompress: request[SYMBOLS.requestDecompress],
+      cookieJar: request[SYMBOLS.requestCookieJar],
+      client: request[SYMBOLS.requestClient],
+      timeout: request[SYMBOLS.requestTimeout],
+      onUploadProgress: request[SYMBOLS.requestProgress]?.upload,
+      onDownloadProgress: request[SYMBOLS.requestProgress]?.download
+    });
+  }
+
+  // The body of a redirect response is never exposed, so stop buffering it
+  function discardResponseBody(response) {
+    response.body?.cancel().catch(() => { });
+  }
+
+  // HTTPCache - on-disk private HTTP cache used by fetch (RFC 9111, non-web standard)
+  const HEURISTICALLY_CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501];
+  const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'TRACE'];
+  // A request that carries its own validators is passed through untouched
+  const CONDITIONAL_REQUEST_HEADERS = ['If-Modified-Since', 'If-None-Match', 'If-Unmodified-Since', 'If-Match', 'If-Range'];
+  // These describe the stored body, so a 304 response cannot replace them
+  const NOT_MODIFIED_KEPT_HEADERS = ['content-encoding', 'content-length', 'content-range', 'transfer-encoding'];
+
+  function parseCacheControl(value) {
+    const directives = new Map();
+    for (const part of (value ?? '').split(',')) {
+      const separator = part.indexOf('=');
+      const name = (separator === -1 ? part : part.slice(0, separator)).trim().toLowerCase();
+      if (!name || directives.has(name)) continue;
+      const argument = separator === -1 ? '' : part.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+      directives.set(name, argument);
+    }
+    return directives;
+  }
+
+  function parseDeltaSeconds(value) {
+    return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : null;
+  }
+
+  // The cookie-date algorithm accepts all three HTTP-date formats
+  function parseHTTPDate(value) {
+    return value === null ? null : parseCookieDate(value);
+  }
+
+  // RFC 9111 section 4.2.1, in milliseconds. The cache is shared, so
+  // s-maxage takes precedence over max-age and Expires.
+  function cachedResponseFreshnessLifetime(entry, headers) {
+    const directives = parseCacheControl(headers.get('Cache-Control'));
+    const sharedMaxAge = parseDeltaSeconds(directives.get('s-maxage'));
+    if (sharedMaxAge !== null) return sharedMaxAge * 1000;
+    const maxAge = parseDeltaSeconds(directives.get('max-age'));
+    if (maxAge !== null) return maxAge * 1000;
+
+    const date = parseHTTPDate(headers.get('Date')) ?? entry.responseTime;
+    if (headers.has('Expires')) {
+      // An invalid Expires value means the response is already stale
+      const expires = parseHTTPDate(headers.get('Expires'));
+      return expires === null ? 0 : Math.max(0, expires - date);
+    }
+
+    const lastModified = parseHTTPDate(headers.get('Last-Modified'));
+    if (lastModified !== null && HEURISTICALLY_CACHEABLE_STATUSES.includes(entry.status)) {
+      return Math.max(0, (date - lastModified) / 10);
+    }
+    return 0;
+  }
+
+  // RFC 9111 section 4.2.3, in milliseconds
+  function cachedResponseAge(entry, headers, now) {
+    const date = parseHTTPDate(headers.get('Date')) ?? entry.responseTime;
+    const ageValue = (parseDeltaSeconds(headers.get('Age')) ?? 0) * 1000;
+    const apparentAge = Math.max(0, entry.responseTime - date);
+    const correctedAgeValue = ageValue + (entry.responseTime - entry.requestTime);
+    return Math.max(apparentAge, correctedAgeValue) + (now - entry.responseTime);
+  }
+
+  // Whether a stored response may be used without revalidation, taking the
+  // request's own Cache-Control directives into account
+  function isCachedResponseFresh(entry, request) {
+    const headers = new Headers(entry.headers);
+    const responseDirectives = parseCacheControl(headers.get('Cache-Control'));
+    const requestDirectives = parseCacheControl(request.headers.get('Cache-Control'));
+    if (responseDirectives.has('no-cache') || requestDirectives.has('no-cache')) return false;
+    if (!request.headers.has('Cache-Control') && /no-cache/i.test(request.headers.get('Pragma') ?? '')) return false;
+
+    const lifetime = cachedResponseFreshnessLifetime(entry, headers);
+    const age = cachedResponseAge(entry, headers, Date.now());
+
+    const maxAge = parseDeltaSeconds(requestDirectives.get('max-age'));
+    if (maxAge !== null && age > maxAge * 1000) return false;
+    const minFresh = parseDeltaSeconds(requestDirectives.get('min-fresh'));
+    if (minFresh !== null && lifetime - age < minFresh * 1000) return false;
+    if (lifetime > age) return true;
+
+    if (!requestDirectives.has('max-stale') || responseDirectives.has('must-revalidate') ||
+      responseDirectives.has('proxy-revalidate')) {
+      return false;
+    }
+    const maxStale = parseDeltaSeconds(requestDirectives.get('max-stale'));
+    return maxStale === null || age - lifetime <= maxStale * 1000;
+  }
+
+  // Whether a request is sent with credentials: an Authorization or Cookie
+  // header of its own or of its client, cookies from its cookie jar, or a
+  // client certificate
+  function hasRequestCredentials(request) {
+    const client = request[SYMBOLS.requestClient];
+    for (const headers of [request.headers, client?.headers]) {
+      if (headers?.has('Authorization') || headers?.has('Cookie')) return true;
+    }
+    if (request[SYMBOLS.requestCookieJar]?.getCookieString(request.url)) return true;
+    return client?.[SYMBOLS.httpClientCacheScope]().hasCertificate === true;
+  }
+
+  // RFC 9111 section 3. Responses with neither freshness information nor a
+  // validator could never be reused without a full request, so they are not
+  // written to disk. The cache is shared by every context using its
+  // directory, so private responses are never stored (section 5.2.2.7), and
+  // the response to a request with credentials is only stored when it says
+  // it may be shared (section 3.5).
+  function isStorableResponse(request, response, credentialed) {
+    if (request.method !== 'GET' || request.headers.has('Range')) return false;
+    if (parseCacheControl(request.headers.get('Cache-Control')).has('no-store')) return false;
+
+    const directives = parseCacheControl(response.headers.get('Cache-Control'));
+    if (directives.has('no-store') || directives.has('private')) return false;
+    if (credentialed && !directives.has('public') && !directives.has('s-maxage')) return false;
+    if ((response.headers.get('Vary') ?? '').split(',').some(name => name.trim() === '*')) return false;
+    if (!HEURISTICALLY_CACHEABLE_STATUSES.includes(response.status) &&
+      !(response.status >= 200 && response.status !== 206 && response.status !== 304 &&
+        (directives.has('max-age') || directives.has('s-maxage') || response.headers.has('Expires')))) {
+      return false;
+    }
+    return directives.has('max-age') || directives.has('s-maxage') || response.headers.has('Expires') ||
+      response.headers.has('ETag') || response.headers.has('Last-Modified');
+  }
+
+  globalThis.HTTPCache = class HTTPCache {
+    static #shared;
+    #directory;
+    #maxSize;
+    #maxEntrySize;
+
+    constructor(options = {}) {
+      const {
+        directory = Path.join(_FileSystem.temp, 'SwiftJS', 'HTTPCache'),
+        maxSize = 50 * 1024 * 1024,
+        maxEntrySize = Math.floor(maxSize / 10)
+      } = options;
+      this.#directory = String(directory);
+      this.#maxSize = maxSize;
+      this.#maxEntrySize = maxEntrySize;
+    }
+
+    // The cache used by fetch; set it to another HTTPCache, or to null to disable caching
+    static get shared() {
+      if (HTTPCache.#shared === undefined) {
+        HTTPCache.#shared = new HTTPCache();
       }
+      return HTTPCache.#shared;
+    }
 
-      // Standard streaming for in-memory blobs
-      const stream = blob.stream();
-      const reader = stream.getReader();
-      try {
-        if (format === 'arraybuffer') {
-          const buffer = await readAllArrayBufferFromReader(reader, {
-            onProgress: (loaded) => { if (onProgress) onProgress(loaded); },
-            shouldAbort: () => this.#readyState !== FileReader.LOADING
-          });
-          return buffer;
-        } else if (format === 'text') {
-          const text = await readAllTextFromReader(reader, {
-            encoding,
-            onProgress: (loaded) => { if (onProgress) onProgress(loaded); },
-            shouldAbort: () => this.#readyState !== FileReader.LOADING
-          });
-          return text;
+    static set shared(cache) {
+      if (cache !== null && !(cache instanceof HTTPCache)) {
+        throw new TypeError('HTTPCache.shared must be an HTTPCache or null');
+      }
+      HTTPCache.#shared = cache;
+    }
+
+    get directory() { return this.#directory; }
+    get maxSize() { return this.#maxSize; }
+    get maxEntrySize() { return this.#maxEntrySize; }
+
+    // Total size in bytes of the stored bodies
+    get size() {
+      return this.#readEntries().reduce((total, entry) => total + entry.size, 0);
+    }
+
+    // Remove the stored responses for `url`, returning whether there were any
+    delete(url) {
+      const href = new URL(String(url)).href.replace(/#.*$/, '');
+      let deleted = false;
+      for (const decompress of [true, false]) {
+        deleted = this.#removeEntry(this.#entryName(href, decompress)) || deleted;
+      }
+      // Responses to requests made through an HttpClient are stored apart
+      for (const entry of this.#readEntries()) {
+        if (entry.requestURL === href) {
+          deleted = this.#removeEntry(entry.name) || deleted;
         }
+      }
+      return deleted;
+    }
 
-        throw new Error(`Streaming not supported for format: ${format}`);
-      } finally {
-        try { reader.releaseLock(); } catch (e) { }
+    clear() {
+      if (_FileSystem.exists(this.#directory)) {
+        _FileSystem.rmdir(this.#directory, { recursive: true });
       }
     }
 
-    async #streamFromFilePath(filePath, format, encoding, onProgress) {
-      try {
-        // Create a file-backed readable stream and consume it according to format
-        const stream = createFileReadableStream(filePath);
-        const reader = stream.getReader();
-        let totalLoaded = 0;
+    // Stored response for a GET request, if its Vary headers match
+    [SYMBOLS.httpCacheLookup](request) {
+      const entry = this.#readEntry(this.#requestEntryName(request));
+      if (!entry) return null;
+      for (const [name, value] of Object.entries(entry.vary)) {
+        if (request.headers.get(name) !== value) return null;
+      }
+      return entry;
+    }
 
-        try {
-          if (format === 'arraybuffer') {
-            const buffer = await readAllArrayBufferFromReader(reader, {
-              onProgress: (loaded) => { if (onProgress) onProgress(loaded); },
-              shouldAbort: () => this.#readyState !== FileReader.LOADING
-            });
-            return buffer;
-          } else if (format === 'text') {
-            const text = await readAllTextFromReader(reader, {
-              encoding,
-              onProgress: (loaded) => { if (onProgress) onProgress(loaded); },
-              shouldAbort: () => this.#readyState !== FileReader.LOADING
-            });
-            return text;
-          }
+    // Build a Response for a stored entry and record the use for eviction
+    [SYMBOLS.httpCacheRespond](entry) {
+      const headers = new Headers(entry.headers);
+      headers.set('Age', String(Math.floor(cachedResponseAge(entry, headers, Date.now()) / 1000)));
+      entry.lastUsed = Date.now();
+      this.#writeMetadata(entry);
 
-          throw new Error(`Path streaming not supported for format: ${format}`);
-        } finally {
-          try { reader.releaseLock(); } catch (e) { }
+      const hasBody = entry.status !== 204 && entry.status !== 304;
+      return new Response(hasBody ? createFileReadableStream(Path.join(this.#directory, entry.body)) : null, {
+        status: entry.status,
+        statusText: entry.statusText,
+        headers,
+        url: entry.url
+      });
+    }
+
+    // Store a network response as the caller reads it. The entry is written
+    // before the body stream closes, and is dropped if the body is cancelled.
+    // `credentialed` tells whether the request was sent with credentials.
+    async [SYMBOLS.httpCacheStore](request, response, requestTime, credentialed) {
+      if (!response.body || !isStorableResponse(request, response, credentialed)) return response;
+      const contentLength = parseDeltaSeconds(response.headers.get('Content-Length'));
+      if (contentLength !== null && contentLength > this.#maxEntrySize) return response;
+
+      const vary = {};
+      for (const name of (response.headers.get('Vary') ?? '').split(',')) {
+        if (name.trim()) vary[name.trim().toLowerCase()] = request.headers.get(name.trim());
+      }
+      const entry = {
+        version: 1,
+        name: this.#requestEntryName(request),
+        requestURL: request.url.replace(/#.*$/, ''),
+        url: response.url || request.url,
+        status: response.status,
+        statusText: response.statusText,
+        headers: [...response.headers],
+        vary,
+        requestTime,
+        responseTime: Date.now(),
+        lastUsed: Date.now(),
+        size: 0,
+        body: null
+      };
+
+      const entryWriter = this.#createEntryWriter(entry);
+      // fetch discards the body of a redirect it follows, so only its headers are kept
+      if (REDIRECT_STATUSES.includes(response.status)) {
+        await entryWriter.commit();
+        return response;
+      }
+
+      const reader = response.body.getReader();
+      const body = new ReadableStream({
+        async pull(controller) {
+          let result;
+          try {
+            result = await reader.read();
+          } catch (error) {
+            await entryWriter.abort();
+            controller.error(error);
+            return;
+          }
+          if (result.done) {
+            await entryWriter.commit();
+            controller.close();
+          } else {
+            await entryWriter.write(result.value);
+            controller.enqueue(result.value);
+          }
+        },
+        async cancel(reason) {
+          await entryWriter.abort();
+          return reader.cancel(reason);
         }
+      });
+      return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        url: response.url
+      });
+    }
 
-      } catch (error) {
-        throw error;
+    // Refresh a stored entry with the headers of a 304 response (RFC 9111 section 3.2)
+    [SYMBOLS.httpCacheUpdate](entry, response, requestTime) {
+      const headers = new Headers(entry.headers);
+      const updated = [...response.headers].filter(([name]) => !NOT_MODIFIED_KEPT_HEADERS.includes(name));
+      for (const [name] of updated) headers.delete(name);
+      for (const [name, value] of updated) headers.append(name, value);
+
+      entry.headers = [...headers];
+      entry.requestTime = requestTime;
+      entry.responseTime = Date.now();
+      return this[SYMBOLS.httpCacheRespond](entry);
+    }
+
+    // An unsafe request that succeeded makes the stored responses for its URL
+    // and same-origin Location and Content-Location stale (RFC 9111 section 4.4)
+    [SYMBOLS.httpCacheInvalidate](request, response) {
+      const origin = new URL(request.url).origin;
+      const urls = [request.url];
+      for (const name of ['Location', 'Content-Location']) {
+        const target = URL.parse(response.headers.get(name) ?? '', request.url);
+        if (target && target.origin === origin) urls.push(target.href);
       }
+      for (const url of urls) this.delete(url);
     }
-  };
 
-  // XMLHttpRequest - HTTP request implementation
-  globalThis.XMLHttpRequest = class XMLHttpRequest extends EventTarget {
-    // State constants
-    static UNSENT = 0;
-    static OPENED = 1;
-    static HEADERS_RECEIVED = 2;
-    static LOADING = 3;
-    static DONE = 4;
+    #entryName(url, decompress, clientId = null) {
+      const prefix = `${clientId === null ? '' : `client ${clientId} `}${decompress === false ? 'raw ' : ''}`;
+      const key = `${prefix}GET ${url.replace(/#.*$/, '')}`;
+      return crypto.createHash('sha256').update(key).digest('hex');
+    }
 
-    // Private fields
-    #method = null;
-    #url = null;
-    #async = true;
-    #request = null;
-    #requestHeaders = {};
-    #response = null;
-    #aborted = false;
-    #status = 0;
-    #statusText = '';
-    #responseURL = '';
-    #readyState = XMLHttpRequest.UNSENT;
-    #responseData = null;
-    #responseText = '';
-    #upload = new EventTarget();
-    #streamingBody = null;
+    #requestEntryName(request) {
+      const clientId = request[SYMBOLS.requestClient]?.[SYMBOLS.httpClientCacheScope]().id ?? null;
+      return this.#entryName(request.url, request[SYMBOLS.requestDecompress], clientId);
+    }
 
-    constructor() {
-      super();
-      // Copy static constants to instance for compatibility
-      this.UNSENT = XMLHttpRequest.UNSENT;
-      this.OPENED = XMLHttpRequest.OPENED;
-      this.HEADERS_RECEIVED = XMLHttpRequest.HEADERS_RECEIVED;
-      this.LOADING = XMLHttpRequest.LOADING;
-      this.DONE = XMLHttpRequest.DONE;
+    #readEntry(name) {
+      const path = Path.join(this.#directory, `${name}.json`);
+      if (!_FileSystem.exists(path)) return null;
+      try {
+        const entry = JSON.parse(_FileSystem.readFile(path));
+        if (entry.version !== 1 || !_FileSystem.exists(Path.join(this.#directory, entry.body))) return null;
+        return entry;
+      } catch (error) {
+        // A metadata file that is being replaced reads as a miss
+        return null;
+      }
+    }
 
-      // Public properties
-      this.responseType = '';
-      this.timeout = 0;
-      // Event handlers
-      this.onreadystatechange = null;
-      this.onabort = null;
-      this.onerror = null;
-      this.onload = null;
-      this.onloadend = null;
-      this.onloadstart = null;
-      this.onprogress = null;
-      this.ontimeout = null;
+    #readEntries() {
+      if (!_FileSystem.exists(this.#directory)) return [];
+      return _FileSystem.readDir(this.#directory)
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.#readEntry(file.slice(0, -'.json'.length)))
+        .filter(entry => entry !== null);
     }
 
-    // Getters
-    get status() { return this.#status; }
-    get statusText() { return this.#statusText; }
-    get responseURL() { return this.#responseURL; }
-    get readyState() { return this.#readyState; }
-    get response() { return this.#responseData; }
-    get responseText() { return this.#responseText; }
-    get upload() { return this.#upload; }
+    #writeMetadata(entry) {
+      _FileSystem.writeFile(Path.join(this.#directory, `${entry.name}.json`), JSON.stringify(entry));
+    }
 
-    open(method, url, async = true, user = null, password = null) {
-      this.#method = method.toUpperCase();
-      this.#url = url;
-      this.#async = async;
-      this.#request = new __APPLE_SPEC__.URLRequest(url);
-      this.#request.httpMethod = this.#method;
-      this.#setReadyState(XMLHttpRequest.OPENED);
+    #removeEntry(name) {
+      const entry = this.#readEntry(name);
+      const path = Path.join(this.#directory, `${name}.json`);
+      if (_FileSystem.exists(path)) _FileSystem.remove(path);
+      if (entry) {
+        const bodyPath = Path.join(this.#directory, entry.body);
+        if (_FileSystem.exists(bodyPath)) _FileSystem.remove(bodyPath);
+      }
+      return entry !== null;
+    }
+
+    // The body goes to a file of its own, so readers of the previous entry
+    // are never handed a partial body. A failure to write only means the
+    // response is not stored.
+    #createEntryWriter(entry) {
+      const bodyFile = `${entry.name}-${crypto.randomUUID()}.body`;
+      const bodyPath = Path.join(this.#directory, bodyFile);
+      let writer = null;
+      let failed = false;
+
+      const open = () => {
+        if (!_FileSystem.exists(this.#directory)) {
+          _FileSystem.mkdir(this.#directory);
+        }
+        writer = _FileSystem.createWriteStream(bodyPath).getWriter();
+      };
+      const abort = async () => {
+        if (failed) return;
+        failed = true;
+        if (writer) await writer.abort().catch(() => { });
+        if (_FileSystem.exists(bodyPath)) _FileSystem.remove(bodyPath);
+      };
+
+      return {
+        write: async (chunk) => {
+          if (failed) return;
+          try {
+            entry.size += chunk.byteLength;
+            if (entry.size > this.#maxEntrySize) {
+              throw new RangeError('Response is too large to cache');
+            }
+            if (!writer) open();
+            await writer.write(chunk);
+          } catch (error) {
+            await abort();
+          }
+        },
+        commit: async () => {
+          if (failed) return;
+          try {
+            if (!writer) open();
+            await writer.close();
+
+            const previous = this.#readEntry(entry.name);
+            entry.body = bodyFile;
+            this.#writeMetadata(entry);
+            if (previous) {
+              const previousBodyPath = Path.join(this.#directory, previous.body);
+              if (_FileSystem.exists(previousBodyPath)) _FileSystem.remove(previousBodyPath);
+            }
+            this.#evict();
+          } catch (error) {
+            await abort();
+          }
+        },
+        abort
+      };
     }
 
-    setRequestHeader(name, value) {
-      if (this.readyState !== XMLHttpRequest.OPENED) {
-        throw new Error('InvalidStateError: The object is in an invalid state.');
+    // Remove the least recently used entries until the cache fits in maxSize
+    #evict() {
+      const entries = this.#readEntries().sort((a, b) => a.lastUsed - b.lastUsed);
+      let size = entries.reduce((total, entry) => total + entry.size, 0);
+      for (const entry of entries) {
+        if (size <= this.#maxSize) break;
+        this.#removeEntry(entry.name);
+        size -= entry.size;
       }
-      this.#requestHeaders[name] = value;
-      this.#request.setValueForHTTPHeaderField(value, name);
     }
 
-    send(body = null) {
-      if (this.readyState !== XMLHttpRequest.OPENED) {
-        throw new Error('InvalidStateError: The object is in an invalid state.');
-      }
+    get [Symbol.toStringTag]() {
+      return 'HTTPCache';
+    }
+  };
 
-      this.#setRequestBody(body);
-      this.#setReadyState(XMLHttpRequest.LOADING);
-      this.#dispatchEvent('loadstart');
+  // Answer a request from the HTTP cache where its cache mode allows, and
+  // otherwise make a single network request and store the response
+  async function httpNetworkOrCacheFetch(request, timeouts = null) {
+    const cache = HTTPCache.shared;
+    let mode = request.cache;
+    if (mode === 'default' && CONDITIONAL_REQUEST_HEADERS.some(name => request.headers.has(name))) {
+      mode = 'no-store';
+    }
 
-      const session = __APPLE_SPEC__.URLSession.shared();
+    const extraHeaders = new Headers();
+    if (mode === 'no-cache' && !request.headers.has('Cache-Control')) {
+      extraHeaders.set('Cache-Control', 'max-age=0');
+    }
+    if (mode === 'no-store' || mode === 'reload') {
+      if (!request.headers.has('Pragma')) extraHeaders.set('Pragma', 'no-cache');
+      if (!request.headers.has('Cache-Control')) extraHeaders.set('Cache-Control', 'no-cache');
+    }
 
-      // Set timeout on the URLRequest if specified
-      if (this.timeout > 0) {
-        this.#request.timeoutInterval = this.timeout / 1000; // Convert ms to seconds
+    if (!cache || request.method !== 'GET') {
+      const response = await httpNetworkFetch(request, extraHeaders, timeouts);
+      if (cache && !SAFE_METHODS.includes(request.method) && response.status >= 200 && response.status < 400) {
+        cache[SYMBOLS.httpCacheInvalidate](request, response);
       }
+      return response;
+    }
+    // Requests go around the cache while interceptors are installed, so that
+    // every request reaches them and the responses they make are not stored
+    if (mode === 'no-store' || httpInterceptors.length > 0) {
+      return httpNetworkFetch(request, extraHeaders, timeouts);
+    }
 
-      // Implement progressive loading with onprogress events
-      let accumulatedData = new Uint8Array(0);
-      let timeoutId = null;
-
-      // Set up timeout if specified
-      if (this.timeout > 0) {
-        timeoutId = setTimeout(() => {
-          if (!this.#aborted && this.readyState !== XMLHttpRequest.DONE) {
-            this.#aborted = true;
-            this.#setReadyState(XMLHttpRequest.DONE);
-            this.#dispatchEvent('timeout');
-            this.#dispatchEvent('loadend');
-          }
-        }, this.timeout);
+    const entry = mode === 'reload' ? null : cache[SYMBOLS.httpCacheLookup](request);
+    if (!entry && mode === 'only-if-cached') {
+      throw new TypeError(`No cached response for ${request.url} with cache mode 'only-if-cached'`);
+    }
+    if (entry) {
+      if (mode === 'force-cache' || mode === 'only-if-cached' ||
+        (mode === 'default' && isCachedResponseFresh(entry, request))) {
+        return cache[SYMBOLS.httpCacheRespond](entry);
       }
 
-      const progressHandler = (chunk, error) => {
-        if (this.#aborted) return;
+      // Revalidate the stale entry with the validators it was stored with
+      const stored = new Headers(entry.headers);
+      if (stored.has('ETag')) extraHeaders.set('If-None-Match', stored.get('ETag'));
+      if (stored.has('Last-Modified')) extraHeaders.set('If-Modified-Since', stored.get('Last-Modified'));
+    }
 
-        if (error) {
-          // Clear timeout on error
-          if (timeoutId) {
-            clearTimeout(timeoutId);
-            timeoutId = null;
-          }
-          this.#handleError(error);
-        } else if (chunk.length > 0) {
-          // Accumulate chunks for partial response access
-          const newData = new Uint8Array(accumulatedData.length + chunk.length);
-          newData.set(accumulatedData);
-          newData.set(chunk, accumulatedData.length);
-          accumulatedData = newData;
+    // Checked before the request, whose response may add cookies to the jar
+    const credentialed = hasRequestCredentials(request);
+    const requestTime = Date.now();
+    const response = await httpNetworkFetch(request, extraHeaders, timeouts);
+    if (entry && response.status === 304 && (extraHeaders.has('If-None-Match') || extraHeaders.has('If-Modified-Since'))) {
+      discardResponseBody(response);
+      return cache[SYMBOLS.httpCacheUpdate](entry, response, requestTime);
+    }
+    return cache[SYMBOLS.httpCacheStore](request, response, requestTime, credentialed);
+  }
 
-          // Update partial response text for readyState = 3 (LOADING)
-          if (this.responseType === '' || this.responseType === 'text') {
-            this.#responseText = new TextDecoder().decode(accumulatedData);
-            this.#responseData = this.#responseText;
-          }
+  // MIME types as in the WHATWG MIME Sniffing standard: parsing gives
+  // { type, subtype, parameters } with lowercase names, or null on failure
+  const HTTP_TOKEN_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+  const HTTP_QUOTED_STRING_TOKEN_PATTERN = /^[\t\x20-\x7E\x80-\xFF]*$/;
+  const HTTP_WHITESPACE = '\t\n\r ';
+
+  function trimHttpWhitespace(string, { leading = true, trailing = true } = {}) {
+    let start = 0;
+    let end = string.length;
+    while (leading && start < end && HTTP_WHITESPACE.includes(string[start])) start++;
+    while (trailing && end > start && HTTP_WHITESPACE.includes(string[end - 1])) end--;
+    return string.slice(start, end);
+  }
 
-          // Fire progress event
-          const progressEvent = new Event('progress');
-          progressEvent.loaded = accumulatedData.length;
-          progressEvent.lengthComputable = false; // We don't know total yet
-          this.dispatchEvent(progressEvent);
-          if (this.onprogress) {
-            this.onprogress.call(this, progressEvent);
-          }
-        } else {
-          // Clear timeout on completion
-          if (timeoutId) {
-            clearTimeout(timeoutId);
-            timeoutId = null;
+  function parseMimeType(input) {
+    const string = trimHttpWhitespace(String(input));
+    const slash = string.indexOf('/');
+    if (slash === -1) return null;
+    const type = string.slice(0, slash);
+    let position = string.indexOf(';', slash);
+    if (position === -1) position = string.length;
+    const subtype = trimHttpWhitespace(string.slice(slash + 1, position), { leading: false });
+    if (!HTTP_TOKEN_PATTERN.test(type) || !HTTP_TOKEN_PATTERN.test(subtype)) return null;
+
+    const mimeType = { type: type.toLowerCase(), subtype: subtype.toLowerCase(), parameters: new Map() };
+    while (position < string.length) {
+      position++; // skip ';'
+      while (position < string.length && HTTP_WHITESPACE.includes(string[position])) position++;
+      let nameEnd = position;
+      while (nameEnd < string.length && string[nameEnd] !== ';' && string[nameEnd] !== '=') nameEnd++;
+      const name = string.slice(position, nameEnd).toLowerCase();
+      position = nameEnd;
+      if (position >= string.length) break;
+      if (string[position] === ';') continue;
+      position++; // skip '='
+      if (position >= string.length) break;
+
+      let value = '';
+      if (string[position] === '"') {
+        // A quoted string, with backslash escapes; anything after it up to the
+        // next ';' is ignored
+        position++;
+        while (position < string.length) {
+          const char = string[position++];
+          if (char === '"') break;
+          if (char === '\\') {
+            if (position >= string.length) {
+              value += '\\';
+              break;
+            }
+            value += string[position++];
+          } else {
+            value += char;
           }
-          // Final response data is already accumulated
-          this.#finalizeResponse(accumulatedData);
         }
-      };
-
-      const promise = session.httpRequestWithRequest(
-        this.#request,
-        this.#streamingBody,  // Use streaming body if available, otherwise null
-        progressHandler       // progressHandler for streaming updates
-      );
+        while (position < string.length && string[position] !== ';') position++;
+      } else {
+        let valueEnd = string.indexOf(';', position);
+        if (valueEnd === -1) valueEnd = string.length;
+        value = trimHttpWhitespace(string.slice(position, valueEnd), { leading: false });
+        position = valueEnd;
+        if (value === '') continue;
+      }
+      if (name !== '' && HTTP_TOKEN_PATTERN.test(name) &&
+        HTTP_QUOTED_STRING_TOKEN_PATTERN.test(value) && !mimeType.parameters.has(name)) {
+        mimeType.parameters.set(name, value);
+      }
+    }
+    return mimeType;
+  }
 
-      promise
-        .then(result => {
-          if (!this.#aborted) {
-            // Clear timeout on success
-            if (timeoutId) {
-              clearTimeout(timeoutId);
-              timeoutId = null;
-            }
+  function serializeMimeType(mimeType) {
+    let output = `${mimeType.type}/${mimeType.subtype}`;
+    for (const [name, value] of mimeType.parameters) {
+      output += `;${name}=`;
+      output += HTTP_TOKEN_PATTERN.test(value) ? value : `"${value.replace(/["\\]/g, '\\$&')}"`;
+    }
+    return output;
+  }
 
-            // Set response headers when we get the result
-            // XMLHttpRequest uses progressHandler, so result is the JSURLResponse directly
-            this.#response = result;
-            this.#status = result.statusCode;
-            this.#statusText = this.#getStatusText(this.#status);
-            this.#responseURL = result.url || this.#url;
-            if (this.readyState < XMLHttpRequest.HEADERS_RECEIVED) {
-              this.#setReadyState(XMLHttpRequest.HEADERS_RECEIVED);
-            }
+  // The charset of a Content-Type header, or null when it has none
+  function getMimeTypeCharset(contentType) {
+    return contentType ? parseMimeType(contentType)?.parameters.get('charset') ?? null : null;
+  }
 
-            // Don't call #handleResponse since we're using progress handler
-            // The progress handler will call #finalizeResponse when complete
-          }
-        })
-        .catch(error => {
-          // Clear timeout on error
-          if (timeoutId) {
-            clearTimeout(timeoutId);
-            timeoutId = null;
-          }
-          this.#handleError(error);
-        });
+  // The data: URL processor of the Fetch standard: the MIME type and bytes of
+  // a data: URL, or null when it has no comma or invalid base64
+  function processDataURL(url) {
+    const input = serializeURLRecord(parseURLRecord(url), true).slice('data:'.length);
+    const comma = input.indexOf(',');
+    if (comma === -1) return null;
+    let mimeType = input.slice(0, comma).replace(/^[\t\n\f\r ]+|[\t\n\f\r ]+$/g, '');
+    let body = percentDecodeBytes(new TextEncoder().encode(input.slice(comma + 1)));
+
+    const base64 = /;[ ]*base64$/i.exec(mimeType);
+    if (base64) {
+      let binary = '';
+      for (const byte of body) binary += String.fromCharCode(byte);
+      try {
+        body = Uint8Array.from(atob(binary), char => char.charCodeAt(0));
+      } catch {
+        return null;
+      }
+      mimeType = mimeType.slice(0, base64.index);
     }
+    if (mimeType.startsWith(';')) {
+      mimeType = 'text/plain' + mimeType;
+    }
+    const record = parseMimeType(mimeType);
+    return { mimeType: record ? serializeMimeType(record) : 'text/plain;charset=US-ASCII', body };
+  }
 
-    #setRequestBody(body) {
-      if (!body) return;
-
-      // Fire upload events for non-empty bodies
-      let hasUploadBody = false;
+  // Object URLs made by URL.createObjectURL(), by URL without the fragment
+  const blobURLStore = new Map();
 
-      if (body instanceof FormData) {
-        // Check if FormData contains streams using internal symbol
-        if (body[SYMBOLS.formDataHasStreamingValues]()) {
-          // Use streaming interface for FormData with streams
-          const formStream = body.stream();
-          this.#streamingBody = formStream;
+  function isHTTPSchemeURL(url) {
+    return /^https?:/i.test(url);
+  }
 
-          // Set Content-Type header with the boundary from the stream
-          const boundary = formStream[SYMBOLS.formDataBoundary];
-          if (boundary && !this.#requestHeaders['Content-Type']) {
-            this.setRequestHeader('Content-Type', `multipart/form-data; boundary=${boundary}`);
-          }
-          hasUploadBody = true;
-        } else {
-        // Use traditional multipart conversion for FormData without streams
-          const multipart = body[SYMBOLS.formDataToMultipart]();
-          this.#request.httpBody = multipart.body;
-          if (!this.#requestHeaders['Content-Type']) {
-            this.setRequestHeader('Content-Type', `multipart/form-data; boundary=${multipart.boundary}`);
-          }
-          hasUploadBody = true;
+  // Fetch a data:, blob: or file: URL without the network. These never go
+  // through the interceptors, the HTTP cache or cookies.
+  async function schemeFetch(request) {
+    request.signal?.throwIfAborted();
+    const url = new URL(request.url);
+    url.hash = '';
+    const responseURL = url.href;
+
+    switch (url.protocol) {
+      case 'data:': {
+        const result = processDataURL(url.href);
+        if (!result) {
+          throw new TypeError(`Invalid data: URL ${url.href.slice(0, 64)}`);
         }
-      } else if (typeof body === 'string') {
-        this.#request.httpBody = body;
-        if (!this.#requestHeaders['Content-Type']) {
-          this.setRequestHeader('Content-Type', 'text/plain;charset=UTF-8');
+        return new Response(result.body, {
+          headers: { 'Content-Type': result.mimeType },
+          url: responseURL
+        });
+      }
+      case 'blob:': {
+        const blob = blobURLStore.get(url.href);
+        if (!blob) {
+          throw new TypeError(`No Blob found for ${url.href}`);
         }
-        hasUploadBody = body.length > 0;
-      } else if (body instanceof URLSearchParams) {
-        // Convert URLSearchParams to application/x-www-form-urlencoded string
-        const formString = body.toString();
-        this.#request.httpBody = formString;
-        if (!this.#requestHeaders['Content-Type']) {
-          this.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+        if (request.method !== 'GET') {
+          throw new TypeError(`Method ${request.method} is not allowed for blob: URLs`);
         }
-        hasUploadBody = formString.length > 0;
-      } else if (body instanceof Blob) {
-        // Handle Blob by streaming its content
-        if (body.size > 0) {
-          const blobStream = body.stream();
-          this.#streamingBody = blobStream;
-          
-          // Set Content-Type from Blob if available
-          if (body.type && !this.#requestHeaders['Content-Type']) {
-            this.setRequestHeader('Content-Type', body.type);
-          } else if (!this.#requestHeaders['Content-Type']) {
-            this.setRequestHeader('Content-Type', 'application/octet-stream');
-          }
-          hasUploadBody = true;
+        const headers = { 'Content-Length': String(blob.size) };
+        if (blob.type) headers['Content-Type'] = blob.type;
+        return new Response(blob.stream(), { headers, url: responseURL });
+      }
+      case 'file:': {
+        // The URL parser has already turned a localhost host into an empty one
+        if (url.host !== '') {
+          throw new TypeError(`Cannot fetch a file: URL with host ${url.host}`);
         }
-      } else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
-        this.#request.httpBody = new Uint8Array(body);
-        if (!this.#requestHeaders['Content-Type']) {
-          this.setRequestHeader('Content-Type', 'application/octet-stream');
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+          throw new TypeError(`Method ${request.method} is not allowed for file: URLs`);
         }
-        hasUploadBody = true;
+        const path = percentDecodeString(url.pathname);
+        if (!__APPLE_SPEC__.FileSystem.exists(path) || !__APPLE_SPEC__.FileSystem.isFile(path)) {
+          throw new TypeError(`File not found: ${path}`);
+        }
+        const file = File.fromPath(path);
+        return new Response(request.method === 'HEAD' ? null : file.stream(), {
+          headers: { 'Content-Type': file.type, 'Content-Length': String(file.size) },
+          url: responseURL
+        });
       }
+      default:
+        throw new TypeError(`Fetching ${url.protocol} URLs is not supported`);
+    }
+  }
 
-      // Fire upload events if we have a body to upload
-      if (hasUploadBody) {
-        // Fire upload start
-        const uploadStartEvent = new Event('loadstart');
-        this.#upload.dispatchEvent(uploadStartEvent);
+  // fetch - HTTP request function
+  globalThis.fetch = async function fetch(input, init = {}) {
+    let request = new Request(input, init);
+    if (!isHTTPSchemeURL(request.url)) {
+      return schemeFetch(request);
+    }
+    const timeouts = resolveFetchTimeouts(request);
+    let redirectCount = 0;
 
-        // Simulate upload progress (since we don't have real upload progress from Swift yet)
-        setTimeout(() => {
-          const uploadProgressEvent = new Event('progress');
-          uploadProgressEvent.loaded = this.#request.httpBody ? this.#request.httpBody.length : 0;
-          uploadProgressEvent.total = uploadProgressEvent.loaded;
-          uploadProgressEvent.lengthComputable = true;
-          this.#upload.dispatchEvent(uploadProgressEvent);
+    while (true) {
+      const response = await httpNetworkOrCacheFetch(request, timeouts);
 
-          const uploadLoadEvent = new Event('load');
-          this.#upload.dispatchEvent(uploadLoadEvent);
+      let redirectRequest = null;
+      if (REDIRECT_STATUSES.includes(response.status)) {
+        if (request.redirect === 'error') {
+          discardResponseBody(response);
+          throw new TypeError(`Redirect from ${request.url} blocked by redirect mode 'error'`);
+        }
+        if (request.redirect === 'manual') {
+          discardResponseBody(response);
+          return Response[SYMBOLS.responseOpaqueRedirect](request.url);
+        }
+        redirectRequest = createRedirectRequest(request, response, redirectCount);
+      }
 
-          const uploadLoadEndEvent = new Event('loadend');
-          this.#upload.dispatchEvent(uploadLoadEndEvent);
-        }, 0);
+      if (!redirectRequest) {
+        if (redirectCount === 0) return response;
+        return new Response(response.body, {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers,
+          url: response.url,
+          redirected: true
+        });
+      }
+
+      discardResponseBody(response);
+      request = redirectRequest;
+      redirectCount++;
+    }
+  };
+
+  // Non-standard: the timeouts of requests that set neither their own nor a
+  // client's. Assigning updates the phases given and keeps the others.
+  Object.defineProperty(globalThis.fetch, 'defaultTimeout', {
+    get() { return { ...defaultFetchTimeout }; },
+    set(timeout) { defaultFetchTimeout = { ...defaultFetchTimeout, ...normalizeFetchTimeout(timeout) }; },
+    enumerable: true
+  });
+
+  // Cache Storage - named caches of Request/Response pairs, as used by service
+  // workers. Each cache is a directory holding an index of its entries and one
+  // file per response body. The index is read from disk for every operation,
+  // so CacheStorage objects that share a directory see each other's changes.
+  function readCacheStorageList(directory) {
+    const path = Path.join(directory, 'caches.json');
+    if (!_FileSystem.exists(path)) return [];
+    try {
+      const list = JSON.parse(_FileSystem.readFile(path));
+      return list.version === 1 ? list.caches : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function writeCacheStorageList(directory, caches) {
+    if (!_FileSystem.exists(directory)) {
+      _FileSystem.mkdir(directory);
+    }
+    _FileSystem.writeFile(Path.join(directory, 'caches.json'), JSON.stringify({ version: 1, caches }));
+  }
+
+  function toCacheRequest(request) {
+    return request instanceof Request ? request : new Request(request);
+  }
+
+  function hasVaryStar(headers) {
+    return (headers.get('Vary') ?? '').split(',').some(name => name.trim() === '*');
+  }
+
+  // Whether a stored entry answers `request` (Service Workers, Query Cache)
+  function cacheEntryMatches(entry, request, options) {
+    const { ignoreSearch = false, ignoreMethod = false, ignoreVary = false } = options;
+    if (!ignoreMethod && request.method !== 'GET') return false;
+
+    const queryURL = new URL(request.url);
+    const cachedURL = new URL(entry.request.url);
+    queryURL.hash = '';
+    cachedURL.hash = '';
+    if (ignoreSearch) {
+      queryURL.search = '';
+      cachedURL.search = '';
+    }
+    if (queryURL.href !== cachedURL.href) return false;
+    if (ignoreVary) return true;
+
+    const cachedRequestHeaders = new Headers(entry.request.headers);
+    const varyNames = (new Headers(entry.response.headers).get('Vary') ?? '').split(',');
+    for (const name of varyNames.map(name => name.trim()).filter(Boolean)) {
+      if (name === '*' || cachedRequestHeaders.get(name) !== request.headers.get(name)) return false;
+    }
+    return true;
+  }
+
+  globalThis.Cache = class Cache {
+    #storageDirectory;
+    #id;
+
+    constructor(token, storageDirectory, id) {
+      if (token !== SYMBOLS.cacheCreate) {
+        throw new TypeError('Illegal constructor');
+      }
+      this.#storageDirectory = storageDirectory;
+      this.#id = id;
+    }
+
+    async match(request, options = {}) {
+      const [response] = await this.matchAll(request, options);
+      return response;
+    }
+
+    async matchAll(request, options = {}) {
+      return this.#queryEntries(request, options).map(entry => this.#createResponse(entry));
+    }
+
+    async add(request) {
+      return this.addAll([request]);
+    }
+
+    // Fetch every request and store the responses together; nothing is
+    // stored unless every response is ok
+    async addAll(requests) {
+      const innerRequests = [...requests].map(request => {
+        const innerRequest = toCacheRequest(request);
+        this.#validateRequest(innerRequest, 'addAll');
+        return innerRequest;
+      });
+
+      const results = await Promise.allSettled(innerRequests.map(request => fetch(request)));
+      const failure = results.find(result => result.status === 'rejected');
+      const responses = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+      const invalid = responses.find(response => !response.ok || hasVaryStar(response.headers));
+      if (failure || invalid) {
+        responses.forEach(discardResponseBody);
+        if (failure) throw failure.reason;
+        throw new TypeError(invalid.ok
+          ? "Failed to execute 'addAll' on 'Cache': Vary header contains *"
+          : `Failed to execute 'addAll' on 'Cache': Request failed with status ${invalid.status}`);
+      }
+
+      const records = [];
+      try {
+        for (let i = 0; i < innerRequests.length; i++) {
+          records.push(await this.#createRecord(innerRequests[i], responses[i]));
+        }
+      } catch (error) {
+        responses.forEach(discardResponseBody);
+        records.forEach(record => this.#removeBody(record));
+        throw error;
       }
+      this.#commit(records);
     }
 
-    #finalizeResponse(accumulatedData) {
-      if (this.#aborted) return;
+    // Store `response` for `request`, replacing the entries it matches. The
+    // body is written to disk as it is read, and the response becomes used.
+    async put(request, response) {
+      const innerRequest = toCacheRequest(request);
+      this.#validateRequest(innerRequest, 'put');
+      if (!(response instanceof Response)) {
+        throw new TypeError("Failed to execute 'put' on 'Cache': parameter 2 is not of type 'Response'");
+      }
+      if (response.status === 206) {
+        throw new TypeError("Failed to execute 'put' on 'Cache': Partial response (status code 206) is unsupported");
+      }
+      if (hasVaryStar(response.headers)) {
+        throw new TypeError("Failed to execute 'put' on 'Cache': Vary header contains *");
+      }
+      if (response.bodyUsed || response.body?.locked) {
+        throw new TypeError("Failed to execute 'put' on 'Cache': Response body is already used");
+      }
+      this.#commit([await this.#createRecord(innerRequest, response)]);
+    }
 
-      // Set final response data based on responseType
-      this.#setResponseData(accumulatedData);
-      this.#setReadyState(XMLHttpRequest.DONE);
-      this.#dispatchEvent('load');
-      this.#dispatchEvent('loadend');
+    async delete(request, options = {}) {
+      const innerRequest = toCacheRequest(request);
+      const entries = this.#readEntries();
+      const kept = entries.filter(entry => !cacheEntryMatches(entry, innerRequest, options));
+      if (kept.length === entries.length) return false;
+      this.#writeEntries(kept);
+      entries.filter(entry => !kept.includes(entry)).forEach(entry => this.#removeBody(entry));
+      return true;
     }
 
-    #handleError(error) {
-      if (this.#aborted) return;
+    async keys(request, options = {}) {
+      return this.#queryEntries(request, options).map(entry => new Request(entry.request.url, {
+        method: entry.request.method,
+        headers: entry.request.headers
+      }));
+    }
 
-      this.#setReadyState(XMLHttpRequest.DONE);
-      this.#dispatchEvent('error');
-      this.#dispatchEvent('loadend');
+    get #directory() {
+      return Path.join(this.#storageDirectory, this.#id);
     }
 
-    #setResponseData(data) {
-      switch (this.responseType) {
-        case '':
-        case 'text':
-          this.#responseText = new TextDecoder().decode(data);
-          this.#responseData = this.#responseText;
-          break;
-        case 'arraybuffer':
-          this.#responseData = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
-          this.#responseText = '';
-          break;
-        case 'blob':
-          this.#responseData = new Blob([data]);
-          this.#responseText = '';
-          break;
-        case 'json':
-          try {
-            const text = new TextDecoder().decode(data);
-            this.#responseData = JSON.parse(text);
-          } catch (e) {
-            this.#responseData = null;
-          }
-          this.#responseText = '';
-          break;
+    #validateRequest(request, operation) {
+      if (!['http:', 'https:'].includes(new URL(request.url).protocol)) {
+        throw new TypeError(`Failed to execute '${operation}' on 'Cache': Request scheme '${new URL(request.url).protocol.slice(0, -1)}' is unsupported`);
+      }
+      if (request.method !== 'GET') {
+        throw new TypeError(`Failed to execute '${operation}' on 'Cache': Request method '${request.method}' is unsupported`);
       }
     }
 
-    abort() {
-      this.#aborted = true;
-      if (this.readyState !== XMLHttpRequest.DONE) {
-        this.#setReadyState(XMLHttpRequest.DONE);
-        this.#dispatchEvent('abort');
-        this.#dispatchEvent('loadend');
-      }
-      // Note: We can't easily cancel the ongoing Swift request, but we mark it as aborted
+    #queryEntries(request, options) {
+      const entries = this.#readEntries();
+      if (request === undefined) return entries;
+      const innerRequest = toCacheRequest(request);
+      return entries.filter(entry => cacheEntryMatches(entry, innerRequest, options));
     }
 
-    getResponseHeader(name) {
-      if (this.readyState < XMLHttpRequest.HEADERS_RECEIVED || !this.#response) {
-        return null;
+    #readEntries() {
+      const path = Path.join(this.#directory, 'index.json');
+      if (!_FileSystem.exists(path)) return [];
+      try {
+        const index = JSON.parse(_FileSystem.readFile(path));
+        return index.version === 1 ? index.entries : [];
+      } catch (error) {
+        return [];
       }
-      return this.#response.valueForHTTPHeaderField(name) || null;
     }
 
-    getAllResponseHeaders() {
-      if (this.readyState < XMLHttpRequest.HEADERS_RECEIVED || !this.#response) {
-        return '';
-      }
-      const headers = this.#response.allHeaderFields;
-      return Object.keys(headers)
-        .map(key => `${key}: ${headers[key]}`)
-        .join('\r\n') + '\r\n';
+    #writeEntries(entries) {
+      _FileSystem.writeFile(Path.join(this.#directory, 'index.json'), JSON.stringify({ version: 1, entries }));
     }
 
-    #setReadyState(state) {
-      this.#readyState = state;
-      this.#dispatchEvent('readystatechange');
+    // Stream the response body into a file of its own
+    async #createRecord(request, response) {
+      const record = {
+        request: { url: request.url, method: request.method, headers: [...request.headers] },
+        response: {
+          status: response.status,
+          statusText: response.statusText,
+          headers: [...response.headers],
+          url: response.url,
+          type: response.type,
+          redirected: response.redirected
+        },
+        body: null,
+        size: 0
+      };
+
+      const body = response[SYMBOLS.responseTakeBody]();
+      if (!body) return record;
+
+      if (!_FileSystem.exists(this.#directory)) {
+        _FileSystem.mkdir(this.#directory);
+      }
+      record.body = `${crypto.randomUUID()}.body`;
+      const writer = _FileSystem.createWriteStream(Path.join(this.#directory, record.body)).getWriter();
+      const reader = body.getReader();
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          const bytes = toUint8Array(value);
+          record.size += bytes.byteLength;
+          await writer.write(bytes);
+        }
+        await writer.close();
+      } catch (error) {
+        await writer.abort(error).catch(() => { });
+        reader.cancel(error).catch(() => { });
+        this.#removeBody(record);
+        throw error;
+      }
+      return record;
     }
 
-    #dispatchEvent(type) {
-      const event = new Event(type);
-      this.dispatchEvent(event);
+    // Add the records to the index in one step, replacing the entries they
+    // match. A cache deleted from its CacheStorage in the meantime keeps nothing.
+    #commit(records) {
+      if (!readCacheStorageList(this.#storageDirectory).some(cache => cache.id === this.#id)) {
+        if (_FileSystem.exists(this.#directory)) {
+          _FileSystem.rmdir(this.#directory, { recursive: true });
+        }
+        return;
+      }
 
-      const handler = this['on' + type];
-      if (typeof handler === 'function') {
-        handler.call(this, event);
+      let entries = this.#readEntries();
+      const replaced = [];
+      for (const record of records) {
+        const request = new Request(record.request.url, { headers: record.request.headers });
+        replaced.push(...entries.filter(entry => cacheEntryMatches(entry, request, {})));
+        entries = entries.filter(entry => !cacheEntryMatches(entry, request, {}));
+        entries.push(record);
       }
+      if (!_FileSystem.exists(this.#directory)) {
+        _FileSystem.mkdir(this.#directory);
+      }
+      this.#writeEntries(entries);
+      replaced.forEach(entry => this.#removeBody(entry));
     }
 
-    #getStatusText(status) {
-      return getStatusText(status);
+    #removeBody(entry) {
+      if (!entry.body) return;
+      const path = Path.join(this.#directory, entry.body);
+      if (_FileSystem.exists(path)) _FileSystem.remove(path);
+    }
+
+    #createResponse(entry) {
+      const { response } = entry;
+      if (response.type === 'error') return Response.error();
+      if (response.type === 'opaqueredirect') return Response[SYMBOLS.responseOpaqueRedirect](response.url);
+      const body = entry.body ? createFileReadableStream(Path.join(this.#directory, entry.body)) : null;
+      return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        url: response.url,
+        redirected: response.redirected,
+        type: response.type
+      });
+    }
+
+    get [Symbol.toStringTag]() {
+      return 'Cache';
     }
   };
 
-  // Headers - HTTP headers implementation
-  globalThis.Headers = class Headers {
-    #headers = new Map();
+  globalThis.CacheStorage = class CacheStorage {
+    #directory;
 
-    constructor(init) {
-      if (init) {
-        this.#initializeHeaders(init);
-      }
+    // Non-standard: CacheStorage can be constructed with the directory to persist to
+    constructor(options = {}) {
+      const { directory = Path.join(_FileSystem.temp, 'SwiftJS', 'CacheStorage') } = options;
+      this.#directory = String(directory);
     }
 
-    // Validate header name according to HTTP specification
-    #validateHeaderName(name) {
-      if (typeof name !== 'string' || name === '') {
-        throw new TypeError('Invalid header name: must be a non-empty string');
+    get directory() { return this.#directory; }
+
+    async open(cacheName) {
+      const name = String(cacheName);
+      const caches = readCacheStorageList(this.#directory);
+      let cache = caches.find(cache => cache.name === name);
+      if (!cache) {
+        cache = { name, id: crypto.randomUUID() };
+        caches.push(cache);
+        writeCacheStorageList(this.#directory, caches);
       }
+      return new Cache(SYMBOLS.cacheCreate, this.#directory, cache.id);
+    }
 
-      // Check for invalid characters according to RFC 7230
-      // Header names must be tokens: 1*( ALPHA / DIGIT / "!" / "#" / "$" / "%" / "&" / "'" / "*" / "+" / "-" / "." / "^" / "_" / "`" / "|" / "~" )
-      if (/[^\x21\x23-\x27\x2A\x2B\x2D\x2E\x30-\x39\x41-\x5A\x5E-\x7A\x7C\x7E]/.test(name)) {
-        throw new TypeError('Invalid header name: contains invalid characters');
+    async has(cacheName) {
+      return readCacheStorageList(this.#directory).some(cache => cache.name === String(cacheName));
+    }
+
+    async delete(cacheName) {
+      const caches = readCacheStorageList(this.#directory);
+      const cache = caches.find(cache => cache.name === String(cacheName));
+      if (!cache) return false;
+      writeCacheStorageList(this.#directory, caches.filter(other => other !== cache));
+      const path = Path.join(this.#directory, cache.id);
+      if (_FileSystem.exists(path)) {
+        _FileSystem.rmdir(path, { recursive: true });
       }
+      return true;
     }
 
-    // Validate header value according to HTTP specification  
-    #validateHeaderValue(value) {
-      const valueStr = String(value);
-      // Header values cannot contain control characters except tabs
-      if (/[\x00-\x08\x0A-\x1F\x7F]/.test(valueStr)) {
-        throw new TypeError('Invalid header value: contains invalid characters');
+    // Cache names in the order the caches were created
+    async keys() {
+      return readCacheStorageList(this.#directory).map(cache => cache.name);
+    }
+
+    // Search the named cache, or every cache in creation order
+    async match(request, options = {}) {
+      const { cacheName, ...queryOptions } = options;
+      if (cacheName !== undefined) {
+        if (!await this.has(cacheName)) return undefined;
+        return (await this.open(cacheName)).match(request, queryOptions);
+      }
+      for (const cache of readCacheStorageList(this.#directory)) {
+        const response = await new Cache(SYMBOLS.cacheCreate, this.#directory, cache.id).match(request, queryOptions);
+        if (response) return response;
       }
+      return undefined;
     }
 
-    #initializeHeaders(init) {
-      if (init instanceof Headers) {
-        for (const [key, value] of init.#headers) {
-          this.#headers.set(key.toLowerCase(), value);
-        }
+    get [Symbol.toStringTag]() {
+      return 'CacheStorage';
+    }
+  };
+
+  globalThis.caches = new CacheStorage();
+
+  // URLSearchParams - URL search parameters manipulation
+  globalThis.URLSearchParams = class URLSearchParams {
+    #entries = []; // Store as ordered list of [key, value] pairs
+    #onUpdate = null; // Set when the params belong to a URL
+
+    constructor(init) {
+      if (typeof init === 'string') {
+        this.#entries = parseFormUrlencoded(init.startsWith('?') ? init.slice(1) : init);
+      } else if (init instanceof URLSearchParams) {
+        this.#entries = [...init.#entries];
       } else if (Array.isArray(init)) {
         for (const [key, value] of init) {
-          this.#validateHeaderName(key);
-          this.#validateHeaderValue(value);
-          this.#headers.set(key.toLowerCase(), String(value));
+          this.append(String(key), String(value));
         }
-      } else if (typeof init === 'object') {
+      } else if (init && typeof init === 'object') {
         for (const [key, value] of Object.entries(init)) {
-          this.#validateHeaderName(key);
-          this.#validateHeaderValue(value);
-          this.#headers.set(key.toLowerCase(), String(value));
+          this.append(String(key), String(value));
         }
       }
     }
 
+    [SYMBOLS.searchParamsBind](onUpdate) {
+      this.#onUpdate = onUpdate;
+    }
+
+    [SYMBOLS.searchParamsReset](query) {
+      this.#entries = parseFormUrlencoded(query);
+    }
+
+    // Writes the serialized params back to the owning URL's query
+    #update() {
+      this.#onUpdate?.(this.toString());
+    }
+
     append(name, value) {
-      this.#validateHeaderName(name);
-      this.#validateHeaderValue(value);
-      const normalizedName = name.toLowerCase();
-      const existing = this.#headers.get(normalizedName);
-      const newValue = existing ? `${existing}, ${value}` : String(value);
-      this.#headers.set(normalizedName, newValue);
+      if (arguments.length < 2) {
+        throw new TypeError(`Failed to execute 'append' on 'URLSearchParams': 2 arguments required, but only ${arguments.length} present.`);
+      }
+
+      const key = String(name);
+      const val = String(value);
+      this.#entries.push([key, val]);
+      this.#update();
     }
 
     delete(name) {
-      this.#validateHeaderName(name);
-      this.#headers.delete(name.toLowerCase());
+      if (arguments.length < 1) {
+        throw new TypeError(`Failed to execute 'delete' on 'URLSearchParams': 1 argument required, but only ${arguments.length} present.`);
+      }
+
+      const key = String(name);
+      this.#entries = this.#entries.filter(([k, v]) => k !== key);
+      this.#update();
     }
 
     get(name) {
-      this.#validateHeaderName(name);
-      return this.#headers.get(name.toLowerCase()) || null;
+      const key = String(name);
+      const entry = this.#entries.find(([k, v]) => k === key);
+      return entry ? entry[1] : null;
+    }
+
+    getAll(name) {
+      const key = String(name);
+      return this.#entries.filter(([k, v]) => k === key).map(([k, v]) => v);
     }
 
     has(name) {
-      this.#validateHeaderName(name);
-      return this.#headers.has(name.toLowerCase());
+      const key = String(name);
+      return this.#entries.some(([k, v]) => k === key);
     }
 
     set(name, value) {
-      this.#validateHeaderName(name);
-      this.#validateHeaderValue(value);
-      this.#headers.set(name.toLowerCase(), String(value));
-    }
+      if (arguments.length < 2) {
+        throw new TypeError(`Failed to execute 'set' on 'URLSearchParams': 2 arguments required, but only ${arguments.length} present.`);
+      }
 
-    entries() {
-      return this.#headers.entries();
+      const key = String(name);
+      const val = String(value);
+      // Remove all existing entries with this key
+      this.#entries = this.#entries.filter(([k, v]) => k !== key);
+      // Add the new entry
+      this.#entries.push([key, val]);
+      this.#update();
     }
 
-    keys() {
-      return this.#headers.keys();
+    sort() {
+      // Stable sort by UTF-16 code units, as the URL Standard specifies
+      this.#entries.sort((a, b) => a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+      this.#update();
     }
 
-    values() {
-      return this.#headers.values();
+    toString() {
+      return serializeFormUrlencoded(this.#entries);
     }
 
-    forEach(callback, thisArg) {
-      for (const [key, value] of this.#headers) {
-        callback.call(thisArg, value, key, this);
+    *entries() {
+      for (const entry of this.#entries) {
+        yield entry;
       }
     }
 
-    [Symbol.iterator]() {
-      return this.#headers[Symbol.iterator]();
+    *keys() {
+      for (const [key] of this.#entries) {
+        yield key;
+      }
     }
-  };
-
-  // Request - HTTP request representation
-  globalThis.Request = class Request {
-    #url;
-    #method;
-    #headers;
-    #body;
-    #signal;
-    #redirect;
-    #bodyUsed = false;
 
-    constructor(input, init = {}) {
-      // Validate required URL argument
-      if (arguments.length === 0) {
-        throw new TypeError("Failed to construct 'Request': 1 argument required, but only 0 present.");
+    *values() {
+      for (const [, value] of this.#entries) {
+        yield value;
       }
+    }
 
-      if (input instanceof Request) {
-        this.#copyFromRequest(input);
-      } else {
-        this.#initializeFromUrl(String(input), init);
+    forEach(callback, thisArg) {
+      for (const [key, value] of this.#entries) {
+        callback.call(thisArg, value, key, this);
       }
     }
 
-    #copyFromRequest(request) {
-      this.#url = request.url;
-      this.#method = request.method;
-      this.#headers = new Headers(request.headers);
-      this.#body = request.body;
-      this.#signal = request.signal;
-      this.#redirect = request.redirect;
-      this[SYMBOLS.requestOriginalBody] = request[SYMBOLS.requestOriginalBody]; // Copy the original body
+    [Symbol.iterator]() {
+      return this.entries();
     }
+  };
+
+  // URL - WHATWG URL Standard
+
+  const SPECIAL_SCHEME_PORTS = { 'ftp': 21, 'file': null, 'http': 80, 'https': 443, 'ws': 80, 'wss': 443 };
 
-    #initializeFromUrl(url, init) {
-      this.#url = url;
+  // Percent-encode sets, each a superset of the one before it
+  const isC0ControlPercentEncode = (c) => c < 0x20 || c > 0x7E;
+  const isFragmentPercentEncode = (c) => isC0ControlPercentEncode(c) || ' "<>`'.includes(String.fromCharCode(c));
+  const isQueryPercentEncode = (c) => isC0ControlPercentEncode(c) || ' "#<>'.includes(String.fromCharCode(c));
+  const isSpecialQueryPercentEncode = (c) => isQueryPercentEncode(c) || c === 0x27;
+  const isPathPercentEncode = (c) => isQueryPercentEncode(c) || '?^`{}'.includes(String.fromCharCode(c));
+  const isUserinfoPercentEncode = (c) => isPathPercentEncode(c) || '/:;=@[\\]|'.includes(String.fromCharCode(c));
+  const isComponentPercentEncode = (c) => isUserinfoPercentEncode(c) || '$%&+,'.includes(String.fromCharCode(c));
+  const isFormPercentEncode = (c) => isComponentPercentEncode(c) || "!'()~".includes(String.fromCharCode(c));
 
-      // Validate method
-      const method = (init.method || 'GET').toUpperCase();
+  const FORBIDDEN_HOST_CODE_POINTS = '\u0000\t\n\r #/:<>?@[\\]^|';
 
-      // Check for forbidden methods (case-insensitive)
-      const forbiddenMethods = ['CONNECT', 'TRACE', 'TRACK'];
-      if (forbiddenMethods.includes(method)) {
-        throw new TypeError(`'${init.method}' HTTP method is forbidden.`);
-      }
+  function toUSVString(string) {
+    return String(string).replace(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '\uFFFD');
+  }
 
-      // Validate that method is a valid HTTP token
-      // HTTP token chars: A-Z, a-z, 0-9, !, #, $, %, &, ', *, +, -, ., ^, _, `, |, ~
-      if (!/^[A-Za-z0-9!#$%&'*+\-.^_`|~]+$/.test(method)) {
-        throw new TypeError(`'${init.method}' is not a valid HTTP method.`);
+  function percentEncodeString(string, shouldEncode, spaceAsPlus = false) {
+    let output = '';
+    for (const char of string) {
+      const codePoint = char.codePointAt(0);
+      if (spaceAsPlus && codePoint === 0x20) {
+        output += '+';
+      } else if (shouldEncode(codePoint)) {
+        for (const byte of new TextEncoder().encode(char)) {
+          output += '%' + byte.toString(16).toUpperCase().padStart(2, '0');
+        }
+      } else {
+        output += char;
       }
+    }
+    return output;
+  }
 
-      // Validate that GET/HEAD requests don't have body
-      if ((method === 'GET' || method === 'HEAD') && init.body) {
-        throw new TypeError(`Request with GET/HEAD method cannot have body.`);
+  function percentDecodeBytes(bytes) {
+    const output = [];
+    for (let i = 0; i < bytes.length; i++) {
+      const byte = bytes[i];
+      if (byte === 0x25 && i + 2 < bytes.length &&
+        /^[0-9A-Fa-f]{2}$/.test(String.fromCharCode(bytes[i + 1], bytes[i + 2]))) {
+        output.push(parseInt(String.fromCharCode(bytes[i + 1], bytes[i + 2]), 16));
+        i += 2;
+      } else {
+        output.push(byte);
       }
+    }
+    return new Uint8Array(output);
+  }
 
-      this.#method = method;
-      this.#headers = new Headers(init.headers);
-      this.#body = init.body || null;
-      this[SYMBOLS.requestOriginalBody] = init.body || null; // Store original body
-      this.#signal = init.signal || null;
-      this.#redirect = init.redirect || 'follow';
+  function percentDecodeString(string) {
+    return new TextDecoder('utf-8', { ignoreBOM: true })
+      .decode(percentDecodeBytes(new TextEncoder().encode(string)));
+  }
 
-      // Validate redirect option
-      if (!['follow', 'error', 'manual'].includes(this.#redirect)) {
-        throw new TypeError(`Invalid redirect option: ${this.#redirect}`);
-      }
-    }
+  // application/x-www-form-urlencoded parsing and serializing
+  function parseFormUrlencoded(input) {
+    const entries = [];
+    for (const sequence of input.split('&')) {
+      if (!sequence) continue;
+      const index = sequence.indexOf('=');
+      const name = index === -1 ? sequence : sequence.slice(0, index);
+      const value = index === -1 ? '' : sequence.slice(index + 1);
+      entries.push([
+        percentDecodeString(name.replace(/\+/g, ' ')),
+        percentDecodeString(value.replace(/\+/g, ' '))
+      ]);
+    }
+    return entries;
+  }
 
-    // Getters
-    get url() { return this.#url; }
-    get method() { return this.#method; }
-    get headers() { return this.#headers; }
-    get body() { return this.#body; }
-    get signal() { return this.#signal; }
-    get redirect() { return this.#redirect; }
-    get bodyUsed() { return this.#bodyUsed; }
+  function serializeFormUrlencoded(entries) {
+    return entries
+      .map(([name, value]) =>
+        `${percentEncodeString(name, isFormPercentEncode, true)}=${percentEncodeString(value, isFormPercentEncode, true)}`)
+      .join('&');
+  }
 
-    #setBodyUsed() {
-      this.#bodyUsed = true;
+  // Punycode (RFC 3492) for internationalized domain labels
+  const PUNYCODE = { base: 36, tMin: 1, tMax: 26, skew: 38, damp: 700, initialBias: 72, initialN: 128 };
+
+  function punycodeAdapt(delta, numPoints, firstTime) {
+    const { base, tMin, tMax, skew, damp } = PUNYCODE;
+    delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+    delta += Math.floor(delta / numPoints);
+    let k = 0;
+    while (delta > ((base - tMin) * tMax) >> 1) {
+      delta = Math.floor(delta / (base - tMin));
+      k += base;
     }
+    return k + Math.floor((base - tMin + 1) * delta / (delta + skew));
+  }
 
-    clone() {
-      if (this.bodyUsed) {
-        throw new TypeError('Cannot clone a Request whose body has already been read');
+  function punycodeDigit(digit) {
+    return String.fromCharCode(digit < 26 ? digit + 97 : digit + 22);
+  }
+
+  function punycodeEncode(label) {
+    const { base, tMin, tMax, initialBias, initialN } = PUNYCODE;
+    const codePoints = Array.from(label, char => char.codePointAt(0));
+    let output = codePoints.filter(c => c < 0x80).map(c => String.fromCharCode(c)).join('');
+    const basicLength = output.length;
+    let handled = basicLength;
+    if (basicLength > 0) output += '-';
+
+    let n = initialN;
+    let delta = 0;
+    let bias = initialBias;
+    while (handled < codePoints.length) {
+      const m = Math.min(...codePoints.filter(c => c >= n));
+      delta += (m - n) * (handled + 1);
+      n = m;
+      for (const c of codePoints) {
+        if (c < n) delta++;
+        if (c !== n) continue;
+        let q = delta;
+        for (let k = base; ; k += base) {
+          const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+          if (q < t) break;
+          output += punycodeDigit(t + (q - t) % (base - t));
+          q = Math.floor((q - t) / (base - t));
+        }
+        output += punycodeDigit(q);
+        bias = punycodeAdapt(delta, handled + 1, handled === basicLength);
+        delta = 0;
+        handled++;
       }
-      return new Request(this);
+      delta++;
+      n++;
     }
+    return output;
+  }
 
-    async arrayBuffer() {
-      if (this.bodyUsed) {
-        throw new TypeError('Body has already been read');
-      }
-      this.#setBodyUsed();
+  // Returns the decoded label, or null when the input is not valid Punycode
+  function punycodeDecode(input) {
+    const { base, tMin, tMax, initialBias, initialN } = PUNYCODE;
+    const basicEnd = input.lastIndexOf('-');
+    const output = [];
+    for (let i = 0; i < Math.max(basicEnd, 0); i++) {
+      if (input.charCodeAt(i) >= 0x80) return null;
+      output.push(input.charCodeAt(i));
+    }
+
+    let n = initialN;
+    let bias = initialBias;
+    let i = 0;
+    for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length;) {
+      const oldI = i;
+      for (let w = 1, k = base; ; k += base) {
+        if (index >= input.length) return null;
+        const c = input.charCodeAt(index++);
+        const digit = c >= 48 && c < 58 ? c - 22 : c >= 65 && c < 91 ? c - 65 : c >= 97 && c < 123 ? c - 97 : base;
+        if (digit >= base) return null;
+        i += digit * w;
+        const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+        if (digit < t) break;
+        w *= base - t;
+      }
+      bias = punycodeAdapt(i - oldI, output.length + 1, oldI === 0);
+      n += Math.floor(i / (output.length + 1));
+      i %= output.length + 1;
+      if (n > 0x10FFFF) return null;
+      output.splice(i++, 0, n);
+    }
+    return String.fromCodePoint(...output);
+  }
 
-      if (!this.body) return new ArrayBuffer(0);
-      if (this.body instanceof ArrayBuffer) return this.body;
-      if (this.body instanceof Blob) {
-        return await this.body.arrayBuffer();
-      }
-      if (this.body instanceof FormData) {
-        // Check if FormData contains streams using internal symbol
-        if (this.body[SYMBOLS.formDataHasStreamingValues]()) {
-          // Use streaming interface for FormData with streams - consume the actual stream
-          const stream = this.body.stream();
-          const reader = stream.getReader();
-          const buffer = await readAllArrayBufferFromReader(reader);
-          return buffer || new ArrayBuffer(0);
-        } else {
-        // Use traditional multipart conversion for FormData without streams
-          const multipart = this.body[SYMBOLS.formDataToMultipart]();
-          return new TextEncoder().encode(multipart.body).buffer;
+  // UTS #46 processing, approximated with Unicode NFKC and lower-casing
+  // instead of the full IDNA mapping table
+  function domainToASCII(domain) {
+    const mapped = domain
+      .replace(/[\u3002\uFF0E\uFF61]/g, '.')
+      .replace(/[\u00AD\u034F\u180B-\u180D\u200B\u2060\uFE00-\uFE0F\uFEFF]/g, '')
+      .toLowerCase()
+      .normalize('NFKC')
+      .toLowerCase();
+
+    const labels = mapped.split('.').map(label => {
+      if (label.startsWith('xn--')) {
+        // An ACE label must decode to a mapped, non-ASCII label without controls
+        const decoded = punycodeDecode(label.slice(4));
+        if (decoded === null || /^[\x00-\x7F]*$/.test(decoded) || /[\u0000-\u001F\u007F-\u009F]/.test(decoded) ||
+          decoded.toLowerCase().normalize('NFKC').toLowerCase() !== decoded) {
+          return null;
         }
+        return label;
       }
-      if (this.body instanceof URLSearchParams) {
-        return new TextEncoder().encode(this.body.toString()).buffer;
-      }
-      if (typeof this.body === 'string') {
-        return new TextEncoder().encode(this.body).buffer;
-      }
-      if (ArrayBuffer.isView(this.body)) {
-        return this.body.buffer.slice(this.body.byteOffset, this.body.byteOffset + this.body.byteLength);
-      }
-      throw new TypeError('Unsupported body type');
-    }
+      return /^[\x00-\x7F]*$/.test(label) ? label : 'xn--' + punycodeEncode(label);
+    });
+    if (labels.includes(null)) return null;
+    const result = labels.join('.');
+    return result === '' ? null : result;
+  }
 
-    async blob() {
-      const buffer = await this.arrayBuffer();
-      return new Blob([buffer]);
+  function parseIPv4Number(input) {
+    if (input === '') return null;
+    let radix = 10;
+    if (/^0[xX]/.test(input)) {
+      input = input.slice(2);
+      radix = 16;
+    } else if (input.length > 1 && input[0] === '0') {
+      input = input.slice(1);
+      radix = 8;
+    }
+    if (input === '') return 0;
+    const pattern = radix === 16 ? /^[0-9A-Fa-f]+$/ : radix === 8 ? /^[0-7]+$/ : /^[0-9]+$/;
+    return pattern.test(input) ? parseInt(input, radix) : null;
+  }
+
+  function endsInANumber(input) {
+    const parts = input.split('.');
+    if (parts[parts.length - 1] === '') {
+      if (parts.length === 1) return false;
+      parts.pop();
     }
+    const last = parts[parts.length - 1];
+    return /^[0-9]+$/.test(last) || parseIPv4Number(last) !== null;
+  }
 
-    async json() {
-      const text = await this.text();
-      return JSON.parse(text);
+  function parseIPv4(input) {
+    const parts = input.split('.');
+    if (parts[parts.length - 1] === '' && parts.length > 1) parts.pop();
+    if (parts.length > 4) return null;
+    const numbers = parts.map(parseIPv4Number);
+    if (numbers.includes(null)) return null;
+    if (numbers.slice(0, -1).some(number => number > 255)) return null;
+    if (numbers[numbers.length - 1] >= 256 ** (5 - numbers.length)) return null;
+
+    let address = numbers[numbers.length - 1];
+    numbers.slice(0, -1).forEach((number, index) => {
+      address += number * 256 ** (3 - index);
+    });
+    const octets = [];
+    for (let i = 0; i < 4; i++) {
+      octets.unshift(address % 256);
+      address = Math.floor(address / 256);
     }
+    return octets.join('.');
+  }
 
-    async text() {
-      if (this.bodyUsed) {
-        throw new TypeError('Body has already been read');
+  function parseIPv6(input) {
+    const address = [0, 0, 0, 0, 0, 0, 0, 0];
+    const chars = Array.from(input);
+    let pieceIndex = 0;
+    let compress = null;
+    let pointer = 0;
+    const isHex = (c) => c !== undefined && /^[0-9A-Fa-f]$/.test(c);
+    const isDigit = (c) => c !== undefined && /^[0-9]$/.test(c);
+
+    if (chars[pointer] === ':') {
+      if (chars[pointer + 1] !== ':') return null;
+      pointer += 2;
+      compress = ++pieceIndex;
+    }
+    while (chars[pointer] !== undefined) {
+      if (pieceIndex === 8) return null;
+      if (chars[pointer] === ':') {
+        if (compress !== null) return null;
+        pointer++;
+        compress = ++pieceIndex;
+        continue;
+      }
+      let value = 0;
+      let length = 0;
+      while (length < 4 && isHex(chars[pointer])) {
+        value = value * 0x10 + parseInt(chars[pointer], 16);
+        pointer++;
+        length++;
+      }
+      if (chars[pointer] === '.') {
+        if (length === 0) return null;
+        pointer -= length;
+        if (pieceIndex > 6) return null;
+        let numbersSeen = 0;
+        while (chars[pointer] !== undefined) {
+          let ipv4Piece = null;
+          if (numbersSeen > 0) {
+            if (chars[pointer] === '.' && numbersSeen < 4) pointer++;
+            else return null;
+          }
+          if (!isDigit(chars[pointer])) return null;
+          while (isDigit(chars[pointer])) {
+            const number = parseInt(chars[pointer], 10);
+            if (ipv4Piece === null) ipv4Piece = number;
+            else if (ipv4Piece === 0) return null;
+            else ipv4Piece = ipv4Piece * 10 + number;
+            if (ipv4Piece > 255) return null;
+            pointer++;
+          }
+          address[pieceIndex] = address[pieceIndex] * 0x100 + ipv4Piece;
+          numbersSeen++;
+          if (numbersSeen === 2 || numbersSeen === 4) pieceIndex++;
+        }
+        if (numbersSeen !== 4) return null;
+        break;
+      } else if (chars[pointer] === ':') {
+        pointer++;
+        if (chars[pointer] === undefined) return null;
+      } else if (chars[pointer] !== undefined) {
+        return null;
       }
-      this.#setBodyUsed();
+      address[pieceIndex++] = value;
+    }
 
-      if (!this.body) return '';
-      if (typeof this.body === 'string') return this.body;
-      if (this.body instanceof URLSearchParams) {
-        return this.body.toString();
+    if (compress !== null) {
+      let swaps = pieceIndex - compress;
+      pieceIndex = 7;
+      while (pieceIndex !== 0 && swaps > 0) {
+        [address[pieceIndex], address[compress + swaps - 1]] = [address[compress + swaps - 1], address[pieceIndex]];
+        pieceIndex--;
+        swaps--;
       }
-      if (this.body instanceof Blob) {
-        return await this.body.text();
+    } else if (pieceIndex !== 8) {
+      return null;
+    }
+    return address;
+  }
+
+  function serializeIPv6(address) {
+    // Compress the first longest run of two or more zero pieces
+    let compress = null;
+    let longest = 1;
+    for (let i = 0; i < 8;) {
+      let end = i;
+      while (end < 8 && address[end] === 0) end++;
+      if (end - i > longest) {
+        compress = i;
+        longest = end - i;
       }
-      if (this.body instanceof FormData) {
-        // Check if FormData contains streams using internal symbol
-        if (this.body[SYMBOLS.formDataHasStreamingValues]()) {
-          // Use streaming interface for FormData with streams - consume the actual stream
-          const stream = this.body.stream();
-          const reader = stream.getReader();
-          const text = await readAllTextFromReader(reader, { encoding: 'utf-8' });
-          return text || '';
-        } else {
-        // Use traditional multipart conversion for FormData without streams
-          const multipart = this.body[SYMBOLS.formDataToMultipart]();
-          return multipart.body;
-        }
+      i = end === i ? i + 1 : end;
+    }
+
+    let output = '';
+    for (let i = 0; i < 8; i++) {
+      if (i === compress) {
+        output += i === 0 ? '::' : ':';
+        i += longest - 1;
+        continue;
       }
+      output += address[i].toString(16);
+      if (i !== 7) output += ':';
+    }
+    return output;
+  }
 
-      const buffer = await this.arrayBuffer();
-      return new TextDecoder().decode(buffer);
+  // Returns the serialized host, or null on failure
+  function parseHost(input, isOpaque) {
+    if (input.startsWith('[')) {
+      if (!input.endsWith(']')) return null;
+      const address = parseIPv6(input.slice(1, -1));
+      return address ? `[${serializeIPv6(address)}]` : null;
+    }
+    if (isOpaque) {
+      if (Array.from(input).some(char => FORBIDDEN_HOST_CODE_POINTS.includes(char))) return null;
+      return percentEncodeString(input, isC0ControlPercentEncode);
+    }
+    const asciiDomain = domainToASCII(percentDecodeString(input));
+    if (asciiDomain === null) return null;
+    if (/[\u0000-\u001F\u007F%]/.test(asciiDomain) ||
+      Array.from(asciiDomain).some(char => FORBIDDEN_HOST_CODE_POINTS.includes(char))) {
+      return null;
     }
-  };
+    return endsInANumber(asciiDomain) ? parseIPv4(asciiDomain) : asciiDomain;
+  }
 
-  // Response implementation
-  globalThis.Response = class Response {
-    #bodyStream;
-    #originalBody;
-    #status;
-    #statusText;
-    #headers;
-    #url;
-    #redirected;
-    #type;
-    #ok;
-    #bodyUsed;
+  const isSpecialScheme = (scheme) => Object.hasOwn(SPECIAL_SCHEME_PORTS, scheme);
+  const hasOpaquePath = (url) => typeof url.path === 'string';
+  const includesCredentials = (url) => url.username !== '' || url.password !== '';
+  const cannotHaveCredentialsOrPort = (url) => url.host === null || url.host === '' || url.scheme === 'file';
+  const isWindowsDriveLetter = (string) => /^[A-Za-z][:|]$/.test(string);
+  const isNormalizedWindowsDriveLetter = (string) => /^[A-Za-z]:$/.test(string);
+  const isSingleDotSegment = (string) => /^(\.|%2e)$/i.test(string);
+  const isDoubleDotSegment = (string) => /^(\.|%2e)(\.|%2e)$/i.test(string);
+
+  function startsWithWindowsDriveLetter(chars, pointer) {
+    return chars.length - pointer >= 2 &&
+      isWindowsDriveLetter(chars[pointer] + chars[pointer + 1]) &&
+      (chars.length - pointer === 2 || '/\\?#'.includes(chars[pointer + 2]));
+  }
 
-    constructor(body, init = {}) {
-      // Validate status code
-      const status = init.status !== undefined ? init.status : 200;
-      if (!Number.isInteger(status) || status < 100 || status > 599) {
-        throw new RangeError(`Invalid status code: ${status}`);
-      }
+  function shortenPath(url) {
+    if (url.scheme === 'file' && url.path.length === 1 && isNormalizedWindowsDriveLetter(url.path[0])) return;
+    url.path.pop();
+  }
 
-      this.#originalBody = body || null;
-      this.#status = status;
-      this.#statusText = init.statusText !== undefined ? init.statusText : getStatusText(this.#status);
-      this.#headers = new Headers(init.headers);
-      this.#url = init.url || '';
-      this.#redirected = init.redirected || false;
-      this.#type = init.type || 'default';
-      this.#ok = this.#status >= 200 && this.#status < 300;
-      this.#bodyUsed = false;
-      this.#bodyStream = this.#createBodyStream(body);
-    }
+  // The basic URL parser. Returns the URL record, or null on failure. With a
+  // state override it updates `url` in place, as the URL setters require.
+  function parseURLRecord(input, base = null, url = null, stateOverride = null) {
+    if (!url) {
+      url = { scheme: '', username: '', password: '', host: null, port: null, path: [], query: null, fragment: null };
+      input = input.replace(/^[\u0000- ]+|[\u0000- ]+$/g, '');
+    }
+    input = input.replace(/[\t\n\r]/g, '');
+
+    const chars = Array.from(input);
+    let state = stateOverride || 'scheme start';
+    let buffer = '';
+    let atSignSeen = false;
+    let insideBrackets = false;
+    let passwordTokenSeen = false;
+
+    for (let pointer = 0; pointer <= chars.length; pointer++) {
+      const c = chars[pointer];
+      const special = isSpecialScheme(url.scheme);
+
+      switch (state) {
+        case 'scheme start':
+          if (c !== undefined && /^[A-Za-z]$/.test(c)) {
+            buffer += c.toLowerCase();
+            state = 'scheme';
+          } else if (!stateOverride) {
+            state = 'no scheme';
+            pointer--;
+          } else {
+            return null;
+          }
+          break;
 
-    get body() {
-      return this.#bodyStream;
-    }
+        case 'scheme':
+          if (c !== undefined && /^[A-Za-z0-9+\-.]$/.test(c)) {
+            buffer += c.toLowerCase();
+          } else if (c === ':') {
+            if (stateOverride) {
+              if (special !== isSpecialScheme(buffer)) return url;
+              if ((includesCredentials(url) || url.port !== null) && buffer === 'file') return url;
+              if (url.scheme === 'file' && url.host === '') return url;
+            }
+            url.scheme = buffer;
+            if (stateOverride) {
+              if (url.port === SPECIAL_SCHEME_PORTS[url.scheme]) url.port = null;
+              return url;
+            }
+            buffer = '';
+            if (url.scheme === 'file') {
+              state = 'file';
+            } else if (isSpecialScheme(url.scheme) && base && base.scheme === url.scheme) {
+              state = 'special relative or authority';
+            } else if (isSpecialScheme(url.scheme)) {
+              state = 'special authority slashes';
+            } else if (chars[pointer + 1] === '/') {
+              state = 'path or authority';
+              pointer++;
+            } else {
+              url.path = '';
+              state = 'opaque path';
+            }
+          } else if (!stateOverride) {
+            buffer = '';
+            state = 'no scheme';
+            pointer = -1;
+          } else {
+            return null;
+          }
+          break;
 
-    #createBodyStream(body) {
-      if (!body) {
-        return null;
-      }
+        case 'no scheme':
+          if (!base || (hasOpaquePath(base) && c !== '#')) {
+            return null;
+          } else if (hasOpaquePath(base) && c === '#') {
+            url.scheme = base.scheme;
+            url.path = base.path;
+            url.query = base.query;
+            url.fragment = '';
+            state = 'fragment';
+          } else {
+            state = base.scheme === 'file' ? 'file' : 'relative';
+            pointer--;
+          }
+          break;
 
-      // If body is already a ReadableStream, return it
-      if (body instanceof ReadableStream) {
-        return body;
-      }
+        case 'special relative or authority':
+          if (c === '/' && chars[pointer + 1] === '/') {
+            state = 'special authority ignore slashes';
+            pointer++;
+          } else {
+            state = 'relative';
+            pointer--;
+          }
+          break;
 
-      // Create a ReadableStream from the body data
-      return new ReadableStream({
-        async start(controller) {
-          try {
-            if (typeof body === 'string') {
-              const encoder = new TextEncoder();
-              const bytes = encoder.encode(body);
-              controller.enqueue(bytes);
-            } else if (body instanceof Blob) {
-              // Use proper streaming from blob without loading everything into memory
-              const blobStream = body.stream();
-              const reader = blobStream.getReader();
-              try {
-                while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                const _v = toUint8Array(value);
-                controller.enqueue(new Uint8Array(_v.buffer, _v.byteOffset, _v.byteLength));
-              }
-              } finally {
-                reader.releaseLock();
-              }
-            } else if (body instanceof URLSearchParams) {
-              const encoder = new TextEncoder();
-              const bytes = encoder.encode(body.toString());
-              controller.enqueue(bytes);
-            } else if (body instanceof Uint8Array) {
-              controller.enqueue(body);
-            } else if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
-              controller.enqueue(toUint8Array(body));
-            } else if (body instanceof FormData) {
-              // Check if FormData contains streams using internal symbol
-              if (body[SYMBOLS.formDataHasStreamingValues]()) {
-                // Use streaming interface for FormData with streams - pipe the actual stream
-                const formStream = body.stream();
-                const reader = formStream.getReader();
+        case 'path or authority':
+          if (c === '/') {
+            state = 'authority';
+          } else {
+            state = 'path';
+            pointer--;
+          }
+          break;
+
+        case 'relative':
+          url.scheme = base.scheme;
+          if (c === '/' || (isSpecialScheme(url.scheme) && c === '\\')) {
+            state = 'relative slash';
+          } else {
+            url.username = base.username;
+            url.password = base.password;
+            url.host = base.host;
+            url.port = base.port;
+            url.path = base.path.slice();
+            url.query = base.query;
+            if (c === '?') {
+              url.query = '';
+              state = 'query';
+            } else if (c === '#') {
+              url.fragment = '';
+              state = 'fragment';
+            } else if (c !== undefined) {
+              url.query = null;
+              shortenPath(url);
+              state = 'path';
+              pointer--;
+            }
+          }
+          break;
+
+        case 'relative slash':
+          if (special && (c === '/' || c === '\\')) {
+            state = 'special authority ignore slashes';
+          } else if (c === '/') {
+            state = 'authority';
+          } else {
+            url.username = base.username;
+            url.password = base.password;
+            url.host = base.host;
+            url.port = base.port;
+            state = 'path';
+            pointer--;
+          }
+          break;
+
+        case 'special authority slashes':
+          state = 'special authority ignore slashes';
+          if (c === '/' && chars[pointer + 1] === '/') {
+            pointer++;
+          } else {
+            pointer--;
+          }
+          break;
 
-                // Pump data from FormData stream to response stream
-                const pump = async () => {
-                  try {
-                    while (true) {
-                      const { done, value } = await reader.read();
-                      if (done) break;
-                      controller.enqueue(toUint8Array(value));
-                    }
-                    controller.close();
-                  } catch (error) {
-                    controller.error(error);
-                  } finally {
-                    try { reader.releaseLock(); } catch (e) { }
-                  }
-                };
-                pump();
-                return; // Exit early since we're handling async pumping
-              } else {
-              // Use traditional multipart conversion for FormData without streams
-                const multipart = body[SYMBOLS.formDataToMultipart]();
-                const encoder = new TextEncoder();
-                const bytes = encoder.encode(multipart.body);
-                controller.enqueue(bytes);
+        case 'special authority ignore slashes':
+          if (c !== '/' && c !== '\\') {
+            state = 'authority';
+            pointer--;
+          }
+          break;
+
+        case 'authority':
+          if (c === '@') {
+            if (atSignSeen) buffer = '%40' + buffer;
+            atSignSeen = true;
+            for (const char of buffer) {
+              if (char === ':' && !passwordTokenSeen) {
+                passwordTokenSeen = true;
+                continue;
               }
-            } else {
-              // Convert to string and encode
-              const encoder = new TextEncoder();
-              const bytes = encoder.encode(String(body));
-              controller.enqueue(bytes);
+              const encoded = percentEncodeString(char, isUserinfoPercentEncode);
+              if (passwordTokenSeen) url.password += encoded;
+              else url.username += encoded;
             }
-            controller.close();
-          } catch (error) {
-            controller.error(error);
+            buffer = '';
+          } else if (c === undefined || c === '/' || c === '?' || c === '#' || (special && c === '\\')) {
+            if (atSignSeen && buffer === '') return null;
+            pointer -= Array.from(buffer).length + 1;
+            buffer = '';
+            state = 'host';
+          } else {
+            buffer += c;
           }
-        }
-      });
-    }
+          break;
 
-    get status() {
-      return this.#status;
-    }
+        case 'host':
+        case 'hostname':
+          if (stateOverride && url.scheme === 'file') {
+            pointer--;
+            state = 'file host';
+          } else if (c === ':' && !insideBrackets) {
+            if (buffer === '') return null;
+            if (stateOverride === 'hostname') return null;
+            const host = parseHost(buffer, !special);
+            if (host === null) return null;
+            url.host = host;
+            buffer = '';
+            state = 'port';
+          } else if (c === undefined || c === '/' || c === '?' || c === '#' || (special && c === '\\')) {
+            pointer--;
+            if (special && buffer === '') return null;
+            if (stateOverride && buffer === '' && (includesCredentials(url) || url.port !== null)) return null;
+            const host = parseHost(buffer, !special);
+            if (host === null) return null;
+            url.host = host;
+            buffer = '';
+            state = 'path start';
+            if (stateOverride) return url;
+          } else {
+            if (c === '[') insideBrackets = true;
+            if (c === ']') insideBrackets = false;
+            buffer += c;
+          }
+          break;
 
-    get statusText() {
-      return this.#statusText;
-    }
+        case 'port':
+          if (c !== undefined && /^[0-9]$/.test(c)) {
+            buffer += c;
+          } else if (c === undefined || c === '/' || c === '?' || c === '#' || (special && c === '\\') || stateOverride) {
+            if (buffer !== '') {
+              const port = parseInt(buffer, 10);
+              if (port > 65535) return null;
+              url.port = port === SPECIAL_SCHEME_PORTS[url.scheme] ? null : port;
+              buffer = '';
+            }
+            if (stateOverride) return url;
+            state = 'path start';
+            pointer--;
+          } else {
+            return null;
+          }
+          break;
 
-    get headers() {
-      return this.#headers;
-    }
+        case 'file':
+          url.scheme = 'file';
+          url.host = '';
+          if (c === '/' || c === '\\') {
+            state = 'file slash';
+          } else if (base && base.scheme === 'file') {
+            url.host = base.host;
+            url.path = base.path.slice();
+            url.query = base.query;
+            if (c === '?') {
+              url.query = '';
+              state = 'query';
+            } else if (c === '#') {
+              url.fragment = '';
+              state = 'fragment';
+            } else if (c !== undefined) {
+              url.query = null;
+              if (!startsWithWindowsDriveLetter(chars, pointer)) shortenPath(url);
+              else url.path = [];
+              state = 'path';
+              pointer--;
+            }
+          } else {
+            state = 'path';
+            pointer--;
+          }
+          break;
 
-    get url() {
-      return this.#url;
-    }
+        case 'file slash':
+          if (c === '/' || c === '\\') {
+            state = 'file host';
+          } else {
+            if (base && base.scheme === 'file') {
+              url.host = base.host;
+              if (!startsWithWindowsDriveLetter(chars, pointer) && isNormalizedWindowsDriveLetter(base.path[0] ?? '')) {
+                url.path.push(base.path[0]);
+              }
+            }
+            state = 'path';
+            pointer--;
+          }
+          break;
 
-    get redirected() {
-      return this.#redirected;
-    }
+        case 'file host':
+          if (c === undefined || c === '/' || c === '\\' || c === '?' || c === '#') {
+            pointer--;
+            if (!stateOverride && isWindowsDriveLetter(buffer)) {
+              state = 'path';
+            } else if (buffer === '') {
+              url.host = '';
+              if (stateOverride) return url;
+              state = 'path start';
+            } else {
+              let host = parseHost(buffer, !special);
+              if (host === null) return null;
+              if (host === 'localhost') host = '';
+              url.host = host;
+              if (stateOverride) return url;
+              buffer = '';
+              state = 'path start';
+            }
+          } else {
+            buffer += c;
+          }
+          break;
 
-    get type() {
-      return this.#type;
-    }
+        case 'path start':
+          if (special) {
+            state = 'path';
+            if (c !== '/' && c !== '\\') pointer--;
+          } else if (!stateOverride && c === '?') {
+            url.query = '';
+            state = 'query';
+          } else if (!stateOverride && c === '#') {
+            url.fragment = '';
+            state = 'fragment';
+          } else if (c !== undefined) {
+            state = 'path';
+            if (c !== '/') pointer--;
+          } else if (stateOverride && url.host === null) {
+            url.path.push('');
+          }
+          break;
 
-    get ok() {
-      return this.#ok;
-    }
+        case 'path': {
+          const isSlash = c === '/' || (special && c === '\\');
+          if (c === undefined || isSlash || (!stateOverride && (c === '?' || c === '#'))) {
+            if (isDoubleDotSegment(buffer)) {
+              shortenPath(url);
+              if (!isSlash) url.path.push('');
+            } else if (isSingleDotSegment(buffer) && !isSlash) {
+              url.path.push('');
+            } else if (!isSingleDotSegment(buffer)) {
+              if (url.scheme === 'file' && url.path.length === 0 && isWindowsDriveLetter(buffer)) {
+                buffer = buffer[0] + ':';
+              }
+              url.path.push(buffer);
+            }
+            buffer = '';
+            if (c === '?') {
+              url.query = '';
+              state = 'query';
+            } else if (c === '#') {
+              url.fragment = '';
+              state = 'fragment';
+            }
+          } else {
+            buffer += percentEncodeString(c, isPathPercentEncode);
+          }
+          break;
+        }
 
-    get bodyUsed() {
-      return this.#bodyUsed;
-    }
+        case 'opaque path':
+          if (c === '?') {
+            url.query = '';
+            state = 'query';
+          } else if (c === '#') {
+            url.fragment = '';
+            state = 'fragment';
+          } else if (c !== undefined) {
+            url.path += percentEncodeString(c, isC0ControlPercentEncode);
+          }
+          break;
 
-    // Internal method to set bodyUsed (used by body reading methods)
-    #setBodyUsed() {
-      this.#bodyUsed = true;
-    }
+        case 'query':
+          if ((!stateOverride && c === '#') || c === undefined) {
+            url.query += percentEncodeString(buffer, special ? isSpecialQueryPercentEncode : isQueryPercentEncode);
+            buffer = '';
+            if (c === '#') {
+              url.fragment = '';
+              state = 'fragment';
+            }
+          } else {
+            buffer += c;
+          }
+          break;
 
-    // Internal method to set type (used by static methods)
-    #setType(type) {
-      this.#type = type;
+        case 'fragment':
+          if (c !== undefined) {
+            url.fragment += percentEncodeString(c, isFragmentPercentEncode);
+          }
+          break;
+      }
     }
+    return url;
+  }
 
-    static error() {
-      const response = new Response(null, { status: 0, statusText: '' });
-      response.#setType('error');
-      return response;
-    }
+  function serializePath(url) {
+    return hasOpaquePath(url) ? url.path : url.path.map(segment => '/' + segment).join('');
+  }
 
-    static redirect(url, status = 302) {
-      const response = new Response(null, { status, headers: { Location: url } });
-      response.#setType('opaqueredirect');
-      return response;
-    }
+  function serializeURLRecord(url, excludeFragment = false) {
+    let output = url.scheme + ':';
+    if (url.host !== null) {
+      output += '//';
+      if (includesCredentials(url)) {
+        output += url.username;
+        if (url.password !== '') output += ':' + url.password;
+        output += '@';
+      }
+      output += url.host;
+      if (url.port !== null) output += ':' + url.port;
+    } else if (!hasOpaquePath(url) && url.path.length > 1 && url.path[0] === '') {
+      output += '/.';
+    }
+    output += serializePath(url);
+    if (url.query !== null) output += '?' + url.query;
+    if (!excludeFragment && url.fragment !== null) output += '#' + url.fragment;
+    return output;
+  }
 
-    clone() {
-      if (this.bodyUsed) {
-        throw new TypeError('Cannot clone a Response whose body has already been read');
+  globalThis.URL = class URL {
+    #url;
+    #searchParams;
+
+    constructor(url, base = undefined) {
+      if (arguments.length === 0) {
+        throw new TypeError("Failed to construct 'URL': 1 argument required, but only 0 present.");
+      }
+      let parsedBase = null;
+      if (base !== undefined) {
+        parsedBase = parseURLRecord(toUSVString(base));
+        if (!parsedBase) {
+          throw new TypeError(`Failed to construct 'URL': Invalid base URL`);
+        }
       }
+      const parsed = parseURLRecord(toUSVString(url), parsedBase);
+      if (!parsed) {
+        throw new TypeError(`Failed to construct 'URL': Invalid URL`);
+      }
+      this.#url = parsed;
+      this.#searchParams = new URLSearchParams();
+      this.#searchParams[SYMBOLS.searchParamsBind]((query) => {
+        this.#url.query = query === '' ? null : query;
+      });
+      this.#updateSearchParams();
+    }
 
-      // For responses with streams, we need to tee the stream
-      let clonedBody = this.#originalBody;
-      let clonedStream = null;
+    static canParse(url, base = undefined) {
+      return URL.parse(url, base) !== null;
+    }
 
-      if (this.#bodyStream && !this.#originalBody) {
-        // If we only have a stream, we need to tee it
-        const [stream1, stream2] = this.#bodyStream.tee ? this.#bodyStream.tee() : [this.#bodyStream, this.#bodyStream];
-        this.#bodyStream = stream1;
-        clonedStream = stream2;
+    static parse(url, base = undefined) {
+      try {
+        return new URL(url, base);
+      } catch {
+        return null;
       }
+    }
 
-      const cloned = new Response(clonedBody, {
-        status: this.status,
-        statusText: this.statusText,
-        headers: this.headers,
-        url: this.url,
-        redirected: this.redirected,
-        type: this.type
-      });
-
-      // If we teed a stream, set it directly
-      if (clonedStream) {
-        cloned.#bodyStream = clonedStream;
+    // A blob: URL that fetch and XMLHttpRequest read the Blob or File from,
+    // until it is revoked. There is no document, so the origin is opaque.
+    static createObjectURL(obj) {
+      if (!(obj instanceof Blob)) {
+        throw new TypeError("Failed to execute 'createObjectURL' on 'URL': parameter 1 is not of type 'Blob'.");
       }
+      const url = `blob:null/${crypto.randomUUID().toLowerCase()}`;
+      blobURLStore.set(url, obj);
+      return url;
+    }
 
-      return cloned;
+    static revokeObjectURL(url) {
+      const parsed = URL.parse(url);
+      if (!parsed || parsed.protocol !== 'blob:') return;
+      parsed.hash = '';
+      blobURLStore.delete(parsed.href);
     }
 
-    async arrayBuffer() {
-      if (this.bodyUsed) {
-        throw new TypeError('Body has already been read');
-      }
-      this.#setBodyUsed();
+    #updateSearchParams() {
+      this.#searchParams[SYMBOLS.searchParamsReset](this.#url.query ?? '');
+    }
 
-      if (!this.#bodyStream) {
-        return new ArrayBuffer(0);
+    get href() { return serializeURLRecord(this.#url); }
+    set href(value) {
+      const parsed = parseURLRecord(toUSVString(value));
+      if (!parsed) {
+        throw new TypeError(`Failed to set the 'href' property on 'URL': Invalid URL`);
       }
+      this.#url = parsed;
+      this.#updateSearchParams();
+    }
 
-      // If we have original body data, use it directly for better performance
-      if (this.#originalBody instanceof ArrayBuffer) {
-        return this.#originalBody;
-      } else if (this.#originalBody instanceof Uint8Array) {
-        return this.#originalBody.buffer.slice(this.#originalBody.byteOffset, this.#originalBody.byteOffset + this.#originalBody.byteLength);
-      } else if (this.#originalBody && typeof this.#originalBody === 'string') {
-        return new TextEncoder().encode(this.#originalBody).buffer;
-      } else if (this.#originalBody instanceof FormData) {
-        // Check if FormData contains streams using internal symbol
-        if (this.#originalBody[SYMBOLS.formDataHasStreamingValues]()) {
-          // Use streaming interface for FormData with streams - consume the actual stream
-          const stream = this.#originalBody.stream();
-          const reader = stream.getReader();
-          const buffer = await readAllArrayBufferFromReader(reader);
-          return buffer || new ArrayBuffer(0);
-        } else {
-        // Use traditional multipart conversion for FormData without streams
-          const multipart = this.#originalBody[SYMBOLS.formDataToMultipart]();
-          return new TextEncoder().encode(multipart.body).buffer;
-        }
+    get origin() {
+      const url = this.#url;
+      if (url.scheme === 'blob') {
+        const pathURL = hasOpaquePath(url) ? URL.parse(url.path) : null;
+        return pathURL && (pathURL.protocol === 'http:' || pathURL.protocol === 'https:') ? pathURL.origin : 'null';
       }
+      if (['ftp', 'http', 'https', 'ws', 'wss'].includes(url.scheme)) {
+        return `${url.scheme}://${url.host}${url.port !== null ? ':' + url.port : ''}`;
+      }
+      return 'null';
+    }
 
-      // Read from stream using helper
-      const reader = this.#bodyStream.getReader();
-      const buffer = await readAllArrayBufferFromReader(reader, { onProgress: null });
-      return buffer || new ArrayBuffer(0);
+    get protocol() { return this.#url.scheme + ':'; }
+    set protocol(value) {
+      parseURLRecord(toUSVString(value) + ':', null, this.#url, 'scheme start');
     }
 
-    async blob() {
-      const buffer = await this.arrayBuffer();
-      return new Blob([buffer]);
+    get username() { return this.#url.username; }
+    set username(value) {
+      if (cannotHaveCredentialsOrPort(this.#url)) return;
+      this.#url.username = percentEncodeString(toUSVString(value), isUserinfoPercentEncode);
     }
 
-    async json() {
-      const text = await this.text();
-      return JSON.parse(text);
+    get password() { return this.#url.password; }
+    set password(value) {
+      if (cannotHaveCredentialsOrPort(this.#url)) return;
+      this.#url.password = percentEncodeString(toUSVString(value), isUserinfoPercentEncode);
     }
 
-    async text() {
-      if (this.bodyUsed) {
-        throw new TypeError('Body has already been read');
-      }
-      this.#setBodyUsed();
+    get host() {
+      const { host, port } = this.#url;
+      if (host === null) return '';
+      return port === null ? host : `${host}:${port}`;
+    }
+    set host(value) {
+      if (hasOpaquePath(this.#url)) return;
+      parseURLRecord(toUSVString(value), null, this.#url, 'host');
+    }
 
-      if (!this.#bodyStream) {
-        return '';
-      }
+    get hostname() { return this.#url.host ?? ''; }
+    set hostname(value) {
+      if (hasOpaquePath(this.#url)) return;
+      parseURLRecord(toUSVString(value), null, this.#url, 'hostname');
+    }
 
-      // If we have original string data, use it directly
-      if (typeof this.#originalBody === 'string') {
-        return this.#originalBody;
-      } else if (this.#originalBody instanceof FormData) {
-        // Check if FormData contains streams using internal symbol
-        if (this.#originalBody[SYMBOLS.formDataHasStreamingValues]()) {
-          // Use streaming interface for FormData with streams - consume the actual stream
-          const stream = this.#originalBody.stream();
-          const reader = stream.getReader();
-          const text = await readAllTextFromReader(reader, { encoding: 'utf-8' });
-          return text || '';
-        } else {
-        // Use traditional multipart conversion for FormData without streams
-          const multipart = this.#originalBody[SYMBOLS.formDataToMultipart]();
-          return multipart.body;
-        }
+    get port() { return this.#url.port === null ? '' : String(this.#url.port); }
+    set port(value) {
+      if (cannotHaveCredentialsOrPort(this.#url)) return;
+      value = toUSVString(value);
+      if (value === '') {
+        this.#url.port = null;
+      } else {
+        parseURLRecord(value, null, this.#url, 'port');
       }
-
-      // Read from stream using helper for text decoding
-      const reader = this.#bodyStream.getReader();
-      const text = await readAllTextFromReader(reader, { encoding: 'utf-8' });
-      return text || '';
     }
-  };
-
-  // Helper function to get status text from status code
-  function getStatusText(status) {
-    const statusTexts = {
-      100: 'Continue',
-      101: 'Switching Protocols',
-      200: 'OK',
-      201: 'Created',
-      202: 'Accepted',
-      204: 'No Content',
-      301: 'Moved Permanently',
-      302: 'Found',
-      304: 'Not Modified',
-      400: 'Bad Request',
-      401: 'Unauthorized',
-      403: 'Forbidden',
-      404: 'Not Found',
-      405: 'Method Not Allowed',
-      500: 'Internal Server Error',
-      502: 'Bad Gateway',
-      503: 'Service Unavailable'
-    };
-    return statusTexts[status] || '';
-  }
 
-  // fetch - HTTP request function
-  globalThis.fetch = async function fetch(input, init = {}) {
-    const request = new Request(input, init);
+    get pathname() { return serializePath(this.#url); }
+    set pathname(value) {
+      if (hasOpaquePath(this.#url)) return;
+      this.#url.path = [];
+      parseURLRecord(toUSVString(value), null, this.#url, 'path start');
+    }
 
-    // Check if the request is already aborted
-    if (request.signal && request.signal.aborted) {
-      const abortError = new Error('The operation was aborted');
-      abortError.name = 'AbortError';
-      throw abortError;
+    get search() {
+      const { query } = this.#url;
+      return query === null || query === '' ? '' : '?' + query;
+    }
+    set search(value) {
+      value = toUSVString(value);
+      if (value === '') {
+        this.#url.query = null;
+      } else {
+        this.#url.query = '';
+        parseURLRecord(value.startsWith('?') ? value.slice(1) : value, null, this.#url, 'query');
+      }
+      this.#updateSearchParams();
     }
 
-    const urlRequest = new __APPLE_SPEC__.URLRequest(request.url);
-    urlRequest.httpMethod = request.method;
+    get searchParams() { return this.#searchParams; }
 
-    // Set timeout based on AbortSignal.timeout() or default
-    if (request.signal && request.signal[SYMBOLS.abortSignalTimeoutMs]) {
-      // Use timeout from AbortSignal.timeout()
-      urlRequest.timeoutInterval = request.signal[SYMBOLS.abortSignalTimeoutMs] / 1000;
-    } else {
-      // Set default timeout (30 seconds)
-      urlRequest.timeoutInterval = 30.0;
+    get hash() {
+      const { fragment } = this.#url;
+      return fragment === null || fragment === '' ? '' : '#' + fragment;
     }
-
-    // Set headers
-    for (const [key, value] of request.headers) {
-      urlRequest.setValueForHTTPHeaderField(value, key);
+    set hash(value) {
+      value = toUSVString(value);
+      if (value === '') {
+        this.#url.fragment = null;
+        return;
+      }
+      this.#url.fragment = '';
+      parseURLRecord(value.startsWith('#') ? value.slice(1) : value, null, this.#url, 'fragment');
     }
 
-    // Set body and determine if we need streaming
-    let bodyStream = null;
+    toString() { return this.href; }
+    toJSON() { return this.href; }
 
-    if (request.body) {
-      if (request.body instanceof ReadableStream) {
-        // Wrap user-provided ReadableStream to ensure it yields ArrayBuffer chunks
-        const sourceStream = request.body;
-        bodyStream = new ReadableStream({
-          async start(controller) {
-            const reader = sourceStream.getReader();
-            try {
-              while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                const _v = toUint8Array(value);
-                // Enqueue a copied Uint8Array to ensure stable backing memory for native reader
-                controller.enqueue(new Uint8Array(_v));
-              }
-              controller.close();
-            } catch (err) {
-              controller.error(err);
-            } finally {
-              try { reader.releaseLock(); } catch (e) { }
-            }
-          },
-          cancel(reason) {
-            try { sourceStream.cancel && sourceStream.cancel(reason); } catch (e) { }
-          }
-        });
-      } else if (request.body instanceof FormData) {
-        // Check if FormData contains streams using internal symbol
-        if (request.body[SYMBOLS.formDataHasStreamingValues]()) {
-          // Use streaming interface for FormData with streams
-          const formStream = request.body.stream();
-          bodyStream = formStream;
+    get [Symbol.toStringTag]() { return 'URL'; }
+  };
 
-          // Set Content-Type header with the boundary from the stream
-          const boundary = formStream[SYMBOLS.formDataBoundary];
-          if (boundary) {
-            urlRequest.setValueForHTTPHeaderField(
-              `multipart/form-data; boundary=${boundary}`,
-              'Content-Type'
-            );
-          }
-        } else {
-        // Use traditional multipart conversion for FormData without streams
-          const multipart = request.body[SYMBOLS.formDataToMultipart]();
-          urlRequest.httpBody = multipart.body;
-          urlRequest.setValueForHTTPHeaderField(
-            `multipart/form-data; boundary=${multipart.boundary}`,
-            'Content-Type'
-          );
-        }
-      } else if (request[SYMBOLS.requestOriginalBody] instanceof URLSearchParams) {
-        urlRequest.httpBody = request[SYMBOLS.requestOriginalBody].toString();
-        if (!request.headers.has('Content-Type')) {
-          urlRequest.setValueForHTTPHeaderField(
-            'application/x-www-form-urlencoded',
-            'Content-Type'
-          );
+  // URLPattern - WHATWG URL Pattern Standard
+
+  const URL_PATTERN_COMPONENTS = ['protocol', 'username', 'password', 'hostname', 'port', 'pathname', 'search', 'hash'];
+
+  const isValidNameCodePoint = (char, first) => first ? /^[\p{ID_Start}$_]$/u.test(char) : /^[\p{ID_Continue}$\u200C\u200D]$/u.test(char);
+  const escapeRegexpString = (string) => string.replace(/[.+*?^${}()[\]|/\\]/g, '\\$&');
+  const escapePatternString = (string) => string.replace(/[+*?:{}()\\]/g, '\\$&');
+  const modifierToString = (modifier) => modifier === 'none' ? '' : modifier;
+
+  // Split a pattern string into tokens. In 'lenient' mode malformed input
+  // becomes 'invalid-char' tokens instead of throwing, which the constructor
+  // string parser relies on.
+  function tokenizePattern(input, policy) {
+    const tokens = [];
+    let index = 0;
+
+    const codePointAt = (position) => {
+      const codePoint = input.codePointAt(position);
+      return { char: String.fromCodePoint(codePoint), next: position + (codePoint > 0xFFFF ? 2 : 1) };
+    };
+    const addToken = (type, next, valueStart, valueEnd = next) => {
+      tokens.push({ type, index, value: input.slice(valueStart, valueEnd) });
+      index = next;
+    };
+    const tokenizingError = (next, valueStart) => {
+      if (policy === 'strict') {
+        throw new TypeError(`Invalid pattern '${input}' at index ${valueStart}`);
+      }
+      addToken('invalid-char', next, valueStart);
+    };
+
+    while (index < input.length) {
+      const { char, next } = codePointAt(index);
+
+      if (char === '*') {
+        addToken('asterisk', next, index);
+      } else if (char === '+' || char === '?') {
+        addToken('other-modifier', next, index);
+      } else if (char === '\\') {
+        if (next >= input.length) {
+          tokenizingError(next, index);
+          continue;
         }
-      } else if (request.body instanceof URLSearchParams) {
-        urlRequest.httpBody = request.body.toString();
-        if (!request.headers.has('Content-Type')) {
-          urlRequest.setValueForHTTPHeaderField(
-            'application/x-www-form-urlencoded',
-            'Content-Type'
-          );
+        addToken('escaped-char', codePointAt(next).next, next);
+      } else if (char === '{') {
+        addToken('open', next, index);
+      } else if (char === '}') {
+        addToken('close', next, index);
+      } else if (char === ':') {
+        let position = next;
+        while (position < input.length) {
+          const current = codePointAt(position);
+          if (!isValidNameCodePoint(current.char, position === next)) break;
+          position = current.next;
         }
-      } else if (request.body instanceof Blob) {
-        // Stream Blob bodies to native. Wrap the blob.stream() so the
-        // produced stream yields Uint8Array chunks (native bridge expects typed arrays).
-        const blob = request.body;
-        if (!request.headers.has('Content-Type') && blob.type) {
-          urlRequest.setValueForHTTPHeaderField(blob.type, 'Content-Type');
+        if (position === next) {
+          tokenizingError(next, index);
+          continue;
         }
-
-        // Wrap the blob's native stream and copy each chunk before enqueueing
-        const sourceStream = blob.stream();
-        bodyStream = new ReadableStream({
-          async start(controller) {
-            const reader = sourceStream.getReader();
-            try {
-              while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                const _v = toUint8Array(value);
-                // Copy chunk so the native bridge can safely read its bytes
-                controller.enqueue(new Uint8Array(_v));
-              }
-              controller.close();
-            } catch (err) {
-              controller.error(err);
-            } finally {
-              try { reader.releaseLock(); } catch (e) { }
+        addToken('name', position, next);
+      } else if (char === '(') {
+        let depth = 1;
+        let position = next;
+        let failed = false;
+        while (position < input.length) {
+          const current = codePointAt(position);
+          if (current.char.codePointAt(0) > 0x7F || (position === next && current.char === '?')) {
+            failed = true;
+          } else if (current.char === '\\') {
+            if (current.next >= input.length || codePointAt(current.next).char.codePointAt(0) > 0x7F) {
+              failed = true;
+            } else {
+              position = codePointAt(current.next).next;
+              continue;
             }
-          },
-          cancel(reason) {
-            try { sourceStream.cancel && sourceStream.cancel(reason); } catch (e) { }
+          } else if (current.char === ')') {
+            depth--;
+            if (depth === 0) {
+              position = current.next;
+              break;
+            }
+          } else if (current.char === '(') {
+            depth++;
+            // Only non-capturing groups and assertions may be nested
+            if (current.next >= input.length || input[current.next] !== '?') failed = true;
           }
-        });
-      } else if (typeof request.body === 'string') {
-        urlRequest.httpBody = request.body;
-      } else if (request.body instanceof ArrayBuffer || ArrayBuffer.isView(request.body)) {
-        urlRequest.httpBody = toUint8Array(request.body);
+          if (failed) break;
+          position = current.next;
+        }
+        if (failed || depth !== 0 || position - next - 1 === 0) {
+          tokenizingError(next, index);
+          continue;
+        }
+        addToken('regexp', position, next, position - 1);
+      } else {
+        addToken('char', next, index);
       }
     }
+    tokens.push({ type: 'end', index, value: '' });
+    return tokens;
+  }
 
-    const session = __APPLE_SPEC__.URLSession.shared();
+  const segmentWildcardRegexp = (options) => `[^${escapeRegexpString(options.delimiter)}]+?`;
+
+  // Parse a pattern string into a part list of fixed text, named segments,
+  // regexp groups and wildcards
+  function parsePatternString(input, options, encode) {
+    const tokens = tokenizePattern(input, 'strict');
+    const segmentWildcard = segmentWildcardRegexp(options);
+    const parts = [];
+    let pendingFixedValue = '';
+    let index = 0;
+    let nextNumericName = 0;
+
+    const tryConsume = (type) => tokens[index].type === type ? tokens[index++] : null;
+    const tryConsumeModifier = () => tryConsume('other-modifier') ?? tryConsume('asterisk');
+    const tryConsumeRegexpOrWildcard = (nameToken) => {
+      const token = tryConsume('regexp');
+      return token === null && nameToken === null ? tryConsume('asterisk') : token;
+    };
+    const consumeRequired = (type) => {
+      const token = tryConsume(type);
+      if (token === null) {
+        throw new TypeError(`Invalid pattern '${input}': expected ${type} at index ${tokens[index].index}`);
+      }
+      return token;
+    };
+    const consumeText = () => {
+      let result = '';
+      for (let token; (token = tryConsume('char') ?? tryConsume('escaped-char'));) {
+        result += token.value;
+      }
+      return result;
+    };
+    const flushPendingFixedValue = () => {
+      if (pendingFixedValue === '') return;
+      parts.push({ type: 'fixed-text', value: encode(pendingFixedValue), modifier: 'none', name: '', prefix: '', suffix: '' });
+      pendingFixedValue = '';
+    };
+    const addPart = (prefix, nameToken, regexpOrWildcardToken, suffix, modifierToken) => {
+      const modifier = modifierToken ? modifierToken.value : 'none';
+      if (nameToken === null && regexpOrWildcardToken === null && modifier === 'none') {
+        pendingFixedValue += prefix;
+        return;
+      }
+      flushPendingFixedValue();
+      if (nameToken === null && regexpOrWildcardToken === null) {
+        if (prefix !== '') {
+          parts.push({ type: 'fixed-text', value: encode(prefix), modifier, name: '', prefix: '', suffix: '' });
+        }
+        return;
+      }
 
-    // Create a streaming response body using progress handler
-    let responseBodyController = null;
-    let aborted = false;
-    const responseBody = new ReadableStream({
-      start(controller) {
-        responseBodyController = controller;
+      let value;
+      if (regexpOrWildcardToken === null) {
+        value = segmentWildcard;
+      } else if (regexpOrWildcardToken.type === 'asterisk') {
+        value = '.*';
+      } else {
+        value = regexpOrWildcardToken.value;
+      }
+      let type = 'regexp';
+      if (value === segmentWildcard) {
+        type = 'segment-wildcard';
+        value = '';
+      } else if (value === '.*') {
+        type = 'full-wildcard';
+        value = '';
       }
-    });
 
-    // Set up abort handling
-    let abortPromise = null;
-    if (request.signal) {
-      abortPromise = new Promise((_, reject) => {
-        const abortHandler = () => {
-          aborted = true;
-          if (responseBodyController) {
-            const abortError = new Error('The operation was aborted');
-            abortError.name = 'AbortError';
-            responseBodyController.error(abortError);
-            responseBodyController = null;
-          }
-          const abortError = new Error('The operation was aborted');
-          abortError.name = 'AbortError';
-          reject(abortError);
-        };
+      const name = nameToken ? nameToken.value : String(nextNumericName++);
+      if (parts.some(part => part.type !== 'fixed-text' && part.name === name)) {
+        throw new TypeError(`Invalid pattern '${input}': duplicate group name '${name}'`);
+      }
+      parts.push({ type, value, modifier, name, prefix: encode(prefix), suffix: encode(suffix) });
+    };
 
-        if (request.signal.aborted) {
-          // Already aborted
-          setTimeout(abortHandler, 0);
-        } else {
-          request.signal.addEventListener('abort', abortHandler);
+    while (index < tokens.length) {
+      const charToken = tryConsume('char');
+      let nameToken = tryConsume('name');
+      let regexpOrWildcardToken = tryConsumeRegexpOrWildcard(nameToken);
+      if (nameToken !== null || regexpOrWildcardToken !== null) {
+        let prefix = charToken ? charToken.value : '';
+        if (prefix !== '' && prefix !== options.prefix) {
+          pendingFixedValue += prefix;
+          prefix = '';
         }
-      });
-    }
+        flushPendingFixedValue();
+        addPart(prefix, nameToken, regexpOrWildcardToken, '', tryConsumeModifier());
+        continue;
+      }
 
-    // Use progress handler to stream response data
-    const progressHandler = function (chunk, error) {
-      if (aborted || !responseBodyController) return;
+      const fixedToken = charToken ?? tryConsume('escaped-char');
+      if (fixedToken !== null) {
+        pendingFixedValue += fixedToken.value;
+        continue;
+      }
 
-      if (error) {
-        responseBodyController.error(error);
-        responseBodyController = null;
-      } else if (chunk.length > 0) {
-        responseBodyController.enqueue(chunk);
+      if (tryConsume('open') !== null) {
+        const prefix = consumeText();
+        nameToken = tryConsume('name');
+        regexpOrWildcardToken = tryConsumeRegexpOrWildcard(nameToken);
+        const suffix = consumeText();
+        consumeRequired('close');
+        addPart(prefix, nameToken, regexpOrWildcardToken, suffix, tryConsumeModifier());
+        continue;
+      }
+
+      flushPendingFixedValue();
+      consumeRequired('end');
+    }
+    return parts;
+  }
+
+  function generatePatternRegexp(parts, options) {
+    const segmentWildcard = segmentWildcardRegexp(options);
+    let source = '^';
+    for (const part of parts) {
+      const modifier = modifierToString(part.modifier);
+      if (part.type === 'fixed-text') {
+        source += part.modifier === 'none'
+          ? escapeRegexpString(part.value)
+          : `(?:${escapeRegexpString(part.value)})${modifier}`;
+        continue;
+      }
+
+      let value = part.value;
+      if (part.type === 'segment-wildcard') value = segmentWildcard;
+      else if (part.type === 'full-wildcard') value = '.*';
+
+      const prefix = escapeRegexpString(part.prefix);
+      const suffix = escapeRegexpString(part.suffix);
+      const repeated = part.modifier === '*' || part.modifier === '+';
+      if (prefix === '' && suffix === '') {
+        source += repeated ? `((?:${value})${modifier})` : `(${value})${modifier}`;
+      } else if (!repeated) {
+        source += `(?:${prefix}(${value})${suffix})${modifier}`;
       } else {
-        responseBodyController.close();
-        responseBodyController = null;
+        // A repeated group with a prefix or suffix captures every repetition
+        // as one string, separated by the suffix and prefix
+        source += `(?:${prefix}((?:${value})(?:${suffix}${prefix}(?:${value}))*)${suffix})`;
+        if (part.modifier === '*') source += '?';
       }
-    };
+    }
+    return source + '$';
+  }
+
+  // Serialize a part list back into the normalized pattern string that the
+  // URLPattern component getters return
+  function generatePatternString(parts, options) {
+    const segmentWildcard = segmentWildcardRegexp(options);
+    let result = '';
+    parts.forEach((part, index) => {
+      const previous = parts[index - 1] ?? null;
+      const next = parts[index + 1] ?? null;
+      const modifier = modifierToString(part.modifier);
+
+      if (part.type === 'fixed-text') {
+        result += part.modifier === 'none'
+          ? escapePatternString(part.value)
+          : `{${escapePatternString(part.value)}}${modifier}`;
+        return;
+      }
+
+      const customName = !/^[0-9]/.test(part.name);
+      let needsGrouping = part.suffix !== '' || (part.prefix !== '' && part.prefix !== options.prefix);
+      if (!needsGrouping && customName && part.type === 'segment-wildcard' && part.modifier === 'none' &&
+        next !== null && next.prefix === '' && next.suffix === '') {
+        needsGrouping = next.type === 'fixed-text'
+          ? isValidNameCodePoint(String.fromCodePoint(next.value.codePointAt(0) ?? 0), false)
+          : /^[0-9]/.test(next.name);
+      }
+      if (!needsGrouping && part.prefix === '' && previous !== null && previous.type === 'fixed-text' &&
+        previous.value.endsWith(options.prefix) && options.prefix !== '') {
+        needsGrouping = true;
+      }
+
+      if (needsGrouping) result += '{';
+      result += escapePatternString(part.prefix);
+      if (customName) result += ':' + part.name;
+      if (part.type === 'regexp') {
+        result += `(${part.value})`;
+      } else if (part.type === 'segment-wildcard' && !customName) {
+        result += `(${segmentWildcard})`;
+      } else if (part.type === 'full-wildcard') {
+        if (!customName && (previous === null || previous.type === 'fixed-text' || previous.modifier !== 'none' ||
+          needsGrouping || part.prefix !== '')) {
+          result += '*';
+        } else {
+          result += '(.*)';
+        }
+      }
+      if (part.type === 'segment-wildcard' && customName && part.suffix !== '' &&
+        isValidNameCodePoint(String.fromCodePoint(part.suffix.codePointAt(0)), false)) {
+        result += '\\';
+      }
+      result += escapePatternString(part.suffix);
+      if (needsGrouping) result += '}';
+      result += modifier;
+    });
+    return result;
+  }
 
+  function compileURLPatternComponent(input, encode, options) {
+    const parts = parsePatternString(input, options, encode);
+    const source = generatePatternRegexp(parts, options);
+    let regexp;
     try {
-      // Race the HTTP request with the abort signal
-      const requestPromise = session.httpRequestWithRequest(
-        urlRequest,
-        bodyStream,       // bodyStream parameter
-        progressHandler  // progressHandler for streaming response
-      );
+      regexp = new RegExp(source, options.ignoreCase ? 'ui' : 'u');
+    } catch (error) {
+      throw new TypeError(`Invalid pattern '${input}': ${error.message}`);
+    }
+    return {
+      patternString: generatePatternString(parts, options),
+      regexp,
+      groupNames: parts.filter(part => part.type !== 'fixed-text').map(part => part.name),
+      hasRegExpGroups: parts.some(part => part.type === 'regexp')
+    };
+  }
 
-      const result = abortPromise ?
-        await Promise.race([requestPromise, abortPromise]) :
-        await requestPromise;
+  const URL_PATTERN_DEFAULT_OPTIONS = { delimiter: '', prefix: '' };
+  const URL_PATTERN_HOSTNAME_OPTIONS = { delimiter: '.', prefix: '' };
+  const URL_PATTERN_PATHNAME_OPTIONS = { delimiter: '/', prefix: '/' };
 
-      // If we got here and the request was aborted, throw
-      if (aborted) {
-        const abortError = new Error('The operation was aborted');
-        abortError.name = 'AbortError';
-        throw abortError;
-      }
+  const protocolComponentMatchesSpecialScheme = (component) =>
+    Object.keys(SPECIAL_SCHEME_PORTS).some(scheme => component.regexp.test(scheme));
 
-      // Create response with streaming body
-      const response = new Response(responseBody, {
-        status: result.statusCode,
-        statusText: getStatusText(result.statusCode),
-        headers: result.allHeaderFields,
-        url: result.url || request.url
-      });
+  // Canonicalization runs fixed pattern text and match input through the URL
+  // parser, so that patterns compare against the same encoding URLs use
+  const createDummyURL = () => parseURLRecord('https://dummy.invalid/');
 
-      // response created
+  function canonicalizeURLComponent(value, component, run) {
+    if (value === '') return value;
+    const result = run(value);
+    if (result === null) {
+      throw new TypeError(`Invalid ${component} '${value}'`);
+    }
+    return result;
+  }
 
-      // Handle redirect option
-      if (response.status >= 300 && response.status < 400) {
-        if (request.redirect === 'error') {
-          const redirectError = new TypeError('Redirected');
-          redirectError.name = 'TypeError';
-          throw redirectError;
-        } else if (request.redirect === 'manual') {
-          // Return the redirect response without following it
-          return response;
-        } else if (request.redirect === 'follow') {
-          // Follow the redirect
-          const locationHeader = response.headers.get('Location') || response.headers.get('location');
-          if (locationHeader) {
-            // Resolve the redirect URL - simple implementation for absolute and relative URLs
-            let redirectUrl;
-            if (locationHeader.startsWith('http://') || locationHeader.startsWith('https://')) {
-              // Absolute URL
-              redirectUrl = locationHeader;
-            } else {
-              // For relative URLs, create a simple URL resolver
-              // This handles the most common cases for redirects
-              if (locationHeader.startsWith('/')) {
-                // Absolute path - extract protocol and host from original URL
-                const match = request.url.match(/^(https?:\/\/[^\/]+)/);
-                redirectUrl = match ? match[1] + locationHeader : locationHeader;
-              } else {
-                // Relative path - this is less common for redirects, but handle it
-                const baseUrl = request.url.replace(/\/[^\/]*$/, '/');
-                redirectUrl = baseUrl + locationHeader;
-              }
-            }
+  const canonicalizeProtocol = (value) => canonicalizeURLComponent(value, 'protocol', (value) =>
+    parseURLRecord(`${value}://dummy.invalid/`)?.scheme ?? null);
 
-            // Create a new request for the redirect
-            // According to fetch spec, POST/PUT/PATCH redirects to GET for 301/302/303
-            let redirectMethod = request.method;
-            if ((response.status === 301 || response.status === 302 || response.status === 303) &&
-              (request.method === 'POST' || request.method === 'PUT' || request.method === 'PATCH')) {
-              redirectMethod = 'GET';
-            }
+  const canonicalizeUsername = (value) => percentEncodeString(value, isUserinfoPercentEncode);
+  const canonicalizePassword = (value) => percentEncodeString(value, isUserinfoPercentEncode);
+
+  const canonicalizeHostname = (value) => canonicalizeURLComponent(value, 'hostname', (value) =>
+    parseURLRecord(value, null, createDummyURL(), 'hostname')?.host ?? null);
+
+  const canonicalizeIPv6Hostname = (value) => canonicalizeURLComponent(value, 'hostname', (value) =>
+    /^[0-9A-Fa-f[\]:]*$/.test(value) ? value.toLowerCase() : null);
+
+  const canonicalizePort = (value, protocol) => canonicalizeURLComponent(value, 'port', (value) => {
+    // Without a protocol no default port is stripped
+    const url = createDummyURL();
+    url.scheme = protocol ?? '';
+    const result = parseURLRecord(value, null, url, 'port');
+    return result && (result.port === null ? '' : String(result.port));
+  });
+
+  const canonicalizePathname = (value) => canonicalizeURLComponent(value, 'pathname', (value) => {
+    // A leading "/-" keeps a relative segment from being treated as the start
+    // of the path, so that dot segments are left alone
+    const leadingSlash = value.startsWith('/');
+    const url = createDummyURL();
+    url.path = [];
+    const result = parseURLRecord(leadingSlash ? value : '/-' + value, null, url, 'path start');
+    if (result === null) return null;
+    const path = serializePath(result);
+    return leadingSlash ? path : path.slice(2);
+  });
+
+  const canonicalizeOpaquePathname = (value) => canonicalizeURLComponent(value, 'pathname', (value) => {
+    const url = createDummyURL();
+    url.path = '';
+    return parseURLRecord(value, null, url, 'opaque path')?.path ?? null;
+  });
+
+  const canonicalizeSearch = (value) => canonicalizeURLComponent(value, 'search', (value) => {
+    const url = createDummyURL();
+    url.query = '';
+    return parseURLRecord(value, null, url, 'query')?.query ?? null;
+  });
+
+  const canonicalizeHash = (value) => canonicalizeURLComponent(value, 'hash', (value) => {
+    const url = createDummyURL();
+    url.fragment = '';
+    return parseURLRecord(value, null, url, 'fragment')?.fragment ?? null;
+  });
+
+  function isAbsolutePathname(input, type) {
+    if (input.startsWith('/')) return true;
+    if (type === 'url') return false;
+    return input.startsWith('\\/') || input.startsWith('{/');
+  }
+
+  // Fill in and canonicalize a URLPatternInit. `type` is 'pattern' when the
+  // init describes a pattern, whose values are escaped rather than encoded,
+  // and 'url' when it describes input to match.
+  function processURLPatternInit(init, type) {
+    const result = {};
+    if (type === 'url') {
+      for (const component of URL_PATTERN_COMPONENTS) result[component] = '';
+    }
+    const has = (...components) => components.some(component => init[component] !== undefined);
+    const processBaseURLString = (value) => type === 'pattern' ? escapePatternString(value) : value;
+
+    let baseURL = null;
+    if (init.baseURL !== undefined) {
+      baseURL = parseURLRecord(init.baseURL);
+      if (baseURL === null) {
+        throw new TypeError(`Invalid base URL '${init.baseURL}'`);
+      }
+      if (!has('protocol')) {
+        result.protocol = processBaseURLString(baseURL.scheme);
+      }
+      if (type !== 'pattern' && !has('protocol', 'hostname', 'port', 'username')) {
+        result.username = processBaseURLString(baseURL.username);
+      }
+      if (type !== 'pattern' && !has('protocol', 'hostname', 'port', 'username', 'password')) {
+        result.password = processBaseURLString(baseURL.password);
+      }
+      if (!has('protocol', 'hostname')) {
+        result.hostname = processBaseURLString(baseURL.host ?? '');
+      }
+      if (!has('protocol', 'hostname', 'port')) {
+        result.port = baseURL.port === null ? '' : String(baseURL.port);
+      }
+      if (!has('protocol', 'hostname', 'port', 'pathname')) {
+        result.pathname = processBaseURLString(serializePath(baseURL));
+      }
+      if (!has('protocol', 'hostname', 'port', 'pathname', 'search')) {
+        result.search = processBaseURLString(baseURL.query ?? '');
+      }
+      if (!has('protocol', 'hostname', 'port', 'pathname', 'search', 'hash')) {
+        result.hash = processBaseURLString(baseURL.fragment ?? '');
+      }
+    }
+
+    const canonicalize = (value, canonicalizer) => type === 'pattern' ? value : canonicalizer(value);
+    if (init.protocol !== undefined) {
+      result.protocol = canonicalize(init.protocol.replace(/:$/, ''), canonicalizeProtocol);
+    }
+    if (init.username !== undefined) {
+      result.username = canonicalize(init.username, canonicalizeUsername);
+    }
+    if (init.password !== undefined) {
+      result.password = canonicalize(init.password, canonicalizePassword);
+    }
+    if (init.hostname !== undefined) {
+      result.hostname = canonicalize(init.hostname, canonicalizeHostname);
+    }
+    if (init.port !== undefined) {
+      result.port = canonicalize(init.port, (value) => canonicalizePort(value, result.protocol));
+    }
+    if (init.pathname !== undefined) {
+      let pathname = init.pathname;
+      if (baseURL !== null && !hasOpaquePath(baseURL) && !isAbsolutePathname(pathname, type)) {
+        const basePath = processBaseURLString(serializePath(baseURL));
+        const slashIndex = basePath.lastIndexOf('/');
+        if (slashIndex !== -1) pathname = basePath.slice(0, slashIndex + 1) + pathname;
+      }
+      result.pathname = canonicalize(pathname, (value) =>
+        result.protocol === '' || isSpecialScheme(result.protocol) ? canonicalizePathname(value) : canonicalizeOpaquePathname(value));
+    }
+    if (init.search !== undefined) {
+      result.search = canonicalize(init.search.replace(/^\?/, ''), canonicalizeSearch);
+    }
+    if (init.hash !== undefined) {
+      result.hash = canonicalize(init.hash.replace(/^#/, ''), canonicalizeHash);
+    }
+    return result;
+  }
 
-            const redirectRequest = new Request(redirectUrl, {
-              method: redirectMethod,
-              headers: request.headers,
-              redirect: 'follow',
-              signal: request.signal,
-              // Don't include body for GET redirects
-              body: redirectMethod === 'GET' ? null : request.body
-            });
+  // Split a constructor string such as "https://*.example.com/users/:id" into
+  // its components, following the pattern tokens so that groups and regexps
+  // containing URL delimiters are kept intact
+  function parseURLPatternConstructorString(input) {
+    const tokens = tokenizePattern(input, 'lenient');
+    const result = {};
+    let state = 'init';
+    let tokenIndex = 0;
+    let tokenIncrement = 1;
+    let componentStart = 0;
+    let groupDepth = 0;
+    let ipv6BracketDepth = 0;
+    let protocolMatchesSpecialScheme = false;
+
+    const safeToken = (index) => tokens[Math.min(index, tokens.length - 1)];
+    const isNonSpecialPatternChar = (index, value) => {
+      const token = safeToken(index);
+      return token.value === value && ['char', 'escaped-char', 'invalid-char'].includes(token.type);
+    };
+    const isSearchPrefix = () => {
+      if (isNonSpecialPatternChar(tokenIndex, '?')) return true;
+      if (tokens[tokenIndex].value !== '?') return false;
+      if (tokenIndex === 0) return true;
+      return !['name', 'regexp', 'close', 'asterisk'].includes(safeToken(tokenIndex - 1).type);
+    };
+    const isHashPrefix = () => isNonSpecialPatternChar(tokenIndex, '#');
+    const isPathnameStart = () => isNonSpecialPatternChar(tokenIndex, '/');
+    const isIdentityTerminator = () => isNonSpecialPatternChar(tokenIndex, '@');
+    const componentString = () => input.slice(safeToken(componentStart).index, tokens[tokenIndex].index);
 
-            // Recursively fetch the redirect target
-            const redirectResponse = await fetch(redirectRequest);
+    const ORDER = ['init', 'protocol', 'authority', 'username', 'password', 'hostname', 'port', 'pathname', 'search', 'hash', 'done'];
+    const between = (value, first, last) => ORDER.indexOf(value) >= ORDER.indexOf(first) && ORDER.indexOf(value) <= ORDER.indexOf(last);
 
-            // Create a new response with the redirected flag set
-            return new Response(redirectResponse.body, {
-              status: redirectResponse.status,
-              statusText: redirectResponse.statusText,
-              headers: redirectResponse.headers,
-              url: redirectResponse.url,
-              redirected: true
-            });
-          }
-        }
+    const changeState = (newState, skip) => {
+      if (!['init', 'authority', 'done'].includes(state)) {
+        result[state] = componentString();
       }
-
-      return response;
-    } catch (error) {
-      // Make sure to close the stream on any error
-      if (responseBodyController) {
-        responseBodyController.error(error);
-        responseBodyController = null;
+      if (state !== 'init' && newState !== 'done') {
+        if (between(state, 'protocol', 'password') && between(newState, 'port', 'hash') && result.hostname === undefined) {
+          result.hostname = '';
+        }
+        if (between(state, 'protocol', 'port') && between(newState, 'search', 'hash') && result.pathname === undefined) {
+          result.pathname = protocolMatchesSpecialScheme ? '/' : '';
+        }
+        if (between(state, 'protocol', 'pathname') && newState === 'hash' && result.search === undefined) {
+          result.search = '';
+        }
       }
-      throw error;
-    }
-  };
+      state = newState;
+      tokenIndex += skip;
+      componentStart = tokenIndex;
+      tokenIncrement = 0;
+    };
+    const rewindAndSetState = (newState) => {
+      tokenIndex = componentStart;
+      tokenIncrement = 0;
+      state = newState;
+    };
 
-  // URLSearchParams - URL search parameters manipulation
-  globalThis.URLSearchParams = class URLSearchParams {
-    #entries = []; // Store as ordered list of [key, value] pairs
+    for (; tokenIndex < tokens.length; tokenIndex += tokenIncrement) {
+      tokenIncrement = 1;
+      const token = tokens[tokenIndex];
 
-    constructor(init) {
-      if (typeof init === 'string') {
-        this.#parseString(init);
-      } else if (init instanceof URLSearchParams) {
-        this.#entries = [...init.#entries];
-      } else if (Array.isArray(init)) {
-        for (const [key, value] of init) {
-          this.append(String(key), String(value));
+      if (token.type === 'end') {
+        if (state === 'init') {
+          rewindAndSetState('init');
+          if (isHashPrefix()) changeState('hash', 1);
+          else if (isSearchPrefix()) changeState('search', 1);
+          else changeState('pathname', 0);
+          continue;
         }
-      } else if (init && typeof init === 'object') {
-        for (const [key, value] of Object.entries(init)) {
-          this.append(String(key), String(value));
+        if (state === 'authority') {
+          rewindAndSetState('hostname');
+          continue;
         }
+        changeState('done', 0);
+        break;
       }
-    }
 
-    #parseString(str) {
-      const cleanStr = str.startsWith('?') ? str.slice(1) : str;
-      if (!cleanStr) return;
-
-      const pairs = cleanStr.split('&');
-      for (const pair of pairs) {
-        const [key, ...valueParts] = pair.split('=');
-        const value = valueParts.join('=');
-        this.append(
-          decodeURIComponent(key.replace(/\+/g, ' ')),
-          decodeURIComponent(value.replace(/\+/g, ' '))
-        );
+      if (token.type === 'open') {
+        groupDepth++;
+        continue;
       }
-    }
-
-    append(name, value) {
-      if (arguments.length < 2) {
-        throw new TypeError(`Failed to execute 'append' on 'URLSearchParams': 2 arguments required, but only ${arguments.length} present.`);
+      if (groupDepth > 0) {
+        if (token.type !== 'close') continue;
+        groupDepth--;
       }
 
-      const key = String(name);
-      const val = String(value);
-      this.#entries.push([key, val]);
-    }
-
-    delete(name) {
-      if (arguments.length < 1) {
-        throw new TypeError(`Failed to execute 'delete' on 'URLSearchParams': 1 argument required, but only ${arguments.length} present.`);
+      switch (state) {
+        case 'init':
+          if (isNonSpecialPatternChar(tokenIndex, ':')) rewindAndSetState('protocol');
+          break;
+        case 'protocol':
+          if (isNonSpecialPatternChar(tokenIndex, ':')) {
+            const protocol = compileURLPatternComponent(componentString(), canonicalizeProtocol, URL_PATTERN_DEFAULT_OPTIONS);
+            protocolMatchesSpecialScheme = protocolComponentMatchesSpecialScheme(protocol);
+            if (isNonSpecialPatternChar(tokenIndex + 1, '/') && isNonSpecialPatternChar(tokenIndex + 2, '/')) {
+              changeState('authority', 3);
+            } else {
+              changeState(protocolMatchesSpecialScheme ? 'authority' : 'pathname', 1);
+            }
+          }
+          break;
+        case 'authority':
+          if (isIdentityTerminator()) {
+            rewindAndSetState('username');
+          } else if (isPathnameStart() || isSearchPrefix() || isHashPrefix()) {
+            rewindAndSetState('hostname');
+          }
+          break;
+        case 'username':
+          if (isNonSpecialPatternChar(tokenIndex, ':')) changeState('password', 1);
+          else if (isIdentityTerminator()) changeState('hostname', 1);
+          break;
+        case 'password':
+          if (isIdentityTerminator()) changeState('hostname', 1);
+          break;
+        case 'hostname':
+          if (isNonSpecialPatternChar(tokenIndex, '[')) ipv6BracketDepth++;
+          else if (isNonSpecialPatternChar(tokenIndex, ']')) ipv6BracketDepth--;
+          else if (isNonSpecialPatternChar(tokenIndex, ':') && ipv6BracketDepth === 0) changeState('port', 1);
+          else if (isPathnameStart()) changeState('pathname', 0);
+          else if (isSearchPrefix()) changeState('search', 1);
+          else if (isHashPrefix()) changeState('hash', 1);
+          break;
+        case 'port':
+          if (isPathnameStart()) changeState('pathname', 0);
+          else if (isSearchPrefix()) changeState('search', 1);
+          else if (isHashPrefix()) changeState('hash', 1);
+          break;
+        case 'pathname':
+          if (isSearchPrefix()) changeState('search', 1);
+          else if (isHashPrefix()) changeState('hash', 1);
+          break;
+        case 'search':
+          if (isHashPrefix()) changeState('hash', 1);
+          break;
       }
-
-      const key = String(name);
-      this.#entries = this.#entries.filter(([k, v]) => k !== key);
     }
 
-    get(name) {
-      const key = String(name);
-      const entry = this.#entries.find(([k, v]) => k === key);
-      return entry ? entry[1] : null;
+    if (result.hostname !== undefined && result.port === undefined) {
+      result.port = '';
     }
+    return result;
+  }
 
-    getAll(name) {
-      const key = String(name);
-      return this.#entries.filter(([k, v]) => k === key).map(([k, v]) => v);
+  function toURLPatternInit(input) {
+    const init = {};
+    for (const key of [...URL_PATTERN_COMPONENTS, 'baseURL']) {
+      if (input[key] !== undefined) init[key] = toUSVString(input[key]);
     }
+    return init;
+  }
 
-    has(name) {
-      const key = String(name);
-      return this.#entries.some(([k, v]) => k === key);
-    }
+  globalThis.URLPattern = class URLPattern {
+    #components = {};
 
-    set(name, value) {
-      if (arguments.length < 2) {
-        throw new TypeError(`Failed to execute 'set' on 'URLSearchParams': 2 arguments required, but only ${arguments.length} present.`);
+    constructor(input = {}, baseURL = undefined, options = undefined) {
+      if (typeof baseURL === 'object' || baseURL === undefined) {
+        options = baseURL;
+        baseURL = undefined;
+      } else {
+        baseURL = toUSVString(baseURL);
       }
+      const ignoreCase = Boolean(options?.ignoreCase);
 
-      const key = String(name);
-      const val = String(value);
-      // Remove all existing entries with this key
-      this.#entries = this.#entries.filter(([k, v]) => k !== key);
-      // Add the new entry
-      this.#entries.push([key, val]);
-    }
+      let init;
+      if (typeof input === 'string') {
+        init = parseURLPatternConstructorString(input);
+        if (baseURL === undefined && init.protocol === undefined) {
+          throw new TypeError(`Failed to construct 'URLPattern': Relative constructor string '${input}' requires a base URL`);
+        }
+        if (baseURL !== undefined) init.baseURL = baseURL;
+      } else if (input !== null && typeof input === 'object') {
+        if (baseURL !== undefined) {
+          throw new TypeError("Failed to construct 'URLPattern': A base URL cannot be combined with a URLPatternInit");
+        }
+        init = toURLPatternInit(input);
+      } else {
+        throw new TypeError("Failed to construct 'URLPattern': Input must be a string or a URLPatternInit");
+      }
 
-    sort() {
-      this.#entries.sort((a, b) => a[0].localeCompare(b[0]));
+      const processed = processURLPatternInit(init, 'pattern');
+      for (const component of URL_PATTERN_COMPONENTS) {
+        processed[component] ??= '*';
+      }
+      if (isSpecialScheme(processed.protocol) && processed.port === String(SPECIAL_SCHEME_PORTS[processed.protocol])) {
+        processed.port = '';
+      }
+
+      const components = this.#components;
+      components.protocol = compileURLPatternComponent(processed.protocol, canonicalizeProtocol, URL_PATTERN_DEFAULT_OPTIONS);
+      components.username = compileURLPatternComponent(processed.username, canonicalizeUsername, URL_PATTERN_DEFAULT_OPTIONS);
+      components.password = compileURLPatternComponent(processed.password, canonicalizePassword, URL_PATTERN_DEFAULT_OPTIONS);
+      const isIPv6Hostname = /^(\[|\{\[|\\\[)/.test(processed.hostname);
+      components.hostname = compileURLPatternComponent(processed.hostname,
+        isIPv6Hostname ? canonicalizeIPv6Hostname : canonicalizeHostname, URL_PATTERN_HOSTNAME_OPTIONS);
+      components.port = compileURLPatternComponent(processed.port, canonicalizePort, URL_PATTERN_DEFAULT_OPTIONS);
+
+      const compileOptions = { ...URL_PATTERN_DEFAULT_OPTIONS, ignoreCase };
+      components.pathname = protocolComponentMatchesSpecialScheme(components.protocol)
+        ? compileURLPatternComponent(processed.pathname, canonicalizePathname, { ...URL_PATTERN_PATHNAME_OPTIONS, ignoreCase })
+        : compileURLPatternComponent(processed.pathname, canonicalizeOpaquePathname, compileOptions);
+      components.search = compileURLPatternComponent(processed.search, canonicalizeSearch, compileOptions);
+      components.hash = compileURLPatternComponent(processed.hash, canonicalizeHash, compileOptions);
     }
 
-    toString() {
-      const parts = [];
-      for (const [key, value] of this.#entries) {
-        const encodedKey = encodeURIComponent(key).replace(/%20/g, '+');
-        const encodedValue = encodeURIComponent(value).replace(/%20/g, '+');
-        parts.push(`${encodedKey}=${encodedValue}`);
-      }
-      return parts.join('&');
+    get protocol() { return this.#components.protocol.patternString; }
+    get username() { return this.#components.username.patternString; }
+    get password() { return this.#components.password.patternString; }
+    get hostname() { return this.#components.hostname.patternString; }
+    get port() { return this.#components.port.patternString; }
+    get pathname() { return this.#components.pathname.patternString; }
+    get search() { return this.#components.search.patternString; }
+    get hash() { return this.#components.hash.patternString; }
+
+    get hasRegExpGroups() {
+      return URL_PATTERN_COMPONENTS.some(component => this.#components[component].hasRegExpGroups);
     }
 
-    *entries() {
-      for (const entry of this.#entries) {
-        yield entry;
-      }
+    test(input = {}, baseURL = undefined) {
+      return this.#match(input, baseURL) !== null;
     }
 
-    *keys() {
-      for (const [key] of this.#entries) {
-        yield key;
-      }
+    exec(input = {}, baseURL = undefined) {
+      return this.#match(input, baseURL);
     }
 
-    *values() {
-      for (const [, value] of this.#entries) {
-        yield value;
+    #match(input, baseURL) {
+      const inputs = baseURL === undefined ? [input] : [input, baseURL];
+      let values;
+
+      if (typeof input === 'string' || input instanceof URL) {
+        let base = null;
+        if (baseURL !== undefined) {
+          base = parseURLRecord(toUSVString(baseURL));
+          if (base === null) return null;
+        }
+        const url = parseURLRecord(toUSVString(input), base);
+        if (url === null) return null;
+        values = {
+          protocol: url.scheme,
+          username: url.username,
+          password: url.password,
+          hostname: url.host ?? '',
+          port: url.port === null ? '' : String(url.port),
+          pathname: serializePath(url),
+          search: url.query ?? '',
+          hash: url.fragment ?? ''
+        };
+      } else if (input !== null && typeof input === 'object') {
+        if (baseURL !== undefined) {
+          throw new TypeError("Failed to execute 'exec' on 'URLPattern': A base URL cannot be combined with a URLPatternInit");
+        }
+        try {
+          values = processURLPatternInit(toURLPatternInit(input), 'url');
+        } catch {
+          return null;
+        }
+      } else {
+        throw new TypeError("Failed to execute 'exec' on 'URLPattern': Input must be a string or a URLPatternInit");
       }
-    }
 
-    forEach(callback, thisArg) {
-      for (const [key, value] of this.#entries) {
-        callback.call(thisArg, value, key, this);
+      const result = { inputs };
+      for (const component of URL_PATTERN_COMPONENTS) {
+        const { regexp, groupNames } = this.#components[component];
+        const match = regexp.exec(values[component]);
+        if (match === null) return null;
+        const groups = {};
+        groupNames.forEach((name, index) => {
+          groups[name] = match[index + 1];
+        });
+        result[component] = { input: values[component], groups };
       }
+      return result;
     }
 
-    [Symbol.iterator]() {
-      return this.entries();
-    }
+    get [Symbol.toStringTag]() { return 'URLPattern'; }
   };
 
   // FormData - form data representation
@@ -3408,6 +9299,22 @@
       let isComplete = false;
       const dataEntries = Array.from(this.#data.entries());
 
+      const partHeaders = (key, item) => {
+        let headers = `Content-Disposition: form-data; name="${key}"`;
+        if (item.type === 'file' || item.type === 'blob' || item.type === 'stream') {
+          const filename = item.filename || 'blob';
+          headers += `; filename="${filename}"`;
+
+          if (item.type === 'file' || item.type === 'blob') {
+            const contentType = item.value.type || 'application/octet-stream';
+            headers += `\r\nContent-Type: ${contentType}`;
+          } else if (item.type === 'stream') {
+            headers += `\r\nContent-Type: application/octet-stream`;
+          }
+        }
+        return headers + '\r\n\r\n';
+      };
+
       const stream = new ReadableStream({
         async start(controller) {
           // Don't add initial boundary here - it will be added in pull
@@ -3451,20 +9358,7 @@
               controller.enqueue(encoder.encode(`--${boundary}\r\n`));
 
               // Write field headers
-              let headers = `Content-Disposition: form-data; name="${key}"`;
-              if (item.type === 'file' || item.type === 'blob' || item.type === 'stream') {
-                const filename = item.filename || 'blob';
-                headers += `; filename="${filename}"`;
-
-                if (item.type === 'file' || item.type === 'blob') {
-                  const contentType = item.value.type || 'application/octet-stream';
-                  headers += `\r\nContent-Type: ${contentType}`;
-                } else if (item.type === 'stream') {
-                  headers += `\r\nContent-Type: application/octet-stream`;
-                }
-              }
-              headers += '\r\n\r\n';
-              controller.enqueue(encoder.encode(headers));
+              controller.enqueue(encoder.encode(partHeaders(key, item)));
 
               // Handle different value types
               if (item.type === 'stream') {
@@ -3501,8 +9395,21 @@
         }
       });
 
+      // The length of the body is known unless a value is a stream
+      let length = encoder.encode(`--${boundary}--\r\n`).length;
+      for (const [key, values] of dataEntries) {
+        for (const item of values) {
+          const valueLength = item.type === 'stream' ? null
+            : item.type === 'file' || item.type === 'blob' ? item.value.size
+              : encoder.encode(item.value).length;
+          length = valueLength === null || length === null ? null
+            : length + encoder.encode(`--${boundary}\r\n${partHeaders(key, item)}`).length + valueLength + 2;
+        }
+      }
+
       // Attach boundary to the stream for Content-Type header
       stream[SYMBOLS.formDataBoundary] = boundary;
+      stream[SYMBOLS.formDataLength] = length;
       return stream;
     }
 
@@ -3538,6 +9445,252 @@
     }
   };
 
+  // Parsing bodies back into FormData, for Request and Response formData().
+  // Multipart bodies are parsed as they stream in. A file part is kept in
+  // memory until it grows beyond MULTIPART_MEMORY_LIMIT, and is then written
+  // to a temporary file that the returned File reads from.
+  const MULTIPART_MEMORY_LIMIT = 256 * 1024;
+  const MULTIPART_MAX_HEADER_SIZE = 16 * 1024;
+
+  // A FormData with the entries of a FormData or URLSearchParams body
+  function createFormDataFrom(entries) {
+    const formData = new FormData();
+    for (const entry of entries) {
+      formData.append(...entry);
+    }
+    return formData;
+  }
+
+  async function parseFormDataBody(stream, contentType) {
+    const mimeType = contentType ? parseMimeType(contentType) : null;
+    const essence = mimeType ? `${mimeType.type}/${mimeType.subtype}` : null;
+
+    if (essence === 'multipart/form-data') {
+      const boundary = mimeType.parameters.get('boundary');
+      if (!boundary) {
+        throw new TypeError('Could not parse content as FormData: multipart/form-data without a boundary');
+      }
+      return parseMultipartFormData(stream, boundary);
+    }
+    if (essence === 'application/x-www-form-urlencoded') {
+      const text = stream ? await readAllTextFromReader(stream.getReader(), { encoding: 'utf-8' }) : '';
+      const formData = new FormData();
+      for (const [name, value] of parseFormUrlencoded(text)) {
+        formData.append(name, value);
+      }
+      return formData;
+    }
+    throw new TypeError(`Could not parse content as FormData: unsupported Content-Type ${contentType ?? '(none)'}`);
+  }
+
+  function indexOfBytes(haystack, needle, from = 0) {
+    const last = haystack.length - needle.length;
+    outer: for (let i = from; i <= last; i++) {
+      for (let j = 0; j < needle.length; j++) {
+        if (haystack[i + j] !== needle[j]) continue outer;
+      }
+      return i;
+    }
+    return -1;
+  }
+
+  // The parameters of a Content-Disposition header. Values may be quoted,
+  // and browsers encode '"', CR and LF in names and filenames as %22, %0D, %0A.
+  function parseContentDisposition(value) {
+    const parameters = new Map();
+    const pattern = /;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+    let match;
+    while ((match = pattern.exec(value))) {
+      let parameter = match[2].trim();
+      if (parameter.startsWith('"')) {
+        parameter = parameter.slice(1, -1).replace(/\\(.)/g, '$1');
+      }
+      parameter = parameter.replace(/%(22|0D|0A)/gi, (_, code) => String.fromCharCode(parseInt(code, 16)));
+      const name = match[1].toLowerCase();
+      if (!parameters.has(name)) parameters.set(name, parameter);
+    }
+    return { type: value.split(';')[0].trim().toLowerCase(), parameters };
+  }
+
+  // Collects the body of one file part, in memory and then on disk
+  // The files a large part is written to are removed once their File has
+  // been garbage collected, or else when the context is torn down
+  const multipartFileRegistry = new FinalizationRegistry(path => {
+    __APPLE_SPEC__.FileSystem.removeTemporaryFile(path);
+  });
+
+  function createMultipartFileSink(filename, type) {
+    const chunks = [];
+    let size = 0;
+    let path = null;
+    let writer = null;
+
+    return {
+      async write(chunk) {
+        size += chunk.byteLength;
+        if (writer) {
+          await writer.write(chunk);
+          return;
+        }
+        // Copy, as the chunk is a view of the parser's buffer
+        chunks.push(chunk.slice());
+        if (size > MULTIPART_MEMORY_LIMIT) {
+          const directory = Path.join(_FileSystem.temp, 'SwiftJS', 'FormData');
+          if (!_FileSystem.exists(directory)) {
+            _FileSystem.mkdir(directory);
+          }
+          path = Path.join(directory, `${crypto.randomUUID()}.part`);
+          __APPLE_SPEC__.FileSystem.registerTemporaryFile(path);
+          writer = _FileSystem.createWriteStream(path).getWriter();
+          for (const buffered of chunks.splice(0)) {
+            await writer.write(buffered);
+          }
+        }
+      },
+      async close() {
+        if (!writer) {
+          return new File(chunks, filename, { type });
+        }
+        await writer.close();
+        const file = createDiskFile(path, filename, { type, size });
+        multipartFileRegistry.register(file, path);
+        return file;
+      },
+      async abort() {
+        if (!writer) return;
+        await writer.abort().catch(() => { });
+        __APPLE_SPEC__.FileSystem.removeTemporaryFile(path);
+      }
+    };
+  }
+
+  function createMultipartTextSink() {
+    const chunks = [];
+    return {
+      async write(chunk) { chunks.push(chunk.slice()); },
+      async close() { return new TextDecoder().decode(combineChunksToUint8Array(chunks)); },
+      async abort() { }
+    };
+  }
+
+  async function parseMultipartFormData(stream, boundary) {
+    const encoder = new TextEncoder();
+    const delimiter = encoder.encode(`--${boundary}`);
+    const bodyDelimiter = encoder.encode(`\r\n--${boundary}`);
+    const headerEnd = encoder.encode('\r\n\r\n');
+    const formData = new FormData();
+    const invalid = (reason) => new TypeError(`Could not parse content as FormData: ${reason}`);
+
+    let buffer = new Uint8Array(0);
+    let state = 'preamble';
+    let part = null;
+    let done = false;
+
+    // Advance through the buffer as far as it allows. Returns false when more
+    // bytes are needed.
+    const step = async () => {
+      switch (state) {
+        case 'preamble': {
+          const index = indexOfBytes(buffer, delimiter);
+          if (index === -1) {
+            // Keep enough bytes to find a delimiter split across chunks
+            buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length + 1));
+            return false;
+          }
+          buffer = buffer.subarray(index);
+          state = 'boundary';
+          return true;
+        }
+        case 'boundary': {
+          // A delimiter, then '--' for the last one, or optional whitespace and CRLF
+          let position = delimiter.length;
+          if (buffer.length < position + 2) return false;
+          if (buffer[position] === 0x2D && buffer[position + 1] === 0x2D) {
+            done = true;
+            return false;
+          }
+          while (position < buffer.length && (buffer[position] === 0x20 || buffer[position] === 0x09)) position++;
+          if (buffer.length < position + 2) return false;
+          if (buffer[position] !== 0x0D || buffer[position + 1] !== 0x0A) {
+            throw invalid('malformed boundary');
+          }
+          buffer = buffer.subarray(position + 2);
+          state = 'headers';
+          return true;
+        }
+        case 'headers': {
+          // A part without headers starts straight away with the blank line
+          const empty = buffer.length >= 2 && buffer[0] === 0x0D && buffer[1] === 0x0A;
+          const end = empty ? 0 : indexOfBytes(buffer, headerEnd);
+          if (end === -1) {
+            if (buffer.length > MULTIPART_MAX_HEADER_SIZE) throw invalid('part headers are too large');
+            return false;
+          }
+          const headers = new Headers();
+          for (const line of new TextDecoder().decode(buffer.subarray(0, end)).split('\r\n')) {
+            const colon = line.indexOf(':');
+            if (colon > 0) headers.append(line.slice(0, colon).trim(), line.slice(colon + 1).trim());
+          }
+          buffer = buffer.subarray(empty ? 2 : end + 4);
+
+          const disposition = parseContentDisposition(headers.get('Content-Disposition') ?? '');
+          const name = disposition.parameters.get('name');
+          if (disposition.type !== 'form-data' || name === undefined) {
+            throw invalid('a part has no form-data Content-Disposition with a name');
+          }
+          const filename = disposition.parameters.get('filename');
+          part = {
+            name,
+            sink: filename === undefined ?
+              createMultipartTextSink() :
+              createMultipartFileSink(filename, headers.get('Content-Type') ?? 'text/plain')
+          };
+          state = 'body';
+          return true;
+        }
+        case 'body': {
+          const index = indexOfBytes(buffer, bodyDelimiter);
+          if (index === -1) {
+            // Everything but a possible start of the delimiter belongs to the part
+            const safe = buffer.length - bodyDelimiter.length + 1;
+            if (safe > 0) {
+              await part.sink.write(buffer.subarray(0, safe));
+              buffer = buffer.subarray(safe);
+            }
+            return false;
+          }
+          await part.sink.write(buffer.subarray(0, index));
+          formData.append(part.name, await part.sink.close());
+          part = null;
+          buffer = buffer.subarray(index + 2);
+          state = 'boundary';
+          return true;
+        }
+      }
+    };
+
+    const reader = stream ? stream.getReader() : null;
+    try {
+      while (!done) {
+        const { done: ended, value } = reader ? await reader.read() : { done: true };
+        if (ended) break;
+        const chunk = toUint8Array(value);
+        buffer = buffer.length === 0 ? chunk : combineChunksToUint8Array([buffer, chunk]);
+        while (!done && await step());
+      }
+      if (!done) {
+        throw invalid('the body ended before the closing boundary');
+      }
+      // Anything after the closing boundary is an epilogue and is ignored
+      reader?.cancel().catch(() => { });
+      return formData;
+    } catch (error) {
+      await part?.sink.abort();
+      reader?.cancel(error).catch(() => { });
+      throw error;
+    }
+  }
+
   function createDeferred() {
     let resolve, reject;
     const p = new Promise((res, rej) => { resolve = res; reject = rej; });
@@ -4402,6 +10555,139 @@
     get writable() { return this[SYMBOLS.streamInternal].writable; }
   }
 
+  // TextEncoderStream - encode a stream of strings to UTF-8 bytes
+  globalThis.TextEncoderStream = class TextEncoderStream {
+    #transform;
+
+    constructor() {
+      const encoder = new TextEncoder();
+      let pendingHighSurrogate = '';
+
+      this.#transform = new TransformStream({
+        transform(chunk, controller) {
+          let string = pendingHighSurrogate + String(chunk);
+          pendingHighSurrogate = '';
+          // A high surrogate at the end of a chunk may pair with the start of the next one
+          if ((string.charCodeAt(string.length - 1) & 0xFC00) === 0xD800) {
+            pendingHighSurrogate = string.slice(-1);
+            string = string.slice(0, -1);
+          }
+          if (string) {
+            controller.enqueue(encoder.encode(string));
+          }
+        },
+        flush(controller) {
+          if (pendingHighSurrogate) {
+            controller.enqueue(new Uint8Array([0xEF, 0xBF, 0xBD]));
+          }
+        }
+      });
+    }
+
+    get encoding() { return 'utf-8'; }
+    get readable() { return this.#transform.readable; }
+    get writable() { return this.#transform.writable; }
+  };
+
+  // TextDecoderStream - decode a stream of bytes to strings
+  globalThis.TextDecoderStream = class TextDecoderStream {
+    #decoder;
+    #transform;
+
+    constructor(label = 'utf-8', options = {}) {
+      const decoder = new TextDecoder(label, options);
+      this.#decoder = decoder;
+
+      this.#transform = new TransformStream({
+        transform(chunk, controller) {
+          if (!(chunk instanceof ArrayBuffer) && !ArrayBuffer.isView(chunk)) {
+            throw new TypeError("TextDecoderStream chunks must be of type '(ArrayBuffer or ArrayBufferView)'");
+          }
+          // Multi-byte sequences split between chunks are held by the decoder
+          const text = decoder.decode(chunk, { stream: true });
+          if (text) {
+            controller.enqueue(text);
+          }
+        },
+        flush(controller) {
+          const text = decoder.decode();
+          if (text) {
+            controller.enqueue(text);
+          }
+        }
+      });
+    }
+
+    get encoding() { return this.#decoder.encoding; }
+    get fatal() { return this.#decoder.fatal; }
+    get ignoreBOM() { return this.#decoder.ignoreBOM; }
+    get readable() { return this.#transform.readable; }
+    get writable() { return this.#transform.writable; }
+  };
+
+  const COMPRESSION_FORMATS = ['deflate', 'deflate-raw', 'gzip'];
+
+  // Wraps a native zlib stream in a TransformStream of Uint8Array chunks
+  function createZlibTransform(className, format, createStream) {
+    format = String(format);
+    if (!COMPRESSION_FORMATS.includes(format)) {
+      throw new TypeError(`Failed to construct '${className}': Unsupported compression format: '${format}'`);
+    }
+    const zlib = createStream(format);
+
+    const run = (operation) => {
+      try {
+        return operation();
+      } catch (error) {
+        throw new TypeError(error?.message ?? String(error));
+      }
+    };
+
+    return new TransformStream({
+      transform(chunk, controller) {
+        if (!(chunk instanceof ArrayBuffer) && !ArrayBuffer.isView(chunk)) {
+          throw new TypeError(`${className} chunks must be of type '(ArrayBuffer or ArrayBufferView)'`);
+        }
+        const output = run(() => zlib.write(toUint8Array(chunk)));
+        if (output.length > 0) {
+          controller.enqueue(output);
+        }
+      },
+      flush(controller) {
+        const output = run(() => zlib.finish());
+        if (output.length > 0) {
+          controller.enqueue(output);
+        }
+      }
+    });
+  }
+
+  // CompressionStream - compress a stream of bytes with gzip, deflate or deflate-raw
+  globalThis.CompressionStream = class CompressionStream {
+    #transform;
+
+    constructor(format) {
+      this.#transform = createZlibTransform('CompressionStream', format,
+        (format) => __APPLE_SPEC__.compression.createCompressor(format));
+    }
+
+    get readable() { return this.#transform.readable; }
+    get writable() { return this.#transform.writable; }
+  };
+
+  // DecompressionStream - decompress a stream of gzip, deflate or deflate-raw bytes
+  globalThis.DecompressionStream = class DecompressionStream {
+    #transform;
+
+    constructor(format) {
+      this.#transform = createZlibTransform('DecompressionStream', format,
+        (format) => __APPLE_SPEC__.compression.createDecompressor(format));
+    }
+
+    get readable() { return this.#transform.readable; }
+    get writable() { return this.#transform.writable; }
+  };
+
   // Queuing Strategies - Web Streams Standard
   globalThis.CountQueuingStrategy = class CountQueuingStrategy {
     constructor(options) {
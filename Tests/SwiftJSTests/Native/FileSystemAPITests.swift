@@ -1175,6 +1175,48 @@ final class FileSystemAPITests: XCTestCase {
         wait(for: [expectation], timeout: 10.0)
     }
     
+    func testFileStreamsThroughCompression() {
+        let expectation = XCTestExpectation(description: "file streams piped through gzip")
+        let context = SwiftJS()
+        let tempDir = createTempDir(context: context)
+        defer { cleanupTempDir(tempDir, context: context) }
+        
+        let script = """
+            const sourceFile = Path.join('\(tempDir)', 'source.txt');
+            const archiveFile = Path.join('\(tempDir)', 'source.txt.gz');
+            const content = 'Compressed file contents\\n'.repeat(1000);
+            _FileSystem.writeFile(sourceFile, content);
+            
+            (async () => {
+                await _FileSystem.createReadStream(sourceFile)
+                    .pipeThrough(new CompressionStream('gzip'))
+                    .pipeTo(_FileSystem.createWriteStream(archiveFile));
+                
+                const restored = await new Response(
+                    _FileSystem.createReadStream(archiveFile).pipeThrough(new DecompressionStream('gzip'))
+                ).text();
+                testCompleted({
+                    archiveSize: _FileSystem.stat(archiveFile).size,
+                    matches: restored === content
+                });
+            })().catch(error => {
+                testCompleted({ error: error.message });
+            });
+        """
+        
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, _ in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertLessThan(result["archiveSize"].numberValue ?? .infinity, 1000)
+            XCTAssertTrue(result["matches"].boolValue ?? false)
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 10.0)
+    }
+    
     // MARK: - Edge Cases and Error Handling
     
     func testReadFileFromDirectory() {
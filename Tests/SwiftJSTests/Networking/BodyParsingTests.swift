@@ -0,0 +1,337 @@
+//
+//  BodyParsingTests.swift
+//  SwiftJS Body Parsing Tests
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import XCTest
+@testable import SwiftJS
+
+/// Tests for Response.json(), the bytes() body reader, and parsing multipart
+/// and urlencoded bodies with Request and Response formData().
+@MainActor
+final class BodyParsingTests: XCTestCase {
+
+    /// Helpers to describe parsed form data, errors, and chunked bodies
+    private var prelude: String {
+        """
+        const describe = async (formData) => {
+            const entries = [];
+            for (const [name, value] of formData) {
+                entries.push(typeof value === 'string' ? { name, value } : {
+                    name,
+                    isFile: value instanceof File,
+                    filename: value.name,
+                    type: value.type,
+                    size: value.size,
+                    value: await value.text()
+                });
+            }
+            return entries;
+        };
+        const failure = (promise) => promise.then(() => null, error => error.name);
+        // A stream that hands out the bytes of `text` in chunks of `size`
+        const chunked = (text, size) => {
+            const bytes = new TextEncoder().encode(text);
+            let offset = 0;
+            return new ReadableStream({
+                pull(controller) {
+                    if (offset >= bytes.length) return controller.close();
+                    controller.enqueue(bytes.slice(offset, offset + size));
+                    offset += size;
+                }
+            });
+        };
+        """
+    }
+
+    // MARK: - Response.json() and bytes()
+
+    func testResponseJSONAndBytes() {
+        let result = evaluateAsync("""
+            (async () => {
+                const response = Response.json({ message: 'hi', items: [1, 2] }, {
+                    status: 201,
+                    headers: { 'X-Custom': 'value' }
+                });
+                const custom = Response.json(null, { headers: { 'Content-Type': 'application/problem+json' } });
+                const attempt = (create) => {
+                    try { create(); return 'created'; } catch (error) { return error.name; }
+                };
+                const request = new Request('https://example.com/', { method: 'POST', body: 'hé' });
+                testCompleted({
+                    status: response.status,
+                    contentType: response.headers.get('Content-Type'),
+                    custom: response.headers.get('X-Custom'),
+                    body: await response.json(),
+                    customType: custom.headers.get('Content-Type'),
+                    customBody: await custom.text(),
+                    notSerializable: attempt(() => Response.json(undefined)),
+                    nullBodyStatus: attempt(() => Response.json({}, { status: 204 })),
+                    responseBytes: Array.from(await new Response('hé').bytes()),
+                    isUint8Array: (await new Response('x').bytes()) instanceof Uint8Array,
+                    requestBytes: Array.from(await request.bytes()),
+                    usedAgain: await failure(request.bytes())
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(Int(result["status"].numberValue ?? 0), 201)
+        XCTAssertEqual(result["contentType"].toString(), "application/json")
+        XCTAssertEqual(result["custom"].toString(), "value")
+        XCTAssertEqual(result["body"]["message"].toString(), "hi")
+        XCTAssertEqual(Int(result["body"]["items"][1].numberValue ?? 0), 2)
+        XCTAssertEqual(result["customType"].toString(), "application/problem+json")
+        XCTAssertEqual(result["customBody"].toString(), "null")
+        XCTAssertEqual(result["notSerializable"].toString(), "TypeError")
+        XCTAssertEqual(result["nullBodyStatus"].toString(), "TypeError")
+        XCTAssertEqual(result["responseBytes"].toArray() as? [Int], [104, 195, 169])
+        XCTAssertTrue(result["isUint8Array"].boolValue ?? false)
+        XCTAssertEqual(result["requestBytes"].toArray() as? [Int], [104, 195, 169])
+        XCTAssertEqual(result["usedAgain"].toString(), "TypeError")
+    }
+
+    // MARK: - application/x-www-form-urlencoded
+
+    func testURLEncodedFormData() {
+        let result = evaluateAsync("""
+            (async () => {
+                const headers = { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' };
+                testCompleted({
+                    response: await describe(await new Response('a=1&b=x+y&a=%C3%A9&empty=', { headers }).formData()),
+                    request: await describe(await new Request('https://example.com/', {
+                        method: 'POST', body: 'q=search', headers
+                    }).formData()),
+                    searchParams: await describe(await new Response(new URLSearchParams('p=1&p=2')).formData()),
+                    formData: await describe(await new Request('https://example.com/', {
+                        method: 'POST', body: (() => { const f = new FormData(); f.append('k', 'v'); return f; })()
+                    }).formData()),
+                    noType: await failure(new Response('a=1').formData()),
+                    otherType: await failure(new Response('a=1', { headers: { 'Content-Type': 'text/plain' } }).formData())
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        let response = result["response"]
+        XCTAssertEqual(Int(response["length"].numberValue ?? 0), 4)
+        XCTAssertEqual(response[0]["name"].toString(), "a")
+        XCTAssertEqual(response[0]["value"].toString(), "1")
+        XCTAssertEqual(response[1]["value"].toString(), "é", "Repeated names keep every value")
+        XCTAssertEqual(response[2]["value"].toString(), "x y")
+        XCTAssertEqual(response[3]["value"].toString(), "")
+        XCTAssertEqual(result["request"][0]["value"].toString(), "search")
+        XCTAssertEqual(result["searchParams"][1]["value"].toString(), "2")
+        XCTAssertEqual(result["formData"][0]["value"].toString(), "v")
+        XCTAssertEqual(result["noType"].toString(), "TypeError")
+        XCTAssertEqual(result["otherType"].toString(), "TypeError")
+    }
+
+    // MARK: - multipart/form-data
+
+    func testMultipartFormData() {
+        let result = evaluateAsync("""
+            const body = [
+                'preamble',
+                '--XyZ',
+                'Content-Disposition: form-data; name="field"',
+                '',
+                'first line\\r\\nsecond line',
+                '--XyZ \\t',
+                'Content-Disposition: form-data; name="up%22load"; filename="a \\\\"b\\\\".json"',
+                'Content-Type: application/json',
+                '',
+                '{"x":1}',
+                '--XyZ',
+                'Content-Disposition: form-data; name=plain; filename=notes.txt',
+                '',
+                'a --XyZ in the middle of a line',
+                '--XyZ',
+                'Content-Disposition: form-data; name="empty"',
+                '',
+                '',
+                '--XyZ--',
+                'epilogue'
+            ].join('\\r\\n');
+            const type = 'multipart/form-data; boundary="XyZ"';
+            (async () => {
+                const parsed = [];
+                for (const size of [1, 5, 64, body.length]) {
+                    const formData = await new Response(chunked(body, size), { headers: { 'Content-Type': type } }).formData();
+                    parsed.push(JSON.stringify(await describe(formData)));
+                }
+                const request = new Request('https://example.com/', { method: 'POST', body, headers: { 'Content-Type': type } });
+                const malformed = (text, contentType = type) =>
+                    failure(new Response(text, { headers: { 'Content-Type': contentType } }).formData());
+                testCompleted({
+                    entries: await describe(await request.formData()),
+                    sameForEveryChunkSize: new Set(parsed).size === 1 && parsed[0] === JSON.stringify(await describe(
+                        await new Response(body, { headers: { 'Content-Type': type } }).formData())),
+                    truncated: await malformed(body.slice(0, 120)),
+                    noBoundary: await malformed(body, 'multipart/form-data'),
+                    noName: await malformed('--XyZ\\r\\nContent-Type: text/plain\\r\\n\\r\\nx\\r\\n--XyZ--'),
+                    noDelimiter: await malformed('no parts at all'),
+                    empty: await malformed('')
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        let entries = result["entries"]
+        XCTAssertEqual(Int(entries["length"].numberValue ?? 0), 4)
+        XCTAssertEqual(entries[0]["name"].toString(), "field")
+        XCTAssertEqual(entries[0]["value"].toString(), "first line\r\nsecond line")
+        XCTAssertEqual(entries[1]["name"].toString(), "up\"load")
+        XCTAssertTrue(entries[1]["isFile"].boolValue ?? false)
+        XCTAssertEqual(entries[1]["filename"].toString(), "a \"b\".json")
+        XCTAssertEqual(entries[1]["type"].toString(), "application/json")
+        XCTAssertEqual(Int(entries[1]["size"].numberValue ?? 0), 7)
+        XCTAssertEqual(entries[1]["value"].toString(), "{\"x\":1}")
+        XCTAssertEqual(entries[2]["filename"].toString(), "notes.txt")
+        XCTAssertEqual(entries[2]["type"].toString(), "text/plain")
+        XCTAssertEqual(entries[2]["value"].toString(), "a --XyZ in the middle of a line")
+        XCTAssertEqual(entries[3]["value"].toString(), "")
+        XCTAssertTrue(result["sameForEveryChunkSize"].boolValue ?? false)
+        XCTAssertEqual(result["truncated"].toString(), "TypeError")
+        XCTAssertEqual(result["noBoundary"].toString(), "TypeError")
+        XCTAssertEqual(result["noName"].toString(), "TypeError")
+        XCTAssertEqual(result["noDelimiter"].toString(), "TypeError")
+        XCTAssertEqual(result["empty"].toString(), "TypeError")
+    }
+
+    func testLargeFilePartsAreNotBuffered() {
+        let result = evaluateAsync("""
+            (async () => {
+                // 1 MB of upload in 64 KB chunks, more than is kept in memory
+                const chunkSize = 64 * 1024;
+                const chunkCount = 16;
+                const encoder = new TextEncoder();
+                const parts = [
+                    encoder.encode('--B\\r\\nContent-Disposition: form-data; name="upload"; filename="large.bin"\\r\\n' +
+                        'Content-Type: application/octet-stream\\r\\n\\r\\n'),
+                    ...Array.from({ length: chunkCount }, (_, index) => new Uint8Array(chunkSize).fill(index)),
+                    encoder.encode('\\r\\n--B\\r\\nContent-Disposition: form-data; name="after"\\r\\n\\r\\ndone\\r\\n--B--\\r\\n')
+                ];
+                let next = 0;
+                const body = new ReadableStream({
+                    pull(controller) {
+                        if (next === parts.length) return controller.close();
+                        controller.enqueue(parts[next++]);
+                    }
+                });
+                const formData = await new Response(body, {
+                    headers: { 'Content-Type': 'multipart/form-data; boundary=B' }
+                }).formData();
+                const file = formData.get('upload');
+
+                // Stream the parsed file back and check every chunk
+                let size = 0;
+                let intact = true;
+                const reader = file.stream().getReader();
+                for (let read = await reader.read(); !read.done; read = await reader.read()) {
+                    for (const byte of read.value) {
+                        if (byte !== Math.floor(size / chunkSize)) intact = false;
+                        size++;
+                    }
+                }
+                testCompleted({
+                    isFile: file instanceof File,
+                    name: file.name,
+                    size: file.size,
+                    streamedSize: size,
+                    intact,
+                    after: formData.get('after')
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertTrue(result["isFile"].boolValue ?? false)
+        XCTAssertEqual(result["name"].toString(), "large.bin")
+        XCTAssertEqual(Int(result["size"].numberValue ?? 0), 1024 * 1024)
+        XCTAssertEqual(Int(result["streamedSize"].numberValue ?? 0), 1024 * 1024)
+        XCTAssertTrue(result["intact"].boolValue ?? false)
+        XCTAssertEqual(result["after"].toString(), "done")
+    }
+
+    func testLargeFilePartsAreRemovedWithTheContext() {
+        let directory = NSTemporaryDirectory() + "SwiftJS/FormData"
+        let partFiles = { Set((try? FileManager.default.contentsOfDirectory(atPath: directory)) ?? []) }
+        let existing = partFiles()
+
+        var length: Int?
+        var reread = false
+        var spilled: [String] = []
+        do {
+            let result = evaluateAsync("""
+                (async () => {
+                    const directory = Path.join(_FileSystem.temp, 'SwiftJS', 'FormData');
+                    const before = _FileSystem.exists(directory) ? _FileSystem.readDir(directory) : [];
+                    const body = '--B\\r\\nContent-Disposition: form-data; name="upload"; filename="large.txt"\\r\\n\\r\\n' +
+                        'x'.repeat(300000) + '\\r\\n--B--\\r\\n';
+                    const formData = await new Response(body, {
+                        headers: { 'Content-Type': 'multipart/form-data; boundary=B' }
+                    }).formData();
+                    const file = formData.get('upload');
+                    const text = await file.text();
+                    testCompleted({
+                        length: text.length,
+                        reread: (await file.text()) === text,
+                        spilled: _FileSystem.readDir(directory).filter(name => !before.includes(name))
+                    });
+                })().catch(error => testCompleted({ unexpected: error.message }));
+            """, prelude: prelude)
+            length = result["length"].numberValue.map { Int($0) }
+            reread = result["reread"].boolValue ?? false
+            spilled = result["spilled"].toArray() as? [String] ?? []
+        }
+
+        XCTAssertEqual(length, 300_000)
+        XCTAssertTrue(reread, "A file part can be read more than once")
+        XCTAssertEqual(spilled.count, 1, "The large part should be written to disk")
+        XCTAssertTrue(partFiles().subtracting(existing).isEmpty, "The file should be removed once the context is gone")
+    }
+
+    func testFormDataRoundTripThroughServer() throws {
+        let server = try LocalHTTPServer { request in
+            .init(headers: [("Content-Type", request.headers["Content-Type"].first ?? "")], body: request.body)
+        }
+        defer { server.shutdown() }
+
+        let result = evaluateAsync("""
+            const formData = new FormData();
+            formData.append('title', 'Report "Q1"');
+            formData.append('attachment', new File(['line 1\\nline 2'], 'report.txt', { type: 'text/plain' }));
+            fetch('\(server.baseURL)/echo', { method: 'POST', body: formData })
+                .then(response => response.formData())
+                .then(describe)
+                .then(entries => testCompleted({ entries }))
+                .catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        let entries = result["entries"]
+        XCTAssertEqual(entries[0]["name"].toString(), "title")
+        XCTAssertEqual(entries[0]["value"].toString(), "Report \"Q1\"")
+        XCTAssertTrue(entries[1]["isFile"].boolValue ?? false)
+        XCTAssertEqual(entries[1]["filename"].toString(), "report.txt")
+        XCTAssertEqual(entries[1]["type"].toString(), "text/plain")
+        XCTAssertEqual(entries[1]["value"].toString(), "line 1\nline 2")
+    }
+}
@@ -0,0 +1,368 @@
+//
+//  CacheStorageTests.swift
+//  SwiftJS Cache Storage API Tests
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import XCTest
+@testable import SwiftJS
+
+/// Tests for the Cache Storage API: named caches, storing and matching
+/// Request/Response pairs, and persistence of streamed bodies on disk.
+@MainActor
+final class CacheStorageTests: XCTestCase {
+
+    private var server: LocalHTTPServer!
+
+    override func setUp() async throws {
+        server = try LocalHTTPServer { request in
+            switch request.path {
+            case "/app.js":
+                return .init(headers: [("Content-Type", "text/javascript")], body: "console.log('app');")
+            case "/style.css":
+                return .init(headers: [("Content-Type", "text/css")], body: "body {}")
+            default:
+                return .init(status: .notFound, body: "missing")
+            }
+        }
+    }
+
+    override func tearDown() async throws {
+        server.shutdown()
+        server = nil
+    }
+
+    /// Gives each script a fresh CacheStorage directory, and a `finish`
+    /// function that removes it before calling `testCompleted`
+    private var prelude: String {
+        """
+        const base = '\(server.baseURL)';
+        const storage = new CacheStorage({
+            directory: Path.join(_FileSystem.temp, 'SwiftJS-CacheStorageTests-' + crypto.randomUUID())
+        });
+        const finish = (result) => {
+            if (_FileSystem.exists(storage.directory)) _FileSystem.rmdir(storage.directory, { recursive: true });
+            testCompleted(result);
+        };
+        """
+    }
+
+    // MARK: - CacheStorage Tests
+
+    func testCacheStorageGlobals() {
+        let script = """
+            let constructed = null;
+            try { new Cache(); } catch (error) { constructed = error.name; }
+            ({
+                caches: caches instanceof CacheStorage,
+                tag: Object.prototype.toString.call(caches),
+                constructed
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertTrue(result["caches"].boolValue ?? false)
+        XCTAssertEqual(result["tag"].toString(), "[object CacheStorage]")
+        XCTAssertEqual(result["constructed"].toString(), "TypeError")
+    }
+
+    func testCacheStorageOpenHasDeleteAndKeys() {
+        let result = evaluateAsync("""
+            (async () => {
+                const before = await storage.has('v1');
+                const cache = await storage.open('v1');
+                await storage.open('v2');
+                await storage.open('v1');
+                const keys = await storage.keys();
+                const deleted = await storage.delete('v1');
+                const deletedAgain = await storage.delete('v1');
+                finish({
+                    before,
+                    isCache: cache instanceof Cache,
+                    keys: keys.join(','),
+                    deleted,
+                    deletedAgain,
+                    after: (await storage.keys()).join(',')
+                });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertFalse(result["before"].boolValue ?? true)
+        XCTAssertTrue(result["isCache"].boolValue ?? false)
+        XCTAssertEqual(result["keys"].toString(), "v1,v2")
+        XCTAssertTrue(result["deleted"].boolValue ?? false)
+        XCTAssertFalse(result["deletedAgain"].boolValue ?? true)
+        XCTAssertEqual(result["after"].toString(), "v2")
+    }
+
+    // MARK: - put and match Tests
+
+    func testCachePutAndMatch() {
+        let result = evaluateAsync("""
+            (async () => {
+                const cache = await storage.open('pages');
+                const response = new Response('<h1>Home</h1>', {
+                    status: 201,
+                    statusText: 'Created Here',
+                    headers: { 'Content-Type': 'text/html', 'X-Version': '1' }
+                });
+                await cache.put('https://example.com/home#top', response);
+                const match = await cache.match(new Request('https://example.com/home'));
+                const keys = await cache.keys();
+                finish({
+                    bodyUsed: response.bodyUsed,
+                    status: match.status,
+                    statusText: match.statusText,
+                    contentType: match.headers.get('Content-Type'),
+                    version: match.headers.get('X-Version'),
+                    body: await match.text(),
+                    again: await (await cache.match('https://example.com/home')).text(),
+                    fromStorage: await (await storage.match('https://example.com/home')).text(),
+                    missing: await cache.match('https://example.com/other'),
+                    keys: keys.map(request => request.method + ' ' + request.url).join(',')
+                });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertTrue(result["bodyUsed"].boolValue ?? false)
+        XCTAssertEqual(Int(result["status"].numberValue ?? -1), 201)
+        XCTAssertEqual(result["statusText"].toString(), "Created Here")
+        XCTAssertEqual(result["contentType"].toString(), "text/html")
+        XCTAssertEqual(result["version"].toString(), "1")
+        XCTAssertEqual(result["body"].toString(), "<h1>Home</h1>")
+        XCTAssertEqual(result["again"].toString(), "<h1>Home</h1>")
+        XCTAssertEqual(result["fromStorage"].toString(), "<h1>Home</h1>")
+        XCTAssertTrue(result["missing"].isUndefined)
+        XCTAssertEqual(result["keys"].toString(), "GET https://example.com/home#top")
+    }
+
+    func testCachePutStreamsBodyAndReplacesEntry() {
+        let result = evaluateAsync("""
+            (async () => {
+                const cache = await storage.open('streams');
+                const chunk = new Uint8Array(64 * 1024).fill(7);
+                let pulled = 0;
+                const body = new ReadableStream({
+                    pull(controller) {
+                        if (pulled++ === 32) controller.close();
+                        else controller.enqueue(chunk);
+                    }
+                });
+                await cache.put('https://example.com/large', new Response(body));
+                await cache.put('https://example.com/data', new Response('old'));
+                await cache.put('https://example.com/data', new Response('new'));
+
+                const reader = (await cache.match('https://example.com/large')).body.getReader();
+                let size = 0;
+                let chunks = 0;
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    size += value.byteLength;
+                    chunks++;
+                }
+                const bodyFiles = _FileSystem.readDir(Path.join(storage.directory, _FileSystem.readDir(storage.directory)
+                    .find(name => name !== 'caches.json'))).filter(name => name.endsWith('.body'));
+                finish({
+                    size,
+                    streamed: chunks > 1,
+                    replaced: await (await cache.match('https://example.com/data')).text(),
+                    entries: (await cache.keys()).length,
+                    bodyFiles: bodyFiles.length
+                });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(Int(result["size"].numberValue ?? -1), 32 * 64 * 1024)
+        XCTAssertTrue(result["streamed"].boolValue ?? false)
+        XCTAssertEqual(result["replaced"].toString(), "new")
+        XCTAssertEqual(Int(result["entries"].numberValue ?? -1), 2)
+        // The body of the replaced entry is removed from disk
+        XCTAssertEqual(Int(result["bodyFiles"].numberValue ?? -1), 2)
+    }
+
+    func testCacheMatchOptions() {
+        let result = evaluateAsync("""
+            (async () => {
+                const cache = await storage.open('options');
+                await cache.put(
+                    new Request('https://example.com/search?q=1', { headers: { 'Accept-Language': 'en' } }),
+                    new Response('english', { headers: { Vary: 'Accept-Language' } })
+                );
+                const french = new Request('https://example.com/search?q=1', { headers: { 'Accept-Language': 'fr' } });
+                const post = new Request('https://example.com/search?q=1', { method: 'POST', headers: { 'Accept-Language': 'en' } });
+                const text = async (response) => response ? response.text() : null;
+                finish({
+                    exact: await text(await cache.match(new Request('https://example.com/search?q=1', { headers: { 'Accept-Language': 'en' } }))),
+                    vary: await text(await cache.match(french)),
+                    ignoreVary: await text(await cache.match(french, { ignoreVary: true })),
+                    search: await text(await cache.match('https://example.com/search?q=2', { ignoreVary: true })),
+                    ignoreSearch: await text(await cache.match('https://example.com/search', { ignoreSearch: true, ignoreVary: true })),
+                    method: await text(await cache.match(post)),
+                    ignoreMethod: await text(await cache.match(post, { ignoreMethod: true })),
+                    all: (await cache.matchAll()).length
+                });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["exact"].toString(), "english")
+        XCTAssertTrue(result["vary"].isNull)
+        XCTAssertEqual(result["ignoreVary"].toString(), "english")
+        XCTAssertTrue(result["search"].isNull)
+        XCTAssertEqual(result["ignoreSearch"].toString(), "english")
+        XCTAssertTrue(result["method"].isNull)
+        XCTAssertEqual(result["ignoreMethod"].toString(), "english")
+        XCTAssertEqual(Int(result["all"].numberValue ?? -1), 1)
+    }
+
+    func testCachePutRejectsInvalidInput() {
+        let result = evaluateAsync("""
+            (async () => {
+                const cache = await storage.open('invalid');
+                const attempt = async (request, response) => {
+                    try { await cache.put(request, response); return 'stored'; } catch (error) { return error.name; }
+                };
+                const used = new Response('used');
+                await used.text();
+                finish({
+                    scheme: await attempt('ftp://example.com/file', new Response('x')),
+                    method: await attempt(new Request('https://example.com/', { method: 'POST' }), new Response('x')),
+                    partial: await attempt('https://example.com/', new Response('x', { status: 206 })),
+                    varyStar: await attempt('https://example.com/', new Response('x', { headers: { Vary: '*' } })),
+                    bodyUsed: await attempt('https://example.com/', used),
+                    entries: (await cache.keys()).length
+                });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["scheme"].toString(), "TypeError")
+        XCTAssertEqual(result["method"].toString(), "TypeError")
+        XCTAssertEqual(result["partial"].toString(), "TypeError")
+        XCTAssertEqual(result["varyStar"].toString(), "TypeError")
+        XCTAssertEqual(result["bodyUsed"].toString(), "TypeError")
+        XCTAssertEqual(Int(result["entries"].numberValue ?? -1), 0)
+    }
+
+    func testCacheDelete() {
+        let result = evaluateAsync("""
+            (async () => {
+                const cache = await storage.open('delete');
+                await cache.put('https://example.com/a?v=1', new Response('a1'));
+                await cache.put('https://example.com/a?v=2', new Response('a2'));
+                await cache.put('https://example.com/b', new Response('b'));
+                const missing = await cache.delete('https://example.com/c');
+                const exact = await cache.delete('https://example.com/b');
+                const ignoreSearch = await cache.delete('https://example.com/a', { ignoreSearch: true });
+                finish({ missing, exact, ignoreSearch, remaining: (await cache.keys()).length });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertFalse(result["missing"].boolValue ?? true)
+        XCTAssertTrue(result["exact"].boolValue ?? false)
+        XCTAssertTrue(result["ignoreSearch"].boolValue ?? false)
+        XCTAssertEqual(Int(result["remaining"].numberValue ?? -1), 0)
+    }
+
+    // MARK: - add and addAll Tests
+
+    func testCacheAddAndAddAll() {
+        let result = evaluateAsync("""
+            (async () => {
+                const cache = await storage.open('assets');
+                await cache.add(base + '/app.js');
+                await cache.addAll([base + '/app.js', new Request(base + '/style.css')]);
+                let failed = null;
+                try { await cache.addAll([base + '/missing', base + '/other.js']); } catch (error) { failed = error.name; }
+                const script = await cache.match(base + '/app.js');
+                finish({
+                    failed,
+                    script: await script.text(),
+                    scriptType: script.headers.get('Content-Type'),
+                    scriptURL: script.url,
+                    style: await (await cache.match(base + '/style.css')).text(),
+                    keys: (await cache.keys()).map(request => new URL(request.url).pathname).join(',')
+                });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["failed"].toString(), "TypeError")
+        XCTAssertEqual(result["script"].toString(), "console.log('app');")
+        XCTAssertEqual(result["scriptType"].toString(), "text/javascript")
+        XCTAssertEqual(result["scriptURL"].toString(), "\(server.baseURL)/app.js")
+        XCTAssertEqual(result["style"].toString(), "body {}")
+        // A failed addAll stores none of its responses
+        XCTAssertEqual(result["keys"].toString(), "/app.js,/style.css")
+        XCTAssertEqual(server.requests.filter { $0.path == "/app.js" }.count, 2)
+    }
+
+    // MARK: - Storage Tests
+
+    func testCacheStoragePersistsAcrossContexts() {
+        let directory = NSTemporaryDirectory() + "SwiftJS-CacheStorageTests-" + UUID().uuidString
+        defer { try? FileManager.default.removeItem(atPath: directory) }
+
+        let scripts = [
+            """
+            (async () => {
+                const cache = await caches.open('offline');
+                await cache.put('https://example.com/page', new Response('saved', { headers: { 'X-Saved': 'yes' } }));
+                return { names: (await caches.keys()).join(',') };
+            })()
+            """,
+            """
+            (async () => {
+                const response = await caches.match('https://example.com/page', { cacheName: 'offline' });
+                return {
+                    names: (await caches.keys()).join(','),
+                    body: await response.text(),
+                    saved: response.headers.get('X-Saved')
+                };
+            })()
+            """
+        ]
+
+        var results: [SwiftJS.Value] = []
+        for script in scripts {
+            let expectation = XCTestExpectation(description: "cache storage script")
+            let context = SwiftJS()
+            context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+                results.append(args[0])
+                expectation.fulfill()
+                return SwiftJS.Value.undefined
+            }
+            context.evaluateScript("""
+                globalThis.caches = new CacheStorage({ directory: '\(directory)' });
+                \(script)
+                    .then(testCompleted)
+                    .catch(error => testCompleted({ error: error.message }));
+            """)
+            wait(for: [expectation], timeout: 10.0)
+        }
+
+        XCTAssertEqual(results[0]["names"].toString(), "offline")
+        XCTAssertEqual(results[1]["names"].toString(), "offline")
+        XCTAssertEqual(results[1]["body"].toString(), "saved")
+        XCTAssertEqual(results[1]["saved"].toString(), "yes")
+    }
+}
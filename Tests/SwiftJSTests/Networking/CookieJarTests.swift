@@ -0,0 +1,298 @@
+//
+//  CookieJarTests.swift
+//  SwiftJS CookieJar Tests
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+
+import XCTest
+@testable import SwiftJS
+
+/// Tests for the CookieJar cookie store: RFC 6265 attribute handling,
+/// persistence and its use from fetch and XMLHttpRequest.
+@MainActor
+final class CookieJarTests: XCTestCase {
+
+    // MARK: - Attribute Tests
+
+    func testCookieJarDomainAndPathMatching() {
+        let script = """
+            const jar = new CookieJar();
+            const stored = jar.setCookie('page=1', 'https://www.example.com/docs/guide');
+            jar.setCookie('site=2; Domain=.Example.com; Path=/', 'https://www.example.com/');
+            const rejected = [
+                jar.setCookie('tld=3; Domain=com', 'https://www.example.com/'),
+                jar.setCookie('other=4; Domain=example.org', 'https://www.example.com/')
+            ];
+            ({
+                path: stored.path,
+                hostOnly: stored.hostOnly,
+                rejected: rejected.every(cookie => cookie === null),
+                docs: jar.getCookieString('https://www.example.com/docs/intro'),
+                docsPrefix: jar.getCookieString('https://www.example.com/docsearch'),
+                subdomain: jar.getCookieString('https://api.example.com/docs/intro'),
+                otherHost: jar.getCookieString('https://example.org/')
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertEqual(result["path"].toString(), "/docs")
+        XCTAssertTrue(result["hostOnly"].boolValue ?? false)
+        XCTAssertTrue(result["rejected"].boolValue ?? false)
+        // Longer paths are sent first
+        XCTAssertEqual(result["docs"].toString(), "page=1; site=2")
+        XCTAssertEqual(result["docsPrefix"].toString(), "site=2")
+        XCTAssertEqual(result["subdomain"].toString(), "site=2")
+        XCTAssertEqual(result["otherHost"].toString(), "")
+    }
+
+    func testCookieJarExpiry() {
+        let script = """
+            const jar = new CookieJar();
+            const url = 'https://example.com/';
+            const expires = jar.setCookie('a=1; Expires=Sun, 06 Nov 2094 08:49:37 GMT', url).expires;
+            const rfc850 = jar.setCookie('b=1; Expires=Sunday, 06-Nov-60 08:49:37 GMT', url).expires;
+            const session = jar.setCookie('c=1; Expires=31 Feb 2094 00:00:00', url).expires;
+            const maxAge = jar.setCookie('d=1; Max-Age=60; Expires=Sun, 06 Nov 1994 08:49:37 GMT', url);
+            const expired = jar.setCookie('e=1; Expires=Sun, 06 Nov 1994 08:49:37 GMT', url);
+            const beforeDelete = jar.getCookieString(url);
+            jar.setCookie('a=1; Max-Age=0', url);
+            ({
+                expires,
+                rfc850,
+                session,
+                maxAgeWins: maxAge.expires > Date.now(),
+                expired,
+                beforeDelete,
+                afterDelete: jar.getCookieString(url)
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertEqual(result["expires"].numberValue, 3939871777000)
+        XCTAssertEqual(result["rfc850"].numberValue, 2866956577000)
+        // An invalid date leaves a session cookie
+        XCTAssertTrue(result["session"].isNull)
+        XCTAssertTrue(result["maxAgeWins"].boolValue ?? false)
+        XCTAssertTrue(result["expired"].isNull)
+        XCTAssertEqual(result["beforeDelete"].toString(), "a=1; b=1; c=1; d=1")
+        XCTAssertEqual(result["afterDelete"].toString(), "b=1; c=1; d=1")
+    }
+
+    func testCookieJarSecureAndHttpOnly() {
+        let script = """
+            const jar = new CookieJar();
+            const insecureSecure = jar.setCookie('token=1; Secure', 'http://example.com/');
+            jar.setCookie('token=2; Secure', 'https://example.com/');
+            jar.setCookie('session=3; HttpOnly', 'https://example.com/');
+            const scriptHttpOnly = jar.setCookie('script=4; HttpOnly', 'https://example.com/', { http: false });
+            const overwriteSecure = jar.setCookie('token=5', 'http://example.com/');
+            ({
+                insecureSecure,
+                scriptHttpOnly,
+                overwriteSecure,
+                https: jar.getCookieString('https://example.com/'),
+                http: jar.getCookieString('http://example.com/'),
+                nonHttp: jar.getCookieString('https://example.com/', { http: false })
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertTrue(result["insecureSecure"].isNull)
+        XCTAssertTrue(result["scriptHttpOnly"].isNull)
+        XCTAssertTrue(result["overwriteSecure"].isNull)
+        XCTAssertEqual(result["https"].toString(), "token=2; session=3")
+        XCTAssertEqual(result["http"].toString(), "session=3")
+        XCTAssertEqual(result["nonHttp"].toString(), "token=2")
+    }
+
+    func testCookieJarSameSiteAndPrefixes() {
+        let script = """
+            const jar = new CookieJar();
+            const url = 'https://example.com/';
+            jar.setCookie('strict=1; SameSite=Strict', url);
+            jar.setCookie('lax=1; SameSite=lax', url);
+            jar.setCookie('none=1; SameSite=None; Secure', url);
+            const results = {
+                noneWithoutSecure: jar.setCookie('bad=1; SameSite=None', url),
+                laxFromCrossSite: jar.setCookie('cross=1; SameSite=Lax', url, { sameSiteContext: 'none' }),
+                secureWithoutAttribute: jar.setCookie('__Secure-a=1', url),
+                hostWithDomain: jar.setCookie('__Host-b=1; Secure; Path=/; Domain=example.com', url),
+                hostWithoutPath: jar.setCookie('__Host-c=1; Secure', url),
+                host: jar.setCookie('__Host-d=1; Secure; Path=/', url).name,
+                sameSite: jar.getAllCookies().map(cookie => cookie.sameSite).join(',')
+            };
+            results.unenforced = jar.getCookieString(url);
+            results.strict = jar.getCookieString(url, { sameSiteContext: 'strict' });
+            results.lax = jar.getCookieString(url, { sameSiteContext: 'lax' });
+            results.crossSite = jar.getCookieString(url, { sameSiteContext: 'none' });
+            results
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertTrue(result["noneWithoutSecure"].isNull)
+        XCTAssertTrue(result["laxFromCrossSite"].isNull)
+        XCTAssertTrue(result["secureWithoutAttribute"].isNull)
+        XCTAssertTrue(result["hostWithDomain"].isNull)
+        XCTAssertTrue(result["hostWithoutPath"].isNull)
+        XCTAssertEqual(result["host"].toString(), "__Host-d")
+        XCTAssertEqual(result["sameSite"].toString(), "Strict,Lax,None,")
+        XCTAssertEqual(result["unenforced"].toString(), "strict=1; lax=1; none=1; __Host-d=1")
+        XCTAssertEqual(result["strict"].toString(), "strict=1; lax=1; none=1; __Host-d=1")
+        XCTAssertEqual(result["lax"].toString(), "lax=1; none=1; __Host-d=1")
+        XCTAssertEqual(result["crossSite"].toString(), "none=1; __Host-d=1")
+    }
+
+    // MARK: - Persistence Tests
+
+    func testCookieJarPersistence() {
+        let script = """
+            const directory = Path.join(_FileSystem.temp, 'SwiftJS-CookieJarTests-' + Date.now());
+            const file = Path.join(directory, 'jars', 'cookies.json');
+            const jar = new CookieJar();
+            jar.setCookie('session=abc; HttpOnly; Path=/', 'https://example.com/');
+            jar.setCookie('theme=dark; Max-Age=3600; SameSite=Lax', 'https://example.com/');
+            jar.save(file);
+
+            const loaded = CookieJar.load(file);
+            const result = {
+                saved: _FileSystem.exists(file),
+                version: JSON.parse(_FileSystem.readFile(file)).version,
+                cookies: loaded.getCookieString('https://example.com/'),
+                httpOnly: loaded.getAllCookies()[0].httpOnly,
+                sameSite: loaded.getAllCookies()[1].sameSite,
+                missing: CookieJar.load(Path.join(directory, 'missing.json')).getAllCookies().length,
+                fromJSON: CookieJar.fromJSON(JSON.stringify(jar)).getAllCookies().length
+            };
+            _FileSystem.rmdir(directory, { recursive: true });
+            result
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertTrue(result["saved"].boolValue ?? false)
+        XCTAssertEqual(Int(result["version"].numberValue ?? 0), 1)
+        XCTAssertEqual(result["cookies"].toString(), "session=abc; theme=dark")
+        XCTAssertTrue(result["httpOnly"].boolValue ?? false)
+        XCTAssertEqual(result["sameSite"].toString(), "Lax")
+        XCTAssertEqual(Int(result["missing"].numberValue ?? -1), 0)
+        XCTAssertEqual(Int(result["fromJSON"].numberValue ?? 0), 2)
+    }
+
+    func testRequestRejectsInvalidCookieJar() {
+        let script = """
+            const jar = new CookieJar();
+            let errorName = null;
+            try { new Request('https://example.com/', { cookieJar: {} }); } catch (error) { errorName = error.name; }
+            ({ errorName, cloned: new Request(new Request('https://example.com/', { cookieJar: jar })) instanceof Request })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertEqual(result["errorName"].toString(), "TypeError")
+        XCTAssertTrue(result["cloned"].boolValue ?? false)
+    }
+
+    // MARK: - Network Tests
+
+    func testFetchWithCookieJar() {
+        let expectation = XCTestExpectation(description: "fetch with cookie jar")
+
+        let script = """
+            const jar = new CookieJar();
+            // Responds with Set-Cookie and redirects to /cookies, which echoes the Cookie header
+            fetch('https://postman-echo.com/cookies/set?foo=bar&baz=qux', { cookieJar: jar })
+                .then(async response => {
+                    const echoed = response.ok ? (await response.json()).cookies : null;
+                    const withoutJar = await fetch('https://postman-echo.com/cookies').then(r => r.json());
+                    testCompleted({
+                        success: response.ok,
+                        redirected: response.redirected,
+                        echoed: JSON.stringify(echoed),
+                        stored: jar.getAllCookies().map(cookie => cookie.name).sort().join(','),
+                        withoutJar: JSON.stringify(withoutJar.cookies)
+                    });
+                })
+                .catch(error => {
+                    testCompleted({ success: false, error: error.message });
+                });
+        """
+
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            if result["success"].boolValue == true {
+                XCTAssertTrue(result["redirected"].boolValue ?? false)
+                XCTAssertEqual(result["echoed"].toString(), #"{"foo":"bar","baz":"qux"}"#)
+                XCTAssertEqual(result["stored"].toString(), "baz,foo")
+                XCTAssertEqual(result["withoutJar"].toString(), "{}")
+            } else {
+                XCTAssertTrue(true, "Network test skipped: \(result["error"].toString())")
+            }
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 20.0)
+    }
+
+    func testXMLHttpRequestWithCookieJar() {
+        let expectation = XCTestExpectation(description: "XMLHttpRequest with cookie jar")
+
+        let script = """
+            const jar = new CookieJar();
+            jar.setCookie('preset=1', 'https://postman-echo.com/');
+            const xhr = new XMLHttpRequest();
+            xhr.open('GET', 'https://postman-echo.com/cookies');
+            xhr.cookieJar = jar;
+            xhr.responseType = 'json';
+            xhr.onload = () => {
+                testCompleted({ success: xhr.status === 200, cookies: JSON.stringify(xhr.response.cookies) });
+            };
+            xhr.onerror = () => {
+                testCompleted({ success: false, error: 'Network error' });
+            };
+            xhr.send();
+        """
+
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            if result["success"].boolValue == true {
+                XCTAssertEqual(result["cookies"].toString(), #"{"preset":"1"}"#)
+            } else {
+                XCTAssertTrue(true, "Network test skipped: \(result["error"].toString())")
+            }
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 15.0)
+    }
+}
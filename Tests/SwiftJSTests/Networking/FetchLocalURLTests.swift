@@ -0,0 +1,230 @@
+//
+//  FetchLocalURLTests.swift
+//  SwiftJS Fetch Local URL Tests
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import XCTest
+@testable import SwiftJS
+
+/// Tests for data:, file: and blob: URLs in fetch and XMLHttpRequest, and for
+/// URL.createObjectURL() and URL.revokeObjectURL().
+@MainActor
+final class FetchLocalURLTests: XCTestCase {
+
+    private var directory: String!
+
+    override func setUp() async throws {
+        directory = NSTemporaryDirectory() + "SwiftJS-FetchLocalURLTests-" + UUID().uuidString
+        try FileManager.default.createDirectory(atPath: directory, withIntermediateDirectories: true)
+        try Data("{\"local\":true}".utf8).write(to: URL(fileURLWithPath: directory + "/data file.json"))
+    }
+
+    override func tearDown() async throws {
+        try? FileManager.default.removeItem(atPath: directory)
+        directory = nil
+    }
+
+    /// Gives each script the URL of the test file, and ways to describe what
+    /// fetch and XMLHttpRequest return
+    private var prelude: String {
+        """
+        const directory = '\(directory!)';
+        const fileURL = 'file://' + directory.split('/').map(encodeURIComponent).join('/') + '/data%20file.json';
+        const describe = async (promise) => {
+            try {
+                const response = await promise;
+                return {
+                    status: response.status,
+                    url: response.url,
+                    contentType: response.headers.get('Content-Type'),
+                    contentLength: response.headers.get('Content-Length'),
+                    body: response.body ? await response.text() : null
+                };
+            } catch (error) {
+                return { error: error.name };
+            }
+        };
+        const xhrRequest = (url, responseType = '') => new Promise(resolve => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('GET', url);
+            xhr.responseType = responseType;
+            xhr.onload = () => resolve({
+                status: xhr.status,
+                url: xhr.responseURL,
+                contentType: xhr.getResponseHeader('Content-Type'),
+                response: xhr.response
+            });
+            xhr.onerror = () => resolve({ error: true });
+            xhr.send();
+        });
+        """
+    }
+
+    // MARK: - data: URLs
+
+    func testDataURLs() {
+        let result = evaluateAsync("""
+            (async () => {
+                testCompleted({
+                    plain: await describe(fetch('data:,Hello%2C%20World!')),
+                    base64: await describe(fetch('data:text/plain;base64,SGVsbG8sIFdvcmxkIQ==')),
+                    spacedBase64: await describe(fetch('data:text/plain; BASE64,SGVsbG8')),
+                    parameters: await describe(fetch('data:Text/HTML;Charset="utf-8";x=y z,<b>hi</b>#fragment')),
+                    charsetOnly: await describe(fetch('data:;charset=utf-8,%C3%A9')),
+                    invalidType: await describe(fetch('data:nonsense,body')),
+                    post: await describe(fetch('data:,posted', { method: 'POST', body: 'ignored' })),
+                    invalidBase64: await describe(fetch('data:;base64,SGVsbG8=a')),
+                    noComma: await describe(fetch('data:text/plain')),
+                    aborted: await describe(fetch('data:,x', { signal: AbortSignal.abort() })),
+                    unsupported: await describe(fetch('ftp://example.com/file'))
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(Int(result["plain"]["status"].numberValue ?? 0), 200)
+        XCTAssertEqual(result["plain"]["contentType"].toString(), "text/plain;charset=US-ASCII")
+        XCTAssertEqual(result["plain"]["body"].toString(), "Hello, World!")
+        XCTAssertEqual(result["base64"]["contentType"].toString(), "text/plain")
+        XCTAssertEqual(result["base64"]["body"].toString(), "Hello, World!")
+        XCTAssertEqual(result["spacedBase64"]["body"].toString(), "Hello")
+        XCTAssertEqual(result["parameters"]["contentType"].toString(), "text/html;charset=utf-8;x=\"y z\"")
+        XCTAssertEqual(result["parameters"]["body"].toString(), "<b>hi</b>")
+        XCTAssertEqual(result["parameters"]["url"].toString(), "data:Text/HTML;Charset=\"utf-8\";x=y z,<b>hi</b>")
+        XCTAssertEqual(result["charsetOnly"]["contentType"].toString(), "text/plain;charset=utf-8")
+        XCTAssertEqual(result["charsetOnly"]["body"].toString(), "é")
+        XCTAssertEqual(result["invalidType"]["contentType"].toString(), "text/plain;charset=US-ASCII")
+        XCTAssertEqual(result["post"]["body"].toString(), "posted")
+        XCTAssertEqual(result["invalidBase64"]["error"].toString(), "TypeError")
+        XCTAssertEqual(result["noComma"]["error"].toString(), "TypeError")
+        XCTAssertEqual(result["aborted"]["error"].toString(), "AbortError")
+        XCTAssertEqual(result["unsupported"]["error"].toString(), "TypeError")
+    }
+
+    // MARK: - file: URLs
+
+    func testFileURLs() {
+        let result = evaluateAsync("""
+            (async () => {
+                const response = await fetch(fileURL);
+                const reader = response.body.getReader();
+                const { value } = await reader.read();
+                reader.cancel();
+                testCompleted({
+                    streamed: value instanceof Uint8Array,
+                    file: await describe(fetch(fileURL)),
+                    head: await describe(fetch(fileURL, { method: 'HEAD' })),
+                    localhost: await describe(fetch(fileURL.replace('file://', 'file://localhost'))),
+                    missing: await describe(fetch('file://' + directory + '/missing.txt')),
+                    directory: await describe(fetch('file://' + directory + '/')),
+                    remoteHost: await describe(fetch('file://server/share/file.txt')),
+                    put: await describe(fetch(fileURL, { method: 'PUT', body: 'x' }))
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertTrue(result["streamed"].boolValue ?? false)
+        XCTAssertEqual(Int(result["file"]["status"].numberValue ?? 0), 200)
+        XCTAssertEqual(result["file"]["contentType"].toString(), "application/json")
+        XCTAssertEqual(result["file"]["contentLength"].toString(), "14")
+        XCTAssertEqual(result["file"]["body"].toString(), "{\"local\":true}")
+        XCTAssertTrue(result["file"]["url"].toString().hasSuffix("/data%20file.json"))
+        XCTAssertTrue(result["head"]["body"].isNull)
+        XCTAssertEqual(result["head"]["contentLength"].toString(), "14")
+        XCTAssertEqual(result["localhost"]["body"].toString(), "{\"local\":true}")
+        XCTAssertEqual(result["missing"]["error"].toString(), "TypeError")
+        XCTAssertEqual(result["directory"]["error"].toString(), "TypeError")
+        XCTAssertEqual(result["remoteHost"]["error"].toString(), "TypeError")
+        XCTAssertEqual(result["put"]["error"].toString(), "TypeError")
+    }
+
+    // MARK: - blob: URLs
+
+    func testObjectURLs() {
+        let result = evaluateAsync("""
+            (async () => {
+                const blob = new Blob(['blob contents'], { type: 'text/plain' });
+                const blobURL = URL.createObjectURL(blob);
+                const file = File.fromPath(directory + '/data file.json');
+                const fileObjectURL = URL.createObjectURL(file);
+                const fetched = await describe(fetch(blobURL + '#fragment'));
+                const fromFile = await describe(fetch(fileObjectURL));
+                const untyped = await describe(fetch(URL.createObjectURL(new Blob([new Uint8Array([1, 2, 3])]))));
+                const post = await describe(fetch(blobURL, { method: 'POST', body: 'x' }));
+                URL.revokeObjectURL(blobURL);
+                URL.revokeObjectURL('not a url');
+                let notBlob = null;
+                try { URL.createObjectURL('text'); } catch (error) { notBlob = error.name; }
+                testCompleted({
+                    blobURL,
+                    fetched,
+                    fromFile,
+                    untyped,
+                    post,
+                    revoked: await describe(fetch(blobURL)),
+                    fileStillFetched: await describe(fetch(fileObjectURL)),
+                    notBlob
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertTrue(result["blobURL"].toString().hasPrefix("blob:null/"))
+        XCTAssertEqual(result["fetched"]["body"].toString(), "blob contents")
+        XCTAssertEqual(result["fetched"]["contentType"].toString(), "text/plain")
+        XCTAssertEqual(result["fetched"]["contentLength"].toString(), "13")
+        XCTAssertEqual(result["fetched"]["url"].toString(), result["blobURL"].toString())
+        XCTAssertEqual(result["fromFile"]["body"].toString(), "{\"local\":true}")
+        XCTAssertEqual(result["fromFile"]["contentType"].toString(), "application/json")
+        XCTAssertTrue(result["untyped"]["contentType"].isNull)
+        XCTAssertEqual(result["untyped"]["contentLength"].toString(), "3")
+        XCTAssertEqual(result["post"]["error"].toString(), "TypeError")
+        XCTAssertEqual(result["revoked"]["error"].toString(), "TypeError")
+        XCTAssertEqual(result["fileStillFetched"]["body"].toString(), "{\"local\":true}")
+        XCTAssertEqual(result["notBlob"].toString(), "TypeError")
+    }
+
+    // MARK: - XMLHttpRequest
+
+    func testXMLHttpRequestLocalURLs() {
+        let result = evaluateAsync("""
+            (async () => {
+                testCompleted({
+                    latin1: await xhrRequest('data:text/plain;charset=iso-8859-1,caf%E9'),
+                    utf8: await xhrRequest('data:text/plain;charset=utf-8,caf%C3%A9'),
+                    json: await xhrRequest(fileURL, 'json'),
+                    blob: await xhrRequest(URL.createObjectURL(new Blob(['from a blob']))),
+                    missing: await xhrRequest('file://' + directory + '/missing.txt')
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(Int(result["latin1"]["status"].numberValue ?? 0), 200)
+        XCTAssertEqual(result["latin1"]["response"].toString(), "café")
+        XCTAssertEqual(result["latin1"]["contentType"].toString(), "text/plain;charset=iso-8859-1")
+        XCTAssertEqual(result["utf8"]["response"].toString(), "café")
+        XCTAssertEqual(result["json"]["response"]["local"].boolValue, true)
+        XCTAssertTrue(result["json"]["url"].toString().hasPrefix("file://"))
+        XCTAssertEqual(result["blob"]["response"].toString(), "from a blob")
+        XCTAssertTrue(result["missing"]["error"].boolValue ?? false)
+    }
+}
@@ -0,0 +1,208 @@
+//
+//  FetchProgressTests.swift
+//  SwiftJS Fetch Progress Tests
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import XCTest
+@testable import SwiftJS
+
+/// Tests for the `onUploadProgress` and `onDownloadProgress` options of fetch,
+/// run against a local server.
+@MainActor
+final class FetchProgressTests: XCTestCase {
+
+    private var server: LocalHTTPServer!
+
+    override func setUp() async throws {
+        server = try LocalHTTPServer { request in
+            switch request.path {
+            case "/large":
+                return .init(body: String(repeating: "d", count: 500_000))
+            case "/redirect":
+                return .init(status: .temporaryRedirect, headers: [("Location", "/large")], body: "moved")
+            default:
+                return .init(body: request.body)
+            }
+        }
+    }
+
+    override func tearDown() async throws {
+        server.shutdown()
+        server = nil
+    }
+
+    /// Gives each script the server URL and a way to observe progress
+    private var prelude: String {
+        """
+        const base = '\(server.baseURL)';
+        // Fetches and reads the response, and describes the progress reported
+        const observe = async (path, init = {}) => {
+            const uploads = [];
+            const downloads = [];
+            const response = await fetch(base + path, {
+                ...init,
+                onUploadProgress: event => uploads.push(event),
+                onDownloadProgress: event => downloads.push(event)
+            });
+            const text = await response.text();
+            const describe = (events) => ({
+                count: events.length,
+                increasing: events.every((event, index) => index === 0 || event.loaded > events[index - 1].loaded),
+                totals: [...new Set(events.map(event => event.total))],
+                lengthComputable: [...new Set(events.map(event => event.lengthComputable))],
+                last: events.length > 0 ? events[events.length - 1].loaded : 0
+            });
+            return { length: text.length, upload: describe(uploads), download: describe(downloads) };
+        };
+        """
+    }
+
+    // MARK: - Upload
+
+    func testUploadProgress() {
+        let result = evaluateAsync("""
+            (async () => {
+                const formData = new FormData();
+                formData.append('field', 'é');
+                formData.append('file', new File(['x'.repeat(100000)], 'upload.txt', { type: 'text/plain' }));
+                const chunks = ['first chunk', 'second chunk'];
+                const stream = new ReadableStream({
+                    pull(controller) {
+                        if (chunks.length === 0) return controller.close();
+                        controller.enqueue(new TextEncoder().encode(chunks.shift()));
+                    }
+                });
+                testCompleted({
+                    string: await observe('/echo', { method: 'POST', body: 'u'.repeat(300000) }),
+                    blob: await observe('/echo', { method: 'POST', body: new Blob(['b'.repeat(150000)]) }),
+                    formData: await observe('/echo', { method: 'POST', body: formData }),
+                    stream: await observe('/echo', { method: 'POST', body: stream, duplex: 'half' }),
+                    get: await observe('/echo')
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        let string = result["string"]["upload"]
+        XCTAssertGreaterThan(Int(string["count"].numberValue ?? 0), 1, "Large bodies report progress in chunks")
+        XCTAssertTrue(string["increasing"].boolValue ?? false)
+        XCTAssertEqual(string["totals"].toArray() as? [Int], [300_000])
+        XCTAssertEqual(string["lengthComputable"].toArray() as? [Bool], [true])
+        XCTAssertEqual(Int(string["last"].numberValue ?? 0), 300_000)
+
+        let blob = result["blob"]["upload"]
+        XCTAssertTrue(blob["increasing"].boolValue ?? false)
+        XCTAssertEqual(blob["totals"].toArray() as? [Int], [150_000])
+        XCTAssertEqual(Int(blob["last"].numberValue ?? 0), 150_000)
+
+        // The multipart body is sent as a stream whose length is computed up front
+        let formData = result["formData"]["upload"]
+        XCTAssertTrue(formData["increasing"].boolValue ?? false)
+        XCTAssertEqual(formData["lengthComputable"].toArray() as? [Bool], [true])
+        XCTAssertEqual(formData["totals"][0].numberValue, formData["last"].numberValue)
+        XCTAssertEqual(formData["last"].numberValue, result["formData"]["download"]["last"].numberValue)
+
+        let stream = result["stream"]["upload"]
+        XCTAssertEqual(stream["lengthComputable"].toArray() as? [Bool], [false])
+        XCTAssertEqual(stream["totals"].toArray() as? [Int], [0])
+        XCTAssertEqual(Int(stream["last"].numberValue ?? 0), 23)
+
+        XCTAssertEqual(Int(result["get"]["upload"]["count"].numberValue ?? -1), 0, "Requests without a body report no upload")
+    }
+
+    // MARK: - Download
+
+    func testDownloadProgress() {
+        let result = evaluateAsync("""
+            (async () => {
+                testCompleted({
+                    large: await observe('/large'),
+                    redirect: await observe('/redirect'),
+                    manual: await observe('/redirect', { redirect: 'manual' }),
+                    head: await observe('/large', { method: 'HEAD' })
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        let large = result["large"]["download"]
+        XCTAssertEqual(Int(result["large"]["length"].numberValue ?? 0), 500_000)
+        XCTAssertGreaterThan(Int(large["count"].numberValue ?? 0), 0)
+        XCTAssertTrue(large["increasing"].boolValue ?? false)
+        XCTAssertEqual(large["totals"].toArray() as? [Int], [500_000])
+        XCTAssertEqual(large["lengthComputable"].toArray() as? [Bool], [true])
+        XCTAssertEqual(Int(large["last"].numberValue ?? 0), 500_000)
+
+        // Only the response fetch resolves with is reported when redirects are followed
+        let redirect = result["redirect"]["download"]
+        XCTAssertTrue(redirect["increasing"].boolValue ?? false)
+        XCTAssertEqual(redirect["totals"].toArray() as? [Int], [500_000])
+        XCTAssertEqual(Int(redirect["last"].numberValue ?? 0), 500_000)
+        XCTAssertEqual(Int(result["manual"]["download"]["count"].numberValue ?? -1), 0,
+                       "The body of a redirect is not reported")
+
+        XCTAssertEqual(Int(result["head"]["download"]["count"].numberValue ?? -1), 0)
+    }
+
+    // MARK: - Options
+
+    func testProgressOptions() {
+        let result = evaluateAsync("""
+            (async () => {
+                const attempt = (init) => {
+                    try { new Request(base + '/echo', init); return 'created'; } catch (error) { return error.name; }
+                };
+                const errors = [];
+                const originalError = console.error;
+                console.error = (error) => errors.push(error.message);
+                const response = await fetch(base + '/large', {
+                    onDownloadProgress: () => { throw new Error('callback failed'); }
+                });
+                const length = (await response.text()).length;
+                console.error = originalError;
+                const copiedUploads = [];
+                const request = new Request(base + '/echo', {
+                    method: 'POST',
+                    body: 'copied',
+                    onUploadProgress: event => copiedUploads.push(event.loaded)
+                });
+                await (await fetch(new Request(request))).text();
+                testCompleted({
+                    notFunction: attempt({ onUploadProgress: 'yes' }),
+                    notFunctionDownload: attempt({ onDownloadProgress: {} }),
+                    nullAllowed: attempt({ onUploadProgress: null, onDownloadProgress: undefined }),
+                    throwingCallbackLength: length,
+                    loggedError: errors[0],
+                    copiedUploads
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["notFunction"].toString(), "TypeError")
+        XCTAssertEqual(result["notFunctionDownload"].toString(), "TypeError")
+        XCTAssertEqual(result["nullAllowed"].toString(), "created")
+        XCTAssertEqual(Int(result["throwingCallbackLength"].numberValue ?? 0), 500_000,
+                       "A callback that throws does not affect the fetch")
+        XCTAssertEqual(result["loggedError"].toString(), "callback failed")
+        XCTAssertEqual(result["copiedUploads"].toArray() as? [Int], [6], "Copies of a request keep its callbacks")
+    }
+}
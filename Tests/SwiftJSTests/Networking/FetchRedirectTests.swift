@@ -219,9 +219,10 @@ final class FetchRedirectTests: XCTestCase {
             .then(response => {
                 testCompleted({
                     success: true,
+                    type: response.type,
                     status: response.status,
-                    isRedirectStatus: response.status >= 300 && response.status < 400,
                     hasLocationHeader: response.headers.has('location') || response.headers.has('Location'),
+                    hasBody: response.body !== null,
                     url: response.url,
                     redirected: response.redirected
                 });
@@ -235,13 +236,13 @@ final class FetchRedirectTests: XCTestCase {
         context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
             let result = args[0]
             if result["success"].boolValue == true {
-                let status = Int(result["status"].numberValue ?? 0)
-                if result["isRedirectStatus"].boolValue == true {
-                    XCTAssertTrue(status >= 300 && status < 400, "Should return redirect status code")
-                } else {
-                    // The underlying HTTP client might follow redirects automatically
-                    XCTAssertTrue(true, "Underlying HTTP client behavior varies")
-                }
+                // Manual mode yields an opaque-redirect response that hides the redirect
+                XCTAssertEqual(result["type"].toString(), "opaqueredirect")
+                XCTAssertEqual(Int(result["status"].numberValue ?? -1), 0)
+                XCTAssertFalse(result["hasLocationHeader"].boolValue ?? true)
+                XCTAssertFalse(result["hasBody"].boolValue ?? true)
+                XCTAssertEqual(result["url"].toString(), "https://postman-echo.com/redirect-to?url=https://postman-echo.com/get")
+                XCTAssertFalse(result["redirected"].boolValue ?? true)
             } else {
                 XCTAssertTrue(true, "Network test skipped: \(result["error"].toString())")
             }
@@ -530,4 +531,206 @@ final class FetchRedirectTests: XCTestCase {
         context.evaluateScript(script)
         wait(for: [expectation], timeout: 10.0)
     }
+    
+    // MARK: - Redirect Limit Tests
+    
+    func testRedirectLimitExceeded() {
+        let expectation = XCTestExpectation(description: "Redirect limit test")
+        
+        let script = """
+            // Build a chain of 21 redirects, one more than fetch follows
+            let url = '/get';
+            for (let i = 0; i < 21; i++) {
+                url = '/redirect-to?url=' + encodeURIComponent(url);
+            }
+            
+            fetch('https://postman-echo.com' + url)
+            .then(response => {
+                testCompleted({ success: false, unexpectedSuccess: true, status: response.status });
+            })
+            .catch(error => {
+                testCompleted({
+                    success: error.message.includes('redirects'),
+                    errorName: error.name,
+                    error: error.message
+                });
+            });
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            if result["success"].boolValue == true {
+                XCTAssertEqual(result["errorName"].toString(), "TypeError", "Too many redirects should reject with a TypeError")
+            } else {
+                XCTAssertFalse(result["unexpectedSuccess"].boolValue ?? false, "Should not follow more than 20 redirects")
+                XCTAssertTrue(true, "Network test skipped: \(result["error"].toString())")
+            }
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 60.0)
+    }
+    
+    // MARK: - Redirect Header and Body Tests
+    
+    func testCrossOriginRedirectStripsCredentials() {
+        let expectation = XCTestExpectation(description: "Cross-origin redirect strips credentials test")
+        
+        let script = """
+            // Changing the scheme makes the redirect target a different origin
+            const target = 'http://postman-echo.com/headers';
+            Promise.all([
+                fetch('https://postman-echo.com/redirect-to?url=' + encodeURIComponent(target), {
+                    headers: { 'Authorization': 'Bearer secret', 'X-Custom-Header': 'kept' }
+                }).then(response => response.json()),
+                fetch('https://postman-echo.com/redirect-to?url=' + encodeURIComponent('/headers'), {
+                    headers: { 'Authorization': 'Bearer secret' }
+                }).then(response => response.json())
+            ])
+            .then(([crossOrigin, sameOrigin]) => {
+                testCompleted({
+                    success: true,
+                    crossOriginAuthorization: crossOrigin.headers.authorization ?? null,
+                    crossOriginCustom: crossOrigin.headers['x-custom-header'] ?? null,
+                    sameOriginAuthorization: sameOrigin.headers.authorization ?? null
+                });
+            })
+            .catch(error => {
+                testCompleted({ success: false, error: error.message });
+            });
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            if result["success"].boolValue == true {
+                XCTAssertTrue(result["crossOriginAuthorization"].isNull, "Authorization should not be sent to another origin")
+                XCTAssertEqual(result["crossOriginCustom"].toString(), "kept", "Other headers should be preserved")
+                XCTAssertEqual(result["sameOriginAuthorization"].toString(), "Bearer secret", "Same-origin redirects keep Authorization")
+            } else {
+                XCTAssertTrue(true, "Network test skipped: \(result["error"].toString())")
+            }
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 20.0)
+    }
+    
+    func testRedirect307ResendsBody() {
+        let expectation = XCTestExpectation(description: "307 redirect resends body test")
+        
+        let script = """
+            fetch('https://postman-echo.com/redirect-to?url=' + encodeURIComponent('/post') + '&status_code=307', {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain' },
+                body: 'redirected payload'
+            })
+            .then(async response => {
+                testCompleted({
+                    success: true,
+                    status: response.status,
+                    redirected: response.redirected,
+                    data: response.ok ? (await response.json()).data : null
+                });
+            })
+            .catch(error => {
+                testCompleted({ success: false, error: error.message });
+            });
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            if result["success"].boolValue == true && Int(result["status"].numberValue ?? 0) == 200 {
+                XCTAssertTrue(result["redirected"].boolValue ?? false, "Response should be marked as redirected")
+                XCTAssertEqual(result["data"].toString(), "redirected payload", "307 should re-send the request body")
+            } else {
+                XCTAssertTrue(true, "Network test skipped: \(result["error"].toString())")
+            }
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 15.0)
+    }
+    
+    func testRedirect307WithStreamBodyFails() {
+        let expectation = XCTestExpectation(description: "307 redirect with stream body test")
+        
+        let script = """
+            const body = new ReadableStream({
+                start(controller) {
+                    controller.enqueue(new TextEncoder().encode('streamed payload'));
+                    controller.close();
+                }
+            });
+            fetch('https://postman-echo.com/redirect-to?url=' + encodeURIComponent('/post') + '&status_code=307', {
+                method: 'POST',
+                body
+            })
+            .then(response => {
+                testCompleted({ success: false, unexpectedSuccess: true, status: response.status });
+            })
+            .catch(error => {
+                testCompleted({
+                    success: error.message.includes('ReadableStream'),
+                    errorName: error.name,
+                    error: error.message
+                });
+            });
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            if result["success"].boolValue == true {
+                XCTAssertEqual(result["errorName"].toString(), "TypeError", "A consumed stream body cannot be re-sent")
+            } else {
+                // The server may answer with another redirect status, which drops the body
+                XCTAssertTrue(true, "Network test skipped: \(result["error"].toString())")
+            }
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 15.0)
+    }
+    
+    // MARK: - Redirect Response Tests
+    
+    func testResponseRedirectAndErrorStatics() {
+        let script = """
+            const redirect = Response.redirect('https://example.com/next', 307);
+            const error = Response.error();
+            let invalidStatus = null;
+            try { Response.redirect('https://example.com/', 200); } catch (e) { invalidStatus = e.name; }
+            ({
+                redirectType: redirect.type,
+                redirectStatus: redirect.status,
+                location: redirect.headers.get('Location'),
+                errorType: error.type,
+                errorStatus: error.status,
+                errorOk: error.ok,
+                invalidStatus
+            })
+        """
+        
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        
+        XCTAssertEqual(result["redirectType"].toString(), "default")
+        XCTAssertEqual(Int(result["redirectStatus"].numberValue ?? -1), 307)
+        XCTAssertEqual(result["location"].toString(), "https://example.com/next")
+        XCTAssertEqual(result["errorType"].toString(), "error")
+        XCTAssertEqual(Int(result["errorStatus"].numberValue ?? -1), 0)
+        XCTAssertFalse(result["errorOk"].boolValue ?? true)
+        XCTAssertEqual(result["invalidStatus"].toString(), "RangeError")
+    }
 }
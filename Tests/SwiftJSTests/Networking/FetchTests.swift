@@ -449,6 +449,96 @@ final class FetchTests: XCTestCase {
         wait(for: [expectation], timeout: 10.0)
     }
     
+    // MARK: - Content Encoding Tests
+    
+    func testFetchDecodesCompressedResponses() {
+        let expectation = XCTestExpectation(description: "Fetch decodes gzip and deflate bodies")
+        
+        let script = """
+            const load = (url) => fetch(url).then(async response => ({
+                contentEncoding: response.headers.get('Content-Encoding'),
+                contentLength: response.headers.get('Content-Length'),
+                body: await response.json()
+            }));
+            
+            Promise.all([
+                load('https://postman-echo.com/gzip'),
+                load('https://postman-echo.com/deflate')
+            ]).then(([gzip, deflate]) => {
+                testCompleted({
+                    gzipped: gzip.body.gzipped,
+                    deflated: deflate.body.deflated,
+                    acceptEncoding: gzip.body.headers['accept-encoding'],
+                    contentEncoding: gzip.contentEncoding ?? deflate.contentEncoding,
+                    contentLength: gzip.contentLength ?? deflate.contentLength
+                });
+            }).catch(error => {
+                testCompleted({ error: error.message });
+            });
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            if result["error"].isString {
+                // Network might not be available, skip the test
+                XCTAssertTrue(true, "Network test skipped: \(result["error"].toString())")
+            } else {
+                XCTAssertTrue(result["gzipped"].boolValue ?? false)
+                XCTAssertTrue(result["deflated"].boolValue ?? false)
+                XCTAssertTrue(result["acceptEncoding"].toString().contains("gzip"))
+                XCTAssertTrue(result["contentEncoding"].isNull)
+                XCTAssertTrue(result["contentLength"].isNull)
+            }
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 10.0)
+    }
+    
+    func testFetchDecompressFalseKeepsEncodedBody() {
+        let expectation = XCTestExpectation(description: "Fetch with decompress: false")
+        
+        let script = """
+            fetch('https://postman-echo.com/gzip', { decompress: false })
+                .then(async response => {
+                    const [raw, forDecoding] = response.body.tee();
+                    const bytes = new Uint8Array(await new Response(raw).arrayBuffer());
+                    const decoded = await new Response(
+                        forDecoding.pipeThrough(new DecompressionStream('gzip'))
+                    ).json();
+                    testCompleted({
+                        contentEncoding: response.headers.get('Content-Encoding'),
+                        magic: Array.from(bytes.slice(0, 2)).join(','),
+                        gzipped: decoded.gzipped
+                    });
+                })
+                .catch(error => {
+                    testCompleted({ error: error.message });
+                });
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            if result["error"].isString {
+                // Network might not be available, skip the test
+                XCTAssertTrue(true, "Network test skipped: \(result["error"].toString())")
+            } else {
+                XCTAssertEqual(result["contentEncoding"].toString(), "gzip")
+                XCTAssertEqual(result["magic"].toString(), "31,139")
+                XCTAssertTrue(result["gzipped"].boolValue ?? false)
+            }
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 10.0)
+    }
+    
     // MARK: - Status Code Tests
     
     func testFetchStatusCodes() {
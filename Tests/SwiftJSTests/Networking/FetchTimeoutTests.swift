@@ -0,0 +1,237 @@
+//
+//  FetchTimeoutTests.swift
+//  SwiftJS Fetch Timeout Tests
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import XCTest
+@testable import SwiftJS
+
+/// Tests for fetch timeouts: the idle and total timeouts set on a request,
+/// an HttpClient or fetch.defaultTimeout, and deadlines from AbortSignal,
+/// run against a local server that holds back its responses.
+@MainActor
+final class FetchTimeoutTests: XCTestCase {
+
+    private var server: LocalHTTPServer!
+
+    override func setUp() async throws {
+        server = try LocalHTTPServer { request in
+            switch request.path {
+            case "/slow":
+                return .init(body: "slow", delay: .seconds(2))
+            case "/slow-body":
+                return .init(body: "slow body", bodyDelay: .seconds(2))
+            default:
+                return .init(body: "fast")
+            }
+        }
+    }
+
+    override func tearDown() async throws {
+        server.shutdown()
+        server = nil
+    }
+
+    /// Gives each script the server URL and a way to describe errors
+    private var prelude: String {
+        """
+        const base = '\(server.baseURL)';
+        const failure = (error) => ({
+            name: error.name,
+            isDOMException: error instanceof DOMException,
+            code: error.code
+        });
+        """
+    }
+
+    // MARK: - Option Tests
+
+    func testTimeoutOptions() {
+        let script = """
+            const attempt = (create) => {
+                try { create(); return 'created'; } catch (error) { return error.name; }
+            };
+            const initial = fetch.defaultTimeout;
+            fetch.defaultTimeout = 60000;
+            const afterNumber = fetch.defaultTimeout;
+            fetch.defaultTimeout = { idle: null };
+            const afterIdle = fetch.defaultTimeout;
+            fetch.defaultTimeout.connect = 1;
+            const client = createHttpClient({ timeout: { connect: 5000 } });
+            ({
+                initial,
+                afterNumber,
+                afterIdle,
+                unchangedByCopy: fetch.defaultTimeout.connect,
+                clientTimeout: client.timeout,
+                requestNumber: attempt(() => new Request('https://example.com/', { timeout: 1000 })),
+                requestPhases: attempt(() => new Request('https://example.com/', { timeout: { connect: 100, idle: null } })),
+                requestNull: attempt(() => new Request('https://example.com/', { timeout: null })),
+                negative: attempt(() => new Request('https://example.com/', { timeout: -1 })),
+                zero: attempt(() => new Request('https://example.com/', { timeout: { idle: 0 } })),
+                notNumber: attempt(() => new Request('https://example.com/', { timeout: { total: '100' } })),
+                string: attempt(() => new Request('https://example.com/', { timeout: '100' })),
+                clientInvalid: attempt(() => createHttpClient({ timeout: { total: Infinity } })),
+                defaultInvalid: attempt(() => { fetch.defaultTimeout = { connect: NaN }; })
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertEqual(Int(result["initial"]["connect"].numberValue ?? 0), 30000)
+        XCTAssertEqual(Int(result["initial"]["idle"].numberValue ?? 0), 30000)
+        XCTAssertTrue(result["initial"]["total"].isNull)
+        XCTAssertEqual(Int(result["afterNumber"]["total"].numberValue ?? 0), 60000)
+        XCTAssertEqual(Int(result["afterNumber"]["idle"].numberValue ?? 0), 30000)
+        XCTAssertTrue(result["afterIdle"]["idle"].isNull)
+        XCTAssertEqual(Int(result["afterIdle"]["total"].numberValue ?? 0), 60000)
+        XCTAssertEqual(Int(result["unchangedByCopy"].numberValue ?? 0), 30000)
+        XCTAssertEqual(Int(result["clientTimeout"]["connect"].numberValue ?? 0), 5000)
+        XCTAssertTrue(result["clientTimeout"]["total"].isUndefined)
+        XCTAssertEqual(result["requestNumber"].toString(), "created")
+        XCTAssertEqual(result["requestPhases"].toString(), "created")
+        XCTAssertEqual(result["requestNull"].toString(), "created")
+        XCTAssertEqual(result["negative"].toString(), "RangeError")
+        XCTAssertEqual(result["zero"].toString(), "RangeError")
+        XCTAssertEqual(result["notNumber"].toString(), "RangeError")
+        XCTAssertEqual(result["string"].toString(), "TypeError")
+        XCTAssertEqual(result["clientInvalid"].toString(), "RangeError")
+        XCTAssertEqual(result["defaultInvalid"].toString(), "RangeError")
+    }
+
+    // MARK: - Timeout Tests
+
+    func testTotalTimeout() {
+        let result = evaluateAsync("""
+            (async () => {
+                const fast = await fetch(base + '/fast', { timeout: 5000 });
+                const body = await fast.text();
+                const started = Date.now();
+                try {
+                    await fetch(base + '/slow', { timeout: 200 });
+                    testCompleted({ body, error: null });
+                } catch (error) {
+                    testCompleted({ body, error: failure(error), elapsed: Date.now() - started });
+                }
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["body"].toString(), "fast")
+        XCTAssertEqual(result["error"]["name"].toString(), "TimeoutError")
+        XCTAssertTrue(result["error"]["isDOMException"].boolValue ?? false)
+        XCTAssertEqual(Int(result["error"]["code"].numberValue ?? 0), 23)
+        XCTAssertLessThan(result["elapsed"].numberValue ?? .infinity, 1500)
+    }
+
+    func testTotalTimeoutCoversTheBody() {
+        let result = evaluateAsync("""
+            (async () => {
+                const response = await fetch(base + '/slow-body', { timeout: 300 });
+                try {
+                    await response.text();
+                    testCompleted({ status: response.status, error: null });
+                } catch (error) {
+                    testCompleted({ status: response.status, error: failure(error) });
+                }
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(Int(result["status"].numberValue ?? 0), 200)
+        XCTAssertEqual(result["error"]["name"].toString(), "TimeoutError")
+        XCTAssertTrue(result["error"]["isDOMException"].boolValue ?? false)
+    }
+
+    func testIdleTimeout() {
+        let result = evaluateAsync("""
+            fetch(base + '/slow', { timeout: { idle: 200 } })
+                .then(response => testCompleted({ status: response.status }))
+                .catch(error => testCompleted({ error: failure(error) }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["error"]["name"].toString(), "TimeoutError")
+        XCTAssertTrue(result["error"]["isDOMException"].boolValue ?? false)
+    }
+
+    func testManyDistinctTimeouts() {
+        let result = evaluateAsync("""
+            // More timeout pairs than the native clients kept for them, all
+            // running while the older clients are evicted
+            Promise.all(Array.from({ length: 12 }, (_, i) =>
+                fetch(base + '/slow-body', { timeout: { idle: 5000 + i } }).then(response => response.text())
+            ))
+                .then(bodies => testCompleted({ bodies }))
+                .catch(error => testCompleted({ error: failure(error) }));
+        """, prelude: prelude)
+
+        XCTAssertTrue(result["error"].isUndefined)
+        XCTAssertEqual(result["bodies"].toArray() as? [String], Array(repeating: "slow body", count: 12))
+    }
+
+    func testDefaultAndClientTimeouts() {
+        let result = evaluateAsync("""
+            (async () => {
+                fetch.defaultTimeout = { total: 200 };
+                const outcome = (promise) => promise
+                    .then(response => response.text())
+                    .catch(error => error.name);
+                const byDefault = await outcome(fetch(base + '/slow'));
+                const client = createHttpClient({ timeout: { total: null } });
+                const byClient = await outcome(fetch(base + '/slow', { client }));
+                const byRequest = await outcome(fetch(base + '/slow', { client, timeout: 200 }));
+                testCompleted({ byDefault, byClient, byRequest });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["byDefault"].toString(), "TimeoutError")
+        XCTAssertEqual(result["byClient"].toString(), "slow")
+        XCTAssertEqual(result["byRequest"].toString(), "TimeoutError")
+    }
+
+    func testSignalDeadlines() {
+        let result = evaluateAsync("""
+            (async () => {
+                const controller = new AbortController();
+                const outcome = (promise) => promise.then(() => null, error => error);
+                const timedOut = await outcome(fetch(base + '/slow', {
+                    signal: AbortSignal.any([AbortSignal.timeout(200), controller.signal])
+                }));
+                const userSignal = new AbortController();
+                setTimeout(() => userSignal.abort('cancelled by user'), 100);
+                const aborted = await outcome(fetch(base + '/slow', { signal: userSignal.signal }));
+                const abortedDefault = await outcome(fetch(base + '/fast', { signal: AbortSignal.abort() }));
+                testCompleted({
+                    timedOut: failure(timedOut),
+                    aborted,
+                    abortedDefault: failure(abortedDefault)
+                });
+            })().catch(error => testCompleted({ unexpected: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["timedOut"]["name"].toString(), "TimeoutError")
+        XCTAssertTrue(result["timedOut"]["isDOMException"].boolValue ?? false)
+        XCTAssertEqual(result["aborted"].toString(), "cancelled by user")
+        XCTAssertEqual(result["abortedDefault"]["name"].toString(), "AbortError")
+        XCTAssertTrue(result["abortedDefault"]["isDOMException"].boolValue ?? false)
+    }
+}
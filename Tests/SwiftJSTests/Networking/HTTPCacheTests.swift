@@ -0,0 +1,337 @@
+//
+//  HTTPCacheTests.swift
+//  SwiftJS HTTP Cache Tests
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import XCTest
+@testable import SwiftJS
+
+/// Tests for the on-disk HTTP cache behind fetch and the Request.cache modes,
+/// run against a local server so that cache headers and request counts are exact.
+@MainActor
+final class HTTPCacheTests: XCTestCase {
+
+    private var server: LocalHTTPServer!
+
+    override func setUp() async throws {
+        server = try LocalHTTPServer { request in
+            let path = request.path.split(separator: "?")[0]
+            switch path {
+            case "/fresh", "/items":
+                if request.method == "POST" {
+                    return .init(status: .created, body: "created")
+                }
+                return .init(headers: [("Cache-Control", "max-age=60")], body: "fresh")
+            case "/etag":
+                if request.headers["If-None-Match"].first == "\"v1\"" {
+                    return .init(status: .notModified, headers: [("ETag", "\"v1\""), ("X-Revalidated", "yes")])
+                }
+                return .init(headers: [("ETag", "\"v1\""), ("Cache-Control", "no-cache"), ("X-Revalidated", "no")], body: "tagged")
+            case "/last-modified":
+                if !request.headers["If-Modified-Since"].isEmpty {
+                    return .init(status: .notModified)
+                }
+                return .init(headers: [("Last-Modified", "Sun, 06 Nov 1994 08:49:37 GMT"), ("Cache-Control", "max-age=0")], body: "dated")
+            case "/no-store":
+                return .init(headers: [("Cache-Control", "no-store")], body: "private")
+            case "/public":
+                return .init(headers: [("Cache-Control", "public, max-age=60")], body: "shared")
+            case "/private":
+                return .init(headers: [("Cache-Control", "private, max-age=60")], body: "per user")
+            case "/shared-max-age":
+                return .init(headers: [("Cache-Control", "s-maxage=0, max-age=3600")], body: "shared stale")
+            case "/proxy-revalidate":
+                return .init(headers: [("Cache-Control", "max-age=0, proxy-revalidate")], body: "revalidated")
+            default:
+                return .init(status: .notFound)
+            }
+        }
+    }
+
+    override func tearDown() async throws {
+        server.shutdown()
+        server = nil
+    }
+
+    /// Gives each script a fresh cache directory, and a `finish` function that
+    /// clears it before calling `testCompleted`
+    private var prelude: String {
+        """
+        const base = '\(server.baseURL)';
+        const cacheDirectory = Path.join(_FileSystem.temp, 'SwiftJS-HTTPCacheTests-' + crypto.randomUUID());
+        HTTPCache.shared = new HTTPCache({ directory: cacheDirectory });
+        const load = async (path, init) => {
+            const response = await fetch(base + path, init);
+            return { status: response.status, body: await response.text(), age: response.headers.get('Age') };
+        };
+        const finish = (result) => {
+            HTTPCache.shared.clear();
+            testCompleted(result);
+        };
+        """
+    }
+
+    private func requests(to path: String) -> [LocalHTTPServer.Request] {
+        return server.requests.filter { $0.path == path }
+    }
+
+    // MARK: - Request.cache Tests
+
+    func testRequestCacheOption() {
+        let script = """
+            const attempt = (cache) => {
+                try { return new Request('https://example.com/', { cache }).cache; } catch (error) { return error.name; }
+            };
+            ({
+                defaultMode: new Request('https://example.com/').cache,
+                modes: ['default', 'no-store', 'reload', 'no-cache', 'force-cache', 'only-if-cached'].map(attempt).join(','),
+                invalid: attempt('sometimes'),
+                copied: new Request(new Request('https://example.com/', { cache: 'reload' })).cache
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertEqual(result["defaultMode"].toString(), "default")
+        XCTAssertEqual(result["modes"].toString(), "default,no-store,reload,no-cache,force-cache,only-if-cached")
+        XCTAssertEqual(result["invalid"].toString(), "TypeError")
+        XCTAssertEqual(result["copied"].toString(), "reload")
+    }
+
+    // MARK: - Freshness and Revalidation Tests
+
+    func testFreshResponseIsServedFromCache() {
+        let result = evaluateAsync("""
+            (async () => {
+                const first = await load('/fresh');
+                const second = await load('/fresh');
+                finish({ first, second });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["first"]["body"].toString(), "fresh")
+        XCTAssertTrue(result["first"]["age"].isNull)
+        XCTAssertEqual(result["second"]["body"].toString(), "fresh")
+        XCTAssertEqual(result["second"]["age"].toString(), "0")
+        XCTAssertEqual(requests(to: "/fresh").count, 1)
+    }
+
+    func testETagRevalidation() {
+        let result = evaluateAsync("""
+            (async () => {
+                await load('/etag');
+                const response = await fetch(base + '/etag');
+                finish({
+                    status: response.status,
+                    body: await response.text(),
+                    revalidated: response.headers.get('X-Revalidated')
+                });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        // The 304 is answered with the stored body and its updated headers
+        XCTAssertEqual(Int(result["status"].numberValue ?? 0), 200)
+        XCTAssertEqual(result["body"].toString(), "tagged")
+        XCTAssertEqual(result["revalidated"].toString(), "yes")
+        let received = requests(to: "/etag")
+        XCTAssertEqual(received.count, 2)
+        XCTAssertEqual(received.last?.headers["If-None-Match"].first, "\"v1\"")
+    }
+
+    func testLastModifiedRevalidation() {
+        let result = evaluateAsync("""
+            (async () => {
+                await load('/last-modified');
+                finish(await load('/last-modified'));
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(Int(result["status"].numberValue ?? 0), 200)
+        XCTAssertEqual(result["body"].toString(), "dated")
+        let received = requests(to: "/last-modified")
+        XCTAssertEqual(received.count, 2)
+        XCTAssertEqual(received.last?.headers["If-Modified-Since"].first, "Sun, 06 Nov 1994 08:49:37 GMT")
+    }
+
+    // MARK: - Cache Mode Tests
+
+    func testCacheModes() {
+        let result = evaluateAsync("""
+            (async () => {
+                await load('/fresh', { cache: 'no-store' });
+                let noStoreMiss = null;
+                try { await load('/fresh', { cache: 'only-if-cached' }); } catch (error) { noStoreMiss = error.name; }
+
+                await load('/fresh');
+                await load('/fresh', { cache: 'reload' });
+                await load('/fresh', { cache: 'no-cache' });
+                await load('/last-modified');
+                const forceCache = await load('/last-modified', { cache: 'force-cache' });
+                const onlyIfCached = await load('/last-modified', { cache: 'only-if-cached' });
+                finish({ noStoreMiss, forceCache: forceCache.body, onlyIfCached: onlyIfCached.body });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["noStoreMiss"].toString(), "TypeError")
+        XCTAssertEqual(result["forceCache"].toString(), "dated")
+        XCTAssertEqual(result["onlyIfCached"].toString(), "dated")
+
+        // no-store, the first default load, reload and no-cache all reach the server
+        let fresh = requests(to: "/fresh")
+        XCTAssertEqual(fresh.count, 4)
+        XCTAssertEqual(fresh[0].headers["Pragma"].first, "no-cache")
+        XCTAssertEqual(fresh[2].headers["Cache-Control"].first, "no-cache")
+        XCTAssertEqual(fresh[3].headers["Cache-Control"].first, "max-age=0")
+        // force-cache and only-if-cached use the stale response without revalidating
+        XCTAssertEqual(requests(to: "/last-modified").count, 1)
+    }
+
+    func testNoStoreResponseAndUnsafeMethodInvalidation() {
+        let result = evaluateAsync("""
+            (async () => {
+                await load('/no-store');
+                await load('/no-store');
+                await load('/items');
+                const post = await load('/items', { method: 'POST', body: 'item' });
+                const afterPost = await load('/items');
+                finish({ post: post.status, afterPost: afterPost.age });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(Int(result["post"].numberValue ?? 0), 201)
+        XCTAssertTrue(result["afterPost"].isNull, "The POST should remove the stored response")
+        XCTAssertEqual(requests(to: "/no-store").count, 2)
+        XCTAssertEqual(requests(to: "/items").count, 3)
+    }
+
+    func testCredentialedRequests() {
+        let result = evaluateAsync("""
+            (async () => {
+                const cookieJar = new CookieJar();
+                cookieJar.setCookie('session=abc', base);
+                const client = new HttpClient({ headers: { Authorization: 'Bearer client' } });
+                for (let i = 0; i < 2; i++) {
+                    await load('/fresh', { headers: { Authorization: 'Bearer token' } });
+                    await load('/fresh', { headers: { Cookie: 'session=abc' } });
+                    await load('/fresh', { cookieJar });
+                    await load('/fresh', { client });
+                }
+                const shared = await load('/public', { headers: { Authorization: 'Bearer token' } });
+                const sharedAgain = await load('/public', { headers: { Authorization: 'Bearer token' } });
+                client.close();
+                finish({ shared: shared.age, sharedAgain: sharedAgain.age });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(requests(to: "/fresh").count, 8, "Responses to requests with credentials should not be stored")
+        XCTAssertTrue(result["shared"].isNull)
+        XCTAssertFalse(result["sharedAgain"].isNull, "A public response may be stored")
+        XCTAssertEqual(requests(to: "/public").count, 1)
+    }
+
+    func testPrivateResponsesAreNotStored() {
+        let result = evaluateAsync("""
+            (async () => {
+                const first = await load('/private');
+                const second = await load('/private');
+                finish({ body: second.body, age: second.age });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["body"].toString(), "per user")
+        XCTAssertTrue(result["age"].isNull)
+        XCTAssertEqual(requests(to: "/private").count, 2, "A private response should not be stored in the shared cache")
+    }
+
+    func testSharedCacheDirectives() {
+        let result = evaluateAsync("""
+            (async () => {
+                const authorized = { headers: { Authorization: 'Bearer token' } };
+                await load('/shared-max-age', authorized);
+                const sharedMaxAge = await load('/shared-max-age', authorized);
+                await load('/proxy-revalidate');
+                const proxyRevalidate = await load('/proxy-revalidate', { headers: { 'Cache-Control': 'max-stale' } });
+                finish({ sharedMaxAge: sharedMaxAge.age, proxyRevalidate: proxyRevalidate.age });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertTrue(result["sharedMaxAge"].isNull, "s-maxage should take precedence over max-age")
+        XCTAssertTrue(result["proxyRevalidate"].isNull, "A response with proxy-revalidate should not be used stale")
+        XCTAssertEqual(requests(to: "/shared-max-age").count, 2)
+        XCTAssertEqual(requests(to: "/proxy-revalidate").count, 2)
+    }
+
+    func testClientsDoNotShareStoredResponses() {
+        let result = evaluateAsync("""
+            (async () => {
+                const first = new HttpClient();
+                const second = new HttpClient();
+                const fromCache = [];
+                for (const client of [undefined, first, second, first, undefined]) {
+                    fromCache.push((await load('/fresh', { client })).age !== null);
+                }
+                const deleted = HTTPCache.shared.delete(base + '/fresh');
+                const afterDelete = (await load('/fresh', { client: first })).age;
+                first.close();
+                second.close();
+                finish({ fromCache, deleted, afterDelete });
+            })().catch(error => finish({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["fromCache"].toArray() as? [Bool], [false, false, false, true, true],
+                       "Each client should have its own stored responses")
+        XCTAssertEqual(result["deleted"].boolValue, true)
+        XCTAssertTrue(result["afterDelete"].isNull, "delete() should remove the responses stored for every client")
+        XCTAssertEqual(requests(to: "/fresh").count, 4)
+    }
+
+    // MARK: - Storage Tests
+
+    func testCachePersistsAcrossContexts() {
+        let directory = NSTemporaryDirectory() + "SwiftJS-HTTPCacheTests-" + UUID().uuidString
+        defer { try? FileManager.default.removeItem(atPath: directory) }
+
+        for fromCache in [false, true] {
+            let expectation = XCTestExpectation(description: "cached load")
+            let context = SwiftJS()
+            context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+                XCTAssertEqual(args[0]["body"].toString(), "fresh")
+                XCTAssertEqual(args[0]["fromCache"].boolValue, fromCache)
+                expectation.fulfill()
+                return SwiftJS.Value.undefined
+            }
+            context.evaluateScript("""
+                HTTPCache.shared = new HTTPCache({ directory: '\(directory)' });
+                fetch('\(server.baseURL)/fresh')
+                    .then(async response => testCompleted({
+                        body: await response.text(),
+                        fromCache: response.headers.has('Age')
+                    }))
+                    .catch(error => testCompleted({ error: error.message }));
+            """)
+            wait(for: [expectation], timeout: 10.0)
+        }
+        XCTAssertEqual(requests(to: "/fresh").count, 1)
+    }
+}
@@ -317,6 +317,51 @@ final class HeadersTests: XCTestCase {
         XCTAssertEqual(result["afterSet"].toString(), "single-value")
     }
     
+    func testHeadersGetSetCookie() {
+        let script = """
+            const headers = new Headers([
+                ['Set-Cookie', 'a=1; Expires=Wed, 21 Oct 2099 07:28:00 GMT'],
+                ['X-Other', 'value'],
+                ['set-cookie', 'b=2']
+            ]);
+            const initial = headers.getSetCookie();
+            const entries = [...headers].map(([key, value]) => key + ': ' + value);
+            const combined = headers.get('Set-Cookie');
+            const copied = new Headers(headers).getSetCookie();
+            
+            headers.set('Set-Cookie', 'c=3');
+            const afterSet = headers.getSetCookie();
+            headers.delete('Set-Cookie');
+            
+            ({
+                initial,
+                entries,
+                combined,
+                copied,
+                afterSet,
+                afterDelete: headers.getSetCookie().length,
+                none: new Headers().getSetCookie().length
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        
+        XCTAssertEqual(Int(result["initial"]["length"].numberValue ?? 0), 2)
+        XCTAssertEqual(result["initial"][0].toString(), "a=1; Expires=Wed, 21 Oct 2099 07:28:00 GMT")
+        XCTAssertEqual(result["initial"][1].toString(), "b=2")
+        // Each Set-Cookie value is iterated separately
+        XCTAssertEqual(Int(result["entries"]["length"].numberValue ?? 0), 3)
+        XCTAssertEqual(result["entries"][0].toString(), "set-cookie: a=1; Expires=Wed, 21 Oct 2099 07:28:00 GMT")
+        XCTAssertEqual(result["entries"][1].toString(), "set-cookie: b=2")
+        XCTAssertEqual(result["entries"][2].toString(), "x-other: value")
+        XCTAssertEqual(result["combined"].toString(), "a=1; Expires=Wed, 21 Oct 2099 07:28:00 GMT, b=2")
+        XCTAssertEqual(Int(result["copied"]["length"].numberValue ?? 0), 2)
+        XCTAssertEqual(Int(result["afterSet"]["length"].numberValue ?? 0), 1)
+        XCTAssertEqual(result["afterSet"][0].toString(), "c=3")
+        XCTAssertEqual(Int(result["afterDelete"].numberValue ?? -1), 0)
+        XCTAssertEqual(Int(result["none"].numberValue ?? -1), 0)
+    }
+    
     // MARK: - Iteration Tests
     
     func testHeadersIteration() {
@@ -0,0 +1,362 @@
+//
+//  HttpTransportTests.swift
+//  SwiftJS HttpTransport Tests
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import XCTest
+@testable import SwiftJS
+
+/// Tests for HttpTransport interceptors and HAR recording and replay, for
+/// both fetch and XMLHttpRequest, run against a local server.
+@MainActor
+final class HttpTransportTests: XCTestCase {
+
+    private var server: LocalHTTPServer!
+
+    override func setUp() async throws {
+        server = try LocalHTTPServer { request in
+            switch request.path {
+            case "/data":
+                return .init(headers: [("Content-Type", "application/json")], body: "{\"value\":42}")
+            case "/redirect":
+                return .init(status: .found, headers: [("Location", "/data")])
+            case "/echo":
+                return .init(body: request.body)
+            case "/header":
+                return .init(body: request.headers["X-N"].first ?? "")
+            case "/cacheable":
+                return .init(headers: [("Cache-Control", "max-age=60")], body: "network:/cacheable")
+            default:
+                return .init(body: "network:\(request.path)")
+            }
+        }
+    }
+
+    override func tearDown() async throws {
+        server.shutdown()
+        server = nil
+    }
+
+    /// Gives each script the server URL and a promise-based XMLHttpRequest
+    private var prelude: String {
+        """
+        const base = '\(server.baseURL)';
+        const xhrRequest = (method, url, body = null) => new Promise(resolve => {
+            const xhr = new XMLHttpRequest();
+            xhr.open(method, url);
+            xhr.onload = () => resolve({
+                status: xhr.status,
+                body: xhr.responseText,
+                contentType: xhr.getResponseHeader('Content-Type')
+            });
+            xhr.onerror = () => resolve({ error: true });
+            xhr.send(body);
+        });
+        """
+    }
+
+    private func requests(to path: String) -> [LocalHTTPServer.Request] {
+        return server.requests.filter { $0.path == path }
+    }
+
+    // MARK: - Interceptor Tests
+
+    func testInterceptorsRewriteRequests() {
+        let result = evaluateAsync("""
+            HttpTransport.use(async (request, next) => {
+                request.headers.set('X-Intercepted', request.method);
+                return next(new Request(request.url.replace('/old', '/new'), request));
+            });
+            (async () => {
+                const response = await fetch(base + '/old');
+                const xhr = await xhrRequest('GET', base + '/old?from=xhr');
+                testCompleted({ body: await response.text(), url: response.url, xhr: xhr.body });
+            })().catch(error => testCompleted({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["body"].toString(), "network:/new")
+        XCTAssertEqual(result["url"].toString(), "\(server.baseURL)/new")
+        XCTAssertEqual(result["xhr"].toString(), "network:/new?from=xhr")
+        XCTAssertTrue(requests(to: "/old").isEmpty)
+        XCTAssertEqual(requests(to: "/new").first?.headers["X-Intercepted"].first, "GET")
+    }
+
+    func testInterceptorsAnswerRequests() {
+        let result = evaluateAsync("""
+            const remove = HttpTransport.use({
+                intercept(request, next) {
+                    if (request.url.endsWith('/offline')) return Response.error();
+                    if (!request.url.endsWith('/mock')) return next();
+                    let count = 0;
+                    const body = new ReadableStream({
+                        pull(controller) {
+                            if (++count > 3) return controller.close();
+                            return new Promise(resolve => setTimeout(() => {
+                                controller.enqueue(new TextEncoder().encode('chunk' + count + ';'));
+                                resolve();
+                            }, 5));
+                        }
+                    });
+                    return new Response(body, { status: 201, headers: { 'Content-Type': 'text/plain' } });
+                }
+            });
+            (async () => {
+                const response = await fetch(base + '/mock');
+                const reader = response.body.getReader();
+                const chunks = [];
+                for (let read = await reader.read(); !read.done; read = await reader.read()) {
+                    chunks.push(new TextDecoder().decode(read.value));
+                }
+                const xhr = await xhrRequest('GET', base + '/mock');
+                let offline = null;
+                try { await fetch(base + '/offline'); } catch (error) { offline = error.name; }
+                const passedOn = await (await fetch(base + '/passed-on')).text();
+                remove();
+                const removed = await (await fetch(base + '/mock')).text();
+                testCompleted({
+                    status: response.status,
+                    url: response.url,
+                    chunks,
+                    xhr,
+                    offline,
+                    passedOn,
+                    removed,
+                    remaining: HttpTransport.interceptors.length
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(Int(result["status"].numberValue ?? 0), 201)
+        XCTAssertEqual(result["url"].toString(), "\(server.baseURL)/mock")
+        XCTAssertEqual(result["chunks"].toArray() as? [String], ["chunk1;", "chunk2;", "chunk3;"])
+        XCTAssertEqual(Int(result["xhr"]["status"].numberValue ?? 0), 201)
+        XCTAssertEqual(result["xhr"]["body"].toString(), "chunk1;chunk2;chunk3;")
+        XCTAssertEqual(result["xhr"]["contentType"].toString(), "text/plain")
+        XCTAssertEqual(result["offline"].toString(), "TypeError")
+        XCTAssertEqual(result["passedOn"].toString(), "network:/passed-on")
+        XCTAssertEqual(result["removed"].toString(), "network:/mock")
+        XCTAssertEqual(Int(result["remaining"].numberValue ?? -1), 0)
+        XCTAssertEqual(requests(to: "/mock").count, 1, "Only the request after remove() reaches the server")
+    }
+
+    func testInterceptorOrderAndValidation() {
+        let result = evaluateAsync("""
+            const order = [];
+            HttpTransport.use(async (request, next) => {
+                order.push('outer');
+                const response = await next();
+                order.push('outer done');
+                return response;
+            });
+            HttpTransport.use((request, next) => {
+                order.push('inner');
+                return request.url.endsWith('/invalid') ? 'not a response' : next();
+            });
+            const attempt = (create) => {
+                try { create(); return 'created'; } catch (error) { return error.name; }
+            };
+            (async () => {
+                await (await fetch(base + '/ordered')).text();
+                let invalid = null;
+                try { await fetch(base + '/invalid'); } catch (error) { invalid = error.name; }
+                const count = HttpTransport.interceptors.length;
+                HttpTransport.clear();
+                testCompleted({
+                    order,
+                    invalid,
+                    count,
+                    cleared: HttpTransport.interceptors.length,
+                    construct: attempt(() => new HttpTransport()),
+                    notInterceptor: attempt(() => HttpTransport.use({}))
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["order"].toArray() as? [String], ["outer", "inner", "outer done", "outer", "inner"])
+        XCTAssertEqual(result["invalid"].toString(), "TypeError")
+        XCTAssertEqual(Int(result["count"].numberValue ?? 0), 2)
+        XCTAssertEqual(Int(result["cleared"].numberValue ?? -1), 0)
+        XCTAssertEqual(result["construct"].toString(), "TypeError")
+        XCTAssertEqual(result["notInterceptor"].toString(), "TypeError")
+    }
+
+    func testInterceptorsBypassTheCache() {
+        let result = evaluateAsync("""
+            HTTPCache.shared = new HTTPCache({
+                directory: Path.join(_FileSystem.temp, 'SwiftJS-HttpTransportTests-' + crypto.randomUUID())
+            });
+            const load = async (path) => {
+                const response = await fetch(base + path);
+                return { body: await response.text(), fromCache: response.headers.has('Age') };
+            };
+            (async () => {
+                await load('/cacheable');
+                const seen = [];
+                let remove = HttpTransport.use((request, next) => {
+                    seen.push(new URL(request.url).pathname);
+                    return next();
+                });
+                const intercepted = await load('/cacheable');
+                remove();
+                remove = HttpTransport.use(() => new Response('mock', { headers: { 'Cache-Control': 'max-age=60' } }));
+                const mocked = await load('/mocked');
+                remove();
+                const afterMock = await load('/mocked');
+                const cached = await load('/cacheable');
+                HTTPCache.shared.clear();
+                testCompleted({ seen, intercepted, mocked, afterMock, cached });
+            })().catch(error => testCompleted({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["seen"].toArray() as? [String], ["/cacheable"], "A stored response should not skip the interceptors")
+        XCTAssertFalse(result["intercepted"]["fromCache"].boolValue ?? true)
+        XCTAssertEqual(result["mocked"]["body"].toString(), "mock")
+        XCTAssertEqual(result["afterMock"]["body"].toString(), "network:/mocked", "A response made by an interceptor should not be stored")
+        XCTAssertTrue(result["cached"]["fromCache"].boolValue ?? false)
+        XCTAssertEqual(requests(to: "/cacheable").count, 2)
+    }
+
+    // MARK: - HAR Tests
+
+    func testRecordAndReplay() {
+        let path = NSTemporaryDirectory() + "SwiftJS-HttpTransportTests-" + UUID().uuidString + "/api.har"
+        defer { try? FileManager.default.removeItem(atPath: (path as NSString).deletingLastPathComponent) }
+
+        let recorded = evaluateAsync("""
+            const recorder = new HarRecorder();
+            HttpTransport.use(recorder);
+            (async () => {
+                const data = await (await fetch(base + '/redirect')).json();
+                const echo = await (await fetch(base + '/echo', { method: 'POST', body: 'hello' })).text();
+                const first = await (await fetch(base + '/header', { headers: { 'X-N': '1' } })).text();
+                const second = await (await fetch(base + '/header', { headers: { 'X-N': '2' } })).text();
+                const xhr = await xhrRequest('POST', base + '/echo', new Uint8Array([0xff, 0xfe]));
+                recorder.save('\(path)');
+                const entries = recorder.toJSON().log.entries;
+                testCompleted({
+                    value: data.value,
+                    echo,
+                    first,
+                    second,
+                    xhrStatus: xhr.status,
+                    version: recorder.toJSON().log.version,
+                    urls: entries.map(entry => entry.request.method + ' ' + new URL(entry.request.url).pathname),
+                    redirectURL: entries[0].response.redirectURL,
+                    postData: entries[2].request.postData.text,
+                    binaryEncoding: entries[5].request.postData._encoding,
+                    contentType: entries[1].response.content.mimeType
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(Int(recorded["value"].numberValue ?? 0), 42)
+        XCTAssertEqual(recorded["echo"].toString(), "hello")
+        XCTAssertEqual(recorded["first"].toString(), "1")
+        XCTAssertEqual(recorded["second"].toString(), "2")
+        XCTAssertEqual(Int(recorded["xhrStatus"].numberValue ?? 0), 200)
+        XCTAssertEqual(recorded["version"].toString(), "1.2")
+        XCTAssertEqual(recorded["urls"].toArray() as? [String], [
+            "GET /redirect", "GET /data", "POST /echo", "GET /header", "GET /header", "POST /echo",
+        ])
+        XCTAssertEqual(recorded["redirectURL"].toString(), "/data")
+        XCTAssertEqual(recorded["postData"].toString(), "hello")
+        XCTAssertEqual(recorded["binaryEncoding"].toString(), "base64")
+        XCTAssertEqual(recorded["contentType"].toString(), "application/json")
+
+        let requestCount = server.requests.count
+        let replayed = evaluateAsync("""
+            HttpTransport.use(HarReplayer.load('\(path)'));
+            (async () => {
+                const redirected = await fetch(base + '/redirect');
+                const data = await redirected.json();
+                const headers = [];
+                for (let i = 0; i < 3; i++) {
+                    headers.push(await (await fetch(base + '/header')).text());
+                }
+                const xhr = await xhrRequest('GET', base + '/data');
+                let unmatched = null;
+                try { await fetch(base + '/unknown'); } catch (error) { unmatched = error.name; }
+                testCompleted({
+                    value: data.value,
+                    redirected: redirected.redirected,
+                    contentType: redirected.headers.get('Content-Type'),
+                    headers,
+                    xhr: xhr.body,
+                    unmatched
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(Int(replayed["value"].numberValue ?? 0), 42)
+        XCTAssertTrue(replayed["redirected"].boolValue ?? false)
+        XCTAssertEqual(replayed["contentType"].toString(), "application/json")
+        XCTAssertEqual(replayed["headers"].toArray() as? [String], ["1", "2", "2"])
+        XCTAssertEqual(replayed["xhr"].toString(), "{\"value\":42}")
+        XCTAssertEqual(replayed["unmatched"].toString(), "TypeError")
+        XCTAssertEqual(server.requests.count, requestCount, "Replayed requests never reach the server")
+    }
+
+    func testReplayFallthrough() {
+        let result = evaluateAsync("""
+            const har = {
+                log: {
+                    version: '1.2',
+                    entries: [{
+                        request: { method: 'GET', url: base + '/fixture', headers: [] },
+                        response: {
+                            status: 200,
+                            headers: [{ name: ':status', value: '200' }, { name: 'Content-Type', value: 'application/octet-stream' }],
+                            content: { text: btoa('binary'), encoding: 'base64' }
+                        }
+                    }, {
+                        request: { method: 'GET', url: base + '/failed', headers: [] },
+                        response: { status: 0, _error: 'connection refused' }
+                    }]
+                }
+            };
+            HttpTransport.use(new HarReplayer(JSON.stringify(har), { fallthrough: true }));
+            (async () => {
+                const fixture = await fetch(base + '/fixture#section');
+                let failed = null;
+                try { await fetch(base + '/failed'); } catch (error) { failed = error.message; }
+                let invalid = null;
+                try { new HarReplayer({}); } catch (error) { invalid = error.name; }
+                testCompleted({
+                    fixture: await fixture.text(),
+                    contentType: fixture.headers.get('Content-Type'),
+                    failed,
+                    network: await (await fetch(base + '/live')).text(),
+                    invalid
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """, prelude: prelude)
+
+        XCTAssertEqual(result["fixture"].toString(), "binary")
+        XCTAssertEqual(result["contentType"].toString(), "application/octet-stream")
+        XCTAssertEqual(result["failed"].toString(), "connection refused")
+        XCTAssertEqual(result["network"].toString(), "network:/live")
+        XCTAssertEqual(result["invalid"].toString(), "TypeError")
+        XCTAssertTrue(requests(to: "/fixture").isEmpty)
+    }
+}
@@ -0,0 +1,169 @@
+//
+//  LocalHTTPServer.swift
+//  SwiftJS Test Support
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import Foundation
+import NIO
+import NIOHTTP1
+
+/// A minimal HTTP/1.1 server on 127.0.0.1 that stands in for a remote server
+/// in tests which need exact control over response headers and need to see
+/// the requests that were made.
+final class LocalHTTPServer: @unchecked Sendable {
+
+    struct Request: Sendable {
+        let method: String
+        let path: String
+        let headers: HTTPHeaders
+        let body: String
+    }
+
+    struct Response: Sendable {
+        var status: HTTPResponseStatus = .ok
+        var headers: [(String, String)] = []
+        var body: String = ""
+        /// Holds back the head, and then the body, to exercise client timeouts
+        var delay: TimeAmount = .zero
+        var bodyDelay: TimeAmount = .zero
+    }
+
+    typealias Handler = @Sendable (Request) -> Response
+
+    private let group: MultiThreadedEventLoopGroup
+    private let channel: Channel
+    private let recorder: RequestRecorder
+
+    /// Binds to a free port; the handler is called once per complete request
+    init(handler: @escaping Handler) throws {
+        let group = MultiThreadedEventLoopGroup(numberOfThreads: 1)
+        let recorder = RequestRecorder()
+        let bootstrap = ServerBootstrap(group: group)
+            .serverChannelOption(ChannelOptions.socketOption(.so_reuseaddr), value: 1)
+            .childChannelInitializer { channel in
+                channel.eventLoop.makeCompletedFuture {
+                    try channel.pipeline.syncOperations.configureHTTPServerPipeline()
+                    try channel.pipeline.syncOperations.addHandler(
+                        LocalHTTPServerHandler(handler: handler, recorder: recorder))
+                }
+            }
+
+        do {
+            self.channel = try bootstrap.bind(host: "127.0.0.1", port: 0).wait()
+        } catch {
+            try? group.syncShutdownGracefully()
+            throw error
+        }
+        self.group = group
+        self.recorder = recorder
+    }
+
+    var port: Int {
+        return channel.localAddress?.port ?? 0
+    }
+
+    var baseURL: String {
+        return "http://127.0.0.1:\(port)"
+    }
+
+    /// Requests received so far, in order of arrival
+    var requests: [Request] {
+        return recorder.requests
+    }
+
+    func shutdown() {
+        try? channel.close().wait()
+        try? group.syncShutdownGracefully()
+    }
+}
+
+private final class RequestRecorder: @unchecked Sendable {
+
+    private let lock = NSLock()
+    private var recorded: [LocalHTTPServer.Request] = []
+
+    var requests: [LocalHTTPServer.Request] {
+        return lock.withLock { recorded }
+    }
+
+    func append(_ request: LocalHTTPServer.Request) {
+        lock.withLock { recorded.append(request) }
+    }
+}
+
+private final class LocalHTTPServerHandler: ChannelInboundHandler {
+
+    typealias InboundIn = HTTPServerRequestPart
+    typealias OutboundOut = HTTPServerResponsePart
+
+    private let handler: LocalHTTPServer.Handler
+    private let recorder: RequestRecorder
+    private var head: HTTPRequestHead?
+    private var body = ByteBuffer()
+
+    init(handler: @escaping LocalHTTPServer.Handler, recorder: RequestRecorder) {
+        self.handler = handler
+        self.recorder = recorder
+    }
+
+    func channelRead(context: ChannelHandlerContext, data: NIOAny) {
+        switch unwrapInboundIn(data) {
+        case .head(let head):
+            self.head = head
+            body.clear()
+        case .body(var chunk):
+            body.writeBuffer(&chunk)
+        case .end:
+            guard let head = head else { return }
+            self.head = nil
+
+            let request = LocalHTTPServer.Request(
+                method: head.method.rawValue,
+                path: head.uri,
+                headers: head.headers,
+                body: String(buffer: body)
+            )
+            recorder.append(request)
+            let response = handler(request)
+
+            // 204 and 304 responses never have a body, so they carry no length
+            var headers = HTTPHeaders(response.headers)
+            if response.status != .noContent && response.status != .notModified {
+                headers.replaceOrAdd(name: "Content-Length", value: String(response.body.utf8.count))
+            }
+            let responseHead = HTTPResponseHead(version: head.version, status: response.status, headers: headers)
+            let body = head.method != .HEAD && !response.body.isEmpty ? ByteBuffer(string: response.body) : nil
+            let boundContext = NIOLoopBound(context, eventLoop: context.eventLoop)
+            context.eventLoop.scheduleTask(in: response.delay) {
+                boundContext.value.writeAndFlush(NIOAny(HTTPServerResponsePart.head(responseHead)), promise: nil)
+            }
+            context.eventLoop.scheduleTask(in: response.delay + response.bodyDelay) {
+                if let body = body {
+                    boundContext.value.write(NIOAny(HTTPServerResponsePart.body(.byteBuffer(body))), promise: nil)
+                }
+                boundContext.value.writeAndFlush(NIOAny(HTTPServerResponsePart.end(nil)), promise: nil)
+            }
+        }
+    }
+}
@@ -0,0 +1,52 @@
+//
+//  ScriptEvaluation.swift
+//  SwiftJS Test Support
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import XCTest
+@testable import SwiftJS
+
+extension XCTestCase {
+
+    /// Evaluates `prelude` and then `script` in a new context, and waits for
+    /// the script to report its result by calling `testCompleted`
+    @MainActor
+    func evaluateAsync(_ script: String, prelude: String = "", timeout: TimeInterval = 10.0) -> SwiftJS.Value {
+        let expectation = XCTestExpectation(description: "script completed")
+        var result = SwiftJS.Value.undefined
+
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            result = args[0]
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        context.evaluateScript("""
+            \(prelude)
+            \(script)
+        """)
+        wait(for: [expectation], timeout: timeout)
+        return result
+    }
+}
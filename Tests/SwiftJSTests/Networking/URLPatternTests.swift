@@ -0,0 +1,231 @@
+//
+//  URLPatternTests.swift
+//  SwiftJS URLPattern API Tests
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import XCTest
+@testable import SwiftJS
+
+/// Tests for the WHATWG URL API: parsing, relative resolution, host handling,
+/// Tests for the URLPattern API: pattern syntax, constructor strings,
+/// component defaults and matching with `test` and `exec`.
+@MainActor
+final class URLPatternTests: XCTestCase {
+
+    // MARK: - Matching Tests
+
+    func testURLPatternNamedGroups() {
+        let script = """
+            const pattern = new URLPattern({ pathname: '/repos/:owner/:name' });
+            const match = pattern.exec('https://api.github.com/repos/o2ter/SwiftJS');
+            ({
+                matches: pattern.test('https://example.com/repos/a/b'),
+                tooDeep: pattern.test('https://example.com/repos/a/b/c'),
+                owner: match.pathname.groups.owner,
+                name: match.pathname.groups.name,
+                input: match.pathname.input,
+                hostname: match.hostname.input,
+                inputs: match.inputs.length
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertTrue(result["matches"].boolValue ?? false)
+        XCTAssertFalse(result["tooDeep"].boolValue ?? true)
+        XCTAssertEqual(result["owner"].toString(), "o2ter")
+        XCTAssertEqual(result["name"].toString(), "SwiftJS")
+        XCTAssertEqual(result["input"].toString(), "/repos/o2ter/SwiftJS")
+        XCTAssertEqual(result["hostname"].toString(), "api.github.com")
+        XCTAssertEqual(Int(result["inputs"].numberValue ?? -1), 1)
+    }
+
+    func testURLPatternModifiersAndWildcards() {
+        let script = """
+            const optional = new URLPattern({ pathname: '/docs/:page?' });
+            const repeated = new URLPattern({ pathname: '/files/:path+' });
+            const wildcard = new URLPattern({ pathname: '/assets/*' });
+            const group = new URLPattern({ pathname: '/blog{/:year}?' });
+            ({
+                optionalAbsent: optional.test({ pathname: '/docs' }),
+                optionalValue: optional.exec({ pathname: '/docs/intro' }).pathname.groups.page,
+                optionalGroupPresent: 'page' in optional.exec({ pathname: '/docs' }).pathname.groups,
+                repeatedEmpty: repeated.test({ pathname: '/files' }),
+                repeatedPath: repeated.exec({ pathname: '/files/a/b.txt' }).pathname.groups.path,
+                wildcard: wildcard.exec({ pathname: '/assets/img/logo.png' }).pathname.groups[0],
+                groupWithout: group.test({ pathname: '/blog' }),
+                groupWith: group.exec({ pathname: '/blog/2025' }).pathname.groups.year,
+                groupPattern: group.pathname
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertTrue(result["optionalAbsent"].boolValue ?? false)
+        XCTAssertEqual(result["optionalValue"].toString(), "intro")
+        XCTAssertTrue(result["optionalGroupPresent"].boolValue ?? false)
+        XCTAssertFalse(result["repeatedEmpty"].boolValue ?? true)
+        XCTAssertEqual(result["repeatedPath"].toString(), "a/b.txt")
+        XCTAssertEqual(result["wildcard"].toString(), "img/logo.png")
+        XCTAssertTrue(result["groupWithout"].boolValue ?? false)
+        XCTAssertEqual(result["groupWith"].toString(), "2025")
+        // The default "/" prefix makes the braces redundant
+        XCTAssertEqual(result["groupPattern"].toString(), "/blog/:year?")
+    }
+
+    func testURLPatternRegExpGroups() {
+        let script = """
+            const pattern = new URLPattern({ pathname: '/issues/:id(\\\\d+)/(edit|view)' });
+            const match = pattern.exec({ pathname: '/issues/42/edit' });
+            ({
+                id: match.pathname.groups.id,
+                action: match.pathname.groups[0],
+                rejectsText: pattern.test({ pathname: '/issues/abc/edit' }),
+                hasRegExpGroups: pattern.hasRegExpGroups,
+                plainHasRegExpGroups: new URLPattern({ pathname: '/:id' }).hasRegExpGroups
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertEqual(result["id"].toString(), "42")
+        XCTAssertEqual(result["action"].toString(), "edit")
+        XCTAssertFalse(result["rejectsText"].boolValue ?? true)
+        XCTAssertTrue(result["hasRegExpGroups"].boolValue ?? false)
+        XCTAssertFalse(result["plainHasRegExpGroups"].boolValue ?? true)
+    }
+
+    // MARK: - Constructor Tests
+
+    func testURLPatternConstructorString() {
+        let script = """
+            const pattern = new URLPattern('https://*.example.com:8443/api/:version/items/*\\\\?debug=:flag#:section');
+            const match = pattern.exec('https://eu.example.com:8443/api/v2/items/7/photos?debug=1#top');
+            ({
+                components: [pattern.protocol, pattern.username, pattern.hostname, pattern.port, pattern.pathname, pattern.search, pattern.hash],
+                subdomain: match.hostname.groups[0],
+                version: match.pathname.groups.version,
+                rest: match.pathname.groups[0],
+                flag: match.search.groups.flag,
+                section: match.hash.groups.section,
+                defaultPort: new URLPattern('https://example.com:443/').port,
+                wrongPort: pattern.test('https://eu.example.com/api/v2/items/7?debug=1')
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertEqual(result["components"].toString(), "https,*,*.example.com,8443,/api/:version/items/*,debug=:flag,:section")
+        XCTAssertEqual(result["subdomain"].toString(), "eu")
+        XCTAssertEqual(result["version"].toString(), "v2")
+        XCTAssertEqual(result["rest"].toString(), "7/photos")
+        XCTAssertEqual(result["flag"].toString(), "1")
+        XCTAssertEqual(result["section"].toString(), "top")
+        XCTAssertEqual(result["defaultPort"].toString(), "")
+        XCTAssertFalse(result["wrongPort"].boolValue ?? true)
+    }
+
+    func testURLPatternBaseURL() {
+        let script = """
+            const relative = new URLPattern('/books/:id', 'https://example.com/library/');
+            const fromInit = new URLPattern({ pathname: ':id', baseURL: 'https://example.com/books/' });
+            ({
+                protocol: relative.protocol,
+                hostname: relative.hostname,
+                pathname: relative.pathname,
+                search: relative.search,
+                initPathname: fromInit.pathname,
+                initSearch: fromInit.search,
+                matchesURL: relative.test(new URL('https://example.com/books/1')),
+                matchesRelative: relative.test('/books/2', 'https://example.com'),
+                otherHost: relative.test('https://example.org/books/3')
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertEqual(result["protocol"].toString(), "https")
+        XCTAssertEqual(result["hostname"].toString(), "example.com")
+        XCTAssertEqual(result["pathname"].toString(), "/books/:id")
+        XCTAssertEqual(result["search"].toString(), "*")
+        XCTAssertEqual(result["initPathname"].toString(), "/books/:id")
+        // A pathname in the init stops the search from being inherited
+        XCTAssertEqual(result["initSearch"].toString(), "*")
+        XCTAssertTrue(result["matchesURL"].boolValue ?? false)
+        XCTAssertTrue(result["matchesRelative"].boolValue ?? false)
+        XCTAssertFalse(result["otherHost"].boolValue ?? true)
+    }
+
+    func testURLPatternCanonicalizesInput() {
+        let script = """
+            const pattern = new URLPattern({ hostname: 'bücher.example', pathname: '/café/:item' });
+            ({
+                hostname: pattern.hostname,
+                pathname: pattern.pathname,
+                matchesEncoded: pattern.test('https://xn--bcher-kva.example/caf%C3%A9/x'),
+                matchesUnicode: pattern.test({ hostname: 'BÜCHER.example', pathname: '/café/x' }),
+                caseSensitive: new URLPattern({ pathname: '/Docs' }).test({ pathname: '/docs' }),
+                ignoreCase: new URLPattern({ pathname: '/Docs' }, { ignoreCase: true }).test({ pathname: '/docs' })
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertEqual(result["hostname"].toString(), "xn--bcher-kva.example")
+        XCTAssertEqual(result["pathname"].toString(), "/caf%C3%A9/:item")
+        XCTAssertTrue(result["matchesEncoded"].boolValue ?? false)
+        XCTAssertTrue(result["matchesUnicode"].boolValue ?? false)
+        XCTAssertFalse(result["caseSensitive"].boolValue ?? true)
+        XCTAssertTrue(result["ignoreCase"].boolValue ?? false)
+    }
+
+    // MARK: - Error Tests
+
+    func testURLPatternInvalidPatterns() {
+        let script = """
+            const attempt = (...args) => {
+                try { new URLPattern(...args); return 'constructed'; } catch (error) { return error.name; }
+            };
+            ({
+                relativeWithoutBase: attempt('/books/:id'),
+                duplicateName: attempt({ pathname: '/:id/:id' }),
+                capturingGroup: attempt({ pathname: '/((a))' }),
+                unclosedGroup: attempt({ pathname: '/{foo' }),
+                invalidRegExp: attempt({ pathname: '/([)' }),
+                baseWithInit: attempt({ pathname: '/' }, 'https://example.com'),
+                unparseableInput: new URLPattern({ pathname: '/*' }).exec('not a url')
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+
+        XCTAssertEqual(result["relativeWithoutBase"].toString(), "TypeError")
+        XCTAssertEqual(result["duplicateName"].toString(), "TypeError")
+        XCTAssertEqual(result["capturingGroup"].toString(), "TypeError")
+        XCTAssertEqual(result["unclosedGroup"].toString(), "TypeError")
+        XCTAssertEqual(result["invalidRegExp"].toString(), "TypeError")
+        XCTAssertEqual(result["baseWithInit"].toString(), "TypeError")
+        XCTAssertTrue(result["unparseableInput"].isNull)
+    }
+}
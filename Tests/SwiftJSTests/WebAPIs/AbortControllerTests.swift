@@ -385,6 +385,136 @@ final class AbortControllerTests: XCTestCase {
         wait(for: [expectation], timeout: 2.0)
     }
     
+    // MARK: - Abort Reason Tests
+    
+    func testAbortReason() {
+        let script = """
+            const controller = new AbortController();
+            const before = controller.signal.reason;
+            controller.abort();
+            const reason = controller.signal.reason;
+            
+            const custom = new AbortController();
+            custom.abort('stopped');
+            custom.abort('ignored');
+            let thrown = null;
+            try { custom.signal.throwIfAborted(); } catch (e) { thrown = e; }
+            
+            const exception = new DOMException('Custom message', 'NotFoundError');
+            ({
+                before: before === undefined,
+                isDOMException: reason instanceof DOMException,
+                isError: reason instanceof Error,
+                name: reason.name,
+                code: reason.code,
+                customReason: custom.signal.reason,
+                thrown,
+                notAbortedDoesNotThrow: (() => { new AbortController().signal.throwIfAborted(); return true; })(),
+                staticAbort: AbortSignal.abort().aborted && AbortSignal.abort().reason.name,
+                staticAbortReason: AbortSignal.abort(42).reason,
+                exception: String(exception),
+                exceptionCode: exception.code,
+                defaultName: new DOMException().name,
+                defaultMessage: new DOMException().message
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        
+        XCTAssertTrue(result["before"].boolValue ?? false)
+        XCTAssertTrue(result["isDOMException"].boolValue ?? false)
+        XCTAssertTrue(result["isError"].boolValue ?? false)
+        XCTAssertEqual(result["name"].toString(), "AbortError")
+        XCTAssertEqual(Int(result["code"].numberValue ?? 0), 20)
+        XCTAssertEqual(result["customReason"].toString(), "stopped")
+        XCTAssertEqual(result["thrown"].toString(), "stopped")
+        XCTAssertTrue(result["notAbortedDoesNotThrow"].boolValue ?? false)
+        XCTAssertEqual(result["staticAbort"].toString(), "AbortError")
+        XCTAssertEqual(Int(result["staticAbortReason"].numberValue ?? 0), 42)
+        XCTAssertEqual(result["exception"].toString(), "NotFoundError: Custom message")
+        XCTAssertEqual(Int(result["exceptionCode"].numberValue ?? 0), 8)
+        XCTAssertEqual(result["defaultName"].toString(), "Error")
+        XCTAssertEqual(result["defaultMessage"].toString(), "")
+    }
+    
+    func testAbortSignalAny() {
+        let expectation = XCTestExpectation(description: "AbortSignal.any")
+        
+        let script = """
+            const first = new AbortController();
+            const second = new AbortController();
+            const combined = AbortSignal.any([first.signal, second.signal]);
+            const initiallyAborted = combined.aborted;
+            
+            let invalid = null;
+            try { AbortSignal.any([first.signal, {}]); } catch (e) { invalid = e.name; }
+            
+            const alreadyAborted = AbortSignal.any([first.signal, AbortSignal.abort('early')]);
+            
+            let events = 0;
+            combined.addEventListener('abort', () => events++);
+            second.abort('second');
+            first.abort('first');
+            
+            setTimeout(() => {
+                testCompleted({
+                    initiallyAborted,
+                    invalid,
+                    alreadyAborted: alreadyAborted.aborted,
+                    alreadyAbortedReason: alreadyAborted.reason,
+                    aborted: combined.aborted,
+                    reason: combined.reason,
+                    events
+                });
+            }, 10);
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["initiallyAborted"].boolValue ?? true)
+            XCTAssertEqual(result["invalid"].toString(), "TypeError")
+            XCTAssertTrue(result["alreadyAborted"].boolValue ?? false)
+            XCTAssertEqual(result["alreadyAbortedReason"].toString(), "early")
+            XCTAssertTrue(result["aborted"].boolValue ?? false)
+            XCTAssertEqual(result["reason"].toString(), "second")
+            XCTAssertEqual(Int(result["events"].numberValue ?? 0), 1)
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 2.0)
+    }
+    
+    func testAbortSignalTimeoutReason() {
+        let expectation = XCTestExpectation(description: "AbortSignal.timeout reason")
+        
+        let script = """
+            const signal = AbortSignal.any([AbortSignal.timeout(20), new AbortController().signal]);
+            signal.addEventListener('abort', () => {
+                testCompleted({
+                    name: signal.reason.name,
+                    code: signal.reason.code,
+                    isDOMException: signal.reason instanceof DOMException
+                });
+            });
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertEqual(result["name"].toString(), "TimeoutError")
+            XCTAssertEqual(Int(result["code"].numberValue ?? 0), 23)
+            XCTAssertTrue(result["isDOMException"].boolValue ?? false)
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 2.0)
+    }
+    
     // MARK: - AbortSignal with Other APIs Tests
     
     func testAbortSignalWithSetTimeout() {
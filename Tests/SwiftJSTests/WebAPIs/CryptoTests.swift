@@ -363,6 +363,108 @@ final class CryptoTests: XCTestCase {
         }
     }
     
+    // MARK: - crypto.createHash / crypto.createHmac Tests
+    
+    func testCreateHashEncodings() {
+        let script = """
+            const hash = () => crypto.createHash('sha256').update('abc');
+            const raw = hash().digest();
+            ({
+                hex: hash().digest('hex'),
+                base64url: hash().digest('base64url'),
+                latin1Length: hash().digest('latin1').length,
+                rawIsUint8Array: raw instanceof Uint8Array,
+                rawLength: raw.length,
+                chained: crypto.createHash('sha256').update('a').update(new TextEncoder().encode('b')).update('63', 'hex').digest('hex'),
+                md5: crypto.createHash('md5').update('').digest('hex')
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        
+        let abc = "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+        XCTAssertEqual(result["hex"].toString(), abc)
+        XCTAssertEqual(result["base64url"].toString(), "ungWv48Bz-pBQUDeXa4iI7ADYaOWF3qctBD_YfIAFa0")
+        XCTAssertEqual(result["latin1Length"].numberValue, 32)
+        XCTAssertTrue(result["rawIsUint8Array"].boolValue ?? false)
+        XCTAssertEqual(result["rawLength"].numberValue, 32)
+        XCTAssertEqual(result["chained"].toString(), abc)
+        XCTAssertEqual(result["md5"].toString(), "d41d8cd98f00b204e9800998ecf8427e")
+    }
+    
+    func testCreateHashCopyAndFinalization() {
+        let script = """
+            const base = crypto.createHash('sha256').update('ab');
+            const copy = base.copy();
+            const errors = [];
+            base.update('c');
+            const first = base.digest('hex');
+            try { base.update('more'); } catch (error) { errors.push(error.message); }
+            try { base.digest('hex'); } catch (error) { errors.push(error.message); }
+            try { crypto.createHash('whirlpool'); } catch (error) { errors.push(error.message); }
+            ({
+                first,
+                copy: copy.update('c').digest('hex'),
+                errors
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        
+        XCTAssertEqual(result["first"].toString(), result["copy"].toString())
+        XCTAssertEqual(result["errors"][0].toString(), "Digest already called")
+        XCTAssertEqual(result["errors"][1].toString(), "Digest already called")
+        XCTAssertEqual(result["errors"][2].toString(), "Digest method not supported: whirlpool")
+    }
+    
+    func testCreateHmac() {
+        let script = """
+            ({
+                // RFC 4231 test case 2
+                base64: crypto.createHmac('sha256', 'Jefe').update('what do ya want for nothing?').digest('base64'),
+                bufferKey: crypto.createHmac('sha256', new TextEncoder().encode('Jefe'))
+                    .update('what do ya want for nothing?').digest('base64')
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        
+        XCTAssertEqual(result["base64"].toString(), "W9zBRr9gdU5qBCQmCJV1x1oAPwidJzmDnexYuWTsOEM=")
+        XCTAssertEqual(result["bufferKey"].toString(), "W9zBRr9gdU5qBCQmCJV1x1oAPwidJzmDnexYuWTsOEM=")
+    }
+    
+    func testCreateHashAsWritableStreamSink() {
+        let expectation = XCTestExpectation(description: "hash a piped file stream")
+        
+        let script = """
+            const file = Path.join(_FileSystem.temp, 'SwiftJS-hash-' + Date.now() + '.txt');
+            _FileSystem.writeFile(file, 'stream me '.repeat(20000));
+            
+            const hash = crypto.createHash('sha256');
+            _FileSystem.createReadStream(file, { chunkSize: 4096 })
+                .pipeTo(hash.writable)
+                .then(() => {
+                    _FileSystem.remove(file);
+                    testCompleted({ hex: hash.digest('hex') });
+                })
+                .catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(
+                result["hex"].toString(),
+                "6e1f6803bd8d3aeb257e8a2f967f309e91edae8dd6ec3b6258f4503694343f1f")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 10.0)
+    }
+    
     // MARK: - Performance Tests
     
     func testRandomUUIDPerformance() {
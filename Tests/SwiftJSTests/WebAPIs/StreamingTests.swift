@@ -946,6 +946,122 @@ final class StreamingTests: XCTestCase {
         wait(for: [expectation], timeout: 10.0)
     }
     
+    // MARK: - Compression Stream Tests
+    
+    func testCompressionStreamGzipRoundTrip() {
+        let expectation = XCTestExpectation(description: "gzip round trip through Blob.stream()")
+        
+        let script = """
+            (async () => {
+                const text = 'SwiftJS compression '.repeat(500);
+                const compressed = new Uint8Array(await new Response(
+                    new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'))
+                ).arrayBuffer());
+                const restored = await new Response(
+                    new Blob([compressed]).stream().pipeThrough(new DecompressionStream('gzip'))
+                ).text();
+                testCompleted({
+                    magic: Array.from(compressed.slice(0, 2)).join(','),
+                    smaller: compressed.length < text.length,
+                    matches: restored === text
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["magic"].toString(), "31,139")
+            XCTAssertTrue(result["smaller"].boolValue ?? false)
+            XCTAssertTrue(result["matches"].boolValue ?? false)
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 10.0)
+    }
+    
+    func testDecompressionStreamDeflateFormats() {
+        let expectation = XCTestExpectation(description: "deflate and deflate-raw decompression")
+        
+        let script = """
+            const decompress = (format, chunks) => {
+                const stream = new DecompressionStream(format);
+                const writer = stream.writable.getWriter();
+                chunks.forEach(chunk => writer.write(chunk));
+                writer.close();
+                return new Response(stream.readable).text();
+            };
+            
+            (async () => {
+                const deflate = new Uint8Array([0x78, 0x9C, 0xCB, 0x48, 0xCD, 0xC9, 0xC9, 0x57, 0xC8, 0x40,
+                    0x90, 0x00, 0x3A, 0x2E, 0x06, 0x7D]);
+                const raw = new Uint8Array([0xCB, 0x48, 0xCD, 0xC9, 0xC9, 0x57, 0xC8, 0x40, 0x90, 0x00]);
+                testCompleted({
+                    deflate: await decompress('deflate', [deflate.subarray(0, 5), deflate.buffer.slice(5)]),
+                    raw: await decompress('deflate-raw', [raw])
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["deflate"].toString(), "hello hello hello")
+            XCTAssertEqual(result["raw"].toString(), "hello hello hello")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 10.0)
+    }
+    
+    func testCompressionStreamErrors() {
+        let expectation = XCTestExpectation(description: "compression stream errors")
+        
+        let script = """
+            const errorName = (fn) => { try { fn(); return null; } catch (error) { return error.name; } };
+            const decompress = (format, bytes) => new Response(
+                new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format))
+            ).arrayBuffer().then(() => null, error => error.name);
+            
+            (async () => {
+                const compressed = new Uint8Array(await new Response(
+                    new Blob(['truncated input']).stream().pipeThrough(new CompressionStream('deflate'))
+                ).arrayBuffer());
+                const withTrailingData = new Uint8Array(compressed.length + 1);
+                withTrailingData.set(compressed);
+                testCompleted({
+                    unknownFormat: errorName(() => new CompressionStream('brotli')),
+                    missingFormat: errorName(() => new DecompressionStream()),
+                    truncated: await decompress('deflate', compressed.slice(0, -4)),
+                    trailingData: await decompress('deflate', withTrailingData),
+                    wrongFormat: await decompress('gzip', compressed)
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["unknownFormat"].toString(), "TypeError")
+            XCTAssertEqual(result["missingFormat"].toString(), "TypeError")
+            XCTAssertEqual(result["truncated"].toString(), "TypeError")
+            XCTAssertEqual(result["trailingData"].toString(), "TypeError")
+            XCTAssertEqual(result["wrongFormat"].toString(), "TypeError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 10.0)
+    }
+    
     // MARK: - Error Handling Tests
     
     func testStreamErrorHandling() {
@@ -0,0 +1,1099 @@
+//
+//  SubtleCryptoTests.swift
+//  SwiftJS SubtleCrypto API Tests
+//
+//  The MIT License
+//  Copyright (c) 2021 - 2025 O2ter Limited. All rights reserved.
+//
+//  Permission is hereby granted, free of charge, to any person obtaining a copy
+//  of this software and associated documentation files (the "Software"), to deal
+//  in the Software without restriction, including without limitation the rights
+//  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+//  copies of the Software, and to permit persons to whom the Software is
+//  furnished to do so, subject to the following conditions:
+//
+//  The above copyright notice and this permission notice shall be included in
+//  all copies or substantial portions of the Software.
+//
+//  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+//  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+//  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+//  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+//  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+//  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+//  THE SOFTWARE.
+//
+
+import XCTest
+@testable import SwiftJS
+
+/// Tests for the Web Crypto SubtleCrypto interface exposed as crypto.subtle,
+/// covering digests, HMAC, AES encryption, ECDSA/Ed25519/RSA signatures, RSA-OAEP,
+/// key derivation, key wrapping and the algorithm normalization rules shared by all operations.
+@MainActor
+final class SubtleCryptoTests: XCTestCase {
+    
+    // MARK: - API Existence Tests
+    
+    func testSubtleCryptoExists() {
+        let script = """
+            ({
+                type: typeof crypto.subtle,
+                isSubtleCrypto: crypto.subtle instanceof SubtleCrypto,
+                sameInstance: crypto.subtle === crypto.subtle,
+                hasDigest: typeof crypto.subtle.digest === 'function'
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        
+        XCTAssertEqual(result["type"].toString(), "object")
+        XCTAssertTrue(result["isSubtleCrypto"].boolValue ?? false)
+        XCTAssertTrue(result["sameInstance"].boolValue ?? false)
+        XCTAssertTrue(result["hasDigest"].boolValue ?? false)
+    }
+    
+    // MARK: - crypto.subtle.digest Tests
+    
+    func testDigestKnownValues() {
+        let expectation = XCTestExpectation(description: "subtle digest known values")
+        
+        let script = """
+            const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+                .map(b => b.toString(16).padStart(2, '0')).join('');
+            const data = new TextEncoder().encode('abc');
+            
+            Promise.all([
+                crypto.subtle.digest('SHA-1', data),
+                crypto.subtle.digest('SHA-256', data),
+                crypto.subtle.digest('SHA-384', data),
+                crypto.subtle.digest('SHA-512', data)
+            ]).then(([sha1, sha256, sha384, sha512]) => {
+                testCompleted({
+                    isArrayBuffer: sha256 instanceof ArrayBuffer,
+                    sha1: toHex(sha1),
+                    sha256: toHex(sha256),
+                    sha384Length: sha384.byteLength,
+                    sha512Length: sha512.byteLength
+                });
+            }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertTrue(result["isArrayBuffer"].boolValue ?? false)
+            XCTAssertEqual(result["sha1"].toString(), "a9993e364706816aba3e25717850c26c9cd0d89d")
+            XCTAssertEqual(
+                result["sha256"].toString(),
+                "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad")
+            XCTAssertEqual(result["sha384Length"].numberValue, 48)
+            XCTAssertEqual(result["sha512Length"].numberValue, 64)
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testDigestAcceptsBufferSources() {
+        let expectation = XCTestExpectation(description: "subtle digest buffer sources")
+        
+        let script = """
+            const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+                .map(b => b.toString(16).padStart(2, '0')).join('');
+            const bytes = new TextEncoder().encode('xxabcxx');
+            const view = new DataView(bytes.buffer, 2, 3);
+            const subarray = bytes.subarray(2, 5);
+            const arrayBuffer = bytes.buffer.slice(2, 5);
+            
+            Promise.all([
+                crypto.subtle.digest({ name: 'sha-256' }, view),
+                crypto.subtle.digest('SHA-256', subarray),
+                crypto.subtle.digest('SHA-256', arrayBuffer),
+                crypto.subtle.digest('SHA-256', new Uint8Array(0))
+            ]).then(([fromView, fromSubarray, fromArrayBuffer, empty]) => {
+                testCompleted({
+                    fromView: toHex(fromView),
+                    fromSubarray: toHex(fromSubarray),
+                    fromArrayBuffer: toHex(fromArrayBuffer),
+                    empty: toHex(empty)
+                });
+            }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            let abc = "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["fromView"].toString(), abc)
+            XCTAssertEqual(result["fromSubarray"].toString(), abc)
+            XCTAssertEqual(result["fromArrayBuffer"].toString(), abc)
+            XCTAssertEqual(
+                result["empty"].toString(),
+                "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testDigestErrors() {
+        let expectation = XCTestExpectation(description: "subtle digest errors")
+        
+        let script = """
+            const capture = (promise) => promise.then(
+                () => ({ rejected: false }),
+                (error) => ({ rejected: true, name: error.name })
+            );
+            
+            Promise.all([
+                capture(crypto.subtle.digest('MD5', new Uint8Array(1))),
+                capture(crypto.subtle.digest('SHA-256', 'not a buffer')),
+                capture(crypto.subtle.digest({}, new Uint8Array(1)))
+            ]).then(([unsupported, invalidData, invalidAlgorithm]) => {
+                testCompleted({ unsupported, invalidData, invalidAlgorithm });
+            });
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertTrue(result["unsupported"]["rejected"].boolValue ?? false)
+            XCTAssertEqual(result["unsupported"]["name"].toString(), "NotSupportedError")
+            XCTAssertTrue(result["invalidData"]["rejected"].boolValue ?? false)
+            XCTAssertEqual(result["invalidData"]["name"].toString(), "TypeError")
+            XCTAssertTrue(result["invalidAlgorithm"]["rejected"].boolValue ?? false)
+            XCTAssertEqual(result["invalidAlgorithm"]["name"].toString(), "TypeError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    // MARK: - HMAC Tests
+    
+    func testHmacSignKnownValue() {
+        let expectation = XCTestExpectation(description: "HMAC RFC 4231 test case 1")
+        
+        let script = """
+            const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+                .map(b => b.toString(16).padStart(2, '0')).join('');
+            const data = new TextEncoder().encode('Hi There');
+            
+            crypto.subtle.importKey(
+                'raw', new Uint8Array(20).fill(0x0b),
+                { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']
+            ).then(async (key) => {
+                const signature = await crypto.subtle.sign('HMAC', key, data);
+                testCompleted({
+                    isCryptoKey: key instanceof CryptoKey,
+                    type: key.type,
+                    extractable: key.extractable,
+                    hash: key.algorithm.hash.name,
+                    length: key.algorithm.length,
+                    signature: toHex(signature),
+                    valid: await crypto.subtle.verify('HMAC', key, signature, data),
+                    tampered: await crypto.subtle.verify('HMAC', key, signature, new Uint8Array(1))
+                });
+            }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertTrue(result["isCryptoKey"].boolValue ?? false)
+            XCTAssertEqual(result["type"].toString(), "secret")
+            XCTAssertFalse(result["extractable"].boolValue ?? true)
+            XCTAssertEqual(result["hash"].toString(), "SHA-256")
+            XCTAssertEqual(result["length"].numberValue, 160)
+            XCTAssertEqual(
+                result["signature"].toString(),
+                "b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7")
+            XCTAssertTrue(result["valid"].boolValue ?? false)
+            XCTAssertFalse(result["tampered"].boolValue ?? true)
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testHmacGenerateAndJwkRoundTrip() {
+        let expectation = XCTestExpectation(description: "HMAC generateKey and JWK round trip")
+        
+        let script = """
+            const data = new TextEncoder().encode('payload');
+            
+            crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-512' }, true, ['sign', 'verify'])
+                .then(async (key) => {
+                    const raw = await crypto.subtle.exportKey('raw', key);
+                    const jwk = await crypto.subtle.exportKey('jwk', key);
+                    const imported = await crypto.subtle.importKey(
+                        'jwk', jwk, { name: 'HMAC', hash: 'SHA-512' }, false, ['verify']);
+                    const signature = await crypto.subtle.sign('HMAC', key, data);
+                    testCompleted({
+                        length: key.algorithm.length,
+                        rawLength: raw.byteLength,
+                        kty: jwk.kty,
+                        alg: jwk.alg,
+                        ext: jwk.ext,
+                        verified: await crypto.subtle.verify('HMAC', imported, signature, data)
+                    });
+                }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["length"].numberValue, 1024)
+            XCTAssertEqual(result["rawLength"].numberValue, 128)
+            XCTAssertEqual(result["kty"].toString(), "oct")
+            XCTAssertEqual(result["alg"].toString(), "HS512")
+            XCTAssertTrue(result["ext"].boolValue ?? false)
+            XCTAssertTrue(result["verified"].boolValue ?? false)
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testCryptoKeyRestrictions() {
+        let expectation = XCTestExpectation(description: "CryptoKey usage restrictions")
+        
+        let script = """
+            const capture = (promise) => promise.then(
+                () => ({ rejected: false }),
+                (error) => ({ rejected: true, name: error.name })
+            );
+            let illegalConstructor = false;
+            try { new CryptoKey(); } catch (error) { illegalConstructor = error instanceof TypeError; }
+            
+            crypto.subtle.importKey(
+                'raw', new Uint8Array(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
+            ).then(async (key) => {
+                testCompleted({
+                    illegalConstructor,
+                    exportNonExtractable: await capture(crypto.subtle.exportKey('raw', key)),
+                    signWithoutUsage: await capture(crypto.subtle.sign('HMAC', key, new Uint8Array(1))),
+                    emptyUsages: await capture(crypto.subtle.generateKey(
+                        { name: 'HMAC', hash: 'SHA-256' }, true, [])),
+                    invalidUsage: await capture(crypto.subtle.generateKey(
+                        { name: 'HMAC', hash: 'SHA-256' }, true, ['encrypt']))
+                });
+            }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertTrue(result["illegalConstructor"].boolValue ?? false)
+            XCTAssertEqual(result["exportNonExtractable"]["name"].toString(), "InvalidAccessError")
+            XCTAssertEqual(result["signWithoutUsage"]["name"].toString(), "InvalidAccessError")
+            XCTAssertEqual(result["emptyUsages"]["name"].toString(), "SyntaxError")
+            XCTAssertEqual(result["invalidUsage"]["name"].toString(), "SyntaxError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    // MARK: - AES Tests
+    
+    func testAesGcmKnownValue() {
+        let expectation = XCTestExpectation(description: "AES-GCM NIST test case 2")
+        
+        let script = """
+            const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+                .map(b => b.toString(16).padStart(2, '0')).join('');
+            const iv = new Uint8Array(12);
+            
+            crypto.subtle.importKey('raw', new Uint8Array(16), 'AES-GCM', false, ['encrypt', 'decrypt'])
+                .then(async (key) => {
+                    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new Uint8Array(16));
+                    const truncated = await crypto.subtle.encrypt(
+                        { name: 'AES-GCM', iv, tagLength: 96 }, key, new Uint8Array(16));
+                    const plaintext = await crypto.subtle.decrypt(
+                        { name: 'AES-GCM', iv, tagLength: 96 }, key, truncated);
+                    const tampered = new Uint8Array(ciphertext.slice(0));
+                    tampered[0] ^= 1;
+                    const tamperedError = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, tampered)
+                        .then(() => null, error => error.name);
+                    testCompleted({
+                        ciphertext: toHex(ciphertext),
+                        truncatedLength: truncated.byteLength,
+                        plaintext: toHex(plaintext),
+                        tamperedError
+                    });
+                }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(
+                result["ciphertext"].toString(),
+                "0388dace60b6a392f328c2b971b2fe78ab6e47d42cec13bdf53a67b21257bddf")
+            XCTAssertEqual(result["truncatedLength"].numberValue, 28)
+            XCTAssertEqual(result["plaintext"].toString(), String(repeating: "0", count: 32))
+            XCTAssertEqual(result["tamperedError"].toString(), "OperationError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testAesGcmAdditionalData() {
+        let expectation = XCTestExpectation(description: "AES-GCM additional data")
+        
+        let script = """
+            const encoder = new TextEncoder();
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            
+            crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt'])
+                .then(async (key) => {
+                    const params = { name: 'AES-GCM', iv, additionalData: encoder.encode('header') };
+                    const ciphertext = await crypto.subtle.encrypt(params, key, encoder.encode('secret payload'));
+                    const plaintext = await crypto.subtle.decrypt(params, key, ciphertext);
+                    const wrongDataError = await crypto.subtle.decrypt(
+                        { ...params, additionalData: encoder.encode('other') }, key, ciphertext
+                    ).then(() => null, error => error.name);
+                    testCompleted({
+                        text: new TextDecoder().decode(plaintext),
+                        wrongDataError
+                    });
+                }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["text"].toString(), "secret payload")
+            XCTAssertEqual(result["wrongDataError"].toString(), "OperationError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testAesCbcAndCtrRoundTrip() {
+        let expectation = XCTestExpectation(description: "AES-CBC and AES-CTR round trip")
+        
+        let script = """
+            const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+                .map(b => b.toString(16).padStart(2, '0')).join('');
+            const data = new Uint8Array(100).map((_, i) => i);
+            
+            (async () => {
+                const cbcKey = await crypto.subtle.generateKey({ name: 'AES-CBC', length: 128 }, false, ['encrypt', 'decrypt']);
+                const cbcParams = { name: 'AES-CBC', iv: new Uint8Array(16) };
+                const cbcCiphertext = await crypto.subtle.encrypt(cbcParams, cbcKey, data);
+                const cbcPlaintext = await crypto.subtle.decrypt(cbcParams, cbcKey, cbcCiphertext);
+                
+                // A 4 bit counter starting at 0xf wraps after the first block
+                const ctrKey = await crypto.subtle.generateKey({ name: 'AES-CTR', length: 256 }, false, ['encrypt', 'decrypt']);
+                const counter = new Uint8Array(16);
+                counter[15] = 0x0f;
+                const ctrParams = { name: 'AES-CTR', counter, length: 4 };
+                const ctrCiphertext = await crypto.subtle.encrypt(ctrParams, ctrKey, data);
+                const ctrPlaintext = await crypto.subtle.decrypt(ctrParams, ctrKey, ctrCiphertext);
+                const tooLongError = await crypto.subtle.encrypt(
+                    { name: 'AES-CTR', counter, length: 2 }, ctrKey, data
+                ).then(() => null, error => error.name);
+                const badIvError = await crypto.subtle.encrypt(
+                    { name: 'AES-CBC', iv: new Uint8Array(8) }, cbcKey, data
+                ).then(() => null, error => error.name);
+                
+                testCompleted({
+                    cbcLength: cbcCiphertext.byteLength,
+                    cbcRoundTrip: toHex(cbcPlaintext) === toHex(data),
+                    ctrLength: ctrCiphertext.byteLength,
+                    ctrRoundTrip: toHex(ctrPlaintext) === toHex(data),
+                    tooLongError,
+                    badIvError
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["cbcLength"].numberValue, 112)
+            XCTAssertTrue(result["cbcRoundTrip"].boolValue ?? false)
+            XCTAssertEqual(result["ctrLength"].numberValue, 100)
+            XCTAssertTrue(result["ctrRoundTrip"].boolValue ?? false)
+            XCTAssertEqual(result["tooLongError"].toString(), "OperationError")
+            XCTAssertEqual(result["badIvError"].toString(), "OperationError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testAesKeyImportExport() {
+        let expectation = XCTestExpectation(description: "AES key import and export")
+        
+        let script = """
+            const capture = (promise) => promise.then(() => null, (error) => error.name);
+            
+            (async () => {
+                const key = await crypto.subtle.importKey(
+                    'jwk', { kty: 'oct', k: 'AAECAwQFBgcICQoLDA0ODw', alg: 'A128CTR' },
+                    'AES-CTR', true, ['encrypt']);
+                const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+                const jwk = await crypto.subtle.exportKey('jwk', key);
+                testCompleted({
+                    name: key.algorithm.name,
+                    length: key.algorithm.length,
+                    lastByte: raw[15],
+                    alg: jwk.alg,
+                    k: jwk.k,
+                    badLength: await capture(crypto.subtle.importKey(
+                        'raw', new Uint8Array(20), 'AES-GCM', false, ['encrypt'])),
+                    algMismatch: await capture(crypto.subtle.importKey(
+                        'jwk', { kty: 'oct', k: jwk.k, alg: 'A128GCM' }, 'AES-CBC', false, ['encrypt'])),
+                    badGenerateLength: await capture(crypto.subtle.generateKey(
+                        { name: 'AES-GCM', length: 512 }, false, ['encrypt']))
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["name"].toString(), "AES-CTR")
+            XCTAssertEqual(result["length"].numberValue, 128)
+            XCTAssertEqual(result["lastByte"].numberValue, 15)
+            XCTAssertEqual(result["alg"].toString(), "A128CTR")
+            XCTAssertEqual(result["k"].toString(), "AAECAwQFBgcICQoLDA0ODw")
+            XCTAssertEqual(result["badLength"].toString(), "DataError")
+            XCTAssertEqual(result["algMismatch"].toString(), "DataError")
+            XCTAssertEqual(result["badGenerateLength"].toString(), "OperationError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    // MARK: - ECDSA and Ed25519 Tests
+    
+    func testEcdsaVerifiesBrowserSignature() {
+        let expectation = XCTestExpectation(description: "ECDSA verifies a raw r || s signature")
+        
+        let script = """
+            const fromHex = (hex) => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+            const jwk = {
+                kty: 'EC', crv: 'P-256',
+                x: 'IJh8uJGzGt6oYvmJ8z1iMD8OBoHaFB4794SRn0Ey9pI',
+                y: 'SFh20YYfFtPsL7gkHectfrDYBQjPWLcfc4-hPOFvg90'
+            };
+            const signature = fromHex(
+                '1efe951b5a290b08ee404c028cd8b15d3b0c8002bcd1f584297d67c701efbcff' +
+                'f4648bacc507236c9d61a83b2451ddb9839a3cea197e832313fbd77c7d010a8e');
+            const params = { name: 'ECDSA', hash: 'SHA-256' };
+            const data = new TextEncoder().encode('SwiftJS');
+            
+            crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, true, ['verify'])
+                .then(async (key) => {
+                    const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+                    testCompleted({
+                        type: key.type,
+                        namedCurve: key.algorithm.namedCurve,
+                        rawLength: raw.length,
+                        rawPrefix: raw[0],
+                        valid: await crypto.subtle.verify(params, key, signature, data),
+                        wrongData: await crypto.subtle.verify(params, key, signature, new Uint8Array(1)),
+                        malformed: await crypto.subtle.verify(params, key, new Uint8Array(3), data)
+                    });
+                }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["type"].toString(), "public")
+            XCTAssertEqual(result["namedCurve"].toString(), "P-256")
+            XCTAssertEqual(result["rawLength"].numberValue, 65)
+            XCTAssertEqual(result["rawPrefix"].numberValue, 4)
+            XCTAssertTrue(result["valid"].boolValue ?? false)
+            XCTAssertFalse(result["wrongData"].boolValue ?? true)
+            XCTAssertFalse(result["malformed"].boolValue ?? true)
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testEcdsaKeyPairRoundTrip() {
+        let expectation = XCTestExpectation(description: "ECDSA key pair export and import")
+        
+        let script = """
+            const algorithm = { name: 'ECDSA', namedCurve: 'P-384' };
+            const params = { name: 'ECDSA', hash: 'SHA-384' };
+            const data = new TextEncoder().encode('manifest');
+            
+            crypto.subtle.generateKey(algorithm, true, ['sign', 'verify']).then(async ({ publicKey, privateKey }) => {
+                const signature = await crypto.subtle.sign(params, privateKey, data);
+                const spki = await crypto.subtle.exportKey('spki', publicKey);
+                const pkcs8 = await crypto.subtle.exportKey('pkcs8', privateKey);
+                const jwk = await crypto.subtle.exportKey('jwk', privateKey);
+                const importedPublic = await crypto.subtle.importKey('spki', spki, algorithm, true, ['verify']);
+                const importedPrivate = await crypto.subtle.importKey('pkcs8', pkcs8, algorithm, false, ['sign']);
+                const jwkPrivate = await crypto.subtle.importKey('jwk', jwk, algorithm, false, ['sign']);
+                const resigned = await crypto.subtle.sign(params, importedPrivate, data);
+                const jwkSigned = await crypto.subtle.sign(params, jwkPrivate, data);
+                testCompleted({
+                    privateUsages: privateKey.usages.join(','),
+                    publicUsages: publicKey.usages.join(','),
+                    publicExtractable: publicKey.extractable,
+                    signatureLength: signature.byteLength,
+                    jwkCurve: jwk.crv,
+                    jwkHasD: typeof jwk.d === 'string',
+                    verified: await crypto.subtle.verify(params, importedPublic, signature, data),
+                    resignedVerified: await crypto.subtle.verify(params, publicKey, resigned, data),
+                    jwkVerified: await crypto.subtle.verify(params, publicKey, jwkSigned, data),
+                    wrongCurve: await crypto.subtle.importKey(
+                        'spki', spki, { name: 'ECDSA', namedCurve: 'P-256' }, true, ['verify']
+                    ).then(() => null, error => error.name),
+                    privateRaw: await crypto.subtle.exportKey('raw', privateKey).then(() => null, error => error.name)
+                });
+            }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["privateUsages"].toString(), "sign")
+            XCTAssertEqual(result["publicUsages"].toString(), "verify")
+            XCTAssertTrue(result["publicExtractable"].boolValue ?? false)
+            XCTAssertEqual(result["signatureLength"].numberValue, 96)
+            XCTAssertEqual(result["jwkCurve"].toString(), "P-384")
+            XCTAssertTrue(result["jwkHasD"].boolValue ?? false)
+            XCTAssertTrue(result["verified"].boolValue ?? false)
+            XCTAssertTrue(result["resignedVerified"].boolValue ?? false)
+            XCTAssertTrue(result["jwkVerified"].boolValue ?? false)
+            XCTAssertEqual(result["wrongCurve"].toString(), "DataError")
+            XCTAssertEqual(result["privateRaw"].toString(), "InvalidAccessError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testEd25519KnownValue() {
+        let expectation = XCTestExpectation(description: "Ed25519 RFC 8032 test 1")
+        
+        let script = """
+            const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+                .map(b => b.toString(16).padStart(2, '0')).join('');
+            const fromHex = (hex) => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+            const pkcs8 = fromHex(
+                '302e020100300506032b657004220420' +
+                '9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60');
+            
+            crypto.subtle.importKey('pkcs8', pkcs8, 'Ed25519', true, ['sign']).then(async (privateKey) => {
+                const signature = await crypto.subtle.sign('Ed25519', privateKey, new Uint8Array(0));
+                const jwk = await crypto.subtle.exportKey('jwk', privateKey);
+                const publicKey = await crypto.subtle.importKey(
+                    'jwk', { kty: 'OKP', crv: 'Ed25519', x: jwk.x }, 'Ed25519', true, ['verify']);
+                testCompleted({
+                    signature: toHex(signature),
+                    publicKey: toHex(await crypto.subtle.exportKey('raw', publicKey)),
+                    spki: toHex(await crypto.subtle.exportKey('spki', publicKey)),
+                    valid: await crypto.subtle.verify('Ed25519', publicKey, signature, new Uint8Array(0))
+                });
+            }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            let publicKey = "d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a"
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(
+                result["signature"].toString(),
+                "e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e065224901555fb8821590a33bacc61e39701cf9b46bd25bf5f0595bbe24655141438e7a100b")
+            XCTAssertEqual(result["publicKey"].toString(), publicKey)
+            XCTAssertEqual(result["spki"].toString(), "302a300506032b6570032100" + publicKey)
+            XCTAssertTrue(result["valid"].boolValue ?? false)
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    // MARK: - Key Derivation Tests
+    
+    func testPbkdf2AndHkdfKnownValues() {
+        let expectation = XCTestExpectation(description: "PBKDF2 and HKDF known values")
+        
+        let script = """
+            const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+                .map(b => b.toString(16).padStart(2, '0')).join('');
+            const fromHex = (hex) => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+            const encoder = new TextEncoder();
+            
+            (async () => {
+                // RFC 6070 test 2 and RFC 5869 test case 1
+                const password = await crypto.subtle.importKey(
+                    'raw', encoder.encode('password'), 'PBKDF2', false, ['deriveBits']);
+                const pbkdf2 = await crypto.subtle.deriveBits(
+                    { name: 'PBKDF2', salt: encoder.encode('salt'), iterations: 2, hash: 'SHA-1' }, password, 160);
+                const ikm = await crypto.subtle.importKey(
+                    'raw', new Uint8Array(22).fill(0x0b), 'HKDF', false, ['deriveBits']);
+                const hkdf = await crypto.subtle.deriveBits({
+                    name: 'HKDF', hash: 'SHA-256',
+                    salt: fromHex('000102030405060708090a0b0c'),
+                    info: fromHex('f0f1f2f3f4f5f6f7f8f9')
+                }, ikm, 336);
+                testCompleted({
+                    pbkdf2: toHex(pbkdf2),
+                    hkdf: toHex(hkdf),
+                    extractable: await crypto.subtle.importKey(
+                        'raw', encoder.encode('password'), 'PBKDF2', true, ['deriveBits']
+                    ).then(() => null, error => error.name),
+                    badLength: await crypto.subtle.deriveBits(
+                        { name: 'PBKDF2', salt: new Uint8Array(0), iterations: 1, hash: 'SHA-256' }, password, 12
+                    ).then(() => null, error => error.name)
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["pbkdf2"].toString(), "ea6c014dc72d6f8ccd1ed92ace1d41f0d8de8957")
+            XCTAssertEqual(
+                result["hkdf"].toString(),
+                "3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865")
+            XCTAssertEqual(result["extractable"].toString(), "SyntaxError")
+            XCTAssertEqual(result["badLength"].toString(), "OperationError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testDeriveKeyForAesAndHmac() {
+        let expectation = XCTestExpectation(description: "deriveKey produces AES and HMAC keys")
+        
+        let script = """
+            const encoder = new TextEncoder();
+            
+            (async () => {
+                const password = await crypto.subtle.importKey(
+                    'raw', encoder.encode('correct horse battery staple'), 'PBKDF2', false, ['deriveKey']);
+                const params = { name: 'PBKDF2', salt: encoder.encode('file-salt'), iterations: 1000, hash: 'SHA-256' };
+                const aesKey = await crypto.subtle.deriveKey(
+                    params, password, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+                const hmacKey = await crypto.subtle.deriveKey(
+                    params, password, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+                
+                const iv = new Uint8Array(12);
+                const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, encoder.encode('file contents'));
+                const again = await crypto.subtle.deriveKey(
+                    params, password, { name: 'AES-GCM', length: 256 }, false, ['decrypt']);
+                const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, again, ciphertext);
+                testCompleted({
+                    aesAlgorithm: aesKey.algorithm.name,
+                    aesLength: aesKey.algorithm.length,
+                    hmacLength: hmacKey.algorithm.length,
+                    signatureLength: (await crypto.subtle.sign('HMAC', hmacKey, new Uint8Array(1))).byteLength,
+                    text: new TextDecoder().decode(plaintext)
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["aesAlgorithm"].toString(), "AES-GCM")
+            XCTAssertEqual(result["aesLength"].numberValue, 256)
+            XCTAssertEqual(result["hmacLength"].numberValue, 512)
+            XCTAssertEqual(result["signatureLength"].numberValue, 32)
+            XCTAssertEqual(result["text"].toString(), "file contents")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testEcdhKeyAgreement() {
+        let expectation = XCTestExpectation(description: "ECDH and X25519 key agreement")
+        
+        let script = """
+            const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+                .map(b => b.toString(16).padStart(2, '0')).join('');
+            const fromHex = (hex) => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+            
+            (async () => {
+                // RFC 7748 section 6.1
+                const alicePrivate = await crypto.subtle.importKey('pkcs8', fromHex(
+                    '302e020100300506032b656e04220420' +
+                    '77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a'
+                ), 'X25519', false, ['deriveBits']);
+                const bobPublic = await crypto.subtle.importKey('raw', fromHex(
+                    'de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f'
+                ), 'X25519', true, []);
+                const x25519 = await crypto.subtle.deriveBits(
+                    { name: 'X25519', public: bobPublic }, alicePrivate, 256);
+                
+                const algorithm = { name: 'ECDH', namedCurve: 'P-256' };
+                const alice = await crypto.subtle.generateKey(algorithm, false, ['deriveKey']);
+                const bob = await crypto.subtle.generateKey(algorithm, false, ['deriveKey']);
+                const aliceKey = await crypto.subtle.deriveKey(
+                    { name: 'ECDH', public: bob.publicKey }, alice.privateKey,
+                    { name: 'AES-GCM', length: 128 }, false, ['encrypt']);
+                const bobKey = await crypto.subtle.deriveKey(
+                    { name: 'ECDH', public: alice.publicKey }, bob.privateKey,
+                    { name: 'AES-GCM', length: 128 }, false, ['decrypt']);
+                const iv = new Uint8Array(12);
+                const ciphertext = await crypto.subtle.encrypt(
+                    { name: 'AES-GCM', iv }, aliceKey, new TextEncoder().encode('agreed'));
+                const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, bobKey, ciphertext);
+                
+                testCompleted({
+                    x25519: toHex(x25519),
+                    publicUsages: alice.publicKey.usages.length,
+                    text: new TextDecoder().decode(plaintext),
+                    mismatchedKey: await crypto.subtle.deriveBits(
+                        { name: 'ECDH', public: bobPublic }, alice.privateKey, 128
+                    ).then(() => null, error => error.name)
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(
+                result["x25519"].toString(),
+                "4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742")
+            XCTAssertEqual(result["publicUsages"].numberValue, 0)
+            XCTAssertEqual(result["text"].toString(), "agreed")
+            XCTAssertEqual(result["mismatchedKey"].toString(), "InvalidAccessError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    // MARK: - RSA Tests
+    
+    func testRsaVerifiesRs256Signature() {
+        let expectation = XCTestExpectation(description: "RSASSA-PKCS1-v1_5 verifies an RS256 signature")
+        
+        let script = """
+            const fromBase64Url = (value) => Uint8Array.from(
+                atob(value.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+            const jwk = {
+                kty: 'RSA', e: 'AQAB', alg: 'RS256',
+                n: 'pxohQVEVPimvs3MEEiGUEa6evwMThhJh_YS5SY9mT9q-jarorU2n5R_m2lJfKJp-' +
+                    'pWerUcfEVvDjwOxWWueK0gs7f0_9RK1Un5JkiuGHXK8JOMgPxLLeV9cM4sDX_1a_' +
+                    'ZFCOuofb7D1hc7fQ2dgzQZFDWGxDsm9KmCZSv-PjURMTUegnci_ZSWcUQoK_-yXX' +
+                    'cDbImRohdwNvaQklM13XKzqVO5t-ApeUI44rd4PBbvQTJj8h8EI369N7OZp2_Kka' +
+                    'XtF3ntzGAQf0oNaqXy9ihyiUYhoyXc3io8yLV4neJ2CwQMT_wx9vD645BYb4C6Yn' +
+                    'Pxw-lokNI5qJpaLjMB1fSw'
+            };
+            const signature = fromBase64Url(
+                'e6JOaniFLfV7xDQKXW0t34pSjy-J_DTkay-UfhAugk7kRaJnko-t1VU6ICoQlnRo' +
+                'pfU37m7TjM982GI-NlVzoz9gxdjzFYk-fTCvSNCXm66Lqip1IysdUgC8dAmYLaIo' +
+                'MgnC_RM3thzPtav7QGui_tZlslU-d0mUmYyG3zZ8s1fUBaEGSpMkQda9NFpwsZyu' +
+                'gDaCvYYA-1pIbD40wi2XvYll4Yb75v1yJ5U2jcOMUd95FvbdWdFMxEBNZjtCMX_9' +
+                '7NhwtxqjH_psZdSDrJHn94VsLIs3xj7hrM8d7b_YPPCaE6aeIQJ4BRFJMI7x00Dw' +
+                'Q27CfJ61OnakvDwUyeeHSA');
+            const algorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+            const data = new TextEncoder().encode('header.payload');
+            
+            crypto.subtle.importKey('jwk', jwk, algorithm, true, ['verify']).then(async (key) => {
+                const spki = await crypto.subtle.exportKey('spki', key);
+                const fromSpki = await crypto.subtle.importKey('spki', spki, algorithm, false, ['verify']);
+                testCompleted({
+                    type: key.type,
+                    modulusLength: key.algorithm.modulusLength,
+                    publicExponent: Array.from(key.algorithm.publicExponent).join(','),
+                    valid: await crypto.subtle.verify(algorithm, key, signature, data),
+                    validFromSpki: await crypto.subtle.verify(algorithm, fromSpki, signature, data),
+                    wrongData: await crypto.subtle.verify(algorithm, key, signature, new Uint8Array(1))
+                });
+            }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["type"].toString(), "public")
+            XCTAssertEqual(result["modulusLength"].numberValue, 2048)
+            XCTAssertEqual(result["publicExponent"].toString(), "1,0,1")
+            XCTAssertTrue(result["valid"].boolValue ?? false)
+            XCTAssertTrue(result["validFromSpki"].boolValue ?? false)
+            XCTAssertFalse(result["wrongData"].boolValue ?? true)
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 10.0)
+    }
+    
+    func testRsaPssKeyPairRoundTrip() {
+        let expectation = XCTestExpectation(description: "RSA-PSS key generation, export and import")
+        
+        let script = """
+            const algorithm = {
+                name: 'RSA-PSS', modulusLength: 2048,
+                publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256'
+            };
+            const params = { name: 'RSA-PSS', saltLength: 32 };
+            const data = new TextEncoder().encode('license');
+            
+            crypto.subtle.generateKey(algorithm, true, ['sign', 'verify']).then(async ({ publicKey, privateKey }) => {
+                const pkcs8 = await crypto.subtle.exportKey('pkcs8', privateKey);
+                const jwk = await crypto.subtle.exportKey('jwk', privateKey);
+                const fromPkcs8 = await crypto.subtle.importKey('pkcs8', pkcs8, algorithm, false, ['sign']);
+                const fromJwk = await crypto.subtle.importKey('jwk', jwk, algorithm, false, ['sign']);
+                const signature = await crypto.subtle.sign(params, fromPkcs8, data);
+                const jwkSignature = await crypto.subtle.sign(params, fromJwk, data);
+                testCompleted({
+                    alg: jwk.alg,
+                    hasCrtMembers: ['p', 'q', 'dp', 'dq', 'qi'].every(member => typeof jwk[member] === 'string'),
+                    signatureLength: signature.byteLength,
+                    verified: await crypto.subtle.verify(params, publicKey, signature, data),
+                    jwkVerified: await crypto.subtle.verify(params, publicKey, jwkSignature, data),
+                    badSaltLength: await crypto.subtle.sign({ name: 'RSA-PSS', saltLength: 0 }, privateKey, data)
+                        .then(() => null, error => error.name),
+                    rawExport: await crypto.subtle.exportKey('raw', publicKey).then(() => null, error => error.name)
+                });
+            }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["alg"].toString(), "PS256")
+            XCTAssertTrue(result["hasCrtMembers"].boolValue ?? false)
+            XCTAssertEqual(result["signatureLength"].numberValue, 256)
+            XCTAssertTrue(result["verified"].boolValue ?? false)
+            XCTAssertTrue(result["jwkVerified"].boolValue ?? false)
+            XCTAssertEqual(result["badSaltLength"].toString(), "NotSupportedError")
+            XCTAssertEqual(result["rawExport"].toString(), "NotSupportedError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 10.0)
+    }
+    
+    func testRsaOaepEncryptDecrypt() {
+        let expectation = XCTestExpectation(description: "RSA-OAEP encryption")
+        
+        let script = """
+            const algorithm = {
+                name: 'RSA-OAEP', modulusLength: 2048,
+                publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256'
+            };
+            
+            crypto.subtle.generateKey(algorithm, false, ['encrypt', 'decrypt']).then(async ({ publicKey, privateKey }) => {
+                const ciphertext = await crypto.subtle.encrypt(
+                    { name: 'RSA-OAEP' }, publicKey, new TextEncoder().encode('session key'));
+                const plaintext = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, ciphertext);
+                const tampered = new Uint8Array(ciphertext.slice(0));
+                tampered[10] ^= 1;
+                testCompleted({
+                    publicUsages: publicKey.usages.join(','),
+                    privateUsages: privateKey.usages.join(','),
+                    ciphertextLength: ciphertext.byteLength,
+                    text: new TextDecoder().decode(plaintext),
+                    tamperedError: await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, tampered)
+                        .then(() => null, error => error.name),
+                    wrongKeyType: await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, privateKey, new Uint8Array(1))
+                        .then(() => null, error => error.name)
+                });
+            }).catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["publicUsages"].toString(), "encrypt")
+            XCTAssertEqual(result["privateUsages"].toString(), "decrypt")
+            XCTAssertEqual(result["ciphertextLength"].numberValue, 256)
+            XCTAssertEqual(result["text"].toString(), "session key")
+            XCTAssertEqual(result["tamperedError"].toString(), "OperationError")
+            XCTAssertEqual(result["wrongKeyType"].toString(), "InvalidAccessError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 10.0)
+    }
+    
+    // MARK: - Key Wrapping Tests
+    
+    func testAesKwWrapsKnownVector() {
+        let expectation = XCTestExpectation(description: "AES-KW wraps the RFC 3394 test vector")
+        
+        // RFC 3394 section 4.1: wrap 128 bits of key data with a 128-bit KEK
+        let script = """
+            const fromHex = (hex) => new Uint8Array(hex.match(/../g).map(byte => parseInt(byte, 16)));
+            const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+            
+            (async () => {
+                const kek = await crypto.subtle.importKey(
+                    'raw', fromHex('000102030405060708090a0b0c0d0e0f'), 'AES-KW', false, ['wrapKey', 'unwrapKey']);
+                const key = await crypto.subtle.importKey(
+                    'raw', fromHex('00112233445566778899aabbccddeeff'), 'AES-GCM', true, ['encrypt']);
+                const wrapped = await crypto.subtle.wrapKey('raw', key, kek, 'AES-KW');
+                const unwrapped = await crypto.subtle.unwrapKey(
+                    'raw', wrapped, kek, 'AES-KW', 'AES-GCM', true, ['encrypt', 'decrypt']);
+                const tampered = new Uint8Array(wrapped.slice(0));
+                tampered[0] ^= 1;
+                testCompleted({
+                    wrapped: toHex(wrapped),
+                    unwrapped: toHex(await crypto.subtle.exportKey('raw', unwrapped)),
+                    algorithm: unwrapped.algorithm.name,
+                    usages: unwrapped.usages.join(','),
+                    tampered: await crypto.subtle.unwrapKey('raw', tampered, kek, 'AES-KW', 'AES-GCM', true, ['encrypt'])
+                        .then(() => null, error => error.name),
+                    encryptUsage: await crypto.subtle.importKey('raw', new Uint8Array(16), 'AES-KW', false, ['encrypt'])
+                        .then(() => null, error => error.name),
+                    wrongUsage: await crypto.subtle.wrapKey('raw', key, key, 'AES-GCM')
+                        .then(() => null, error => error.name)
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["wrapped"].toString(), "1fa68b0a8112b447aef34bd8fb5a7b829d3e862371d2cfe5")
+            XCTAssertEqual(result["unwrapped"].toString(), "00112233445566778899aabbccddeeff")
+            XCTAssertEqual(result["algorithm"].toString(), "AES-GCM")
+            XCTAssertEqual(result["usages"].toString(), "encrypt,decrypt")
+            XCTAssertEqual(result["tampered"].toString(), "OperationError")
+            XCTAssertEqual(result["encryptUsage"].toString(), "SyntaxError")
+            XCTAssertEqual(result["wrongUsage"].toString(), "InvalidAccessError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testWrapKeyInnerFormats() {
+        let expectation = XCTestExpectation(description: "wrapKey/unwrapKey with jwk, pkcs8 and spki")
+        
+        let script = """
+            (async () => {
+                const kek = await crypto.subtle.generateKey({ name: 'AES-KW', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+                const gcmKek = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+                const hmacKey = await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, true, ['sign', 'verify']);
+                const ecdsa = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+                const data = new TextEncoder().encode('payload');
+                const iv = new Uint8Array(12);
+                
+                const wrappedJwk = await crypto.subtle.wrapKey('jwk', hmacKey, kek, 'AES-KW');
+                const hmacCopy = await crypto.subtle.unwrapKey(
+                    'jwk', wrappedJwk, kek, 'AES-KW', { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']);
+                
+                const wrappedPkcs8 = await crypto.subtle.wrapKey('pkcs8', ecdsa.privateKey, gcmKek, { name: 'AES-GCM', iv });
+                const privateCopy = await crypto.subtle.unwrapKey(
+                    'pkcs8', wrappedPkcs8, gcmKek, { name: 'AES-GCM', iv },
+                    { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+                
+                const wrappedSpki = await crypto.subtle.wrapKey('spki', ecdsa.publicKey, gcmKek, { name: 'AES-GCM', iv });
+                const publicCopy = await crypto.subtle.unwrapKey(
+                    'spki', wrappedSpki, gcmKek, { name: 'AES-GCM', iv },
+                    { name: 'ECDSA', namedCurve: 'P-256' }, true, ['verify']);
+                
+                const ecParams = { name: 'ECDSA', hash: 'SHA-256' };
+                const signature = await crypto.subtle.sign(ecParams, privateCopy, data);
+                const nonExtractable = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 128 }, false, ['encrypt']);
+                testCompleted({
+                    jwkPadded: wrappedJwk.byteLength % 8 === 0,
+                    hmacVerified: await crypto.subtle.verify('HMAC', hmacCopy,
+                        await crypto.subtle.sign('HMAC', hmacKey, data), data),
+                    privateType: privateCopy.type,
+                    privateExtractable: privateCopy.extractable,
+                    publicType: publicCopy.type,
+                    ecVerified: await crypto.subtle.verify(ecParams, publicCopy, signature, data),
+                    nonExtractable: await crypto.subtle.wrapKey('raw', nonExtractable, kek, 'AES-KW')
+                        .then(() => null, error => error.name),
+                    invalidJwk: await crypto.subtle.unwrapKey(
+                        'jwk', await crypto.subtle.wrapKey('raw', hmacKey, kek, 'AES-KW'), kek, 'AES-KW',
+                        { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']).then(() => null, error => error.name)
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertTrue(result["jwkPadded"].boolValue ?? false)
+            XCTAssertTrue(result["hmacVerified"].boolValue ?? false)
+            XCTAssertEqual(result["privateType"].toString(), "private")
+            XCTAssertFalse(result["privateExtractable"].boolValue ?? true)
+            XCTAssertEqual(result["publicType"].toString(), "public")
+            XCTAssertTrue(result["ecVerified"].boolValue ?? false)
+            XCTAssertEqual(result["nonExtractable"].toString(), "InvalidAccessError")
+            XCTAssertEqual(result["invalidJwk"].toString(), "DataError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+}
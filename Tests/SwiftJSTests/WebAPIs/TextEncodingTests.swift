@@ -131,6 +131,97 @@ final class TextEncodingTests: XCTestCase {
         XCTAssertTrue(result["isUint8Array"].boolValue ?? false)
     }
     
+    func testTextEncoderEncodeInto() {
+        let script = """
+            const encoder = new TextEncoder();
+            const destination = new Uint8Array(5);
+            const partial = encoder.encodeInto('a€😀', destination);
+            const complete = encoder.encodeInto('hi', new Uint8Array(8));
+            const pair = encoder.encodeInto('😀a', new Uint8Array(3));
+            let typeError = false;
+            try {
+                encoder.encodeInto('a', []);
+            } catch (error) {
+                typeError = error instanceof TypeError;
+            }
+            ({
+                partial: [partial.read, partial.written].join(','),
+                bytes: Array.from(destination).join(','),
+                complete: [complete.read, complete.written].join(','),
+                pair: [pair.read, pair.written].join(','),
+                typeError
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        XCTAssertEqual(result["partial"].toString(), "2,4")
+        XCTAssertEqual(result["bytes"].toString(), "97,226,130,172,0")
+        XCTAssertEqual(result["complete"].toString(), "2,2")
+        XCTAssertEqual(result["pair"].toString(), "0,0")
+        XCTAssertTrue(result["typeError"].boolValue ?? false)
+    }
+    
+    func testTextEncoderLoneSurrogates() {
+        let script = """
+            const encoder = new TextEncoder();
+            const short = encoder.encode('a\\uD800b\\uDC00');
+            // Long strings take the native path and must follow the same rule
+            const long = encoder.encode('x'.repeat(4096) + '\\uD83D');
+            const into = new Uint8Array(3);
+            const result = encoder.encodeInto('\\uDFFF', into);
+            ({
+                short: Array.from(short).join(','),
+                longTail: Array.from(long.subarray(4096)).join(','),
+                longLength: long.length,
+                into: Array.from(into).join(','),
+                written: result.written
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        XCTAssertEqual(result["short"].toString(), "97,239,191,189,98,239,191,189")
+        XCTAssertEqual(result["longTail"].toString(), "239,191,189")
+        XCTAssertEqual(result["longLength"].numberValue, 4099)
+        XCTAssertEqual(result["into"].toString(), "239,191,189")
+        XCTAssertEqual(result["written"].numberValue, 3)
+    }
+    
+    func testLargeTextNativeRoundTrip() {
+        let script = """
+            const text = 'Grüße, 世界! 🌍 '.repeat(20000);
+            const encoded = new TextEncoder().encode(text);
+            const decoder = new TextDecoder();
+            let streamed = '';
+            // Odd chunk sizes split multi-byte sequences between native decodes
+            for (let offset = 0; offset < encoded.length; offset += 4099) {
+                streamed += decoder.decode(encoded.subarray(offset, offset + 4099), { stream: true });
+            }
+            streamed += decoder.decode();
+            
+            const invalid = new Uint8Array(encoded.length + 1);
+            invalid.set(encoded);
+            invalid[encoded.length] = 0xFF;
+            let fatalError = false;
+            try {
+                new TextDecoder('utf-8', { fatal: true }).decode(invalid);
+            } catch (error) {
+                fatalError = error instanceof TypeError;
+            }
+            ({
+                whole: new TextDecoder().decode(encoded) === text,
+                streamed: streamed === text,
+                replaced: new TextDecoder().decode(invalid).endsWith('🌍 \\uFFFD'),
+                fatalError
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        XCTAssertTrue(result["whole"].boolValue ?? false)
+        XCTAssertTrue(result["streamed"].boolValue ?? false)
+        XCTAssertTrue(result["replaced"].boolValue ?? false)
+        XCTAssertTrue(result["fatalError"].boolValue ?? false)
+    }
+    
     // MARK: - TextDecoder API Tests
     
     func testTextDecoderExists() {
@@ -182,6 +273,144 @@ final class TextEncodingTests: XCTestCase {
         XCTAssertEqual(result.toString(), "Hello, SwiftJS!")
     }
     
+    // MARK: - TextDecoder Encoding Tests
+    
+    func testTextDecoderLabels() {
+        let script = """
+            const names = ['UTF8', ' latin1 ', 'ascii', 'sjis', 'gb2312', 'unicode', 'utf-16be', 'big5-hkscs', 'ks_c_5601-1987']
+                .map(label => new TextDecoder(label).encoding);
+            const rejected = ['bogus', 'replacement', 'iso-2022-kr'].map(label => {
+                try {
+                    new TextDecoder(label);
+                    return null;
+                } catch (error) {
+                    return error.name;
+                }
+            });
+            ({ names: names.join(','), rejected: rejected.join(',') })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        XCTAssertEqual(
+            result["names"].toString(),
+            "utf-8,windows-1252,windows-1252,shift_jis,gbk,utf-16le,utf-16be,big5,euc-kr")
+        XCTAssertEqual(result["rejected"].toString(), "RangeError,RangeError,RangeError")
+    }
+    
+    func testTextDecoderReplacementAndFatal() {
+        let script = """
+            const decode = (bytes, options) => new TextDecoder('utf-8', options).decode(new Uint8Array(bytes));
+            const codes = (text) => Array.from(text, char => char.codePointAt(0).toString(16)).join(' ');
+            let fatalError = null;
+            try {
+                decode([0x61, 0xC3], { fatal: true });
+            } catch (error) {
+                fatalError = error instanceof TypeError;
+            }
+            ({
+                truncated: codes(decode([0xF0, 0x9F, 0x98, 0x41])),
+                surrogate: codes(decode([0xED, 0xA0, 0x80])),
+                overlong: codes(decode([0xC0, 0xAF])),
+                trailing: codes(decode([0x61, 0xE2, 0x82])),
+                fatal: new TextDecoder('utf-8', { fatal: true }).fatal,
+                fatalError
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        XCTAssertEqual(result["truncated"].toString(), "fffd 41")
+        XCTAssertEqual(result["surrogate"].toString(), "fffd fffd fffd")
+        XCTAssertEqual(result["overlong"].toString(), "fffd fffd")
+        XCTAssertEqual(result["trailing"].toString(), "61 fffd")
+        XCTAssertTrue(result["fatal"].boolValue ?? false)
+        XCTAssertTrue(result["fatalError"].boolValue ?? false)
+    }
+    
+    func testTextDecoderByteOrderMark() {
+        let script = """
+            const bytes = new Uint8Array([0xEF, 0xBB, 0xBF, 0x68, 0x69]);
+            ({
+                stripped: new TextDecoder().decode(bytes),
+                kept: new TextDecoder('utf-8', { ignoreBOM: true }).decode(bytes).charCodeAt(0).toString(16),
+                utf16le: new TextDecoder('utf-16le').decode(new Uint8Array([0xFF, 0xFE, 0x68, 0x00, 0x69, 0x00])),
+                utf16be: new TextDecoder('utf-16be').decode(new Uint8Array([0xFE, 0xFF, 0x00, 0x68, 0x00, 0x69])),
+                middle: new TextDecoder().decode(new Uint8Array([0x68, 0xEF, 0xBB, 0xBF])).length
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        XCTAssertEqual(result["stripped"].toString(), "hi")
+        XCTAssertEqual(result["kept"].toString(), "feff")
+        XCTAssertEqual(result["utf16le"].toString(), "hi")
+        XCTAssertEqual(result["utf16be"].toString(), "hi")
+        XCTAssertEqual(result["middle"].numberValue, 2)
+    }
+    
+    func testTextDecoderStreaming() {
+        let script = """
+            const bytes = new TextEncoder().encode('a€😀b');
+            const decoder = new TextDecoder();
+            let text = '';
+            for (const byte of bytes) {
+                text += decoder.decode(new Uint8Array([byte]), { stream: true });
+            }
+            text += decoder.decode();
+            
+            const utf16 = new TextDecoder('utf-16le');
+            const parts = [
+                utf16.decode(new Uint8Array([0x3D, 0xD8, 0x00]), { stream: true }),
+                utf16.decode(new Uint8Array([0xDE]), { stream: true })
+            ];
+            
+            const truncated = new TextDecoder();
+            const pending = truncated.decode(new Uint8Array([0xE2, 0x82]), { stream: true });
+            ({
+                text,
+                utf16: parts.join('|'),
+                pending,
+                flushed: truncated.decode().charCodeAt(0).toString(16),
+                reused: truncated.decode(new Uint8Array([0x6F, 0x6B]))
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        XCTAssertEqual(result["text"].toString(), "a€😀b")
+        XCTAssertEqual(result["utf16"].toString(), "|😀")
+        XCTAssertEqual(result["pending"].toString(), "")
+        XCTAssertEqual(result["flushed"].toString(), "fffd")
+        XCTAssertEqual(result["reused"].toString(), "ok")
+    }
+    
+    func testTextDecoderLegacyEncodings() {
+        let script = """
+            const decode = (label, bytes) => new TextDecoder(label).decode(new Uint8Array(bytes));
+            ({
+                shiftJis: decode('shift_jis', [0x82, 0xB1, 0x82, 0xF1, 0x82, 0xC9, 0x82, 0xBF, 0x82, 0xCD, 0xB1]),
+                eucKr: decode('euc-kr', [0xC7, 0xD1, 0xB1, 0xB9, 0xBE, 0xEE]),
+                eucJp: decode('euc-jp', [0xC6, 0xFC, 0xCB, 0xDC]),
+                gbk: decode('gbk', [0xD6, 0xD0, 0xCE, 0xC4, 0x80]),
+                gb18030: decode('gb18030', [0x81, 0x30, 0x81, 0x30, 0x95, 0x32, 0x82, 0x36]).codePointAt(1).toString(16),
+                big5: decode('big5', [0xA4, 0xA4, 0xA4, 0xE5]),
+                windows1252: decode('latin1', [0x80, 0xE9]),
+                latin2: decode('iso-8859-2', [0xA3, 0xF3, 0x64, 0xBC]),
+                koi8r: decode('koi8-r', [0xD2, 0xD5, 0xD3]),
+                invalid: decode('shift_jis', [0x82, 0x41]).length
+            })
+        """
+        let context = SwiftJS()
+        let result = context.evaluateScript(script)
+        XCTAssertEqual(result["shiftJis"].toString(), "こんにちはｱ")
+        XCTAssertEqual(result["eucKr"].toString(), "한국어")
+        XCTAssertEqual(result["eucJp"].toString(), "日本")
+        XCTAssertEqual(result["gbk"].toString(), "中文€")
+        XCTAssertEqual(result["gb18030"].toString(), "20000")
+        XCTAssertEqual(result["big5"].toString(), "中文")
+        XCTAssertEqual(result["windows1252"].toString(), "€é")
+        XCTAssertEqual(result["latin2"].toString(), "Łódź")
+        XCTAssertEqual(result["koi8r"].toString(), "рус")
+        XCTAssertEqual(result["invalid"].numberValue, 2)
+    }
+    
     // MARK: - Round-trip Encoding Tests
     
     func testEncodingRoundTrip() {
@@ -477,6 +706,161 @@ final class TextEncodingTests: XCTestCase {
         }
     }
     
+    // MARK: - Text Encoding Stream Tests
+    
+    func testTextDecoderStreamSplitSequences() {
+        let expectation = XCTestExpectation(description: "TextDecoderStream decodes split sequences")
+        
+        let script = """
+            const bytes = new TextEncoder().encode('line 1 €\\nline 2 😀\\n');
+            // Feed one byte at a time so every multi-byte sequence is split
+            const source = new ReadableStream({
+                start(controller) {
+                    for (const byte of bytes) {
+                        controller.enqueue(new Uint8Array([byte]));
+                    }
+                    controller.close();
+                }
+            });
+            
+            const decoderStream = new TextDecoderStream('utf-8');
+            const reader = source.pipeThrough(decoderStream).getReader();
+            let text = '';
+            const read = () => reader.read().then(({ done, value }) => {
+                if (done) {
+                    testCompleted({
+                        text,
+                        encoding: decoderStream.encoding,
+                        fatal: decoderStream.fatal,
+                        lines: text.split('\\n').length - 1
+                    });
+                    return;
+                }
+                text += value;
+                return read();
+            });
+            read().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["text"].toString(), "line 1 €\nline 2 😀\n")
+            XCTAssertEqual(result["encoding"].toString(), "utf-8")
+            XCTAssertFalse(result["fatal"].boolValue ?? true)
+            XCTAssertEqual(result["lines"].numberValue, 2)
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testTextDecoderStreamFlushAndFatal() {
+        let expectation = XCTestExpectation(description: "TextDecoderStream flush and fatal errors")
+        
+        let script = """
+            const collect = (stream, chunks) => {
+                const writing = (async () => {
+                    const writer = stream.writable.getWriter();
+                    for (const chunk of chunks) {
+                        await writer.write(chunk);
+                    }
+                    await writer.close();
+                })();
+                const reading = (async () => {
+                    const reader = stream.readable.getReader();
+                    const parts = [];
+                    while (true) {
+                        const { done, value } = await reader.read();
+                        if (done) return parts.join('');
+                        parts.push(value);
+                    }
+                })();
+                return Promise.all([writing, reading]).then(([, text]) => text);
+            };
+            
+            (async () => {
+                const utf16 = await collect(new TextDecoderStream('utf-16le'),
+                    [new Uint8Array([0x68, 0x00, 0x3D]), new Uint8Array([0xD8, 0x00, 0xDE])]);
+                const truncated = await collect(new TextDecoderStream(), [new Uint8Array([0x61, 0xF0, 0x9F])]);
+                const fatal = await collect(new TextDecoderStream('utf-8', { fatal: true }), [new Uint8Array([0xFF])])
+                    .then(() => null, error => error.name);
+                const invalidChunk = await collect(new TextDecoderStream(), ['text'])
+                    .then(() => null, error => error.name);
+                testCompleted({
+                    utf16,
+                    truncated: Array.from(truncated, char => char.codePointAt(0).toString(16)).join(' '),
+                    fatal,
+                    invalidChunk
+                });
+            })().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["utf16"].toString(), "h😀")
+            XCTAssertEqual(result["truncated"].toString(), "61 fffd")
+            XCTAssertEqual(result["fatal"].toString(), "TypeError")
+            XCTAssertEqual(result["invalidChunk"].toString(), "TypeError")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
+    func testTextEncoderStreamSurrogatePairs() {
+        let expectation = XCTestExpectation(description: "TextEncoderStream joins split surrogate pairs")
+        
+        let script = """
+            const source = new ReadableStream({
+                start(controller) {
+                    controller.enqueue('a\\uD83D');
+                    controller.enqueue('\\uDE00b');
+                    controller.enqueue('\\uD800');
+                    controller.close();
+                }
+            });
+            
+            const encoderStream = new TextEncoderStream();
+            const reader = source.pipeThrough(encoderStream).getReader();
+            const chunks = [];
+            const read = () => reader.read().then(({ done, value }) => {
+                if (done) {
+                    testCompleted({
+                        encoding: encoderStream.encoding,
+                        allBytes: chunks.every(chunk => chunk instanceof Uint8Array),
+                        bytes: chunks.flatMap(chunk => Array.from(chunk)).join(',')
+                    });
+                    return;
+                }
+                chunks.push(value);
+                return read();
+            });
+            read().catch(error => testCompleted({ error: error.message }));
+        """
+        
+        let context = SwiftJS()
+        context.globalObject["testCompleted"] = SwiftJS.Value(in: context) { args, this in
+            let result = args[0]
+            XCTAssertFalse(result["error"].isString, result["error"].toString())
+            XCTAssertEqual(result["encoding"].toString(), "utf-8")
+            XCTAssertTrue(result["allBytes"].boolValue ?? false)
+            XCTAssertEqual(result["bytes"].toString(), "97,240,159,152,128,98,239,191,189")
+            expectation.fulfill()
+            return SwiftJS.Value.undefined
+        }
+        
+        context.evaluateScript(script)
+        wait(for: [expectation], timeout: 5.0)
+    }
+    
     // MARK: - Base64 Encoding Tests
 
     func testBtoaExists() {